@@ -0,0 +1,29 @@
+/** Unit tests and localnet integration tests, see "Running the Tests" in README.md */
+const transform = {
+  '^.+\\.ts$': ['ts-jest', { tsconfig: { isolatedModules: true, esModuleInterop: true } }],
+};
+
+module.exports = {
+  projects: [
+    {
+      displayName: 'unit',
+      testEnvironment: 'node',
+      roots: ['<rootDir>/src/tests/unit'],
+      testMatch: ['**/*.test.ts'],
+      transform,
+    },
+    {
+      displayName: 'localnet',
+      testEnvironment: 'node',
+      roots: ['<rootDir>/src/tests'],
+      testMatch: ['**/*.test.ts'],
+      testPathIgnorePatterns: ['/src/tests/unit/'],
+      transform,
+      globalSetup: '<rootDir>/src/tests/global_setup.ts',
+      globalTeardown: '<rootDir>/src/tests/global_teardown.ts',
+    },
+  ],
+  // Every localnet test file sends transactions from the same admin wallet to the same validator
+  maxWorkers: 1,
+  testTimeout: 300_000,
+};
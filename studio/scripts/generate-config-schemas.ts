@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+import { format, resolveConfig } from 'prettier';
+import { createGenerator } from 'ts-json-schema-generator';
+import { ConfigType } from '../src/utils/types';
+
+/**
+ * Generate src/schemas/config.schema.json from the action config types of src/utils/types.ts, so
+ * the config validation cannot drift from the types the actions read. Run it after changing a
+ * config type: pnpm generate-schemas
+ */
+
+const CONFIG_TYPES: ConfigType[] = [
+  'DammV1Config',
+  'DammV2Config',
+  'DlmmConfig',
+  'DbcConfig',
+  'AlphaVaultConfig',
+  'LaunchPlanConfig',
+];
+
+const rootDir = path.resolve(__dirname, '..');
+const outputPath = path.join(rootDir, 'src/schemas/config.schema.json');
+
+const generator = createGenerator({
+  path: path.join(rootDir, 'src/utils/types.ts'),
+  tsconfig: path.join(rootDir, 'tsconfig.json'),
+  skipTypeCheck: true,
+  additionalProperties: false,
+  discriminatorType: 'json-schema',
+});
+
+async function main() {
+  const definitions: Record<string, unknown> = {};
+  for (const type of CONFIG_TYPES) {
+    Object.assign(definitions, generator.createSchema(type).definitions);
+  }
+  const sortedDefinitions = Object.fromEntries(
+    Object.entries(definitions).sort(([a], [b]) => a.localeCompare(b))
+  );
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    definitions: sortedDefinitions,
+  };
+
+  // Formatted like the rest of the repo so regenerating only shows actual changes
+  const prettierConfig = await resolveConfig(outputPath);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(
+    outputPath,
+    await format(JSON.stringify(schema, null, 2), { ...prettierConfig, filepath: outputPath })
+  );
+  console.log(`> Wrote ${Object.keys(sortedDefinitions).length} definitions to ${outputPath}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,28 +1,41 @@
 import { Connection, PublicKey } from '@solana/web3.js';
 import { Wallet } from '@coral-xyz/anchor';
-import { LBCLMM_PROGRAM_IDS, deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
-import {
-  deriveCustomizablePermissionlessConstantProductPoolAddress,
-  createProgram,
-} from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
+import { deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
+import { deriveCustomizablePermissionlessConstantProductPoolAddress } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
 import { deriveCustomizablePoolAddress } from '@meteora-ag/cp-amm-sdk';
-import { AlphaVaultConfig, PoolTypeConfig } from '../../utils/types';
-import { parseConfigFromCli, safeParseKeypairFromFile } from '../../helpers';
+import {
+  AlphaVaultConfig,
+  PoolTypeConfig,
+  CliArguments,
+  ExecutionJournal,
+} from '../../utils/types';
+import {
+  createExecutionJournal,
+  parseConfigFromCli,
+  resumeExecutionJournal,
+  getKeypairFromCliOrConfig,
+  getConfigNetwork,
+  getMintWithProgram,
+  recordOutputAddress,
+  runPreflightChecks,
+} from '../../helpers';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
-import { createAlphaVault } from '../../lib/alpha_vault';
+import { createAlphaVault, getAlphaVaultPreflightRequirements } from '../../lib/alpha_vault';
 
-async function main() {
-  const config = (await parseConfigFromCli()) as AlphaVaultConfig;
+export async function main(cliArguments: CliArguments) {
+  const config = (await parseConfigFromCli(cliArguments, 'alpha-vault create')) as AlphaVaultConfig;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
 
   const wallet = new Wallet(keypair);
 
@@ -44,18 +57,19 @@ async function main() {
   }
   const poolType = config.alphaVault.poolType;
 
+  const network = getConfigNetwork(config);
   let poolKey: PublicKey;
   if (poolType == PoolTypeConfig.DammV1) {
     poolKey = deriveCustomizablePermissionlessConstantProductPoolAddress(
       baseMint,
       quoteMint,
-      createProgram(connection as any).ammProgram.programId
+      new PublicKey(network.programIds.dammV1)
     );
   } else if (poolType == PoolTypeConfig.Dlmm) {
     [poolKey] = deriveCustomizablePermissionlessLbPair(
       baseMint,
       quoteMint,
-      new PublicKey(LBCLMM_PROGRAM_IDS['mainnet-beta'])
+      new PublicKey(network.programIds.dlmm)
     );
   } else if (poolType == PoolTypeConfig.DammV2) {
     poolKey = deriveCustomizablePoolAddress(baseMint, quoteMint);
@@ -64,6 +78,7 @@ async function main() {
   }
 
   console.log(`\n> Pool address: ${poolKey}, pool type ${poolType}`);
+  recordOutputAddress('pool', poolKey);
 
   const alphaVaultConfig: AlphaVaultConfig = {
     ...config,
@@ -71,7 +86,28 @@ async function main() {
     quoteMint: quoteMint.toString(),
   };
 
-  await createAlphaVault(connection, wallet, alphaVaultConfig, poolKey);
-}
+  // A resumed run already created part of what the checks count
+  if (!cliArguments.resume) {
+    await runPreflightChecks(
+      connection,
+      keypair.publicKey,
+      await getAlphaVaultPreflightRequirements(
+        alphaVaultConfig,
+        connection,
+        await getMintWithProgram(connection, quoteMint, 'Quote'),
+        await getMintWithProgram(connection, baseMint, 'Base')
+      ),
+      config,
+      { dryRun: config.dryRun }
+    );
+  }
+
+  let journal: ExecutionJournal | undefined;
+  if (cliArguments.resume) {
+    journal = await resumeExecutionJournal(connection, cliArguments.resume, 'alpha-vault create');
+  } else if (!config.dryRun) {
+    journal = createExecutionJournal('alpha-vault create', { poolAddress: poolKey.toBase58() });
+  }
 
-main();
+  await createAlphaVault(connection, wallet, alphaVaultConfig, poolKey, journal);
+}
@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { CliArguments, InitAnswers } from '../../utils/types';
+import {
+  getActionConfigSchema,
+  getConfigProblems,
+  promptForSelection,
+  safeParseJsonFromFile,
+} from '../../helpers';
+import { formatInitConfig, getInitTemplate, INIT_TEMPLATES, runInitWizard } from '../../lib/init';
+
+async function selectAction(): Promise<string> {
+  const programs = [...new Set(INIT_TEMPLATES.map((t) => t.action.split(' ')[0]!))];
+  const program = programs[await promptForSelection(programs, 'Select the program')]!;
+
+  const templates = INIT_TEMPLATES.filter((t) => t.action.startsWith(`${program} `));
+  const index = await promptForSelection(
+    templates.map((t) => `${t.action} - ${t.description}`),
+    'Select the action'
+  );
+  return templates[index]!.action;
+}
+
+export async function main(cliArguments: CliArguments) {
+  let answers: InitAnswers | undefined;
+  if (cliArguments.answers) {
+    console.log(`> Using answers file: ${cliArguments.answers}`);
+    answers = await safeParseJsonFromFile<InitAnswers>(cliArguments.answers);
+  }
+
+  const action =
+    cliArguments.action ??
+    (typeof answers?.action === 'string' ? answers.action : undefined) ??
+    (answers ? undefined : await selectAction());
+  if (!action) {
+    throw new Error('Please provide the action to the --action flag or in the answers file');
+  }
+  const template = getInitTemplate(action);
+
+  const outputPath = path.resolve(
+    cliArguments.output ?? `./config/${action.replace(/[ -]/g, '_')}_config.jsonc`
+  );
+  if (fs.existsSync(outputPath)) {
+    throw new Error(`Config file already exists: ${outputPath}, choose another path with --output`);
+  }
+
+  console.log(`\n> Creating a config for ${action}...`);
+  const { config, comments } = await runInitWizard(template, answers);
+
+  const problems = getConfigProblems(config, getActionConfigSchema(action));
+  if (problems.length > 0) {
+    throw new Error(`The answers do not make a valid config:\n- ${problems.join('\n- ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, formatInitConfig(action, config, comments));
+
+  console.log(`\n>>> Config written to ${outputPath}`);
+  console.log(
+    `- Run it with: pnpm studio ${action} --config ${path.relative(process.cwd(), outputPath)}`
+  );
+}
@@ -0,0 +1,31 @@
+import { CliArguments } from '../../utils/types';
+import {
+  getActionConfigSchema,
+  getConfigProblems,
+  isJsonOutput,
+  resolveConfigFromCli,
+} from '../../helpers';
+
+export async function main(cliArguments: CliArguments) {
+  if (!cliArguments.action) {
+    throw new Error('Please provide the action to validate the config for to --action flag');
+  }
+  const action = cliArguments.action;
+  const schema = getActionConfigSchema(action);
+  const config = await resolveConfigFromCli(cliArguments);
+
+  const problems = getConfigProblems(config, schema);
+  if (problems.length === 0) {
+    console.log(`\n>>> Config is valid for ${action}`);
+    return;
+  }
+
+  const message = `Found ${problems.length} problem(s) in the config for ${action}:`;
+  if (isJsonOutput()) {
+    throw new Error(`${message}\n- ${problems.join('\n- ')}`);
+  }
+
+  console.error(`\n>>> ${message}`);
+  problems.forEach((problem) => console.error(`- ${problem}`));
+  process.exit(1);
+}
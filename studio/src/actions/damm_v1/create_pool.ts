@@ -1,27 +1,34 @@
 import { Connection, PublicKey } from '@solana/web3.js';
-import { safeParseKeypairFromFile, parseConfigFromCli, createTokenMint } from '../../helpers';
+import {
+  parseConfigFromCli,
+  createTokenMint,
+  getKeypairFromCliOrConfig,
+  getConfigNetwork,
+  runPreflightChecks,
+  createExecutionJournal,
+  resumeExecutionJournal,
+} from '../../helpers';
 import { Wallet } from '@coral-xyz/anchor';
-import { createDammV1Pool } from '../../lib/damm_v1';
-import { AlphaVaultConfig, DammV1Config } from '../../utils/types';
+import { createDammV1Pool, getDammV1PoolPreflightRequirements } from '../../lib/damm_v1';
+import { AlphaVaultConfig, DammV1Config, CliArguments, ExecutionJournal } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
 import { createAlphaVault } from '../../lib/alpha_vault';
-import {
-  createProgram,
-  deriveCustomizablePermissionlessConstantProductPoolAddress,
-} from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
+import { deriveCustomizablePermissionlessConstantProductPoolAddress } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
 
-async function main() {
-  const config = (await parseConfigFromCli()) as DammV1Config;
+export async function main(cliArguments: CliArguments) {
+  const config = (await parseConfigFromCli(cliArguments, 'damm-v1 create-pool')) as DammV1Config;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   let baseMint: PublicKey;
@@ -29,19 +36,47 @@ async function main() {
     throw new Error('Missing quoteMint in configuration');
   }
   const quoteMint = new PublicKey(config.quoteMint);
+  if (!config.createBaseToken && !config.baseMint) {
+    throw new Error('Missing baseMint in configuration');
+  }
+
+  // A resumed run already created part of what the checks count
+  if (!cliArguments.resume) {
+    await runPreflightChecks(
+      connection,
+      keypair.publicKey,
+      await getDammV1PoolPreflightRequirements(
+        config,
+        connection,
+        quoteMint,
+        config.createBaseToken ? undefined : new PublicKey(config.baseMint!)
+      ),
+      config,
+      { dryRun: config.dryRun }
+    );
+  }
+
+  // The base token, the pool and the alpha vault are created by separate transactions
+  let journal: ExecutionJournal | undefined;
+  if (cliArguments.resume) {
+    journal = await resumeExecutionJournal(connection, cliArguments.resume, 'damm-v1 create-pool');
+  } else if (
+    !config.dryRun &&
+    (config.createBaseToken || (config.dammV1Config?.hasAlphaVault && config.alphaVault))
+  ) {
+    journal = createExecutionJournal('damm-v1 create-pool');
+  }
 
   if (config.createBaseToken) {
     baseMint = await createTokenMint(connection, wallet, {
       dryRun: config.dryRun,
       mintTokenAmount: config.createBaseToken.mintBaseTokenAmount,
       decimals: config.createBaseToken.baseDecimals,
-      computeUnitPriceMicroLamports: config.computeUnitPriceMicroLamports,
+      txConfig: config,
+      journal,
     });
   } else {
-    if (!config.baseMint) {
-      throw new Error('Missing baseMint in configuration');
-    }
-    baseMint = new PublicKey(config.baseMint);
+    baseMint = new PublicKey(config.baseMint!);
   }
 
   console.log(`- Using base token mint ${baseMint.toString()}`);
@@ -49,7 +84,7 @@ async function main() {
 
   /// --------------------------------------------------------------------------
   if (config) {
-    await createDammV1Pool(config, connection, wallet, baseMint, quoteMint);
+    await createDammV1Pool(config, connection, wallet, baseMint, quoteMint, { journal });
 
     if (config.dammV1Config?.hasAlphaVault && config.alphaVault) {
       console.log('\n> Alpha vault is enabled, creating alpha vault automatically...');
@@ -57,7 +92,7 @@ async function main() {
       const poolAddress = deriveCustomizablePermissionlessConstantProductPoolAddress(
         baseMint,
         quoteMint,
-        createProgram(connection as any).ammProgram.programId
+        new PublicKey(getConfigNetwork(config).programIds.dammV1)
       );
 
       const alphaVaultConfig: AlphaVaultConfig = {
@@ -66,7 +101,7 @@ async function main() {
         quoteMint: quoteMint.toString(),
       };
 
-      await createAlphaVault(connection, wallet, alphaVaultConfig, poolAddress);
+      await createAlphaVault(connection, wallet, alphaVaultConfig, poolAddress, journal);
 
       console.log('\n>>> DAMM V1 pool and alpha vault created successfully! 🎉');
     }
@@ -74,5 +109,3 @@ async function main() {
     throw new Error('Must provide DAMM V1 configuration');
   }
 }
-
-main();
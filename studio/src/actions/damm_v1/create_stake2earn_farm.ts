@@ -1,26 +1,28 @@
 import { Wallet } from '@coral-xyz/anchor';
 import { Connection, PublicKey } from '@solana/web3.js';
-import { DammV1Config } from '../../utils/types';
+import { DammV1Config, CliArguments } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
-import { safeParseKeypairFromFile, parseConfigFromCli } from '../../helpers';
-import {
-  createProgram,
-  deriveCustomizablePermissionlessConstantProductPoolAddress,
-} from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
+import { parseConfigFromCli, getKeypairFromCliOrConfig, getConfigNetwork } from '../../helpers';
+import { deriveCustomizablePermissionlessConstantProductPoolAddress } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
 import { createDammV1Stake2EarnPool } from '../../lib/damm_v1/stake2earn';
 
-async function main() {
-  const config = (await parseConfigFromCli()) as DammV1Config;
+export async function main(cliArguments: CliArguments) {
+  const config = (await parseConfigFromCli(
+    cliArguments,
+    'damm-v1 create-stake2earn-farm'
+  )) as DammV1Config;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   if (!config.baseMint) {
@@ -31,11 +33,12 @@ async function main() {
     throw new Error('Missing quoteMint in configuration');
   }
   const quoteMint = new PublicKey(config.quoteMint);
-  const ammProgram = createProgram(connection as any).ammProgram;
+  const network = getConfigNetwork(config);
+  const dammV1ProgramId = new PublicKey(network.programIds.dammV1);
   const poolKey = deriveCustomizablePermissionlessConstantProductPoolAddress(
     baseMint,
     quoteMint,
-    ammProgram.programId
+    dammV1ProgramId
   );
 
   const poolAccount = await connection.getAccountInfo(poolKey, {
@@ -61,8 +64,10 @@ async function main() {
     baseMint,
     config.stake2EarnFarm,
     config.dryRun,
-    config.computeUnitPriceMicroLamports
+    config,
+    {
+      m3m3ProgramId: new PublicKey(network.programIds.stake2earn),
+      dammV1ProgramId,
+    }
   );
 }
-
-main();
@@ -1,21 +1,26 @@
 import { Connection, PublicKey } from '@solana/web3.js';
-import { safeParseKeypairFromFile, parseConfigFromCli } from '../../helpers';
-import { DammV1Config } from '../../utils/types';
+import { parseConfigFromCli, getKeypairFromCliOrConfig, getConfigNetwork } from '../../helpers';
+import { DammV1Config, CliArguments } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
 import { lockLiquidityStake2Earn } from '../../lib/damm_v1/stake2earn';
 
-async function main() {
-  const config = (await parseConfigFromCli()) as DammV1Config;
+export async function main(cliArguments: CliArguments) {
+  const config = (await parseConfigFromCli(
+    cliArguments,
+    'damm-v1 lock-liquidity-stake2earn'
+  )) as DammV1Config;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
 
   if (!config.baseMint) {
     throw new Error('Missing baseMint in configuration');
@@ -33,6 +38,7 @@ async function main() {
     throw new Error('Missing lockLiquidity configuration');
   }
 
+  const network = getConfigNetwork(config);
   await lockLiquidityStake2Earn(
     connection,
     keypair,
@@ -40,8 +46,10 @@ async function main() {
     quoteMint,
     config.dammV1LockLiquidity.allocations,
     config.dryRun,
-    config.computeUnitPriceMicroLamports
+    config,
+    {
+      m3m3ProgramId: new PublicKey(network.programIds.stake2earn),
+      dammV1ProgramId: new PublicKey(network.programIds.dammV1),
+    }
   );
 }
-
-main();
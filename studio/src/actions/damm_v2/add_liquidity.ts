@@ -1,22 +1,27 @@
 import { Connection, PublicKey } from '@solana/web3.js';
 import { Wallet } from '@coral-xyz/anchor';
-import { DammV2Config } from '../../utils/types';
+import { DammV2Config, CliArguments } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
-import { parseConfigFromCli, safeParseKeypairFromFile } from '../../helpers';
+import { parseConfigFromCli, getKeypairFromCliOrConfig } from '../../helpers';
 import { addLiquidity } from '../../lib/damm_v2';
 
-async function main() {
-  const config: DammV2Config = (await parseConfigFromCli()) as DammV2Config;
+export async function main(cliArguments: CliArguments) {
+  const config: DammV2Config = (await parseConfigFromCli(
+    cliArguments,
+    'damm-v2 add-liquidity'
+  )) as DammV2Config;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   if (!config.poolAddress) {
@@ -33,5 +38,3 @@ async function main() {
     throw new Error('Must provide Dynamic V2 configuration');
   }
 }
-
-main();
@@ -1,34 +1,35 @@
 import { Connection, PublicKey } from '@solana/web3.js';
 import { Wallet } from '@coral-xyz/anchor';
-import { DammV2Config } from '../../utils/types';
+import { DammV2Config, CliArguments } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
-import { parseConfigFromCli, parseCliArguments, getKeypairFromCliOrConfig } from '../../helpers';
+import { parseConfigFromCli, getKeypairFromCliOrConfig } from '../../helpers';
 import { claimPositionFee } from '../../lib/damm_v2';
 
-async function main() {
-  const config: DammV2Config = (await parseConfigFromCli()) as DammV2Config;
-  const cliArguments = parseCliArguments();
+export async function main(cliArguments: CliArguments) {
+  const config: DammV2Config = (await parseConfigFromCli(
+    cliArguments,
+    'damm-v2 claim-position-fee'
+  )) as DammV2Config;
 
-  const keypair = await getKeypairFromCliOrConfig(config, cliArguments.walletPk);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
-  let poolAddress: PublicKey;
-  if (cliArguments.poolAddress) {
-    console.log('> Using pool address from CLI argument');
-    poolAddress = new PublicKey(cliArguments.poolAddress);
-  } else {
-    if (!config.poolAddress) {
-      throw new Error('Missing pool address. Provide --pool-address argument or set poolAddress in configuration');
-    }
-    poolAddress = new PublicKey(config.poolAddress);
+  if (!config.poolAddress) {
+    throw new Error(
+      'Missing pool address. Provide --pool-address argument or set poolAddress in configuration'
+    );
   }
+  const poolAddress = new PublicKey(config.poolAddress);
 
   console.log(`- Using pool address ${poolAddress.toString()}`);
 
@@ -61,5 +62,3 @@ async function main() {
     throw new Error('Must provide Dynamic V2 configuration');
   }
 }
-
-main();
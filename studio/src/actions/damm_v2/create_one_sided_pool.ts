@@ -1,24 +1,36 @@
 import { Connection, PublicKey } from '@solana/web3.js';
 import { Wallet } from '@coral-xyz/anchor';
-import { DammV2Config, AlphaVaultConfig } from '../../utils/types';
+import { DammV2Config, AlphaVaultConfig, CliArguments, ExecutionJournal } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
-import { createTokenMint, parseConfigFromCli, parseCliArguments, getKeypairFromCliOrConfig } from '../../helpers';
-import { createDammV2OneSidedPool } from '../../lib/damm_v2';
+import {
+  createTokenMint,
+  parseConfigFromCli,
+  getKeypairFromCliOrConfig,
+  runPreflightChecks,
+  createExecutionJournal,
+  resumeExecutionJournal,
+} from '../../helpers';
+import { createDammV2OneSidedPool, getDammV2PoolPreflightRequirements } from '../../lib/damm_v2';
 import { createAlphaVault } from '../../lib/alpha_vault';
 import { deriveCustomizablePoolAddress } from '@meteora-ag/cp-amm-sdk';
 
-async function main() {
-  const config: DammV2Config = (await parseConfigFromCli()) as DammV2Config;
-  const cliArguments = parseCliArguments();
+export async function main(cliArguments: CliArguments) {
+  const config: DammV2Config = (await parseConfigFromCli(
+    cliArguments,
+    'damm-v2 create-one-sided-pool'
+  )) as DammV2Config;
 
-  const keypair = await getKeypairFromCliOrConfig(config, cliArguments.walletPk);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   let baseMint: PublicKey;
@@ -26,19 +38,51 @@ async function main() {
     throw new Error('Missing quoteMint in configuration');
   }
   const quoteMint = new PublicKey(config.quoteMint);
+  if (!config.createBaseToken && !config.baseMint) {
+    throw new Error('Missing baseMint in configuration');
+  }
+
+  // A resumed run already created part of what the checks count
+  if (!cliArguments.resume) {
+    await runPreflightChecks(
+      connection,
+      keypair.publicKey,
+      await getDammV2PoolPreflightRequirements(
+        config,
+        connection,
+        quoteMint,
+        config.createBaseToken ? undefined : new PublicKey(config.baseMint!)
+      ),
+      config,
+      { dryRun: config.dryRun }
+    );
+  }
+
+  // The base token, the pool and the alpha vault are created by separate transactions
+  let journal: ExecutionJournal | undefined;
+  if (cliArguments.resume) {
+    journal = await resumeExecutionJournal(
+      connection,
+      cliArguments.resume,
+      'damm-v2 create-one-sided-pool'
+    );
+  } else if (
+    !config.dryRun &&
+    (config.createBaseToken || (config.dammV2Config?.hasAlphaVault && config.alphaVault))
+  ) {
+    journal = createExecutionJournal('damm-v2 create-one-sided-pool');
+  }
 
   if (config.createBaseToken) {
     baseMint = await createTokenMint(connection, wallet, {
       dryRun: config.dryRun,
       mintTokenAmount: config.createBaseToken.mintBaseTokenAmount,
       decimals: config.createBaseToken.baseDecimals,
-      computeUnitPriceMicroLamports: config.computeUnitPriceMicroLamports,
+      txConfig: config,
+      journal,
     });
   } else {
-    if (!config.baseMint) {
-      throw new Error('Missing baseMint in configuration');
-    }
-    baseMint = new PublicKey(config.baseMint);
+    baseMint = new PublicKey(config.baseMint!);
   }
 
   console.log(`- Using base token mint ${baseMint.toString()}`);
@@ -51,7 +95,7 @@ async function main() {
 
   /// --------------------------------------------------------------------------
   if (config.dammV2Config) {
-    await createDammV2OneSidedPool(config, connection, wallet, baseMint, quoteMint);
+    await createDammV2OneSidedPool(config, connection, wallet, baseMint, quoteMint, { journal });
 
     if (config.dammV2Config.hasAlphaVault && config.alphaVault) {
       console.log('\n> Alpha vault is enabled, creating alpha vault automatically...');
@@ -64,7 +108,7 @@ async function main() {
         quoteMint: quoteMint.toString(),
       };
 
-      await createAlphaVault(connection, wallet, alphaVaultConfig, poolAddress);
+      await createAlphaVault(connection, wallet, alphaVaultConfig, poolAddress, journal);
 
       console.log('\n>>> DAMM V2 pool and alpha vault created successfully! 🎉');
     }
@@ -72,5 +116,3 @@ async function main() {
     throw new Error('Must provide Dynamic V2 configuration');
   }
 }
-
-main();
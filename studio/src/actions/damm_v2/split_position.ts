@@ -1,22 +1,32 @@
 import { Connection, PublicKey } from '@solana/web3.js';
 import { Wallet } from '@coral-xyz/anchor';
-import { DammV2Config } from '../../utils/types';
+import { DammV2Config, CliArguments, ExecutionJournal } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
-import { parseConfigFromCli, safeParseKeypairFromFile } from '../../helpers';
+import {
+  createExecutionJournal,
+  parseConfigFromCli,
+  getKeypairFromCliOrConfig,
+  resumeExecutionJournal,
+} from '../../helpers';
 import { splitPosition } from '../../lib/damm_v2';
 
-async function main() {
-  const config: DammV2Config = (await parseConfigFromCli()) as DammV2Config;
+export async function main(cliArguments: CliArguments) {
+  const config: DammV2Config = (await parseConfigFromCli(
+    cliArguments,
+    'damm-v2 split-position'
+  )) as DammV2Config;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   if (!config.poolAddress) {
@@ -26,12 +36,24 @@ async function main() {
 
   console.log(`- Using pool address ${poolAddress.toString()}`);
 
+  // The new position is created before the split, by a separate transaction
+  let journal: ExecutionJournal | undefined;
+  if (cliArguments.resume) {
+    journal = await resumeExecutionJournal(
+      connection,
+      cliArguments.resume,
+      'damm-v2 split-position'
+    );
+  } else if (!config.dryRun) {
+    journal = createExecutionJournal('damm-v2 split-position', {
+      poolAddress: poolAddress.toBase58(),
+    });
+  }
+
   /// --------------------------------------------------------------------------
   if (config) {
-    await splitPosition(config, connection, wallet, poolAddress);
+    await splitPosition(config, connection, wallet, poolAddress, { journal });
   } else {
     throw new Error('Must provide Dynamic V2 configuration');
   }
 }
-
-main();
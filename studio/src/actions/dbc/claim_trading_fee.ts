@@ -1,22 +1,24 @@
 import { Connection, PublicKey } from '@solana/web3.js';
-import { safeParseKeypairFromFile, parseConfigFromCli } from '../../helpers';
+import { parseConfigFromCli, getKeypairFromCliOrConfig } from '../../helpers';
 import { Wallet } from '@coral-xyz/anchor';
-import { DbcConfig } from '../../utils/types';
+import { DbcConfig, CliArguments } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
 import { claimTradingFee } from '../../lib/dbc';
 
-async function main() {
-  const config = (await parseConfigFromCli()) as DbcConfig;
+export async function main(cliArguments: CliArguments) {
+  const config = (await parseConfigFromCli(cliArguments, 'dbc claim-trading-fee')) as DbcConfig;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using wallet ${keypair.publicKey} to claim trading fee`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   if (!config.quoteMint) {
@@ -38,5 +40,3 @@ async function main() {
     throw new Error('Must provide DAMM V1 configuration');
   }
 }
-
-main();
@@ -1,22 +1,32 @@
 import { Connection, Keypair, PublicKey } from '@solana/web3.js';
-import { safeParseKeypairFromFile, parseConfigFromCli } from '../../helpers';
+import {
+  parseKeypairFromReference,
+  parseConfigFromCli,
+  getKeypairFromCliOrConfig,
+  runPreflightChecks,
+  createExecutionJournal,
+  getJournalKeypair,
+  resumeExecutionJournal,
+} from '../../helpers';
 import { Wallet } from '@coral-xyz/anchor';
-import { DbcConfig } from '../../utils/types';
+import { DbcConfig, CliArguments, ExecutionJournal } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
-import { createDbcPool } from '../../lib/dbc';
+import { createDbcPool, getDbcPoolPreflightRequirements } from '../../lib/dbc';
 
-async function main() {
-  const config = (await parseConfigFromCli()) as DbcConfig;
+export async function main(cliArguments: CliArguments) {
+  const config = (await parseConfigFromCli(cliArguments, 'dbc create-pool')) as DbcConfig;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using wallet ${keypair.publicKey} to deploy pool`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   if (!config.quoteMint) {
@@ -27,21 +37,39 @@ async function main() {
   if (!config.dbcPool) {
     throw new Error('Missing dbcPool in configuration');
   }
+
+  // The config, the pool and the first buy are created by separate transactions
+  let journal: ExecutionJournal | undefined;
+  if (cliArguments.resume) {
+    journal = await resumeExecutionJournal(connection, cliArguments.resume, 'dbc create-pool');
+  } else if (!config.dryRun) {
+    journal = createExecutionJournal('dbc create-pool');
+  }
+
   if (config.dbcPool.baseMintKeypairFilepath) {
-    baseMint = await safeParseKeypairFromFile(config.dbcPool.baseMintKeypairFilepath);
+    baseMint = await parseKeypairFromReference(config.dbcPool.baseMintKeypairFilepath);
   } else {
-    baseMint = Keypair.generate();
+    baseMint = getJournalKeypair(journal, 'baseMint');
   }
 
   console.log(`- Using quote token mint ${quoteMint.toString()}`);
   console.log(`- Using base token mint ${baseMint.publicKey.toString()}`);
 
+  // A resumed run already created part of what the checks count
+  if (!cliArguments.resume) {
+    await runPreflightChecks(
+      connection,
+      keypair.publicKey,
+      await getDbcPoolPreflightRequirements(config, connection, quoteMint),
+      config,
+      { dryRun: config.dryRun }
+    );
+  }
+
   /// --------------------------------------------------------------------------
   if (config) {
-    await createDbcPool(config, connection, wallet, quoteMint, baseMint);
+    await createDbcPool(config, connection, wallet, quoteMint, baseMint, { journal });
   } else {
     throw new Error('Must provide DAMM V1 configuration');
   }
 }
-
-main();
@@ -1,24 +1,37 @@
 import { Connection, PublicKey } from '@solana/web3.js';
-import { safeParseKeypairFromFile, parseConfigFromCli, createTokenMint } from '../../helpers';
+import {
+  parseConfigFromCli,
+  createTokenMint,
+  getKeypairFromCliOrConfig,
+  getConfigNetwork,
+  runPreflightChecks,
+  createExecutionJournal,
+  resumeExecutionJournal,
+} from '../../helpers';
 import { Wallet } from '@coral-xyz/anchor';
-import { createPermissionlessDlmmPool } from '../../lib/dlmm';
-import { AlphaVaultConfig, DlmmConfig } from '../../utils/types';
-import { DEFAULT_COMMITMENT_LEVEL, DLMM_PROGRAM_IDS } from '../../utils/constants';
+import { createPermissionlessDlmmPool, getDlmmPoolPreflightRequirements } from '../../lib/dlmm';
+import { AlphaVaultConfig, DlmmConfig, CliArguments, ExecutionJournal } from '../../utils/types';
+import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
 import { deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
 import { createAlphaVault } from '../../lib/alpha_vault';
 
-async function main() {
-  const config: DlmmConfig = (await parseConfigFromCli()) as DlmmConfig;
+export async function main(cliArguments: CliArguments) {
+  const config: DlmmConfig = (await parseConfigFromCli(
+    cliArguments,
+    'dlmm create-pool'
+  )) as DlmmConfig;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   let baseMint: PublicKey;
@@ -26,6 +39,36 @@ async function main() {
     throw new Error('Missing quoteMint in configuration');
   }
   const quoteMint = new PublicKey(config.quoteMint);
+  if (!config.createBaseToken && !config.baseMint) {
+    throw new Error('Missing baseMint in configuration');
+  }
+
+  // A resumed run already created part of what the checks count
+  if (!cliArguments.resume) {
+    await runPreflightChecks(
+      connection,
+      keypair.publicKey,
+      await getDlmmPoolPreflightRequirements(
+        config,
+        connection,
+        quoteMint,
+        config.createBaseToken ? undefined : new PublicKey(config.baseMint!)
+      ),
+      config,
+      { dryRun: config.dryRun }
+    );
+  }
+
+  // The base token, the pool and the alpha vault are created by separate transactions
+  let journal: ExecutionJournal | undefined;
+  if (cliArguments.resume) {
+    journal = await resumeExecutionJournal(connection, cliArguments.resume, 'dlmm create-pool');
+  } else if (
+    !config.dryRun &&
+    (config.createBaseToken || (config.dlmmConfig?.hasAlphaVault && config.alphaVault))
+  ) {
+    journal = createExecutionJournal('dlmm create-pool');
+  }
 
   // If we want to create a new token mint
   if (config.createBaseToken) {
@@ -33,13 +76,11 @@ async function main() {
       dryRun: config.dryRun,
       mintTokenAmount: config.createBaseToken.mintBaseTokenAmount,
       decimals: config.createBaseToken.baseDecimals,
-      computeUnitPriceMicroLamports: config.computeUnitPriceMicroLamports,
+      txConfig: config,
+      journal,
     });
   } else {
-    if (!config.baseMint) {
-      throw new Error('Missing baseMint in configuration');
-    }
-    baseMint = new PublicKey(config.baseMint);
+    baseMint = new PublicKey(config.baseMint!);
   }
 
   console.log(`- Using base token mint ${baseMint.toString()}`);
@@ -47,12 +88,14 @@ async function main() {
 
   /// --------------------------------------------------------------------------
   if (config.dlmmConfig) {
-    await createPermissionlessDlmmPool(config, connection, wallet, baseMint, quoteMint);
+    await createPermissionlessDlmmPool(config, connection, wallet, baseMint, quoteMint, {
+      journal,
+    });
 
     if (config.dlmmConfig.hasAlphaVault && config.alphaVault) {
       console.log('\n> Alpha vault is enabled, creating alpha vault automatically...');
 
-      const dlmmProgramId = new PublicKey(DLMM_PROGRAM_IDS['mainnet-beta']);
+      const dlmmProgramId = new PublicKey(getConfigNetwork(config).programIds.dlmm);
       const [poolKey] = deriveCustomizablePermissionlessLbPair(baseMint, quoteMint, dlmmProgramId);
 
       const alphaVaultConfig: AlphaVaultConfig = {
@@ -61,7 +104,7 @@ async function main() {
         quoteMint: quoteMint.toString(),
       };
 
-      await createAlphaVault(connection, wallet, alphaVaultConfig, poolKey);
+      await createAlphaVault(connection, wallet, alphaVaultConfig, poolKey, journal);
 
       console.log('\n>>> DLMM pool and alpha vault created successfully! 🎉');
     }
@@ -69,5 +112,3 @@ async function main() {
     throw new Error('Must provide DLMM configuration');
   }
 }
-
-main();
@@ -1,24 +1,40 @@
 import { Connection, Keypair, PublicKey } from '@solana/web3.js';
-import { getAmountInLamports, safeParseKeypairFromFile, parseConfigFromCli } from '../../helpers';
+import {
+  createExecutionJournal,
+  getAmountInLamports,
+  parseConfigFromCli,
+  resumeExecutionJournal,
+  parseKeypairFromReference,
+  getKeypairFromCliOrConfig,
+  getConfigNetwork,
+  resolvePoint,
+  recordOutputAddress,
+} from '../../helpers';
 import { BN } from 'bn.js';
-import DLMM, { LBCLMM_PROGRAM_IDS, deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
+import bs58 from 'bs58';
+import DLMM, { deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
 import { unpackMint } from '@solana/spl-token';
-import { DlmmConfig } from '../../utils/types';
+import { DlmmConfig, CliArguments, ExecutionJournal } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
 import { seedLiquidityLfg } from '../../lib/dlmm';
 
-async function main() {
-  const config: DlmmConfig = (await parseConfigFromCli()) as DlmmConfig;
+export async function main(cliArguments: CliArguments) {
+  const config: DlmmConfig = (await parseConfigFromCli(
+    cliArguments,
+    'dlmm seed-liquidity-lfg'
+  )) as DlmmConfig;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
 
   if (!config.baseMint) {
     throw new Error('Missing baseMint in configuration');
@@ -39,31 +55,58 @@ async function main() {
   console.log(`- Using base token mint ${baseMint.toString()}`);
   console.log(`- Using quote token mint ${quoteMint.toString()}`);
 
-  const [poolKey] = deriveCustomizablePermissionlessLbPair(
-    baseMint,
-    quoteMint,
-    new PublicKey(LBCLMM_PROGRAM_IDS['mainnet-beta'])
-  );
+  const network = getConfigNetwork(config);
+  const dlmmProgramId = new PublicKey(network.programIds.dlmm);
+  const [poolKey] = deriveCustomizablePermissionlessLbPair(baseMint, quoteMint, dlmmProgramId);
   console.log(`- Using pool key ${poolKey.toString()}`);
+  recordOutputAddress('pool', poolKey);
 
   if (!config.lfgSeedLiquidity) {
     throw new Error(`Missing DLMM LFG seed liquidity in configuration`);
   }
 
-  const pair = await DLMM.create(connection, poolKey);
+  const pair = await DLMM.create(connection, poolKey, {
+    cluster: network.cluster,
+    programId: dlmmProgramId,
+  });
   await pair.refetchStates();
 
   const seedAmount = getAmountInLamports(config.lfgSeedLiquidity.seedAmount, baseDecimals);
   const curvature = config.lfgSeedLiquidity.curvature;
   const minPrice = config.lfgSeedLiquidity.minPrice;
   const maxPrice = config.lfgSeedLiquidity.maxPrice;
-  const baseKeypair = Keypair.generate();
-  const operatorKeypair = await safeParseKeypairFromFile(
+
+  // Positions are derived from the base keypair, so a resumed run must reuse the journaled one
+  let journal: ExecutionJournal | undefined;
+  let baseKeypair: Keypair;
+  if (cliArguments.resume) {
+    journal = await resumeExecutionJournal(
+      connection,
+      cliArguments.resume,
+      'dlmm seed-liquidity-lfg'
+    );
+    baseKeypair = Keypair.fromSecretKey(bs58.decode(journal.context.baseKeypair));
+  } else {
+    baseKeypair = Keypair.generate();
+    if (!config.dryRun) {
+      journal = createExecutionJournal('dlmm seed-liquidity-lfg', {
+        baseKeypair: bs58.encode(baseKeypair.secretKey),
+      });
+    }
+  }
+  const operatorKeypair = await parseKeypairFromReference(
     config.lfgSeedLiquidity.operatorKeypairFilepath
   );
   const positionOwner = new PublicKey(config.lfgSeedLiquidity.positionOwner);
   const feeOwner = new PublicKey(config.lfgSeedLiquidity.feeOwner);
-  const lockReleasePoint = new BN(config.lfgSeedLiquidity.lockReleasePoint);
+  const lockReleasePoint = new BN(
+    await resolvePoint(
+      connection,
+      config.lfgSeedLiquidity.lockReleasePoint,
+      pair.lbPair.activationType,
+      'lockReleasePoint'
+    )
+  );
   const seedTokenXToPositionOwner = config.lfgSeedLiquidity.seedTokenXToPositionOwner;
 
   await seedLiquidityLfg(
@@ -82,8 +125,8 @@ async function main() {
     lockReleasePoint,
     seedTokenXToPositionOwner,
     config.dryRun,
-    config.computeUnitPriceMicroLamports
+    config,
+    { cluster: network.cluster, programId: dlmmProgramId },
+    journal
   );
 }
-
-main();
@@ -1,25 +1,39 @@
 import { Connection, Keypair, PublicKey } from '@solana/web3.js';
-import { getAmountInLamports, safeParseKeypairFromFile, parseConfigFromCli } from '../../helpers';
-import { LBCLMM_PROGRAM_IDS, deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
+import {
+  getAmountInLamports,
+  parseKeypairFromReference,
+  parseConfigFromCli,
+  getKeypairFromCliOrConfig,
+  getConfigNetwork,
+  resolvePoint,
+  recordOutputAddress,
+} from '../../helpers';
+import DLMM, { deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
 import BN from 'bn.js';
 import { unpackMint } from '@solana/spl-token';
-import { DlmmConfig } from '../../utils/types';
+import { DlmmConfig, CliArguments } from '../../utils/types';
 import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
 import { seedLiquiditySingleBin } from '../../lib/dlmm';
 
-async function main() {
-  const config: DlmmConfig = (await parseConfigFromCli()) as DlmmConfig;
+export async function main(cliArguments: CliArguments) {
+  const config: DlmmConfig = (await parseConfigFromCli(
+    cliArguments,
+    'dlmm seed-liquidity-single-bin'
+  )) as DlmmConfig;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
-  const DLMM_PROGRAM_ID = new PublicKey(LBCLMM_PROGRAM_IDS['mainnet-beta']);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
+  const network = getConfigNetwork(config);
+  const dlmmProgramId = new PublicKey(network.programIds.dlmm);
 
   if (!config.baseMint) {
     throw new Error('Missing baseMint in configuration');
@@ -40,8 +54,9 @@ async function main() {
   console.log(`- Using base token mint ${baseMint.toString()}`);
   console.log(`- Using quote token mint ${quoteMint.toString()}`);
 
-  const [poolKey] = deriveCustomizablePermissionlessLbPair(baseMint, quoteMint, DLMM_PROGRAM_ID);
+  const [poolKey] = deriveCustomizablePermissionlessLbPair(baseMint, quoteMint, dlmmProgramId);
   console.log(`- Using pool key ${poolKey.toString()}`);
+  recordOutputAddress('pool', poolKey);
 
   if (!config.singleBinSeedLiquidity) {
     throw new Error(`Missing DLMM Single bin seed liquidity in configuration`);
@@ -53,13 +68,26 @@ async function main() {
     throw new Error("Invalid selective rounding value. Must be 'up' or 'down'");
   }
   const baseKeypair = Keypair.generate();
-  const operatorKeypair = await safeParseKeypairFromFile(
+  const operatorKeypair = await parseKeypairFromReference(
     config.singleBinSeedLiquidity.operatorKeypairFilepath
   );
   const price = config.singleBinSeedLiquidity.price;
   const positionOwner = new PublicKey(config.singleBinSeedLiquidity.positionOwner);
   const feeOwner = new PublicKey(config.singleBinSeedLiquidity.feeOwner);
-  const lockReleasePoint = new BN(config.singleBinSeedLiquidity.lockReleasePoint);
+  const lockReleasePoint = new BN(
+    await resolvePoint(
+      connection,
+      config.singleBinSeedLiquidity.lockReleasePoint,
+      async () => {
+        const pair = await DLMM.create(connection, poolKey, {
+          cluster: network.cluster,
+          programId: dlmmProgramId,
+        });
+        return pair.lbPair.activationType;
+      },
+      'lockReleasePoint'
+    )
+  );
   const seedTokenXToPositionOwner = config.singleBinSeedLiquidity.seedTokenXToPositionOwner;
 
   await seedLiquiditySingleBin(
@@ -77,8 +105,7 @@ async function main() {
     lockReleasePoint,
     seedTokenXToPositionOwner,
     config.dryRun,
-    config.computeUnitPriceMicroLamports
+    config,
+    { cluster: network.cluster, programId: dlmmProgramId }
   );
 }
-
-main();
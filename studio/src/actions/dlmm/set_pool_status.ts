@@ -1,27 +1,37 @@
-import { Connection, PublicKey, sendAndConfirmTransaction } from '@solana/web3.js';
+import { Connection, PublicKey } from '@solana/web3.js';
 import {
-  safeParseKeypairFromFile,
   parseConfigFromCli,
-  modifyComputeUnitPriceIx,
+  applyComputeUnitPrice,
   runSimulateTransaction,
+  executeTransaction,
+  getKeypairFromCliOrConfig,
+  getActionAuthority,
+  submitMultisigTransaction,
+  getConfigNetwork,
+  recordOutputAddress,
 } from '../../helpers';
 import { Wallet } from '@coral-xyz/anchor';
 import DLMM from '@meteora-ag/dlmm';
-import { DlmmConfig } from '../../utils/types';
-import { DEFAULT_COMMITMENT_LEVEL, DEFAULT_SEND_TX_MAX_RETRIES } from '../../utils/constants';
+import { DlmmConfig, CliArguments } from '../../utils/types';
+import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
 
-async function main() {
-  const config: DlmmConfig = (await parseConfigFromCli()) as DlmmConfig;
+export async function main(cliArguments: CliArguments) {
+  const config: DlmmConfig = (await parseConfigFromCli(
+    cliArguments,
+    'dlmm set-pool-status'
+  )) as DlmmConfig;
 
-  console.log(`> Using keypair file path ${config.keypairFilePath}`);
-  const keypair = await safeParseKeypairFromFile(config.keypairFilePath);
+  const keypair = await getKeypairFromCliOrConfig(config, cliArguments);
 
   console.log('\n> Initializing with general configuration...');
   console.log(`- Using RPC URL ${config.rpcUrl}`);
   console.log(`- Dry run = ${config.dryRun}`);
   console.log(`- Using payer ${keypair.publicKey} to execute commands`);
 
-  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+  const connection = new Connection(config.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: config.wsUrl,
+  });
   const wallet = new Wallet(keypair);
 
   if (!config.setDlmmPoolStatus) {
@@ -31,27 +41,43 @@ async function main() {
   const enabled = config.setDlmmPoolStatus.enabled;
 
   console.log(`- Using pool address ${poolAddress.toString()}`);
+  recordOutputAddress('pool', poolAddress);
   console.log(`- Using enabled ${enabled}`);
 
-  const lbPair = await DLMM.create(connection, poolAddress);
+  const network = getConfigNetwork(config);
+  const lbPair = await DLMM.create(connection, poolAddress, {
+    cluster: network.cluster,
+    programId: new PublicKey(network.programIds.dlmm),
+  });
 
-  const tx = await lbPair.setPairStatusPermissionless(enabled, wallet.publicKey);
-  modifyComputeUnitPriceIx(tx, config.computeUnitPriceMicroLamports);
+  const creator = getActionAuthority(config, wallet.publicKey);
+  const tx = await lbPair.setPairStatusPermissionless(enabled, creator);
+  await applyComputeUnitPrice(connection, tx, config);
 
-  if (config.dryRun) {
+  if (config.multisig) {
+    await submitMultisigTransaction(
+      connection,
+      wallet.payer,
+      [tx],
+      config,
+      `Set DLMM pool status to ${enabled ? 'enabled' : 'disabled'}`
+    );
+  } else if (config.dryRun) {
     console.log(`\n> Simulating set DLMM pool status tx...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [tx]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [tx],
+      'set DLMM pool status transaction'
+    );
   } else {
     console.log(`>> Sending set DLMM pool status transaction...`);
-    const txHash = await sendAndConfirmTransaction(connection, tx, [wallet.payer], {
-      commitment: connection.commitment,
-      maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+    const txResult = await executeTransaction(connection, tx, [wallet.payer], {
+      txConfig: config,
     }).catch((e) => {
       console.error(e);
       throw e;
     });
-    console.log(`>>> Set DLMM pool status tx hash: ${txHash}`);
+    console.log(`>>> Set DLMM pool status tx hash: ${txResult.signature}`);
   }
 }
-
-main();
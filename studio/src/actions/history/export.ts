@@ -0,0 +1,21 @@
+import fs from 'fs';
+import path from 'path';
+import { CliArguments } from '../../utils/types';
+import { filterHistoryRecords, loadHistoryRecords } from '../../helpers';
+
+export async function main(cliArguments: CliArguments) {
+  if (!cliArguments.output) {
+    throw new Error('Please provide the JSON file to export to --output flag');
+  }
+
+  const outputPath = path.resolve(cliArguments.output);
+  if (fs.existsSync(outputPath)) {
+    throw new Error(`File already exists: ${outputPath}, choose another path with --output`);
+  }
+
+  const records = filterHistoryRecords(loadHistoryRecords(), cliArguments);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(records, null, 2));
+
+  console.log(`\n>>> Exported ${records.length} history record(s) to ${outputPath}`);
+}
@@ -0,0 +1,24 @@
+import { CliArguments } from '../../utils/types';
+import { filterHistoryRecords, getHistoryFilePath, loadHistoryRecords } from '../../helpers';
+
+export async function main(cliArguments: CliArguments) {
+  const records = filterHistoryRecords(loadHistoryRecords(), cliArguments);
+  if (records.length === 0) {
+    console.log(`\n> No matching records in the history ${getHistoryFilePath()}`);
+    return;
+  }
+
+  console.log(`\n> ${records.length} record(s) in the history ${getHistoryFilePath()}:`);
+  console.table(
+    records.map((record) => ({
+      id: record.id,
+      timestamp: record.timestamp,
+      action: record.action,
+      network: record.network ?? '',
+      outcome: record.dryRun ? `${record.outcome} (dry run)` : record.outcome,
+      pool: record.addresses.pool ?? record.addresses.poolAddress ?? '',
+      signatures: record.signatures.length,
+    }))
+  );
+  console.log('- Show the details of a record with: pnpm studio history show --id <id>');
+}
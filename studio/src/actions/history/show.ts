@@ -0,0 +1,40 @@
+import { CliArguments } from '../../utils/types';
+import { getHistoryFilePath, loadHistoryRecords, recordOutputAddress } from '../../helpers';
+
+export async function main(cliArguments: CliArguments) {
+  if (!cliArguments.id) {
+    throw new Error('Please provide the id of the history record to --id flag');
+  }
+
+  const record = loadHistoryRecords().find((r) => r.id === cliArguments.id);
+  if (!record) {
+    throw new Error(`Record "${cliArguments.id}" not found in the history ${getHistoryFilePath()}`);
+  }
+
+  console.log(`\n> ${record.action} (${record.id})`);
+  console.log(`- Timestamp: ${record.timestamp}`);
+  console.log(`- Outcome: ${record.outcome}${record.dryRun ? ' (dry run)' : ''}`);
+  if (record.error) {
+    console.log(`- Error: ${record.error}`);
+  }
+  if (record.network) {
+    console.log(`- Network: ${record.network} (${record.cluster})`);
+  }
+  if (record.configPath) {
+    console.log(`- Config: ${record.configPath}`);
+    console.log(`- Config hash: ${record.configHash}`);
+  }
+
+  const addresses = Object.entries(record.addresses);
+  if (addresses.length > 0) {
+    console.log('- Addresses:');
+    for (const [name, address] of addresses) {
+      console.log(`  - ${name}: ${address}`);
+      recordOutputAddress(name, address);
+    }
+  }
+  if (record.signatures.length > 0) {
+    console.log('- Signatures:');
+    record.signatures.forEach((signature) => console.log(`  - ${signature}`));
+  }
+}
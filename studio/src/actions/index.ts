@@ -0,0 +1,288 @@
+import { StudioCommand } from '../utils/types';
+
+const DAMM_V2_POOL_FLAGS = [
+  'config',
+  'network',
+  'set',
+  'yes',
+  'base-mint',
+  'resume',
+  'creator',
+  'max-base-fee-bps',
+  'min-base-fee-bps',
+];
+
+const OFFLINE_SIGNING_FLAGS = ['export-unsigned', 'wallet-address'];
+
+export const STUDIO_COMMANDS: StudioCommand[] = [
+  /* Settings */
+  {
+    command: 'generate-keypair',
+    description:
+      'Write keypair.json, or the keystore key of --name, from PRIVATE_KEY in .env and airdrop SOL',
+    flags: ['network', 'name'],
+    load: () => import('./settings/generate_keypair'),
+  },
+  {
+    command: 'airdrop-sol',
+    description: 'Airdrop SOL to the keypair in keypair.json',
+    flags: ['network'],
+    load: () => import('./settings/airdrop_sol'),
+  },
+
+  /* Keystore */
+  {
+    command: 'keys generate',
+    description: 'Generate a keypair encrypted in the keystore',
+    flags: ['name'],
+    load: () => import('./keys/generate'),
+  },
+  {
+    command: 'keys import',
+    description: 'Encrypt a keypair file or private key into the keystore',
+    flags: ['name', 'keypair', 'wallet-pk'],
+    load: () => import('./keys/import'),
+  },
+  {
+    command: 'keys list',
+    description: 'List the keys of the keystore with their public keys',
+    flags: [],
+    load: () => import('./keys/list'),
+  },
+  {
+    command: 'keys export',
+    description: 'Decrypt a key of the keystore to a keypair file or a base58 private key',
+    flags: ['name', 'output'],
+    load: () => import('./keys/export'),
+  },
+
+  /* DLMM */
+  {
+    command: 'dlmm create-pool',
+    description: 'Create a customizable permissionless DLMM pool',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', 'resume', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['quoteMint', 'baseMint', 'createBaseToken', 'dlmmConfig', 'alphaVault'],
+    load: () => import('./dlmm/create_pool'),
+  },
+  {
+    command: 'dlmm seed-liquidity-lfg',
+    description: 'Seed liquidity into a DLMM pool with the LFG strategy',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', 'resume', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint', 'lfgSeedLiquidity'],
+    load: () => import('./dlmm/seed_liquidity_lfg'),
+  },
+  {
+    command: 'dlmm seed-liquidity-single-bin',
+    description: 'Seed liquidity into a single bin of a DLMM pool',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint', 'singleBinSeedLiquidity'],
+    load: () => import('./dlmm/seed_liquidity_single_bin'),
+  },
+  {
+    command: 'dlmm set-pool-status',
+    description: 'Enable or disable a DLMM pool',
+    flags: ['config', 'network', 'set', 'yes', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['setDlmmPoolStatus'],
+    load: () => import('./dlmm/set_pool_status'),
+  },
+
+  /* DAMM v2 */
+  {
+    command: 'damm-v2 create-balanced-pool',
+    description: 'Create a balanced DAMM v2 pool',
+    flags: [...DAMM_V2_POOL_FLAGS, ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['quoteMint', 'baseMint', 'createBaseToken', 'dammV2Config', 'alphaVault'],
+    load: () => import('./damm_v2/create_balanced_pool'),
+  },
+  {
+    command: 'damm-v2 create-one-sided-pool',
+    description: 'Create a one-sided DAMM v2 pool',
+    flags: [...DAMM_V2_POOL_FLAGS, 'wallet-pk', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['quoteMint', 'baseMint', 'createBaseToken', 'dammV2Config', 'alphaVault'],
+    load: () => import('./damm_v2/create_one_sided_pool'),
+  },
+  {
+    command: 'damm-v2 split-position',
+    description: 'Split a DAMM v2 position into a new position',
+    flags: ['config', 'network', 'set', 'yes', 'resume'],
+    configKeys: ['poolAddress', 'splitPosition'],
+    load: () => import('./damm_v2/split_position'),
+  },
+  {
+    command: 'damm-v2 claim-position-fee',
+    description: 'Claim the fees of a DAMM v2 position',
+    flags: [
+      'config',
+      'network',
+      'set',
+      'yes',
+      'wallet-pk',
+      'pool-address',
+      ...OFFLINE_SIGNING_FLAGS,
+    ],
+    configKeys: ['poolAddress'],
+    load: () => import('./damm_v2/claim_position_fee'),
+  },
+  {
+    command: 'damm-v2 add-liquidity',
+    description: 'Add liquidity to a DAMM v2 position',
+    flags: ['config', 'network', 'set', 'yes', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['poolAddress', 'addLiquidity'],
+    load: () => import('./damm_v2/add_liquidity'),
+  },
+  {
+    command: 'damm-v2 remove-liquidity',
+    description: 'Remove liquidity from a DAMM v2 position',
+    flags: ['config', 'network', 'set', 'yes', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['poolAddress'],
+    load: () => import('./damm_v2/remove_liquidity'),
+  },
+  {
+    command: 'damm-v2 close-position',
+    description: 'Close a DAMM v2 position',
+    flags: ['config', 'network', 'set', 'yes', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['poolAddress'],
+    load: () => import('./damm_v2/close_position'),
+  },
+
+  /* DAMM v1 */
+  {
+    command: 'damm-v1 create-pool',
+    description: 'Create a customizable permissionless DAMM v1 pool',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', 'resume', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['quoteMint', 'baseMint', 'createBaseToken', 'dammV1Config', 'alphaVault'],
+    load: () => import('./damm_v1/create_pool'),
+  },
+  {
+    command: 'damm-v1 lock-liquidity',
+    description: 'Lock DAMM v1 pool liquidity',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint', 'dammV1LockLiquidity'],
+    load: () => import('./damm_v1/lock_liquidity'),
+  },
+  {
+    command: 'damm-v1 create-stake2earn-farm',
+    description: 'Create a Stake2Earn farm for a DAMM v1 pool',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint', 'stake2EarnFarm'],
+    load: () => import('./damm_v1/create_stake2earn_farm'),
+  },
+  {
+    command: 'damm-v1 lock-liquidity-stake2earn',
+    description: 'Lock DAMM v1 pool liquidity into a Stake2Earn farm',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint', 'dammV1LockLiquidity'],
+    load: () => import('./damm_v1/lock_liquidity_stake2earn'),
+  },
+
+  /* DBC */
+  {
+    command: 'dbc create-config',
+    description: 'Create a DBC config',
+    flags: ['config', 'network', 'set', 'yes', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['quoteMint', 'dbcConfig', 'dbcConfigAddress'],
+    load: () => import('./dbc/create_config'),
+  },
+  {
+    command: 'dbc create-pool',
+    description: 'Create a DBC pool, creating its config first if needed',
+    flags: ['config', 'network', 'set', 'yes', 'resume', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['quoteMint', 'dbcConfig', 'dbcConfigAddress', 'dbcPool'],
+    load: () => import('./dbc/create_pool'),
+  },
+  {
+    command: 'dbc claim-trading-fee',
+    description: 'Claim DBC trading fees as the pool creator or partner',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint'],
+    load: () => import('./dbc/claim_trading_fee'),
+  },
+  {
+    command: 'dbc migrate-to-damm-v1',
+    description: 'Migrate a graduated DBC pool to DAMM v1',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint'],
+    configKeys: ['baseMint', 'quoteMint'],
+    load: () => import('./dbc/migrate_damm_v1'),
+  },
+  {
+    command: 'dbc migrate-to-damm-v2',
+    description: 'Migrate a graduated DBC pool to DAMM v2',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint'],
+    load: () => import('./dbc/migrate_damm_v2'),
+  },
+  {
+    command: 'dbc swap',
+    description: 'Buy or sell on a DBC pool',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint', 'dbcSwap'],
+    load: () => import('./dbc/swap'),
+  },
+
+  /* Alpha Vault */
+  {
+    command: 'alpha-vault create',
+    description: 'Create an alpha vault for an existing pool',
+    flags: ['config', 'network', 'set', 'yes', 'base-mint', 'resume', ...OFFLINE_SIGNING_FLAGS],
+    configKeys: ['baseMint', 'quoteMint', 'alphaVault'],
+    load: () => import('./alpha_vault/create_alpha_vault'),
+  },
+
+  /* Config */
+  {
+    command: 'init',
+    description: 'Create a config file for an action by answering questions',
+    flags: ['action', 'answers', 'output'],
+    load: () => import('./config/init'),
+  },
+  {
+    command: 'validate',
+    description: 'Check a config file against the schema of an action, listing every problem',
+    flags: ['config', 'action', 'network', 'set'],
+    load: () => import('./config/validate'),
+  },
+
+  /* Offline Signing */
+  {
+    command: 'sign',
+    description: 'Sign the transactions exported with --export-unsigned',
+    flags: ['dir', 'keypair', 'wallet-pk'],
+    load: () => import('./offline/sign'),
+  },
+  {
+    command: 'broadcast',
+    description: 'Send the signed transactions exported with --export-unsigned, in order',
+    flags: ['dir', 'rpc-url'],
+    load: () => import('./offline/broadcast'),
+  },
+
+  /* History */
+  {
+    command: 'history list',
+    description: 'List the recorded studio actions, filtered by pool, mint or date',
+    flags: ['pool', 'mint', 'since', 'until'],
+    load: () => import('./history/list'),
+  },
+  {
+    command: 'history show',
+    description: 'Show a recorded studio action with its addresses and signatures',
+    flags: ['id'],
+    load: () => import('./history/show'),
+  },
+  {
+    command: 'history export',
+    description:
+      'Export the recorded studio actions to a JSON file, filtered by pool, mint or date',
+    flags: ['output', 'pool', 'mint', 'since', 'until'],
+    load: () => import('./history/export'),
+  },
+
+  /* Launch Plan */
+  {
+    command: 'launch-plan run',
+    description: 'Run the steps of a launch plan in order, passing outputs between steps',
+    flags: ['config', 'network', 'set', 'yes'],
+    configKeys: ['steps'],
+    load: () => import('./launch_plan/run'),
+  },
+];
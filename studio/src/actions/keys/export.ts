@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import bs58 from 'bs58';
+import { CliArguments } from '../../utils/types';
+import { isJsonOutput, loadKeystoreKey, recordOutputAddress } from '../../helpers';
+
+export async function main(cliArguments: CliArguments) {
+  if (!cliArguments.name) {
+    throw new Error('Please provide the name of the key to --name flag');
+  }
+
+  const keypair = await loadKeystoreKey(cliArguments.name);
+  recordOutputAddress(cliArguments.name, keypair.publicKey);
+
+  if (!cliArguments.output) {
+    if (isJsonOutput()) {
+      throw new Error('Please provide the keypair file to write to --output flag with --json');
+    }
+    console.log(`\n>>> Private key of @${cliArguments.name} (${keypair.publicKey}):`);
+    console.log(bs58.encode(keypair.secretKey));
+    return;
+  }
+
+  const outputPath = path.resolve(cliArguments.output);
+  if (fs.existsSync(outputPath)) {
+    throw new Error(`File already exists: ${outputPath}, choose another path with --output`);
+  }
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(Array.from(keypair.secretKey)), { mode: 0o600 });
+
+  console.log(`\n>>> Exported @${cliArguments.name} (${keypair.publicKey}) to ${outputPath}`);
+  console.log('- The keypair file is not encrypted, delete it once you are done with it');
+}
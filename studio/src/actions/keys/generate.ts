@@ -0,0 +1,20 @@
+import { Keypair } from '@solana/web3.js';
+import { CliArguments } from '../../utils/types';
+import { getKeystorePassphrase, recordOutputAddress, saveKeystoreKey } from '../../helpers';
+
+export async function main(cliArguments: CliArguments) {
+  if (!cliArguments.name) {
+    throw new Error('Please provide the name of the key to --name flag');
+  }
+
+  const keypair = Keypair.generate();
+  const filePath = saveKeystoreKey(
+    cliArguments.name,
+    keypair,
+    await getKeystorePassphrase({ confirm: true })
+  );
+  recordOutputAddress(cliArguments.name, keypair.publicKey);
+
+  console.log(`\n>>> Generated key @${cliArguments.name}: ${keypair.publicKey}`);
+  console.log(`- Encrypted to ${filePath}`);
+}
@@ -0,0 +1,43 @@
+import { Keypair } from '@solana/web3.js';
+import { CliArguments } from '../../utils/types';
+import {
+  getKeystorePassphrase,
+  parseKeypairFromPrivateKey,
+  parseKeypairFromReference,
+  recordOutputAddress,
+  saveKeystoreKey,
+} from '../../helpers';
+
+async function getImportedKeypair(cliArguments: CliArguments): Promise<Keypair> {
+  if (cliArguments.keypair) {
+    console.log(`> Importing keypair ${cliArguments.keypair}`);
+    return await parseKeypairFromReference(cliArguments.keypair);
+  } else if (cliArguments.walletPk) {
+    console.log('> Importing wallet private key from CLI argument');
+    return parseKeypairFromPrivateKey(cliArguments.walletPk);
+  } else if (process.env.PRIVATE_KEY) {
+    console.log('> Importing PRIVATE_KEY from the environment');
+    return parseKeypairFromPrivateKey(process.env.PRIVATE_KEY);
+  }
+  throw new Error(
+    'Please provide a keypair file to --keypair flag, a private key to --wallet-pk or PRIVATE_KEY in .env'
+  );
+}
+
+export async function main(cliArguments: CliArguments) {
+  if (!cliArguments.name) {
+    throw new Error('Please provide the name of the key to --name flag');
+  }
+
+  const keypair = await getImportedKeypair(cliArguments);
+  const filePath = saveKeystoreKey(
+    cliArguments.name,
+    keypair,
+    await getKeystorePassphrase({ confirm: true })
+  );
+  recordOutputAddress(cliArguments.name, keypair.publicKey);
+
+  console.log(`\n>>> Imported key @${cliArguments.name}: ${keypair.publicKey}`);
+  console.log(`- Encrypted to ${filePath}`);
+  console.log(`- Reference it from a config with "keypair": "@${cliArguments.name}"`);
+}
@@ -0,0 +1,19 @@
+import { PublicKey } from '@solana/web3.js';
+import { CliArguments } from '../../utils/types';
+import { getKeystoreDir, listKeystoreKeys, recordOutputAddress } from '../../helpers';
+
+export async function main(_cliArguments: CliArguments) {
+  const keys = listKeystoreKeys();
+  if (keys.length === 0) {
+    console.log(`\n> No keys in the keystore ${getKeystoreDir()}`);
+    console.log('- Add one with: pnpm studio keys generate --name <name>');
+    return;
+  }
+
+  console.log(`\n> ${keys.length} key(s) in the keystore ${getKeystoreDir()}:`);
+  const width = Math.max(...keys.map((key) => key.name.length + 1));
+  for (const key of keys) {
+    console.log(`- ${`@${key.name}`.padEnd(width)}  ${key.publicKey}  created ${key.createdAt}`);
+    recordOutputAddress(key.name, new PublicKey(key.publicKey));
+  }
+}
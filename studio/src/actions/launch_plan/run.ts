@@ -0,0 +1,30 @@
+import { Connection } from '@solana/web3.js';
+import { Wallet } from '@coral-xyz/anchor';
+import { CliArguments, LaunchPlanConfig } from '../../utils/types';
+import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
+import { parseConfigFromCli, getKeypairFromCliOrConfig } from '../../helpers';
+import { runLaunchPlan, validateLaunchPlan } from '../../lib/launch_plan';
+
+export async function main(cliArguments: CliArguments) {
+  const plan = (await parseConfigFromCli(
+    cliArguments,
+    'launch-plan run'
+  )) as unknown as LaunchPlanConfig;
+  validateLaunchPlan(plan);
+
+  const keypair = await getKeypairFromCliOrConfig(plan, cliArguments);
+
+  console.log('\n> Initializing with general configuration...');
+  console.log(`- Using RPC URL ${plan.rpcUrl}`);
+  console.log(`- Dry run = ${plan.dryRun}`);
+  console.log(`- Using payer ${keypair.publicKey} to execute commands`);
+  console.log(`- Running ${plan.steps.length} step(s): ${plan.steps.map((s) => s.id).join(' → ')}`);
+
+  const connection = new Connection(plan.rpcUrl, {
+    commitment: DEFAULT_COMMITMENT_LEVEL,
+    wsEndpoint: plan.wsUrl,
+  });
+  const wallet = new Wallet(keypair);
+
+  await runLaunchPlan(plan, connection, wallet);
+}
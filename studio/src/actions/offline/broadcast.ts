@@ -0,0 +1,71 @@
+import { Connection, PublicKey } from '@solana/web3.js';
+import path from 'path';
+import { CliArguments, TransactionResult } from '../../utils/types';
+import { DEFAULT_COMMITMENT_LEVEL } from '../../utils/constants';
+import {
+  deserializeExportedTransaction,
+  readExportedTransactions,
+  saveExportedTransaction,
+  sendSignedTransaction,
+} from '../../helpers';
+
+export async function main(cliArguments: CliArguments) {
+  if (!cliArguments.dir) {
+    throw new Error('Please provide the export directory to --dir flag');
+  }
+  if (!cliArguments.rpcUrl) {
+    throw new Error('Please provide an RPC URL to --rpc-url flag');
+  }
+  const dir = path.resolve(process.cwd(), cliArguments.dir);
+
+  const exportedTransactions = readExportedTransactions(dir);
+  const unsigned = exportedTransactions.filter(
+    ({ exported }) => !exported.signature && exported.missingSigners.length > 0
+  );
+  if (unsigned.length > 0) {
+    throw new Error(
+      `${unsigned.length} transaction(s) are missing signatures, run studio sign first: ${unsigned
+        .map(({ filePath }) => path.basename(filePath))
+        .join(', ')}`
+    );
+  }
+
+  console.log(`- Using RPC URL ${cliArguments.rpcUrl}`);
+  const connection = new Connection(cliArguments.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+
+  // Transactions are sent in export order, since later ones can depend on earlier ones
+  const results: { file: string; result: TransactionResult }[] = [];
+  for (const { filePath, exported } of exportedTransactions) {
+    const file = path.basename(filePath);
+    if (exported.signature) {
+      console.log(`>>> Skipping ${file}, already landed with tx hash: ${exported.signature}`);
+      results.push({ file, result: { signature: exported.signature, slot: exported.slot ?? 0 } });
+      continue;
+    }
+
+    console.log(`>> Sending ${file}...`);
+    const result = await sendSignedTransaction(
+      connection,
+      deserializeExportedTransaction(exported),
+      {
+        nonceAccount: exported.nonceAccount ? new PublicKey(exported.nonceAccount) : undefined,
+        lastValidBlockHeight: exported.lastValidBlockHeight,
+      }
+    ).catch((err) => {
+      console.error(`Failed to send ${file}:`, err);
+      throw err;
+    });
+    saveExportedTransaction(filePath, {
+      ...exported,
+      signature: result.signature,
+      slot: result.slot,
+    });
+    console.log(`>>> ${file} successful with tx hash: ${result.signature}`);
+    results.push({ file, result });
+  }
+
+  console.log(`\n> Broadcast ${results.length} transaction(s)`);
+  for (const { file, result } of results) {
+    console.log(`- ${file}: ${result.signature} (slot ${result.slot})`);
+  }
+}
@@ -0,0 +1,41 @@
+import path from 'path';
+import { CliArguments } from '../../utils/types';
+import {
+  parseKeypairFromPrivateKey,
+  parseKeypairFromReference,
+  readExportedTransactions,
+  signExportedTransactions,
+} from '../../helpers';
+
+export async function main(cliArguments: CliArguments) {
+  if (!cliArguments.dir) {
+    throw new Error('Please provide the export directory to --dir flag');
+  }
+  const dir = path.resolve(process.cwd(), cliArguments.dir);
+
+  let keypair;
+  if (cliArguments.walletPk) {
+    console.log('> Using wallet private key from CLI argument');
+    keypair = parseKeypairFromPrivateKey(cliArguments.walletPk);
+  } else if (cliArguments.keypair) {
+    console.log(`> Using keypair ${cliArguments.keypair}`);
+    keypair = await parseKeypairFromReference(cliArguments.keypair);
+  } else {
+    throw new Error(
+      'Please provide a keypair file or keystore key to --keypair flag or a private key to --wallet-pk'
+    );
+  }
+
+  console.log(`\n> Signing transactions in ${dir} with ${keypair.publicKey}...`);
+  const signed = signExportedTransactions(dir, keypair);
+  console.log(`> Signed ${signed} transaction(s)`);
+
+  const unsigned = readExportedTransactions(dir).filter(
+    ({ exported }) => exported.missingSigners.length > 0
+  );
+  for (const { filePath, exported } of unsigned) {
+    console.log(
+      `- ${path.basename(filePath)} is still missing signatures from ${exported.missingSigners.join(', ')}`
+    );
+  }
+}
@@ -2,15 +2,15 @@ import { Keypair, Connection } from '@solana/web3.js';
 import { config } from 'dotenv';
 import fs from 'fs';
 import path from 'path';
-import { parseNetworkFlag, getNetworkConfig } from '../../helpers/cli';
+import { getNetworkConfig } from '../../helpers/cli';
 import { airdropSol } from '../../helpers/utils';
+import { CliArguments } from '../../utils/types';
 
 config();
 
-async function main() {
+export async function main(cliArguments: CliArguments) {
   try {
-    // Parse network flag
-    const network = parseNetworkFlag();
+    const network = cliArguments.network;
     if (!network) {
       throw new Error('Please provide --network flag (devnet or localnet)');
     }
@@ -65,5 +65,3 @@ async function main() {
     throw error;
   }
 }
-
-main();
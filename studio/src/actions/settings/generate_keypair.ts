@@ -3,15 +3,17 @@ import bs58 from 'bs58';
 import { config } from 'dotenv';
 import fs from 'fs';
 import path from 'path';
-import { parseNetworkFlag, getNetworkConfig } from '../../helpers/cli';
+import { getNetworkConfig } from '../../helpers/cli';
+import { getKeystorePassphrase, saveKeystoreKey } from '../../helpers/keystore';
+import { recordOutputAddress } from '../../helpers/output';
 import { airdropSol } from '../../helpers/utils';
+import { CliArguments } from '../../utils/types';
 
 config();
 
-async function main() {
+export async function main(cliArguments: CliArguments) {
   try {
-    // Parse network flag
-    const network = parseNetworkFlag();
+    const network = cliArguments.network;
     if (!network) {
       throw new Error('Please provide --network flag (devnet or localnet)');
     }
@@ -31,13 +33,30 @@ async function main() {
     const keypair = Keypair.fromSecretKey(secretKey);
 
     console.log('Public Key:', keypair.publicKey.toString());
+    recordOutputAddress('keypair', keypair.publicKey);
 
-    const keypairArray = Array.from(keypair.secretKey);
+    if (cliArguments.name) {
+      const filePath = saveKeystoreKey(
+        cliArguments.name,
+        keypair,
+        await getKeystorePassphrase({ confirm: true })
+      );
+      console.log(
+        `Keypair encrypted to: ${filePath}, reference it with "keypair": "@${cliArguments.name}"`
+      );
+    } else {
+      const keypairArray = Array.from(keypair.secretKey);
 
-    const outputPath = path.join(__dirname, '../../../keypair.json');
-    fs.writeFileSync(outputPath, JSON.stringify(keypairArray, null, 4));
+      const outputPath = path.join(__dirname, '../../../keypair.json');
+      fs.writeFileSync(outputPath, JSON.stringify(keypairArray, null, 4), { mode: 0o600 });
+      // The mode only applies to a new file
+      fs.chmodSync(outputPath, 0o600);
 
-    console.log(`Keypair saved to: ${outputPath}`);
+      console.log(`Keypair saved to: ${outputPath}`);
+      console.warn(
+        'WARNING: keypair.json holds the private key in plaintext, pass --name to encrypt it in the keystore instead'
+      );
+    }
 
     if (networkConfig.shouldAirdrop) {
       console.log(
@@ -46,7 +65,7 @@ async function main() {
       const connection = new Connection(networkConfig.rpcUrl, 'confirmed');
 
       try {
-        const signature = await airdropSol(connection, keypair, networkConfig.airdropAmount);
+        await airdropSol(connection, keypair, networkConfig.airdropAmount);
         console.log(
           `Successfully airdropped ${networkConfig.airdropAmount} SOL on ${network.toUpperCase()}!`
         );
@@ -68,5 +87,3 @@ async function main() {
     throw error;
   }
 }
-
-main();
@@ -0,0 +1,124 @@
+import { config } from 'dotenv';
+import { STUDIO_COMMANDS } from './actions';
+import {
+  appendHistoryRecord,
+  CLI_FLAGS,
+  CONFIG_BASE_KEYS,
+  isJsonOutput,
+  parseCliArguments,
+  printActionOutput,
+  startCliOutput,
+} from './helpers';
+import { StudioCommand } from './utils/types';
+
+// Environment variables referenced by ${env:NAME} config placeholders can be kept in .env
+config({ quiet: true });
+
+function formatFlag(name: string): string {
+  const flag = CLI_FLAGS[name]!;
+  const short = flag.short ? `-${flag.short}, ` : '    ';
+  const value = flag.valueName ? ` <${flag.valueName}>${flag.multiple ? '...' : ''}` : '';
+  return `${short}--${name}${value}`;
+}
+
+function printCommandList(commands: StudioCommand[], group?: string) {
+  console.log(`Usage: studio ${group ? `${group} <action>` : '<command>'} [options]\n`);
+  console.log('Commands:');
+  const width = Math.max(...commands.map((c) => c.command.length));
+  commands.forEach((c) => console.log(`  ${c.command.padEnd(width)}  ${c.description}`));
+  console.log(`\nRun 'studio <command> --help' to see the flags and config keys of a command.`);
+}
+
+function printCommandHelp(command: StudioCommand) {
+  const flags = [...command.flags, 'json', 'help'];
+  console.log(`Usage: studio ${command.command} [options]\n`);
+  console.log(`${command.description}\n`);
+
+  console.log('Options:');
+  const width = Math.max(...flags.map((name) => formatFlag(name).length));
+  flags.forEach((name) =>
+    console.log(`  ${formatFlag(name).padEnd(width)}  ${CLI_FLAGS[name]!.description}`)
+  );
+
+  if (command.configKeys) {
+    console.log('\nConfig keys:');
+    console.log(`  ${CONFIG_BASE_KEYS.join(', ')}`);
+    console.log(`  ${command.configKeys.join(', ')}`);
+  }
+}
+
+/**
+ * Match the leading positionals against the registered commands, preferring the longest match
+ */
+function resolveCommand(argv: string[]): { command?: StudioCommand; rest: string[] } {
+  const matches = STUDIO_COMMANDS.filter((c) => {
+    const words = c.command.split(' ');
+    return words.every((word, i) => argv[i] === word);
+  }).sort((a, b) => b.command.split(' ').length - a.command.split(' ').length);
+
+  const command = matches[0];
+  if (!command) {
+    return { rest: argv };
+  }
+
+  return { command, rest: argv.slice(command.command.split(' ').length) };
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const { command, rest } = resolveCommand(argv);
+
+  if (!command) {
+    const group = argv[0];
+    const groupCommands = STUDIO_COMMANDS.filter((c) => c.command.startsWith(`${group} `));
+    const wantsHelp = argv.length === 0 || argv.includes('--help') || argv.includes('-h');
+
+    if (groupCommands.length > 0) {
+      if (!wantsHelp) {
+        console.error(`Unknown ${group} action: ${argv[1] ?? '(none)'}\n`);
+      }
+      printCommandList(groupCommands, group);
+    } else {
+      if (!wantsHelp) {
+        console.error(`Unknown command: ${argv.join(' ')}\n`);
+      }
+      printCommandList(STUDIO_COMMANDS);
+    }
+
+    if (!wantsHelp) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  let cliArguments;
+  try {
+    cliArguments = parseCliArguments(rest, command.flags);
+  } catch (error: any) {
+    console.error(`${error.message}\n`);
+    console.error(`Run 'studio ${command.command} --help' to see the supported flags.`);
+    process.exit(1);
+  }
+
+  if (cliArguments.help) {
+    printCommandHelp(command);
+    return;
+  }
+
+  startCliOutput(command.command, { json: cliArguments.json });
+
+  const action = await command.load();
+  await action.main(cliArguments);
+  appendHistoryRecord();
+  printActionOutput();
+}
+
+main().catch((error) => {
+  appendHistoryRecord(error);
+  if (isJsonOutput()) {
+    printActionOutput(error);
+  } else {
+    console.error(error);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+import { PublicKey } from '@solana/web3.js';
+import { AddressBookEntry, AddressBookFile } from '../utils/types';
+import { setOutputAddressLabels } from './output';
+import { safeParseJsonFromFile } from './utils';
+
+const ADDRESS_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ADDRESS_REFERENCE_PATTERN = /^@([A-Za-z0-9_-]+)$/;
+
+// Config keys holding addresses, the only config values whose `@name` is resolved. Other strings,
+// like a token symbol "@DOGE" or the keystore key of keypair, are left as is.
+const ADDRESS_CONFIG_KEYS = new Set([
+  'address',
+  'baseMint',
+  'creator',
+  'dbcConfigAddress',
+  'feeClaimer',
+  'feeOwner',
+  'leftoverReceiver',
+  'newPositionOwner',
+  'nonceAccounts',
+  'poolAddress',
+  'positionOwner',
+  'quoteMint',
+  'referralTokenAccount',
+]);
+
+// The address book of the config being run, resolving the names of CLI flags read by the actions
+let activeAddressBook: Map<string, AddressBookEntry> | undefined;
+
+/**
+ * Load and validate an address book file, listing every invalid entry
+ * @param filePath - The address book file
+ * @returns The entries keyed by name
+ */
+export async function loadAddressBook(filePath: string): Promise<Map<string, AddressBookEntry>> {
+  const file = await safeParseJsonFromFile<AddressBookFile>(filePath);
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    throw new Error(`Address book ${filePath} must contain a JSON object of addresses by name`);
+  }
+
+  const entries = new Map<string, AddressBookEntry>();
+  const problems: string[] = [];
+  for (const [name, value] of Object.entries(file)) {
+    if (!ADDRESS_NAME_PATTERN.test(name)) {
+      problems.push(`${name}: names can only contain letters, digits, dashes and underscores`);
+      continue;
+    }
+
+    const { address, tags = [] } = typeof value === 'string' ? { address: value } : (value ?? {});
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      problems.push(`${name}: tags must be an array of strings`);
+      continue;
+    }
+    try {
+      entries.set(name, { name, address: new PublicKey(address as string), tags });
+    } catch {
+      problems.push(`${name}: ${JSON.stringify(address)} is not a valid public key`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Found ${problems.length} problem(s) in the address book ${filePath}:\n- ${problems.join('\n- ')}`
+    );
+  }
+  return entries;
+}
+
+/**
+ * Use an address book for the rest of the run: `@name` references resolve against it and log lines
+ * print its addresses with their name
+ * @param addressBook - The address book entries keyed by name
+ */
+export function useAddressBook(addressBook: Map<string, AddressBookEntry>) {
+  activeAddressBook = addressBook;
+  setOutputAddressLabels(
+    new Map([...addressBook.values()].map((entry) => [entry.address.toBase58(), entry.name]))
+  );
+}
+
+/**
+ * Resolve an `@name` reference of the address book in use, other values are returned as is
+ * @param value - An address or an `@name` reference
+ */
+export function resolveAddressReference(value: string): string {
+  const match = ADDRESS_REFERENCE_PATTERN.exec(value);
+  if (!match) {
+    return value;
+  }
+  if (!activeAddressBook) {
+    throw new Error(`Cannot resolve ${value}, set addressBook in the config to use address names`);
+  }
+
+  const entry = activeAddressBook.get(match[1]!);
+  if (!entry) {
+    const names = [...activeAddressBook.keys()].join(', ') || 'none';
+    throw new Error(`${value} is not in the address book. Names: ${names}`);
+  }
+  return entry.address.toBase58();
+}
+
+/**
+ * Replace the `@name` references of the address keys of a config with their address
+ * @param value - The config, or a value nested in it
+ * @param isAddress - Whether the value is held by an address key
+ */
+export function resolveAddressBookReferences(value: any, isAddress = false): any {
+  if (typeof value === 'string') {
+    return isAddress ? resolveAddressReference(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveAddressBookReferences(item, isAddress));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        resolveAddressBookReferences(item, ADDRESS_CONFIG_KEYS.has(key)),
+      ])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,324 @@
+import {
+  Connection,
+  PublicKey,
+  SignatureStatus,
+  Signer,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import bs58 from 'bs58';
+import {
+  DEFAULT_JITO_BLOCK_ENGINE_URL,
+  DEFAULT_JITO_TIP_LAMPORTS,
+  DEFAULT_REBROADCAST_INTERVAL_MS,
+  DEFAULT_SEND_TX_MAX_RETRIES,
+  JITO_BUNDLE_MAX_TRANSACTIONS,
+} from '../utils/constants';
+import {
+  BundleClient,
+  BundleTransaction,
+  ExecutionJournal,
+  TransactionConfig,
+  TransactionResult,
+} from '../utils/types';
+import {
+  applySimulatedComputeUnitLimit,
+  executeTransaction,
+  getTransactionResult,
+} from './transaction';
+import { recordOutputSignature } from './output';
+import { getJournalStep, recordJournalStep } from './journal';
+import { signTransaction } from './signer';
+
+/**
+ * Create a bundle client talking to a Jito block engine over gRPC
+ * @param blockEngineUrl - The block engine url, e.g. mainnet.block-engine.jito.wtf
+ */
+export async function createJitoBundleClient(blockEngineUrl: string): Promise<BundleClient> {
+  // Loaded lazily so actions that never bundle do not pay for the gRPC client
+  const { searcher, bundle } = await import('jito-ts/dist/sdk/block-engine');
+  const client = searcher.searcherClient(blockEngineUrl);
+
+  return {
+    async getTipAccounts() {
+      const result = await client.getTipAccounts();
+      if ('error' in result) {
+        throw result.error;
+      }
+      return result.value;
+    },
+    async sendBundle(transactions) {
+      const result = await client.sendBundle(
+        new bundle.Bundle(transactions, JITO_BUNDLE_MAX_TRANSACTIONS)
+      );
+      if ('error' in result) {
+        throw result.error;
+      }
+      return result.value;
+    },
+  };
+}
+
+function getErrorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
+
+async function toSignedVersionedTransaction(
+  { tx, signers }: BundleTransaction,
+  recentBlockhash: string
+): Promise<VersionedTransaction> {
+  let versionedTx: VersionedTransaction;
+  if ('version' in tx) {
+    tx.message.recentBlockhash = recentBlockhash;
+    versionedTx = tx;
+  } else {
+    versionedTx = new VersionedTransaction(
+      new TransactionMessage({
+        payerKey: tx.feePayer ?? signers[0]!.publicKey,
+        recentBlockhash,
+        instructions: tx.instructions,
+      }).compileToLegacyMessage()
+    );
+  }
+  await signTransaction(versionedTx, signers);
+  return versionedTx;
+}
+
+/**
+ * Set the compute unit limit of the bundled transactions from their simulation. Transactions
+ * depending on the accounts of earlier ones in the bundle cannot be simulated before those land,
+ * they keep their limit.
+ * @param connection - The connection to the cluster
+ * @param transactions - The transactions to bundle, in execution order
+ * @param txConfig - The transaction settings from the config
+ */
+async function applyBundleComputeUnitLimits(
+  connection: Connection,
+  transactions: BundleTransaction[],
+  txConfig: TransactionConfig
+) {
+  for (const [i, { tx, signers }] of transactions.entries()) {
+    const feePayer =
+      'version' in tx ? tx.message.staticAccountKeys[0]! : (tx.feePayer ?? signers[0]!.publicKey);
+    try {
+      await applySimulatedComputeUnitLimit(
+        connection,
+        tx,
+        feePayer,
+        txConfig.computeUnitLimitMargin
+      );
+    } catch (err) {
+      if (i === 0) {
+        throw err;
+      }
+      console.log(
+        `- Keeping the compute unit limit of bundled transaction ${i + 1}, it depends on the earlier ones`
+      );
+    }
+  }
+}
+
+/**
+ * Submit transactions as one atomic Jito bundle, with a tip transaction appended, and wait until
+ * the bundle lands or its blockhash expires
+ * @param connection - The connection to the cluster
+ * @param transactions - The transactions to bundle, in execution order
+ * @param tipPayer - The payer of the Jito tip
+ * @param txConfig - The transaction settings from the config
+ * @param client - The block engine client
+ * @returns The results of the bundled transactions, tip transaction excluded. Undefined when the
+ * block engine rejected the bundle or its blockhash expired without any of its transactions
+ * landing, so they can be sent again. Once the bundle is accepted, any other failure throws since
+ * it may still land.
+ */
+export async function sendJitoBundle(
+  connection: Connection,
+  transactions: BundleTransaction[],
+  tipPayer: Signer,
+  txConfig: TransactionConfig,
+  client: BundleClient
+): Promise<TransactionResult[] | undefined> {
+  if (transactions.length > JITO_BUNDLE_MAX_TRANSACTIONS - 1) {
+    throw new Error(
+      `A bundle holds at most ${JITO_BUNDLE_MAX_TRANSACTIONS - 1} transactions besides the tip, got ${transactions.length}`
+    );
+  }
+
+  await applyBundleComputeUnitLimits(connection, transactions, txConfig);
+
+  let tipAccounts: string[];
+  try {
+    tipAccounts = await client.getTipAccounts();
+  } catch (err) {
+    console.log(`>>> Failed to get the Jito tip accounts: ${getErrorMessage(err)}`);
+    return undefined;
+  }
+  const tipAccount = tipAccounts[Math.floor(Math.random() * tipAccounts.length)];
+  if (!tipAccount) {
+    console.log('>>> Block engine returned no tip accounts');
+    return undefined;
+  }
+  const tipLamports = txConfig.jitoTipLamports ?? DEFAULT_JITO_TIP_LAMPORTS;
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
+    connection.commitment
+  );
+  const tipTx = new Transaction({ feePayer: tipPayer.publicKey }).add(
+    SystemProgram.transfer({
+      fromPubkey: tipPayer.publicKey,
+      toPubkey: new PublicKey(tipAccount),
+      lamports: tipLamports,
+    })
+  );
+  const bundleTxs: VersionedTransaction[] = [];
+  for (const tx of [...transactions, { tx: tipTx, signers: [tipPayer] }]) {
+    bundleTxs.push(await toSignedVersionedTransaction(tx, blockhash));
+  }
+  const signatures = bundleTxs.map((tx) => bs58.encode(tx.signatures[0]!));
+
+  console.log(
+    `>> Sending bundle of ${bundleTxs.length} transactions with ${tipLamports} lamports tip...`
+  );
+  let bundleId: string;
+  try {
+    bundleId = await client.sendBundle(bundleTxs);
+  } catch (err) {
+    console.log(`>>> Block engine rejected the bundle: ${getErrorMessage(err)}`);
+    return undefined;
+  }
+  console.log(`- Bundle id ${bundleId}`);
+
+  const commitment = connection.commitment ?? 'confirmed';
+  let pollFailures = 0;
+  while (true) {
+    await new Promise((resolve) => setTimeout(resolve, DEFAULT_REBROADCAST_INTERVAL_MS));
+
+    let statuses: (SignatureStatus | null)[];
+    let blockHeight: number;
+    try {
+      ({ value: statuses } = await connection.getSignatureStatuses(signatures, {
+        searchTransactionHistory: true,
+      }));
+      blockHeight = await connection.getBlockHeight(connection.commitment);
+      pollFailures = 0;
+    } catch (err) {
+      // The bundle may still land, retry rather than sending the transactions again
+      if (++pollFailures >= DEFAULT_SEND_TX_MAX_RETRIES) {
+        throw new Error(
+          `Failed to get the status of bundle ${bundleId}, it may still land. Check its signatures before retrying: ${signatures.join(', ')}. ${getErrorMessage(err)}`
+        );
+      }
+      continue;
+    }
+
+    const failedStatus = statuses.find((status) => status?.err);
+    if (failedStatus) {
+      throw new Error(`Bundle ${bundleId} failed: ${JSON.stringify(failedStatus.err)}`);
+    }
+    const landed = statuses.every(
+      (status) =>
+        status?.confirmationStatus === 'finalized' ||
+        (status?.confirmationStatus === 'confirmed' && commitment !== 'finalized')
+    );
+    if (landed) {
+      console.log(`>>> Bundle ${bundleId} landed`);
+      const landedSignatures = signatures.slice(0, transactions.length);
+      landedSignatures.forEach(recordOutputSignature);
+      return Promise.all(
+        landedSignatures.map((signature) => getTransactionResult(connection, signature, commitment))
+      );
+    }
+
+    // Bundles are atomic, once the blockhash expired without any status none of them can land
+    if (blockHeight > lastValidBlockHeight && statuses.every((status) => !status)) {
+      console.log(`>>> Bundle ${bundleId} did not land before its blockhash expired`);
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Send a sequence of transactions. With `sendMode: "jito-bundle"` they are submitted as a single
+ * atomic bundle, falling back to sending them one by one if the block engine rejects the bundle or
+ * it expires without landing. With a journal, the transactions are journaled by their step id and
+ * a resumed run sends the ones not confirmed yet one by one.
+ * @param connection - The connection to the cluster
+ * @param transactions - The transactions to send, in execution order
+ * @param txConfig - The transaction settings from the config
+ * @param opts - The block engine client to use instead of the one created from the config, and the
+ * execution journal
+ * @returns The results of the sent transactions
+ */
+export async function sendTransactions(
+  connection: Connection,
+  transactions: BundleTransaction[],
+  txConfig: TransactionConfig,
+  opts?: {
+    bundleClient?: BundleClient;
+    journal?: ExecutionJournal;
+  }
+): Promise<TransactionResult[]> {
+  const journal = opts?.journal;
+  // A bundle cannot leave out the transactions that already landed
+  const isResumed =
+    !!journal &&
+    transactions.some(
+      ({ journalStepId }) => journalStepId && getJournalStep(journal, journalStepId)
+    );
+
+  // Exported transactions are signed and broadcast one by one later
+  if (
+    txConfig.sendMode === 'jito-bundle' &&
+    !txConfig.exportUnsignedDir &&
+    !isResumed &&
+    transactions.length > 0
+  ) {
+    let client = opts?.bundleClient;
+    if (!client) {
+      try {
+        client = await createJitoBundleClient(
+          txConfig.jitoBlockEngineUrl ?? DEFAULT_JITO_BLOCK_ENGINE_URL
+        );
+      } catch (err) {
+        console.log(`>>> Failed to connect to the Jito block engine: ${getErrorMessage(err)}`);
+      }
+    }
+
+    const results =
+      client &&
+      (await sendJitoBundle(
+        connection,
+        transactions,
+        transactions[0]!.signers[0]!,
+        txConfig,
+        client
+      ));
+    if (results) {
+      if (journal) {
+        results.forEach(({ signature }, i) => {
+          const { journalStepId } = transactions[i]!;
+          if (journalStepId) {
+            recordJournalStep(journal, { id: journalStepId, status: 'confirmed', signature });
+          }
+        });
+      }
+      return results;
+    }
+    console.log(`>> Falling back to sending the transactions one by one...`);
+  }
+
+  const results: TransactionResult[] = [];
+  for (const [i, { tx, signers, journalStepId }] of transactions.entries()) {
+    console.log(`>> Sending transaction [${i + 1}/${transactions.length}]...`);
+    const result = await executeTransaction(connection, tx, signers, {
+      txConfig,
+      journal,
+      journalStepId,
+    });
+    console.log(`>>> Transaction [${i + 1}] successful with tx hash: ${result.signature}`);
+    results.push(result);
+  }
+  return results;
+}
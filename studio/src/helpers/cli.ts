@@ -1,91 +1,549 @@
-import { CliArguments, MeteoraConfig, NetworkConfig } from '../utils/types';
+import {
+  CliArguments,
+  CliFlagDefinition,
+  MeteoraConfig,
+  MeteoraConfigBase,
+  NetworkConfig,
+  NetworkName,
+  ProgramIds,
+} from '../utils/types';
 import { parseArgs } from 'util';
-import { safeParseJsonFromFile, safeParseKeypairFromFile, parseKeypairFromPrivateKey } from './utils';
+import {
+  safeParseJsonFromFile,
+  safeParseKeypairFromFile,
+  parseKeypairFromPrivateKey,
+} from './utils';
 import { validateConfig } from './validation';
+import { getActionConfigSchema } from './config';
 import { parse } from 'csv-parse';
 import fs from 'fs';
 import path from 'path';
 import * as readline from 'readline';
-import { Keypair } from '@solana/web3.js';
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
+import { createOfflineKeypair, getExportUnsignedConflict } from './offline';
+import { parseKeypairFromReference } from './keystore';
+import {
+  loadAddressBook,
+  resolveAddressBookReferences,
+  resolveAddressReference,
+  useAddressBook,
+} from './address_book';
+import { isPromptAllowed } from './output';
+import { printActionSummary } from './summary';
+import { recordHistoryConfig } from './history';
+import {
+  ALPHA_VAULT_PROGRAM_IDS,
+  DAMM_V2_PROGRAM_ID,
+  DBC_PROGRAM_ID,
+  DEFAULT_COMMITMENT_LEVEL,
+  DLMM_PROGRAM_IDS,
+  DYNAMIC_AMM_PROGRAM_IDS,
+  GENESIS_HASHES,
+  LOCAL_RPC_HOSTS,
+  STAKE2EARN_PROGRAM_IDS,
+} from '../utils/constants';
 
-export function parseNetworkFlag(): string | undefined {
-  const { values } = parseArgs({
-    args: process.argv,
-    options: {
-      network: {
-        type: 'string',
-        short: 'n',
-      },
-    },
-    strict: true,
-    allowPositionals: true,
-  });
+const NETWORK_ALIASES: Record<string, NetworkName> = {
+  mainnet: 'mainnet',
+  'mainnet-beta': 'mainnet',
+  devnet: 'devnet',
+  localnet: 'localnet',
+  localhost: 'localnet',
+  custom: 'custom',
+};
 
-  return values.network;
+function getClusterProgramIds(cluster: 'mainnet-beta' | 'devnet' | 'localhost'): ProgramIds {
+  return {
+    dlmm: DLMM_PROGRAM_IDS[cluster],
+    dammV1: DYNAMIC_AMM_PROGRAM_IDS[cluster],
+    dammV2: DAMM_V2_PROGRAM_ID,
+    dbc: DBC_PROGRAM_ID,
+    alphaVault: ALPHA_VAULT_PROGRAM_IDS[cluster],
+    stake2earn: STAKE2EARN_PROGRAM_IDS['mainnet-beta'],
+  };
 }
 
-export function getNetworkConfig(network: string): NetworkConfig {
-  switch (network.toLowerCase()) {
+/**
+ * Get a network profile: its RPC and websocket URLs and the Meteora program ids. The custom
+ * profile uses the mainnet program ids and requires an RPC URL.
+ * @param network - The profile name: mainnet, devnet, localnet or custom
+ * @param overrides - The RPC URL, websocket URL and program ids replacing the ones of the profile
+ */
+export function getNetworkConfig(
+  network: string,
+  overrides?: {
+    rpcUrl?: string;
+    wsUrl?: string;
+    programIds?: Partial<ProgramIds> | null;
+  }
+): NetworkConfig {
+  let networkConfig: NetworkConfig;
+  switch (NETWORK_ALIASES[network.toLowerCase()]) {
+    case 'mainnet':
+      networkConfig = {
+        name: 'mainnet',
+        cluster: 'mainnet-beta',
+        rpcUrl: 'https://api.mainnet-beta.solana.com',
+        wsUrl: 'wss://api.mainnet-beta.solana.com',
+        shouldAirdrop: false,
+        airdropAmount: 0,
+        programIds: getClusterProgramIds('mainnet-beta'),
+      };
+      break;
     case 'devnet':
-      return {
+      networkConfig = {
+        name: 'devnet',
+        cluster: 'devnet',
         rpcUrl: 'https://api.devnet.solana.com',
+        wsUrl: 'wss://api.devnet.solana.com',
         shouldAirdrop: true,
         airdropAmount: 5,
+        programIds: getClusterProgramIds('devnet'),
       };
+      break;
     case 'localnet':
-      return {
+      networkConfig = {
+        name: 'localnet',
+        cluster: 'localhost',
         rpcUrl: 'http://localhost:8899',
+        wsUrl: 'ws://localhost:8900',
         shouldAirdrop: true,
         airdropAmount: 5,
+        programIds: getClusterProgramIds('localhost'),
       };
+      break;
+    case 'custom':
+      if (!overrides?.rpcUrl) {
+        throw new Error('The custom network requires rpcUrl in the config file');
+      }
+      networkConfig = {
+        name: 'custom',
+        cluster: 'mainnet-beta',
+        rpcUrl: overrides.rpcUrl,
+        shouldAirdrop: false,
+        airdropAmount: 0,
+        programIds: getClusterProgramIds('mainnet-beta'),
+      };
+      break;
     default:
-      throw new Error('Invalid network. Please use --network devnet or --network localnet');
+      throw new Error(`Invalid network ${network}. Please use mainnet, devnet, localnet or custom`);
+  }
+
+  if (overrides?.rpcUrl) {
+    networkConfig.rpcUrl = overrides.rpcUrl;
+    // The websocket of the profile does not belong to a replaced RPC
+    networkConfig.wsUrl = overrides.wsUrl;
+  } else if (overrides?.wsUrl) {
+    networkConfig.wsUrl = overrides.wsUrl;
+  }
+  networkConfig.programIds = { ...networkConfig.programIds, ...overrides?.programIds };
+
+  // The DAMM v2 and DBC SDKs are bound to a single program id
+  if (networkConfig.programIds.dammV2 !== DAMM_V2_PROGRAM_ID) {
+    throw new Error(
+      `programIds.dammV2 must be ${DAMM_V2_PROGRAM_ID}, the DAMM v2 SDK only supports it`
+    );
+  }
+  if (networkConfig.programIds.dbc !== DBC_PROGRAM_ID) {
+    throw new Error(`programIds.dbc must be ${DBC_PROGRAM_ID}, the DBC SDK only supports it`);
+  }
+
+  return networkConfig;
+}
+
+/**
+ * Infer the network profile of an RPC URL from its host: localnet for a local host, devnet for a
+ * host naming devnet, like api.devnet.solana.com or devnet.helius-rpc.com, and mainnet otherwise
+ * @param rpcUrl - The RPC URL, mainnet when unset
+ */
+export function inferNetworkFromRpcUrl(rpcUrl?: string | null): NetworkName {
+  if (!rpcUrl) {
+    return 'mainnet';
   }
+  let hostname: string;
+  try {
+    hostname = new URL(rpcUrl).hostname;
+  } catch {
+    throw new Error(`Invalid rpcUrl ${rpcUrl}`);
+  }
+  if (LOCAL_RPC_HOSTS.includes(hostname)) {
+    return 'localnet';
+  }
+  return /devnet/i.test(hostname) ? 'devnet' : 'mainnet';
+}
+
+/**
+ * Get the network an RPC serves from the genesis hash of its cluster, mainnet or devnet, and
+ * localnet for any other cluster like a local validator. Throws when it is not the network of the
+ * config, a custom network runs on whatever cluster its RPC serves.
+ * @param connection - The connection to the RPC of the config
+ * @param network - The network profile of the config, unset to only detect the network
+ * @returns The network the RPC serves
+ */
+export async function getRpcNetwork(
+  connection: Connection,
+  network?: NetworkConfig
+): Promise<NetworkName> {
+  const genesisHash = await connection.getGenesisHash();
+  const rpcNetwork =
+    genesisHash === GENESIS_HASHES.mainnet
+      ? 'mainnet'
+      : genesisHash === GENESIS_HASHES.devnet
+        ? 'devnet'
+        : 'localnet';
+  if (network && network.name !== 'custom' && network.name !== rpcNetwork) {
+    const cluster =
+      rpcNetwork === 'localnet' ? `a cluster with genesis hash ${genesisHash}` : rpcNetwork;
+    // The path and query string of an RPC URL may carry an API key
+    const rpcOrigin = new URL(connection.rpcEndpoint).origin;
+    throw new Error(
+      `rpcUrl ${rpcOrigin} serves ${cluster}, not the ${network.name} network. Set network to the cluster of rpcUrl`
+    );
+  }
+  return rpcNetwork;
+}
+
+/**
+ * Get the network profile selected by the `network` key of a config, inferred from the host of
+ * `rpcUrl` when unset. The `rpcUrl`, `wsUrl` and `programIds` of the config take precedence over
+ * the profile.
+ * @param config - The action config
+ */
+export function getConfigNetwork(config: MeteoraConfigBase): NetworkConfig {
+  return getNetworkConfig(config.network ?? inferNetworkFromRpcUrl(config.rpcUrl), {
+    rpcUrl: config.rpcUrl,
+    wsUrl: config.wsUrl,
+    programIds: config.programIds,
+  });
 }
 
-export function parseCliArguments(): CliArguments {
+export const CONFIG_BASE_KEYS = [
+  'network',
+  'rpcUrl',
+  'wsUrl',
+  'programIds',
+  'dryRun',
+  'keypairFilePath',
+  'keypair',
+  'addressBook',
+  'computeUnitPriceMicroLamports',
+  'computeUnitPricePercentile',
+  'maxComputeUnitPriceMicroLamports',
+  'computeUnitLimitMargin',
+  'useAddressLookupTable',
+  'sendMode',
+  'jitoBlockEngineUrl',
+  'jitoTipLamports',
+  'nonceAccounts',
+  'multisig',
+];
+
+export const CLI_FLAGS: Record<string, CliFlagDefinition> = {
+  config: {
+    type: 'string',
+    valueName: 'path',
+    description: 'Path to the JSONC config file',
+  },
+  'base-mint': {
+    type: 'string',
+    valueName: 'address',
+    description: 'Override baseMint from the config file',
+  },
+  'wallet-pk': {
+    type: 'string',
+    valueName: 'key',
+    description: 'Base58 or JSON array private key to use instead of keypairFilePath',
+  },
+  'pool-address': {
+    type: 'string',
+    valueName: 'address',
+    description: 'Override poolAddress from the config file',
+  },
+  creator: {
+    type: 'string',
+    valueName: 'address',
+    description: 'Override dammV2Config.creator from the config file',
+  },
+  'max-base-fee-bps': {
+    type: 'string',
+    valueName: 'bps',
+    description: 'Override dammV2Config.poolFees.maxBaseFeeBps from the config file',
+  },
+  'min-base-fee-bps': {
+    type: 'string',
+    valueName: 'bps',
+    description: 'Override dammV2Config.poolFees.minBaseFeeBps from the config file',
+  },
+  set: {
+    type: 'string',
+    valueName: 'path=value',
+    multiple: true,
+    description: 'Override any config key, e.g. --set dammV2Config.poolFees.maxBaseFeeBps=400',
+  },
+  network: {
+    type: 'string',
+    short: 'n',
+    valueName: 'name',
+    description: 'Network profile to use (mainnet, devnet, localnet or custom)',
+  },
+  resume: {
+    type: 'string',
+    valueName: 'journal',
+    description: 'Resume from an execution journal, skipping transactions that already landed',
+  },
+  'export-unsigned': {
+    type: 'string',
+    valueName: 'dir',
+    description: 'Export the transactions unsigned to a directory instead of sending them',
+  },
+  'wallet-address': {
+    type: 'string',
+    valueName: 'address',
+    description:
+      'Public key of an offline wallet to use instead of keypairFilePath with --export-unsigned',
+  },
+  dir: {
+    type: 'string',
+    valueName: 'dir',
+    description: 'Directory of the transactions exported with --export-unsigned',
+  },
+  keypair: {
+    type: 'string',
+    valueName: 'path',
+    description: 'Keypair file, or keystore key like @treasury, to sign with',
+  },
+  action: {
+    type: 'string',
+    valueName: 'name',
+    description: 'Action to validate the config for, e.g. "damm-v2 create-balanced-pool"',
+  },
+  answers: {
+    type: 'string',
+    valueName: 'path',
+    description:
+      'JSON file answering the init questions, keyed by config key, instead of prompting',
+  },
+  output: {
+    type: 'string',
+    short: 'o',
+    valueName: 'path',
+    description: 'Path of the file to write',
+  },
+  name: {
+    type: 'string',
+    valueName: 'name',
+    description: 'Name of the keystore key',
+  },
+  'rpc-url': {
+    type: 'string',
+    valueName: 'url',
+    description: 'RPC URL to send the transactions to',
+  },
+  id: {
+    type: 'string',
+    valueName: 'id',
+    description: 'Id of the history record',
+  },
+  pool: {
+    type: 'string',
+    valueName: 'address',
+    description: 'Only history records of this pool',
+  },
+  mint: {
+    type: 'string',
+    valueName: 'address',
+    description: 'Only history records of this base or quote mint',
+  },
+  since: {
+    type: 'string',
+    valueName: 'date',
+    description: 'Only history records from this date, e.g. 2025-11-01 or ISO-8601',
+  },
+  until: {
+    type: 'string',
+    valueName: 'date',
+    description: 'Only history records until this date, inclusive',
+  },
+  yes: {
+    type: 'boolean',
+    short: 'y',
+    description: 'Run on mainnet without the confirmation prompt, e.g. in CI',
+  },
+  json: {
+    type: 'boolean',
+    description:
+      'Print a single JSON document with the created addresses, signatures and error instead of logs',
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    description: 'Show help for this command',
+  },
+};
+
+/**
+ * Strictly parse command flags, rejecting anything the command does not declare
+ * @param args - Command line arguments following the command path
+ * @param flags - Names of the CLI_FLAGS entries accepted by the command
+ * @returns Parsed arguments keyed by the camelCase flag name
+ */
+export function parseCliArguments(args: string[], flags: string[]): CliArguments {
+  const options: Record<
+    string,
+    { type: 'string' | 'boolean'; short?: string; multiple?: boolean }
+  > = {};
+  for (const name of [...flags, 'json', 'help']) {
+    const flag = CLI_FLAGS[name];
+    if (!flag) {
+      throw new Error(`Unknown CLI flag definition: ${name}`);
+    }
+    options[name] = { type: flag.type };
+    if (flag.short) {
+      options[name].short = flag.short;
+    }
+    if (flag.multiple) {
+      options[name].multiple = true;
+    }
+  }
+
   const { values } = parseArgs({
-    args: process.argv,
-    options: {
-      config: {
-        type: 'string',
-      },
-      'base-mint': {
-        type: 'string',
-      },
-      'wallet-pk': {
-        type: 'string',
-      },
-      'pool-address': {
-        type: 'string',
-      },
-      'creator': {
-        type: 'string',
-      },
-      'max-base-fee-bps': {
-        type: 'string',
-      },
-      'min-base-fee-bps': {
-        type: 'string',
-      },
-    },
-    strict: false,
-    allowPositionals: true,
+    args,
+    options,
+    strict: true,
+    allowPositionals: false,
   });
 
-  return {
-    config: typeof values.config === 'string' ? values.config : undefined,
-    baseMint: typeof values['base-mint'] === 'string' ? values['base-mint'] : undefined,
-    walletPk: typeof values['wallet-pk'] === 'string' ? values['wallet-pk'] : undefined,
-    poolAddress: typeof values['pool-address'] === 'string' ? values['pool-address'] : undefined,
-    creator: typeof values['creator'] === 'string' ? values['creator'] : undefined,
-    maxBaseFeeBps: typeof values['max-base-fee-bps'] === 'string' ? values['max-base-fee-bps'] : undefined,
-    minBaseFeeBps: typeof values['min-base-fee-bps'] === 'string' ? values['min-base-fee-bps'] : undefined,
-  };
+  const cliArguments: Record<string, string | boolean | string[]> = {};
+  for (const [name, value] of Object.entries(values)) {
+    const key = name.replace(/-([a-z])/g, (_, char: string) => char.toUpperCase());
+    cliArguments[key] = value as string | boolean | string[];
+  }
+
+  return cliArguments as CliArguments;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function deepMerge(base: unknown, override: unknown): unknown {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override;
+  }
+  const merged: Record<string, unknown> = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in base ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Load a config file and the files it `extends`, relative to it. The config is deep merged over
+ * its base configs, in order: objects are merged key by key, arrays and other values are replaced.
+ * @param filePath - The config file
+ * @param opts - The chain of files extending this one, to detect cycles
+ * @returns The merged config, without the `extends` key
+ */
+export async function loadConfigFile(
+  filePath: string,
+  opts?: {
+    extendedBy?: string[];
+  }
+): Promise<Record<string, unknown>> {
+  const extendedBy = opts?.extendedBy ?? [];
+  if (extendedBy.includes(filePath)) {
+    throw new Error(`Circular config extends: ${[...extendedBy, filePath].join(' -> ')}`);
+  }
+
+  const config = await safeParseJsonFromFile<Record<string, unknown>>(filePath);
+  if (!isPlainObject(config)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object`);
+  }
+
+  const { extends: extendsValue, ...content } = config;
+  // The address book path is relative to the config file declaring it
+  if (typeof content.addressBook === 'string') {
+    content.addressBook = path.resolve(path.dirname(filePath), content.addressBook);
+  }
+  if (extendsValue === undefined) {
+    return content;
+  }
+  const basePaths = Array.isArray(extendsValue) ? extendsValue : [extendsValue];
+  if (basePaths.some((basePath) => typeof basePath !== 'string')) {
+    throw new Error(`extends of ${filePath} must be a file path or an array of file paths`);
+  }
+
+  let merged: unknown = {};
+  for (const basePath of basePaths as string[]) {
+    const resolvedPath = path.resolve(path.dirname(filePath), basePath);
+    console.log(`> Extending config file: ${resolvedPath}`);
+    const base = await loadConfigFile(resolvedPath, { extendedBy: [...extendedBy, filePath] });
+    merged = deepMerge(merged, base);
+  }
+  return deepMerge(merged, content) as Record<string, unknown>;
 }
 
-export async function parseConfigFromCli(): Promise<MeteoraConfig> {
-  const cliArguments = parseCliArguments();
+/**
+ * Parse a `--set path.to.key=value` override. The value is parsed as JSON when possible, e.g.
+ * numbers, booleans, arrays and objects, and kept as a string otherwise. A number is only parsed
+ * when it reads back the same, so integers above 2^53 and strings like "1.50" or "1e3" stay intact.
+ * @param override - The override from the command line
+ * @returns The key path and the value
+ */
+export function parseConfigOverride(override: string): [string, unknown] {
+  const separator = override.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(`Invalid --set override "${override}", expected path.to.key=value`);
+  }
+  const keyPath = override.slice(0, separator).trim();
+  const rawValue = override.slice(separator + 1);
+  let value: unknown;
+  try {
+    value = JSON.parse(rawValue);
+  } catch {
+    return [keyPath, rawValue];
+  }
+  if (typeof value === 'number' && String(value) !== rawValue.trim()) {
+    return [keyPath, rawValue];
+  }
+  return [keyPath, value];
+}
+
+/**
+ * Set a value in a config by its dot separated key path, creating the missing objects on the way.
+ * Numeric segments index arrays, e.g. `lockLiquidity.allocations.0.percentage`.
+ * @param config - The config to update
+ * @param keyPath - The key path of the value
+ * @param value - The value to set
+ */
+export function setConfigValue(config: object, keyPath: string, value: unknown) {
+  const keys = keyPath.split('.');
+  if (keys.some((key) => !key)) {
+    throw new Error(`Invalid config key path: ${keyPath}`);
+  }
+
+  let target = config as Record<string, unknown>;
+  for (const [i, key] of keys.slice(0, -1).entries()) {
+    let next = target[key];
+    if (next === undefined || next === null) {
+      next = {};
+      target[key] = next;
+    } else if (typeof next !== 'object') {
+      throw new Error(
+        `Cannot set ${keyPath}: ${keys.slice(0, i + 1).join('.')} is not an object or an array`
+      );
+    }
+    target = next as Record<string, unknown>;
+  }
+  target[keys[keys.length - 1]!] = value;
+}
+
+/**
+ * Load the config file of --config with its base configs, apply the CLI overrides and resolve the
+ * network profile, without validating it
+ * @param cliArguments - The parsed CLI arguments
+ */
+export async function resolveConfigFromCli(cliArguments: CliArguments): Promise<MeteoraConfig> {
   if (!cliArguments.config) {
     throw new Error('Please provide a config file path to --config flag');
   }
@@ -106,53 +564,169 @@ export async function parseConfigFromCli(): Promise<MeteoraConfig> {
 
   console.log(`> Using config file: ${configFilePath}`);
 
-  const config: MeteoraConfig = await safeParseJsonFromFile(configFilePath);
+  const config = (await loadConfigFile(configFilePath)) as unknown as MeteoraConfig;
 
-  // Override baseMint if provided via CLI
+  // Dedicated override flags are shortcuts for --set
+  const overrides: [string, unknown][] = [];
   if (cliArguments.baseMint) {
-    console.log(`> Overriding baseMint from CLI: ${cliArguments.baseMint}`);
-    config.baseMint = cliArguments.baseMint;
+    overrides.push(['baseMint', cliArguments.baseMint]);
   }
-
-  // Override creator if provided via CLI (for DAMM V2 configs)
-  if (cliArguments.creator && 'dammV2Config' in config && config.dammV2Config) {
-    console.log(`> Overriding creator from CLI: ${cliArguments.creator}`);
-    config.dammV2Config.creator = cliArguments.creator;
+  if (cliArguments.poolAddress) {
+    overrides.push(['poolAddress', cliArguments.poolAddress]);
   }
-
-  // Override fee parameters if provided via CLI (for DAMM V2 configs)
+  // Only DAMM V2 configs have a creator and pool fees to override
   if ('dammV2Config' in config && config.dammV2Config) {
+    if (cliArguments.creator) {
+      overrides.push(['dammV2Config.creator', cliArguments.creator]);
+    }
     if (cliArguments.maxBaseFeeBps) {
       const maxBaseFeeBps = parseInt(cliArguments.maxBaseFeeBps);
       if (isNaN(maxBaseFeeBps)) {
         throw new Error(`Invalid maxBaseFeeBps value: ${cliArguments.maxBaseFeeBps}`);
       }
-      console.log(`> Overriding maxBaseFeeBps from CLI: ${maxBaseFeeBps}`);
-      config.dammV2Config.poolFees.maxBaseFeeBps = maxBaseFeeBps;
+      overrides.push(['dammV2Config.poolFees.maxBaseFeeBps', maxBaseFeeBps]);
     }
-    
     if (cliArguments.minBaseFeeBps) {
       const minBaseFeeBps = parseInt(cliArguments.minBaseFeeBps);
       if (isNaN(minBaseFeeBps)) {
         throw new Error(`Invalid minBaseFeeBps value: ${cliArguments.minBaseFeeBps}`);
       }
-      console.log(`> Overriding minBaseFeeBps from CLI: ${minBaseFeeBps}`);
-      config.dammV2Config.poolFees.minBaseFeeBps = minBaseFeeBps;
+      overrides.push(['dammV2Config.poolFees.minBaseFeeBps', minBaseFeeBps]);
     }
   }
+  overrides.push(...(cliArguments.set ?? []).map(parseConfigOverride));
+
+  for (const [keyPath, value] of overrides) {
+    console.log(
+      `> Overriding ${keyPath} from CLI: ${typeof value === 'string' ? value : JSON.stringify(value)}`
+    );
+    setConfigValue(config, keyPath, value);
+  }
 
-  validateConfig(config);
+  if (config.addressBook) {
+    const addressBookPath = path.resolve(process.cwd(), config.addressBook);
+    console.log(`> Using address book: ${addressBookPath}`);
+    useAddressBook(await loadAddressBook(addressBookPath));
+    Object.assign(config, resolveAddressBookReferences(config));
+  }
+
+  const configNetwork = config.network ?? inferNetworkFromRpcUrl(config.rpcUrl);
+  if (cliArguments.network) {
+    console.log(`> Overriding network from CLI: ${cliArguments.network}`);
+  } else if (!config.network) {
+    console.log(`> Inferred network ${configNetwork} from rpcUrl`);
+  }
+  // The RPC of the config file belongs to the network the file was written for
+  const keepConfigRpc =
+    !cliArguments.network ||
+    cliArguments.network === configNetwork ||
+    cliArguments.network === 'custom';
+  const network = getNetworkConfig(cliArguments.network ?? configNetwork, {
+    rpcUrl: keepConfigRpc ? config.rpcUrl : undefined,
+    wsUrl: keepConfigRpc ? config.wsUrl : undefined,
+    programIds: config.programIds,
+  });
+  config.network = network.name;
+  config.rpcUrl = network.rpcUrl;
+  config.wsUrl = network.wsUrl;
+  console.log(`> Using network ${network.name}`);
 
   return config;
 }
 
-export async function getKeypairFromCliOrConfig(config: MeteoraConfig, walletPk?: string): Promise<Keypair> {
-  if (walletPk) {
+/**
+ * Print the summary of an action running on mainnet and ask to type the cluster name before it
+ * sends anything. The genesis hash of the RPC tells mainnet, whatever the network profile, and
+ * fails the action when the RPC is on another cluster than the profile. Dry runs and test clusters
+ * skip the confirmation, so does --yes.
+ * @param config - The validated action config
+ * @param action - The command path of the action
+ * @param cliArguments - The parsed CLI arguments
+ */
+async function confirmMainnetAction(
+  config: MeteoraConfig,
+  action: string,
+  cliArguments: CliArguments
+) {
+  const network = getConfigNetwork(config);
+  const rpcNetwork = await getRpcNetwork(
+    new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL),
+    network
+  );
+  if (rpcNetwork !== 'mainnet' || config.dryRun) {
+    return;
+  }
+  if (cliArguments.yes) {
+    console.log('> Skipping the mainnet confirmation (--yes)');
+    return;
+  }
+
+  await printActionSummary(config, action, network, rpcNetwork);
+  if (!isPromptAllowed() || !process.stdin.isTTY) {
+    throw new Error(
+      `${action} runs on mainnet and needs a confirmation, pass --yes to run it without prompting`
+    );
+  }
+  const answer = await promptForInput(`\nType "mainnet" to run ${action} on mainnet`);
+  if (answer !== 'mainnet') {
+    throw new Error('Mainnet confirmation declined, nothing was sent');
+  }
+}
+
+/**
+ * Load and validate the config of an action from the CLI arguments
+ * @param cliArguments - The parsed CLI arguments
+ * @param action - The command path of the action, selecting the config schema to validate against
+ */
+export async function parseConfigFromCli(
+  cliArguments: CliArguments,
+  action?: string
+): Promise<MeteoraConfig> {
+  const config = await resolveConfigFromCli(cliArguments);
+  validateConfig(config, action ? getActionConfigSchema(action) : undefined);
+  recordHistoryConfig(config, getConfigNetwork(config), cliArguments.config);
+
+  if (cliArguments.exportUnsigned) {
+    if (config.dryRun) {
+      throw new Error('--export-unsigned cannot be used with dryRun');
+    }
+    const conflict = action && getExportUnsignedConflict(action, config);
+    if (conflict) {
+      throw new Error(`--export-unsigned cannot be used with ${action}: ${conflict}`);
+    }
+    config.exportUnsignedDir = path.resolve(process.cwd(), cliArguments.exportUnsigned);
+    console.log(`> Exporting unsigned transactions to ${config.exportUnsignedDir}`);
+  }
+
+  if (action) {
+    await confirmMainnetAction(config, action, cliArguments);
+  }
+
+  return config;
+}
+
+export async function getKeypairFromCliOrConfig(
+  config: MeteoraConfigBase,
+  cliArguments: CliArguments
+): Promise<Keypair> {
+  if (cliArguments.walletAddress) {
+    if (!config.exportUnsignedDir) {
+      throw new Error('--wallet-address can only be used with --export-unsigned');
+    }
+    const walletAddress = new PublicKey(resolveAddressReference(cliArguments.walletAddress));
+    console.log(`> Using offline wallet ${walletAddress}`);
+    return createOfflineKeypair(walletAddress);
+  } else if (cliArguments.walletPk) {
     console.log('> Using wallet private key from CLI argument');
-    return parseKeypairFromPrivateKey(walletPk);
-  } else {
+    return parseKeypairFromPrivateKey(cliArguments.walletPk);
+  } else if (config.keypair) {
+    console.log(`> Using keystore key ${config.keypair}`);
+    return await parseKeypairFromReference(config.keypair);
+  } else if (config.keypairFilePath) {
     console.log(`> Using keypair file path ${config.keypairFilePath}`);
     return await safeParseKeypairFromFile(config.keypairFilePath);
+  } else {
+    throw new Error('Missing keypairFilePath or keypair in configuration');
   }
 }
 
@@ -179,12 +753,18 @@ export async function parseCsv<T>(filePath: string): Promise<Array<T>> {
  * Interactive CLI selection helper that displays options and returns user's choice
  * @param options - Array of display strings for each option
  * @param prompt - The question to ask the user
+ * @param defaultIndex - Index selected when the answer is empty (0-based)
  * @returns Promise that resolves to the selected index (0-based)
  */
 export async function promptForSelection(
   options: string[],
-  prompt: string = 'Please select an option'
+  prompt: string = 'Please select an option',
+  defaultIndex?: number
 ): Promise<number> {
+  if (!isPromptAllowed()) {
+    throw new Error(`Cannot prompt "${prompt}" when running with --json or from the SDK`);
+  }
+
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
@@ -197,8 +777,12 @@ export async function promptForSelection(
     });
 
     const askQuestion = () => {
-      rl.question(`\nEnter your choice (1-${options.length}): `, (answer) => {
-        const choice = parseInt(answer.trim(), 10);
+      const defaultHint = defaultIndex !== undefined ? `, default ${defaultIndex + 1}` : '';
+      rl.question(`\nEnter your choice (1-${options.length}${defaultHint}): `, (answer) => {
+        const choice =
+          answer.trim() === '' && defaultIndex !== undefined
+            ? defaultIndex + 1
+            : parseInt(answer.trim(), 10);
 
         if (isNaN(choice) || choice < 1 || choice > options.length) {
           console.log(`Invalid choice. Please enter a number between 1 and ${options.length}.`);
@@ -214,3 +798,28 @@ export async function promptForSelection(
     askQuestion();
   });
 }
+
+/**
+ * Interactive CLI input helper that asks a question and returns the trimmed answer
+ * @param prompt - The question to ask the user
+ * @param defaultValue - Returned when the answer is empty, shown next to the question
+ * @returns Promise that resolves to the answer
+ */
+export async function promptForInput(prompt: string, defaultValue?: string): Promise<string> {
+  if (!isPromptAllowed()) {
+    throw new Error(`Cannot prompt "${prompt}" when running with --json or from the SDK`);
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    const defaultHint = defaultValue !== undefined ? ` (default ${defaultValue})` : '';
+    rl.question(`${prompt}${defaultHint}: `, (answer) => {
+      rl.close();
+      resolve(answer.trim() || defaultValue || '');
+    });
+  });
+}
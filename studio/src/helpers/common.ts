@@ -2,7 +2,7 @@ import { SOL_TOKEN_DECIMALS } from '../utils/constants';
 import Decimal from 'decimal.js';
 import BN from 'bn.js';
 import { Signer, PublicKey, Connection } from '@solana/web3.js';
-import { getMint } from '@solana/spl-token';
+import { getMint, unpackMint } from '@solana/spl-token';
 import { AllocationByAmount, LockLiquidityAllocation } from '../utils/types';
 import { ActivationType } from '@meteora-ag/dynamic-bonding-curve-sdk';
 
@@ -42,6 +42,20 @@ export async function getQuoteDecimals(
   return SOL_TOKEN_DECIMALS;
 }
 
+/**
+ * Get a mint of either token program
+ * @param connection - The connection to the network
+ * @param mint - The mint address
+ * @param label - The name of the mint in the error when it does not exist
+ */
+export async function getMintWithProgram(connection: Connection, mint: PublicKey, label: string) {
+  const mintAccountInfo = await connection.getAccountInfo(mint, connection.commitment);
+  if (!mintAccountInfo) {
+    throw new Error(`${label} mint account not found: ${mint}`);
+  }
+  return unpackMint(mint, mintAccountInfo, mintAccountInfo.owner);
+}
+
 export function getDecimalizedAmount(amountLamport: BN, decimals: number): BN {
   return amountLamport.div(new BN(10 ** decimals));
 }
@@ -1,350 +1,104 @@
-export const CONFIG_SCHEMA = {
-  type: 'object',
-  properties: {
-    rpcUrl: {
-      type: 'string',
-    },
-    dryRun: {
-      type: 'boolean',
-    },
-    keypairFilePath: {
-      type: 'string',
-    },
-    computeUnitPriceMicroLamports: {
-      type: 'number',
-    },
-    createBaseToken: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        mintBaseTokenAmount: {
-          anyOf: [{ type: 'number' }, { type: 'string' }],
-        },
-        baseDecimals: {
-          type: 'number',
-        },
-      },
-      required: ['mintBaseTokenAmount', 'baseDecimals'],
-      additionalProperties: false,
-    },
-    baseMint: {
-      type: 'string',
-      nullable: true,
-    },
-    quoteSymbol: {
-      type: 'string',
-      nullable: true,
-    },
-    quoteMint: {
-      type: 'string',
-      nullable: true,
-    },
-    dynamicAmm: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        baseAmount: {
-          anyOf: [{ type: 'number' }, { type: 'string' }],
-        },
-        quoteAmount: {
-          anyOf: [{ type: 'number' }, { type: 'string' }],
-        },
-        tradeFeeNumerator: {
-          type: 'number',
-        },
-        activationType: {
-          enum: ['slot', 'timestamp'],
-        },
-        activationPoint: {
-          type: 'number',
-          nullable: true,
-        },
-        hasAlphaVault: {
-          type: 'boolean',
-        },
-      },
-      required: [
-        'baseAmount',
-        'quoteAmount',
-        'tradeFeeNumerator',
-        'activationType',
-        'hasAlphaVault',
-      ],
-      additionalProperties: false,
-    },
-    dynamicAmmV2: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        creator: {
-          type: 'string',
-          nullable: false,
-        },
-        baseAmount: {
-          anyOf: [{ type: 'number' }, { type: 'string' }],
-        },
-        quoteAmount: {
-          anyOf: [{ type: 'number' }, { type: 'string' }, { type: 'null' }],
-        },
-        initPrice: {
-          anyOf: [{ type: 'number' }, { type: 'string' }],
-        },
-        maxPrice: {
-          anyOf: [{ type: 'number' }, { type: 'string' }, { type: 'null' }],
-        },
-        poolFees: {
-          maxBaseFeeBps: {
-            type: 'number',
-          },
-          minBaseFeeBps: {
-            type: 'number',
-          },
-          numberOfPeriod: {
-            type: 'number',
-          },
-          totalDuration: {
-            type: 'number',
-          },
-          feeSchedulerMode: {
-            type: 'number',
-            enum: [0, 1],
-          },
-          useDynamicFee: {
-            type: 'boolean',
-          },
-          dynamicFeeConfig: {
-            type: 'object',
-            nullable: true,
-            properties: {
-              filterPeriod: {
-                type: 'number',
-              },
-              decayPeriod: {
-                type: 'number',
-              },
-              reductionFactor: {
-                type: 'number',
-              },
-              variableFeeControl: {
-                type: 'number',
-              },
-              maxVolatilityAccumulator: {
-                type: 'number',
-              },
-            },
-          },
-        },
-        collectFeeMode: {
-          type: 'number',
-          enum: [0, 1],
-        },
-        activationType: {
-          type: 'string',
-          enum: ['slot', 'timestamp'],
-        },
-        activationPoint: {
-          type: 'number',
-          nullable: true,
-        },
-        hasAlphaVault: {
-          type: 'boolean',
-        },
-      },
-      required: ['activationType', 'hasAlphaVault', 'collectFeeMode', 'poolFees'],
-      additionalProperties: false,
-    },
-    dlmm: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        binStep: {
-          type: 'number',
-        },
-        feeBps: {
-          type: 'number',
-        },
-        initialPrice: {
-          type: 'number',
-        },
-        activationType: {
-          enum: ['slot', 'timestamp'],
-        },
-        activationPoint: {
-          type: 'number',
-          nullable: true,
-        },
-        priceRounding: {
-          enum: ['up', 'down'],
-        },
-        hasAlphaVault: {
-          type: 'boolean',
-        },
-        creatorPoolOnOffControl: {
-          type: 'boolean',
-        },
-      },
-      required: [
-        'binStep',
-        'feeBps',
-        'initialPrice',
-        'activationType',
-        'priceRounding',
-        'hasAlphaVault',
-      ],
-      additionalProperties: false,
-    },
-    alphaVault: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        poolType: {
-          enum: ['dynamic', 'dlmm', 'damm2'],
-        },
-        alphaVaultType: {
-          enum: ['fcfs', 'prorata'],
-        },
-        depositingPoint: { type: 'number' },
-        startVestingPoint: { type: 'number' },
-        endVestingPoint: { type: 'number' },
-        maxDepositCap: { type: 'number', nullable: true },
-        individualDepositingCap: { type: 'number', nullable: true },
-        maxBuyingCap: { type: 'number', nullable: true },
-        escrowFee: { type: 'number' },
-        whitelistMode: {
-          enum: ['permissionless', 'permissioned_with_merkle_proof', 'permissioned_with_authority'],
-        },
-        whitelistFilepath: { type: 'string', nullable: true },
-        chunkSize: { type: 'number', nullable: true },
-        kvProofFilepath: { type: 'string', nullable: true },
-        merkleProofBaseUrl: { type: 'string' },
-        cloudflareKvProofUpload: {
-          type: 'object',
-          nullable: true,
-          properties: {
-            kvNameSpaceId: { type: 'string' },
-            accountId: { type: 'string' },
-            apiKey: { type: 'string' },
-          },
-        },
-      },
-      required: [
-        'poolType',
-        'alphaVaultType',
-        'depositingPoint',
-        'startVestingPoint',
-        'endVestingPoint',
-        'escrowFee',
-        'whitelistMode',
-      ],
-    },
-    lockLiquidity: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        alllocations: {
-          type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              percentage: {
-                type: 'number',
-              },
-              address: {
-                type: 'string',
-              },
-            },
-            required: ['percentage', 'address'],
-          },
-        },
-      },
-      required: ['allocations'],
-    },
-    lfgSeedLiquidity: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        minPrice: {
-          type: 'number',
-        },
-        maxPrice: { type: 'number' },
-        curvature: { type: 'number' },
-        seedAmount: { type: 'string' },
-        operatorKeypairFilepath: { type: 'string' },
-        positionOwner: { type: 'string' },
-        feeOwner: { type: 'string' },
-        lockReleasePoint: { type: 'number' },
-        seedTokenXToPositionOwner: { type: 'boolean' },
-      },
-      required: [
-        'minPrice',
-        'maxPrice',
-        'curvature',
-        'seedAmount',
-        'operatorKeypairFilepath',
-        'positionOwner',
-        'feeOwner',
-        'lockReleasePoint',
-        'seedTokenXToPositionOwner',
-      ],
-    },
-    singleBinSeedLiquidity: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        price: { type: 'number' },
-        priceRounding: { type: 'string' },
-        seedAmount: { type: 'string' },
-        operatorKeypairFilepath: { type: 'string' },
-        positionOwner: { type: 'string' },
-        feeOwner: { type: 'string' },
-        lockReleasePoint: { type: 'number' },
-        seedTokenXToPositionOwner: { type: 'boolean' },
-      },
-      required: [
-        'price',
-        'priceRounding',
-        'seedAmount',
-        'operatorKeypairFilepath',
-        'positionOwner',
-        'feeOwner',
-        'lockReleasePoint',
-        'seedTokenXToPositionOwner',
-      ],
-    },
-    m3m3: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        topListLength: {
-          type: 'number',
-        },
-        unstakeLockDurationSecs: {
-          type: 'number',
-        },
-        secondsToFullUnlock: {
-          type: 'number',
-        },
-        startFeeDistributeTimestamp: {
-          type: 'number',
-        },
-      },
-      required: [
-        'topListLength',
-        'unstakeLockDurationSecs',
-        'secondsToFullUnlock',
-        'startFeeDistributeTimestamp',
-      ],
-    },
-    setDlmmPoolStatus: {
-      type: 'object',
-      nullable: true,
-      properties: {
-        poolAddress: { type: 'string' },
-        enabled: { type: 'boolean' },
-      },
-      required: ['poolAddress', 'enabled'],
-    },
+import CONFIG_SCHEMAS from '../schemas/config.schema.json';
+import { ActionConfigSchema, ConfigType } from '../utils/types';
+
+/**
+ * Get the JSON schema of a config type. The schemas are generated from src/utils/types.ts with
+ * `pnpm generate-schemas`, so they always match the types the actions read.
+ * @param configType - The config type
+ * @param requiredKeys - Keys that must be set to a non null value, on top of the required keys
+ * of the type
+ */
+export function getConfigSchema(configType: ConfigType, requiredKeys: string[] = []) {
+  return {
+    definitions: CONFIG_SCHEMAS.definitions,
+    allOf: [{ $ref: `#/definitions/${configType}` }],
+    required: requiredKeys,
+    properties: Object.fromEntries(requiredKeys.map((key) => [key, { not: { type: 'null' } }])),
+  };
+}
+
+/** Config type of every action reading a config file, and the sections it cannot run without */
+export const ACTION_CONFIG_SCHEMAS: Record<string, ActionConfigSchema> = {
+  'dlmm create-pool': { configType: 'DlmmConfig', requiredConfigKeys: ['quoteMint', 'dlmmConfig'] },
+  'dlmm seed-liquidity-lfg': {
+    configType: 'DlmmConfig',
+    requiredConfigKeys: ['baseMint', 'quoteMint', 'lfgSeedLiquidity'],
   },
-  required: ['rpcUrl', 'dryRun', 'keypairFilePath', 'computeUnitPriceMicroLamports'],
-  additionalProperties: true,
+  'dlmm seed-liquidity-single-bin': {
+    configType: 'DlmmConfig',
+    requiredConfigKeys: ['baseMint', 'quoteMint', 'singleBinSeedLiquidity'],
+  },
+  'dlmm set-pool-status': { configType: 'DlmmConfig', requiredConfigKeys: ['setDlmmPoolStatus'] },
+  'damm-v2 create-balanced-pool': {
+    configType: 'DammV2Config',
+    requiredConfigKeys: ['quoteMint', 'dammV2Config'],
+  },
+  'damm-v2 create-one-sided-pool': {
+    configType: 'DammV2Config',
+    requiredConfigKeys: ['quoteMint', 'dammV2Config'],
+  },
+  'damm-v2 split-position': {
+    configType: 'DammV2Config',
+    requiredConfigKeys: ['poolAddress', 'splitPosition'],
+  },
+  'damm-v2 claim-position-fee': { configType: 'DammV2Config', requiredConfigKeys: [] },
+  'damm-v2 add-liquidity': {
+    configType: 'DammV2Config',
+    requiredConfigKeys: ['poolAddress', 'addLiquidity'],
+  },
+  'damm-v2 remove-liquidity': { configType: 'DammV2Config', requiredConfigKeys: ['poolAddress'] },
+  'damm-v2 close-position': { configType: 'DammV2Config', requiredConfigKeys: ['poolAddress'] },
+  'damm-v1 create-pool': {
+    configType: 'DammV1Config',
+    requiredConfigKeys: ['quoteMint', 'dammV1Config'],
+  },
+  'damm-v1 lock-liquidity': {
+    configType: 'DammV1Config',
+    requiredConfigKeys: ['baseMint', 'quoteMint', 'dammV1LockLiquidity'],
+  },
+  'damm-v1 create-stake2earn-farm': {
+    configType: 'DammV1Config',
+    requiredConfigKeys: ['baseMint', 'quoteMint', 'stake2EarnFarm'],
+  },
+  'damm-v1 lock-liquidity-stake2earn': {
+    configType: 'DammV1Config',
+    requiredConfigKeys: ['baseMint', 'quoteMint', 'dammV1LockLiquidity'],
+  },
+  'dbc create-config': { configType: 'DbcConfig', requiredConfigKeys: ['quoteMint', 'dbcConfig'] },
+  'dbc create-pool': {
+    configType: 'DbcConfig',
+    requiredConfigKeys: ['quoteMint', 'dbcConfig', 'dbcPool'],
+  },
+  'dbc claim-trading-fee': {
+    configType: 'DbcConfig',
+    requiredConfigKeys: ['baseMint', 'quoteMint'],
+  },
+  'dbc migrate-to-damm-v1': {
+    configType: 'DbcConfig',
+    requiredConfigKeys: ['baseMint', 'quoteMint'],
+  },
+  'dbc migrate-to-damm-v2': {
+    configType: 'DbcConfig',
+    requiredConfigKeys: ['baseMint', 'quoteMint'],
+  },
+  'dbc swap': { configType: 'DbcConfig', requiredConfigKeys: ['baseMint', 'quoteMint', 'dbcSwap'] },
+  'alpha-vault create': {
+    configType: 'AlphaVaultConfig',
+    requiredConfigKeys: ['baseMint', 'quoteMint', 'alphaVault'],
+  },
+  'launch-plan run': { configType: 'LaunchPlanConfig', requiredConfigKeys: [] },
 };
+
+/**
+ * Get the config schema of an action
+ * @param action - The command path of the action, e.g. `damm-v2 create-balanced-pool`
+ */
+export function getActionConfigSchema(action: string): ActionConfigSchema {
+  const schema = ACTION_CONFIG_SCHEMAS[action];
+  if (!schema) {
+    throw new Error(
+      `Unknown action "${action}". Actions with a config file: ${Object.keys(ACTION_CONFIG_SCHEMAS).join(', ')}`
+    );
+  }
+  return schema;
+}
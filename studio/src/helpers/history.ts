@@ -0,0 +1,153 @@
+import { createHash, randomBytes } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { DEFAULT_HISTORY_FILE } from '../utils/constants';
+import { HistoryRecord, MeteoraConfig, NetworkConfig } from '../utils/types';
+import { getCliActionOutput } from './output';
+
+// Config addresses recorded with the action, so that actions reusing a pool or mint created
+// earlier are found by `studio history list --pool` and `--mint` too
+const CONFIG_ADDRESS_KEYS = ['baseMint', 'quoteMint', 'poolAddress'] as const;
+
+let historyConfig:
+  | Pick<
+      HistoryRecord,
+      'configPath' | 'configHash' | 'network' | 'cluster' | 'dryRun' | 'addresses'
+    >
+  | undefined;
+
+export function getHistoryFilePath(): string {
+  return path.resolve(process.cwd(), process.env.STUDIO_HISTORY_FILE || DEFAULT_HISTORY_FILE);
+}
+
+/**
+ * Record the config of the CLI action for its history record
+ * @param config - The validated action config
+ * @param network - The network profile of the config
+ * @param configPath - The config file, if the config was loaded from one
+ */
+export function recordHistoryConfig(
+  config: MeteoraConfig,
+  network: NetworkConfig,
+  configPath?: string
+) {
+  const addresses: Record<string, string> = {};
+  for (const key of CONFIG_ADDRESS_KEYS) {
+    const value = (config as unknown as Record<string, unknown>)[key];
+    if (typeof value === 'string' && value) {
+      addresses[key] = value;
+    }
+  }
+
+  historyConfig = {
+    configPath: configPath ? path.resolve(process.cwd(), configPath) : null,
+    configHash: createHash('sha256').update(JSON.stringify(config)).digest('hex'),
+    network: network.name,
+    cluster: network.cluster,
+    dryRun: config.dryRun ?? false,
+    addresses,
+  };
+}
+
+/**
+ * Append the record of the CLI action to the history file. Actions that neither loaded a config
+ * nor sent a transaction, like listing keys, are not recorded. Failing to write the record only
+ * warns, the action has already run.
+ * @param error - The error the action failed with, if any
+ * @returns The appended record, undefined when the action is not recorded
+ */
+export function appendHistoryRecord(error?: unknown): HistoryRecord | undefined {
+  const output = getCliActionOutput(error);
+  if (!output || (!historyConfig && output.signatures.length === 0)) {
+    return undefined;
+  }
+
+  const record: HistoryRecord = {
+    id: randomBytes(4).toString('hex'),
+    timestamp: new Date(performance.timeOrigin).toISOString(),
+    action: output.action,
+    configPath: historyConfig?.configPath ?? null,
+    configHash: historyConfig?.configHash ?? null,
+    network: historyConfig?.network ?? null,
+    cluster: historyConfig?.cluster ?? null,
+    dryRun: historyConfig?.dryRun ?? false,
+    addresses: { ...historyConfig?.addresses, ...output.addresses },
+    signatures: output.signatures,
+    outcome: output.success ? 'success' : 'failed',
+    error: output.error,
+  };
+
+  const filePath = getHistoryFilePath();
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+  } catch (writeError) {
+    console.warn(`WARNING: Failed to write the history record to ${filePath}: ${writeError}`);
+    return undefined;
+  }
+
+  console.log(`\n> Recorded in the history as ${record.id}`);
+  return record;
+}
+
+/**
+ * Load every record of the history file, oldest first
+ */
+export function loadHistoryRecords(): HistoryRecord[] {
+  const filePath = getHistoryFilePath();
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .flatMap((line, i) => {
+      if (!line.trim()) {
+        return [];
+      }
+      try {
+        return [JSON.parse(line) as HistoryRecord];
+      } catch {
+        throw new Error(`Invalid history record on line ${i + 1} of ${filePath}`);
+      }
+    });
+}
+
+function parseHistoryDate(value: string, flag: string, endOfDay: boolean): number {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid --${flag} "${value}", expected a date like "2025-11-01" or ISO-8601`);
+  }
+  // A bare date covers the whole day
+  const isDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return isDay && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Filter history records by the pool or mint addresses they recorded and by date
+ * @param records - The history records
+ * @param filters - The pool and mint addresses, and the --since and --until dates, both inclusive
+ */
+export function filterHistoryRecords(
+  records: HistoryRecord[],
+  filters: { pool?: string; mint?: string; since?: string; until?: string }
+): HistoryRecord[] {
+  const since = filters.since ? parseHistoryDate(filters.since, 'since', false) : -Infinity;
+  const until = filters.until ? parseHistoryDate(filters.until, 'until', true) : Infinity;
+  const hasAddress = (record: HistoryRecord, pattern: RegExp, address: string) =>
+    Object.entries(record.addresses).some(
+      ([name, value]) => pattern.test(name) && value === address
+    );
+
+  return records.filter((record) => {
+    const time = Date.parse(record.timestamp);
+    return (
+      time >= since &&
+      time <= until &&
+      (!filters.pool || hasAddress(record, /pool/i, filters.pool)) &&
+      (!filters.mint || hasAddress(record, /mint/i, filters.mint))
+    );
+  });
+}
@@ -1,8 +1,21 @@
 export * from './cli';
 export * from './common';
+export * from './time';
 export * from './config';
 export * from './token';
 export * from './utils';
 export * from './validation';
 export * from './transaction';
 export * from './accounts';
+export * from './journal';
+export * from './bundle';
+export * from './offline';
+export * from './multisig';
+export * from './report';
+export * from './output';
+export * from './signer';
+export * from './keystore';
+export * from './address_book';
+export * from './preflight';
+export * from './summary';
+export * from './history';
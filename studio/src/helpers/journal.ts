@@ -0,0 +1,210 @@
+import { Connection, Keypair, TransactionInstruction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ExecutionJournal, ExecutionJournalStep } from '../utils/types';
+import { DEFAULT_JOURNAL_DIR, DEFAULT_REBROADCAST_INTERVAL_MS } from '../utils/constants';
+
+function saveExecutionJournal(journal: ExecutionJournal) {
+  const { filePath, ...content } = journal;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // The context can hold generated keypairs, keep the journal readable by its owner only
+  fs.writeFileSync(filePath, JSON.stringify(content, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Get a journaled step by id
+ * @param journal - The execution journal
+ * @param stepId - The journal step id
+ */
+export function getJournalStep(
+  journal: ExecutionJournal,
+  stepId: string
+): ExecutionJournalStep | undefined {
+  return journal.steps.find((step) => step.id === stepId);
+}
+
+/**
+ * Insert or replace a step in the journal and write it to disk
+ * @param journal - The execution journal
+ * @param step - The step to record
+ */
+export function recordJournalStep(
+  journal: ExecutionJournal,
+  step: Omit<ExecutionJournalStep, 'updatedAt'>
+) {
+  const entry = { ...step, updatedAt: new Date().toISOString() };
+  const index = journal.steps.findIndex((s) => s.id === step.id);
+  if (index === -1) {
+    journal.steps.push(entry);
+  } else {
+    journal.steps[index] = entry;
+  }
+  saveExecutionJournal(journal);
+}
+
+/**
+ * Add values to the context of the journal and write it to disk
+ * @param journal - The execution journal
+ * @param values - Values that must be reused when resuming
+ */
+export function setJournalContext(journal: ExecutionJournal, values: Record<string, any>) {
+  Object.assign(journal.context, values);
+  saveExecutionJournal(journal);
+}
+
+/**
+ * Get a keypair generated by an earlier run of the journal, or generate it and journal it so a
+ * resumed run signs for the same account
+ * @param journal - The execution journal, undefined to only generate the keypair
+ * @param name - The context key of the keypair
+ */
+export function getJournalKeypair(journal: ExecutionJournal | undefined, name: string): Keypair {
+  if (!journal) {
+    return Keypair.generate();
+  }
+  if (!journal.context[name]) {
+    setJournalContext(journal, { [name]: bs58.encode(Keypair.generate().secretKey) });
+  }
+  return Keypair.fromSecretKey(bs58.decode(journal.context[name]));
+}
+
+/**
+ * Create a new execution journal file for a multi-transaction action
+ * @param action - The studio command writing the journal
+ * @param context - Values that must be reused when resuming (e.g. generated keypairs)
+ */
+export function createExecutionJournal(
+  action: string,
+  context: Record<string, any> = {}
+): ExecutionJournal {
+  const fileName = `${action.replace(/\s+/g, '-')}-${Date.now()}.json`;
+  const journal: ExecutionJournal = {
+    filePath: path.resolve(process.cwd(), DEFAULT_JOURNAL_DIR, fileName),
+    action,
+    createdAt: new Date().toISOString(),
+    context,
+    steps: [],
+  };
+  saveExecutionJournal(journal);
+
+  console.log(`> Writing execution journal to ${journal.filePath}`);
+  console.log(`- Resume with --resume ${journal.filePath} if the action fails midway`);
+
+  return journal;
+}
+
+/**
+ * Mark the journaled steps whose transaction landed as confirmed and the ones that can no longer
+ * land as failed
+ * @param connection - The connection to the cluster
+ * @param steps - The journaled steps with a signature
+ * @returns The steps that may still land: processed, or not found with a valid blockhash
+ */
+async function verifyJournaledSteps(
+  connection: Connection,
+  steps: ExecutionJournalStep[]
+): Promise<ExecutionJournalStep[]> {
+  const blockHeight = await connection.getBlockHeight(connection.commitment);
+  const pendingSteps: ExecutionJournalStep[] = [];
+
+  // getSignatureStatuses accepts at most 256 signatures per request
+  for (let i = 0; i < steps.length; i += 256) {
+    const chunk = steps.slice(i, i + 256);
+    const { value: statuses } = await connection.getSignatureStatuses(
+      chunk.map((step) => step.signature!),
+      { searchTransactionHistory: true }
+    );
+
+    chunk.forEach((step, index) => {
+      const status = statuses[index];
+      if (status?.err) {
+        step.status = 'failed';
+        step.error = JSON.stringify(status.err);
+      } else if (
+        status?.confirmationStatus === 'confirmed' ||
+        status?.confirmationStatus === 'finalized'
+      ) {
+        step.status = 'confirmed';
+      } else if (
+        status ||
+        (step.lastValidBlockHeight && step.lastValidBlockHeight >= blockHeight)
+      ) {
+        // A processed transaction can still be confirmed, and one not found yet can still land
+        pendingSteps.push(step);
+      } else {
+        step.status = 'failed';
+        step.error = 'transaction not found on-chain';
+      }
+    });
+  }
+
+  return pendingSteps;
+}
+
+/**
+ * Load a journal and verify every journaled signature on-chain. Steps whose transaction may still
+ * land are waited for until they confirm or their blockhash expires, steps whose transaction did
+ * not land are marked as failed so they are retried.
+ * @param connection - The connection to the cluster
+ * @param filePath - The journal file to resume
+ * @param action - The studio command resuming the journal
+ */
+export async function resumeExecutionJournal(
+  connection: Connection,
+  filePath: string,
+  action: string
+): Promise<ExecutionJournal> {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Execution journal not found: ${resolvedPath}`);
+  }
+
+  const journal: ExecutionJournal = {
+    ...JSON.parse(fs.readFileSync(resolvedPath, 'utf-8')),
+    filePath: resolvedPath,
+  };
+  if (journal.action !== action) {
+    throw new Error(
+      `Execution journal ${resolvedPath} was written by ${journal.action}, not ${action}`
+    );
+  }
+
+  console.log(`> Resuming execution journal ${resolvedPath}`);
+
+  let pendingSteps = journal.steps.filter((step) => step.signature);
+  while (pendingSteps.length > 0) {
+    pendingSteps = await verifyJournaledSteps(connection, pendingSteps);
+    if (pendingSteps.length > 0) {
+      console.log(`- Waiting for ${pendingSteps.length} step(s) that may still land...`);
+      await new Promise((resolve) => setTimeout(resolve, DEFAULT_REBROADCAST_INTERVAL_MS));
+    }
+  }
+  saveExecutionJournal(journal);
+
+  const confirmed = journal.steps.filter((step) => step.status === 'confirmed').length;
+  console.log(`- Verified ${confirmed} confirmed step(s) on-chain`);
+  console.log(`- ${journal.steps.length - confirmed} journaled step(s) will be retried`);
+
+  return journal;
+}
+
+/**
+ * Derive a stable step id from the instructions of a transaction, so a resumed run matches steps
+ * even when the SDK skips accounts that already exist
+ * @param label - The step label
+ * @param instructions - The instructions of the step
+ */
+export function getInstructionsStepId(label: string, instructions: TransactionInstruction[]) {
+  const hash = createHash('sha256');
+  for (const ix of instructions) {
+    hash.update(ix.programId.toBuffer());
+    for (const key of ix.keys) {
+      hash.update(key.pubkey.toBuffer());
+      hash.update(Uint8Array.of(Number(key.isSigner), Number(key.isWritable)));
+    }
+    hash.update(ix.data);
+  }
+  return `${label.replace(/\s+/g, '-')}-${hash.digest('hex').slice(0, 16)}`;
+}
@@ -0,0 +1,267 @@
+import { Keypair } from '@solana/web3.js';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import * as readline from 'readline';
+import { Writable } from 'stream';
+import { KeystoreFile } from '../utils/types';
+import { DEFAULT_KEYSTORE_DIR } from '../utils/constants';
+import { isPromptAllowed } from './output';
+import { safeParseKeypairFromFile } from './utils';
+
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_PASSPHRASE_ENV = 'STUDIO_KEYSTORE_PASSPHRASE';
+const KEY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SCRYPT_PARAMS = { n: 2 ** 17, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 32;
+const KEYSTORE_PASSPHRASE_ATTEMPTS = 3;
+
+// Passphrases that decrypted a key of this run, tried first on the next keys so a plan signing with
+// several keys of the same passphrase prompts once
+const cachedPassphrases = new Set<string>();
+
+/**
+ * Get the keystore directory, `STUDIO_KEYSTORE_DIR` or ./keystore
+ */
+export function getKeystoreDir(): string {
+  return path.resolve(process.cwd(), process.env.STUDIO_KEYSTORE_DIR || DEFAULT_KEYSTORE_DIR);
+}
+
+function getKeystoreFilePath(name: string): string {
+  if (!KEY_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid key name "${name}", use letters, digits, dashes and underscores only`);
+  }
+  return path.join(getKeystoreDir(), `${name}.json`);
+}
+
+function deriveKey(passphrase: string, kdfParams: KeystoreFile['crypto']['kdfParams']): Buffer {
+  const { n, r, p, salt } = kdfParams;
+  return scryptSync(passphrase, Buffer.from(salt, 'hex'), SCRYPT_KEY_LENGTH, {
+    N: n,
+    r,
+    p,
+    maxmem: 256 * n * r,
+  });
+}
+
+async function promptForPassphrase(prompt: string): Promise<string> {
+  if (!isPromptAllowed()) {
+    throw new Error(
+      `Cannot prompt for the keystore passphrase when running with --json or from the SDK, set ${KEYSTORE_PASSPHRASE_ENV} instead`
+    );
+  }
+
+  // Echo the prompt but not the typed passphrase
+  let muted = false;
+  const output = new Writable({
+    write: (chunk, encoding, callback) => {
+      if (!muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    },
+  });
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: process.stdin.isTTY,
+    });
+
+    process.stdout.write(`${prompt}: `);
+    muted = true;
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Get the keystore passphrase from `STUDIO_KEYSTORE_PASSPHRASE`, or prompt for it
+ * @param opts - Ask twice for a new passphrase, to catch typos before encrypting with it, and the
+ * name of the key the passphrase is asked for
+ */
+export async function getKeystorePassphrase(opts?: {
+  confirm?: boolean;
+  name?: string;
+}): Promise<string> {
+  const envPassphrase = process.env[KEYSTORE_PASSPHRASE_ENV];
+  if (envPassphrase) {
+    return envPassphrase;
+  }
+
+  const passphrase = await promptForPassphrase(
+    opts?.name ? `Keystore passphrase of @${opts.name}` : 'Keystore passphrase'
+  );
+  if (!passphrase) {
+    throw new Error('The keystore passphrase cannot be empty');
+  }
+  if (opts?.confirm && (await promptForPassphrase('Confirm passphrase')) !== passphrase) {
+    throw new Error('The passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Encrypt a keypair with a passphrase, using a scrypt derived key and AES-256-GCM. The public key
+ * is authenticated with the secret key, so a tampered file fails to decrypt.
+ * @param keypair - The keypair to encrypt
+ * @param name - The name of the key
+ * @param passphrase - The passphrase
+ * @param scryptParams - The scrypt cost, stored in the file for decrypting
+ */
+export function encryptKeypair(
+  keypair: Keypair,
+  name: string,
+  passphrase: string,
+  scryptParams = SCRYPT_PARAMS
+): KeystoreFile {
+  const kdfParams = { ...scryptParams, salt: randomBytes(32).toString('hex') };
+  const iv = randomBytes(12);
+  const publicKey = keypair.publicKey.toBase58();
+
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(passphrase, kdfParams), iv);
+  cipher.setAAD(Buffer.from(publicKey));
+  const ciphertext = Buffer.concat([cipher.update(keypair.secretKey), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    name,
+    publicKey,
+    createdAt: new Date().toISOString(),
+    crypto: {
+      kdf: 'scrypt',
+      kdfParams,
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    },
+  };
+}
+
+function checkKeystoreVersion(file: KeystoreFile) {
+  if (file.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version ${file.version} for key "${file.name}"`);
+  }
+}
+
+/**
+ * Decrypt a keystore file
+ * @param file - The keystore file
+ * @param passphrase - The passphrase the key was encrypted with
+ */
+export function decryptKeypair(file: KeystoreFile, passphrase: string): Keypair {
+  checkKeystoreVersion(file);
+
+  const { kdfParams, iv, authTag, ciphertext } = file.crypto;
+  const decipher = createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(passphrase, kdfParams),
+    Buffer.from(iv, 'hex')
+  );
+  decipher.setAAD(Buffer.from(file.publicKey));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+  let secretKey: Buffer;
+  try {
+    secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+  } catch {
+    throw new Error(`Wrong passphrase for key "${file.name}", or the keystore file is corrupted`);
+  }
+  return Keypair.fromSecretKey(secretKey);
+}
+
+function readKeystoreFile(name: string): KeystoreFile {
+  const filePath = getKeystoreFilePath(name);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Key "${name}" not found in the keystore ${getKeystoreDir()}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Encrypt a keypair and add it to the keystore, without replacing an existing key
+ * @param name - The name of the key
+ * @param keypair - The keypair to store
+ * @param passphrase - The passphrase to encrypt it with
+ * @returns The keystore file path
+ */
+export function saveKeystoreKey(name: string, keypair: Keypair, passphrase: string): string {
+  const filePath = getKeystoreFilePath(name);
+  if (fs.existsSync(filePath)) {
+    throw new Error(`Key "${name}" already exists in the keystore ${getKeystoreDir()}`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, JSON.stringify(encryptKeypair(keypair, name, passphrase), null, 2), {
+    mode: 0o600,
+  });
+  return filePath;
+}
+
+/**
+ * List the keys of the keystore, sorted by name
+ */
+export function listKeystoreKeys(): Pick<KeystoreFile, 'name' | 'publicKey' | 'createdAt'>[] {
+  const dir = getKeystoreDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((fileName) => fileName.endsWith('.json'))
+    .map((fileName) => readKeystoreFile(path.basename(fileName, '.json')))
+    .map(({ name, publicKey, createdAt }) => ({ name, publicKey, createdAt }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Decrypt a key of the keystore, with the passphrase of `STUDIO_KEYSTORE_PASSPHRASE`, a passphrase
+ * that decrypted another key of this run, or a prompt asking again after a wrong passphrase
+ * @param name - The name of the key
+ */
+export async function loadKeystoreKey(name: string): Promise<Keypair> {
+  const file = readKeystoreFile(name);
+  checkKeystoreVersion(file);
+  if (process.env[KEYSTORE_PASSPHRASE_ENV]) {
+    return decryptKeypair(file, await getKeystorePassphrase());
+  }
+
+  for (const passphrase of cachedPassphrases) {
+    try {
+      return decryptKeypair(file, passphrase);
+    } catch {
+      // The key is encrypted with another passphrase
+    }
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const passphrase = await getKeystorePassphrase({ name });
+    try {
+      const keypair = decryptKeypair(file, passphrase);
+      cachedPassphrases.add(passphrase);
+      return keypair;
+    } catch (error) {
+      if (attempt >= KEYSTORE_PASSPHRASE_ATTEMPTS) {
+        throw error;
+      }
+      console.warn(`WARNING: Wrong passphrase for key "${name}", try again`);
+    }
+  }
+}
+
+/**
+ * Load a keypair from a keystore reference like "@treasury", or from a keypair file
+ * @param reference - The keystore reference or the keypair file path
+ */
+export async function parseKeypairFromReference(reference: string): Promise<Keypair> {
+  if (reference.startsWith('@')) {
+    return await loadKeystoreKey(reference.slice(1));
+  }
+  return await safeParseKeypairFromFile(reference);
+}
@@ -0,0 +1,136 @@
+import {
+  ComputeBudgetProgram,
+  Connection,
+  Keypair,
+  PublicKey,
+  Transaction,
+  TransactionMessage,
+} from '@solana/web3.js';
+import * as multisig from '@sqds/multisig';
+import bs58 from 'bs58';
+import { ExecutionJournal, MeteoraConfigBase, TransactionResult } from '../utils/types';
+import { applyComputeUnitPrice, executeTransaction, runSimulateTransaction } from './transaction';
+import { recordOutputAddress } from './output';
+
+function getMultisigVault(config: MeteoraConfigBase): {
+  multisigPda: PublicKey;
+  vaultIndex: number;
+  vaultPda: PublicKey;
+} {
+  const multisigPda = new PublicKey(config.multisig!.address);
+  const vaultIndex = config.multisig!.vaultIndex ?? 0;
+  const [vaultPda] = multisig.getVaultPda({ multisigPda, index: vaultIndex });
+  return { multisigPda, vaultIndex, vaultPda };
+}
+
+/**
+ * Get the authority of an action: the Squads vault when a multisig is configured, the wallet
+ * otherwise
+ * @param config - The action config
+ * @param wallet - The public key of the wallet running the action
+ */
+export function getActionAuthority(config: MeteoraConfigBase, wallet: PublicKey): PublicKey {
+  if (!config.multisig) {
+    return wallet;
+  }
+  return getMultisigVault(config).vaultPda;
+}
+
+/**
+ * Wrap the instructions of transactions authorized by a Squads vault into a single vault
+ * transaction. Depending on `multisig.output`, a proposal is created with the wallet as the
+ * proposing member, or the base58 transaction message is printed to import it into Squads.
+ * @param connection - The connection to the cluster
+ * @param member - The multisig member creating the proposal, also the fee payer
+ * @param txs - The transactions to wrap, built with the vault as authority and payer
+ * @param config - The action config
+ * @param memo - The memo of the vault transaction
+ * @param journal - The execution journal of the action, journaling the proposal transaction
+ * @returns The proposal transaction result, empty when dry running or printing the message
+ */
+export async function submitMultisigTransaction(
+  connection: Connection,
+  member: Keypair,
+  txs: Transaction[],
+  config: MeteoraConfigBase,
+  memo?: string,
+  journal?: ExecutionJournal
+): Promise<TransactionResult[]> {
+  const { multisigPda, vaultIndex, vaultPda } = getMultisigVault(config);
+
+  // Compute budget instructions are not allowed inside a vault transaction
+  const instructions = txs
+    .flatMap((tx) => tx.instructions)
+    .filter((ix) => !ix.programId.equals(ComputeBudgetProgram.programId));
+  const { blockhash } = await connection.getLatestBlockhash(connection.commitment);
+  const transactionMessage = new TransactionMessage({
+    payerKey: vaultPda,
+    recentBlockhash: blockhash,
+    instructions,
+  });
+
+  if (config.multisig!.output === 'message') {
+    console.log(`\n> Import this transaction message into Squads for vault ${vaultPda}:`);
+    console.log(bs58.encode(transactionMessage.compileToLegacyMessage().serialize()));
+    return [];
+  }
+
+  const multisigAccount = await multisig.accounts.Multisig.fromAccountAddress(
+    connection,
+    multisigPda
+  );
+  const isMember = multisigAccount.members.some(
+    (m) =>
+      m.key.equals(member.publicKey) &&
+      multisig.types.Permissions.has(m.permissions, multisig.types.Permission.Initiate)
+  );
+  if (!isMember) {
+    throw new Error(
+      `${member.publicKey} is not a member of multisig ${multisigPda} with the initiate permission`
+    );
+  }
+
+  const transactionIndex = BigInt(multisigAccount.transactionIndex.toString()) + 1n;
+  const proposalTx = new Transaction().add(
+    multisig.instructions.vaultTransactionCreate({
+      multisigPda,
+      transactionIndex,
+      creator: member.publicKey,
+      vaultIndex,
+      ephemeralSigners: 0,
+      transactionMessage,
+      memo,
+    }),
+    multisig.instructions.proposalCreate({
+      multisigPda,
+      transactionIndex,
+      creator: member.publicKey,
+    })
+  );
+  proposalTx.feePayer = member.publicKey;
+  await applyComputeUnitPrice(connection, proposalTx, config);
+
+  if (config.dryRun) {
+    console.log(`\n> Simulating multisig proposal #${transactionIndex} transaction...`);
+    await runSimulateTransaction(
+      connection,
+      member.publicKey,
+      [proposalTx],
+      `multisig proposal #${transactionIndex} transaction`
+    );
+    console.log('> Multisig proposal simulation successful');
+    return [];
+  }
+
+  console.log(`\n>> Sending multisig proposal #${transactionIndex} transaction...`);
+  const result = await executeTransaction(connection, proposalTx, [member], {
+    txConfig: config,
+    journal,
+    journalStepId: 'multisig-proposal',
+  });
+  const [proposalPda] = multisig.getProposalPda({ multisigPda, transactionIndex });
+  recordOutputAddress('proposal', proposalPda);
+  console.log(`>>> Proposal ${proposalPda} created successfully with tx hash: ${result.signature}`);
+
+  return [result];
+}
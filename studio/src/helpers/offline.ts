@@ -0,0 +1,238 @@
+import { Keypair, PublicKey, Signer, Transaction, VersionedTransaction } from '@solana/web3.js';
+import fs from 'fs';
+import path from 'path';
+import {
+  AlphaVaultConfig,
+  DammV1Config,
+  DammV2Config,
+  DbcConfig,
+  DlmmConfig,
+  ExportedTransaction,
+  MeteoraConfig,
+  WhitelistModeConfig,
+} from '../utils/types';
+
+/**
+ * Create a keypair standing in for a wallet whose private key is kept offline. Only its public key
+ * is usable, transactions are exported for it to sign instead of being signed with it.
+ * @param publicKey - The public key of the offline wallet
+ */
+export function createOfflineKeypair(publicKey: PublicKey): Keypair {
+  const secretKey = new Uint8Array(64);
+  secretKey.set(publicKey.toBytes(), 32);
+  return Keypair.fromSecretKey(secretKey, { skipValidation: true });
+}
+
+/**
+ * Check whether a signer was created by createOfflineKeypair
+ * @param signer - The signer to check
+ */
+export function isOfflineSigner(signer: Signer): boolean {
+  return signer.secretKey.subarray(0, 32).every((byte) => byte === 0);
+}
+
+/**
+ * Find why an action cannot export its transactions: a later step that reads on-chain state created
+ * by an earlier one would read it before the exported transactions are broadcast. Actions whose
+ * later steps always do so do not offer --export-unsigned at all.
+ * @param action - The action name, e.g. "dbc create-pool"
+ * @param config - The config of the action
+ * @returns The reason, undefined if the action can be exported
+ */
+export function getExportUnsignedConflict(
+  action: string,
+  config: MeteoraConfig
+): string | undefined {
+  switch (action) {
+    case 'dlmm create-pool':
+    case 'damm-v1 create-pool':
+    case 'damm-v2 create-balanced-pool':
+    case 'damm-v2 create-one-sided-pool': {
+      const poolConfig =
+        (config as DlmmConfig).dlmmConfig ??
+        (config as DammV1Config).dammV1Config ??
+        (config as DammV2Config).dammV2Config;
+      if ((config as DlmmConfig | DammV1Config | DammV2Config).createBaseToken) {
+        return 'the pool reads the base token mint created by createBaseToken. Create the token first and set baseMint';
+      }
+      if (poolConfig?.hasAlphaVault && (config as DlmmConfig).alphaVault) {
+        return 'the alpha vault reads the pool created before it. Export the pool without alphaVault, then run alpha-vault create once the pool exists';
+      }
+      return undefined;
+    }
+    case 'dbc create-pool':
+      if (!(config as DbcConfig).dbcConfigAddress) {
+        return 'the pool reads the DBC config created before it. Create the config with dbc create-config first and set dbcConfigAddress';
+      }
+      return undefined;
+    case 'alpha-vault create': {
+      const whitelistMode = (config as AlphaVaultConfig).alphaVault?.whitelistMode;
+      if (whitelistMode && whitelistMode !== WhitelistModeConfig.Permissionless) {
+        return 'the escrows or merkle root configs of the whitelist read the alpha vault created before them';
+      }
+      return undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function getMissingSigners(tx: Transaction | VersionedTransaction): string[] {
+  if ('version' in tx) {
+    return tx.message.staticAccountKeys
+      .slice(0, tx.message.header.numRequiredSignatures)
+      .filter((_, i) => tx.signatures[i]!.every((byte) => byte === 0))
+      .map((key) => key.toBase58());
+  }
+  return tx.signatures.filter((s) => !s.signature).map((s) => s.publicKey.toBase58());
+}
+
+function serializeTransaction(tx: Transaction | VersionedTransaction): string {
+  const serialized =
+    'version' in tx
+      ? tx.serialize()
+      : tx.serialize({ requireAllSignatures: false, verifySignatures: false });
+  return Buffer.from(serialized).toString('base64');
+}
+
+/**
+ * Deserialize the transaction of an exported transaction file
+ * @param exported - The exported transaction
+ */
+export function deserializeExportedTransaction(
+  exported: ExportedTransaction
+): Transaction | VersionedTransaction {
+  const serialized = Buffer.from(exported.transaction, 'base64');
+  return exported.versioned
+    ? VersionedTransaction.deserialize(serialized)
+    : Transaction.from(serialized);
+}
+
+/**
+ * Read the exported transactions of a directory, in export order
+ * @param dir - The export directory
+ */
+export function readExportedTransactions(
+  dir: string
+): { filePath: string; exported: ExportedTransaction }[] {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Export directory not found: ${dir}`);
+  }
+  // File names sort lexically only up to their zero padding, the index keeps the export order
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => {
+      const filePath = path.join(dir, file);
+      return {
+        filePath,
+        exported: JSON.parse(fs.readFileSync(filePath, 'utf-8')) as ExportedTransaction,
+      };
+    })
+    .sort((a, b) => a.exported.index - b.exported.index);
+}
+
+/**
+ * Write an exported transaction file
+ * @param filePath - The file to write
+ * @param exported - The exported transaction
+ */
+export function saveExportedTransaction(filePath: string, exported: ExportedTransaction) {
+  fs.writeFileSync(filePath, JSON.stringify(exported, null, 2));
+}
+
+/**
+ * Export a partially signed transaction to the next numbered file of a directory
+ * @param dir - The export directory
+ * @param tx - The transaction, signed by every signer available on this machine
+ * @param opts - Description, and the nonce account or last valid block height of the transaction
+ * @returns The path of the written file
+ */
+export function exportTransaction(
+  dir: string,
+  tx: Transaction | VersionedTransaction,
+  opts: {
+    description: string;
+    nonceAccount?: PublicKey;
+    lastValidBlockHeight?: number;
+  }
+): string {
+  fs.mkdirSync(dir, { recursive: true });
+  const index = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).length;
+  const fileName = `${String(index).padStart(3, '0')}-${opts.description.replace(/[^\w-]+/g, '-')}.json`;
+  const filePath = path.join(dir, fileName);
+
+  saveExportedTransaction(filePath, {
+    index,
+    description: opts.description,
+    transaction: serializeTransaction(tx),
+    versioned: 'version' in tx,
+    nonceAccount: opts.nonceAccount?.toBase58(),
+    lastValidBlockHeight: opts.lastValidBlockHeight,
+    missingSigners: getMissingSigners(tx),
+  });
+  return filePath;
+}
+
+/**
+ * Pick the first configured nonce account not already used by a transaction of the directory,
+ * since every durable nonce transaction advances its nonce
+ * @param dir - The export directory
+ * @param nonceAccounts - The configured nonce accounts
+ * @returns The nonce account, undefined if no nonce accounts are configured
+ */
+export function getNextNonceAccount(
+  dir: string,
+  nonceAccounts: string[] = []
+): PublicKey | undefined {
+  if (nonceAccounts.length === 0) {
+    return undefined;
+  }
+
+  const used = new Set(
+    fs.existsSync(dir)
+      ? readExportedTransactions(dir).map(({ exported }) => exported.nonceAccount)
+      : []
+  );
+  const nonceAccount = nonceAccounts.find((account) => !used.has(account));
+  if (!nonceAccount) {
+    throw new Error(
+      `All ${nonceAccounts.length} nonceAccounts are used by the transactions in ${dir}, one nonce account is needed per transaction`
+    );
+  }
+  return new PublicKey(nonceAccount);
+}
+
+/**
+ * Sign every exported transaction of a directory that is missing the signature of a keypair
+ * @param dir - The export directory
+ * @param keypair - The keypair to sign with
+ * @returns The number of signed transactions
+ */
+export function signExportedTransactions(dir: string, keypair: Keypair): number {
+  const signer = keypair.publicKey.toBase58();
+  let signed = 0;
+
+  for (const { filePath, exported } of readExportedTransactions(dir)) {
+    if (!exported.missingSigners.includes(signer)) {
+      continue;
+    }
+
+    const tx = deserializeExportedTransaction(exported);
+    if ('version' in tx) {
+      tx.sign([keypair]);
+    } else {
+      tx.partialSign(keypair);
+    }
+
+    saveExportedTransaction(filePath, {
+      ...exported,
+      transaction: serializeTransaction(tx),
+      missingSigners: getMissingSigners(tx),
+    });
+    console.log(`>>> Signed ${path.basename(filePath)}`);
+    signed++;
+  }
+
+  return signed;
+}
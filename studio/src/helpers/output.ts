@@ -0,0 +1,173 @@
+import { PublicKey } from '@solana/web3.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { ActionOutput } from '../utils/types';
+
+interface OutputScope {
+  addresses: Record<string, string>;
+  signatures: string[];
+  addressPrefix: string;
+  /** Silence the console while the scope is active */
+  quiet: boolean;
+}
+
+// Operations started through collectActionOutput each record into their own scope, so concurrent
+// SDK calls do not mix their signatures. The CLI scope covers the whole CLI process.
+const outputScopes = new AsyncLocalStorage<OutputScope>();
+let cliOutput: { action: string; scope: OutputScope; json: boolean } | undefined;
+let consoleWrapped = false;
+let addressLabels: { pattern: RegExp; names: Map<string, string> } | undefined;
+
+function createOutputScope(quiet: boolean): OutputScope {
+  return { addresses: {}, signatures: [], addressPrefix: '', quiet };
+}
+
+function getOutputScope(): OutputScope | undefined {
+  return outputScopes.getStore() ?? cliOutput?.scope;
+}
+
+function labelAddresses(arg: unknown): unknown {
+  if (!addressLabels) {
+    return arg;
+  }
+  const text = arg instanceof PublicKey ? arg.toBase58() : arg;
+  if (typeof text !== 'string') {
+    return arg;
+  }
+  const { pattern, names } = addressLabels;
+  return text.replace(pattern, (address) => `${names.get(address)} (${address})`);
+}
+
+function wrapConsole() {
+  if (consoleWrapped) {
+    return;
+  }
+  consoleWrapped = true;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug', 'table'] as const) {
+    const original = console[method].bind(console) as (...args: unknown[]) => void;
+    console[method] = (...args: unknown[]) => {
+      if (!getOutputScope()?.quiet) {
+        original(...args.map(labelAddresses));
+      }
+    };
+  }
+}
+
+/**
+ * Print the labelled addresses with their name in every log line, e.g. "treasury (<address>)"
+ * @param labels - The names keyed by base58 address
+ */
+export function setOutputAddressLabels(labels: Map<string, string>) {
+  addressLabels =
+    labels.size > 0
+      ? { pattern: new RegExp(`\\b(${[...labels.keys()].join('|')})\\b`, 'g'), names: labels }
+      : undefined;
+  wrapConsole();
+}
+
+/**
+ * Start collecting the addresses and signatures recorded by the CLI action, for its history record
+ * and its JSON output. With JSON output, human logs are silenced and the collected output is
+ * printed as a single JSON document by printActionOutput
+ * @param action - The action being run, e.g. "damm-v2 create-balanced-pool"
+ * @param opts - Whether to switch the process to JSON output
+ */
+export function startCliOutput(action: string, opts?: { json?: boolean }) {
+  const json = opts?.json ?? false;
+  cliOutput = { action, scope: createOutputScope(json), json };
+  wrapConsole();
+}
+
+export function isJsonOutput(): boolean {
+  return cliOutput?.json ?? false;
+}
+
+/**
+ * Whether interactive prompts are allowed, which they are not with --json or from the SDK
+ */
+export function isPromptAllowed(): boolean {
+  return outputScopes.getStore() === undefined && !isJsonOutput();
+}
+
+/**
+ * Run an operation while collecting the addresses and signatures it records, separately from
+ * any operation running concurrently
+ * @param fn - The operation
+ * @param opts - Whether the operation may log to the console, silenced by default
+ * @returns The result of the operation with the recorded addresses and signatures
+ */
+export async function collectActionOutput<T>(
+  fn: () => Promise<T>,
+  opts?: {
+    verbose?: boolean;
+  }
+): Promise<{ result: T; addresses: Record<string, string>; signatures: string[] }> {
+  wrapConsole();
+  const scope = createOutputScope(!opts?.verbose);
+  const result = await outputScopes.run(scope, fn);
+  return { result, addresses: scope.addresses, signatures: scope.signatures };
+}
+
+/**
+ * Prefix the names of the addresses recorded next, e.g. with the launch plan step id
+ * @param prefix - The prefix, or undefined to stop prefixing
+ */
+export function setOutputAddressPrefix(prefix?: string) {
+  const scope = getOutputScope();
+  if (scope) {
+    scope.addressPrefix = prefix ? `${prefix}.` : '';
+  }
+}
+
+/**
+ * Record an address created or used by the action for the JSON output
+ * @param name - The name of the address, e.g. "pool", "position" or "alphaVault"
+ * @param address - The address
+ */
+export function recordOutputAddress(name: string, address: PublicKey | string) {
+  const scope = getOutputScope();
+  if (scope) {
+    scope.addresses[`${scope.addressPrefix}${name}`] = address.toString();
+  }
+}
+
+/**
+ * Record the signature of a landed transaction for the JSON output
+ * @param signature - The transaction signature
+ */
+export function recordOutputSignature(signature: string) {
+  const scope = getOutputScope();
+  if (scope && signature && !scope.signatures.includes(signature)) {
+    scope.signatures.push(signature);
+  }
+}
+
+/**
+ * Get the output of the CLI action, with the addresses and signatures recorded so far
+ * @param error - The error the action failed with, if any
+ * @returns The output, undefined outside of the CLI
+ */
+export function getCliActionOutput(error?: unknown): ActionOutput | undefined {
+  if (!cliOutput) {
+    return undefined;
+  }
+
+  return {
+    action: cliOutput.action,
+    success: error === undefined,
+    addresses: cliOutput.scope.addresses,
+    signatures: cliOutput.scope.signatures,
+    error: error === undefined ? null : error instanceof Error ? error.message : String(error),
+  };
+}
+
+/**
+ * Print the JSON output of the action to stdout
+ * @param error - The error the action failed with, if any
+ */
+export function printActionOutput(error?: unknown) {
+  if (!isJsonOutput()) {
+    return;
+  }
+  process.stdout.write(`${JSON.stringify(getCliActionOutput(error), null, 2)}\n`);
+}
@@ -0,0 +1,251 @@
+import { Connection, PublicKey } from '@solana/web3.js';
+import {
+  getAssociatedTokenAddressSync,
+  Mint,
+  NATIVE_MINT,
+  TOKEN_2022_PROGRAM_ID,
+  unpackAccount,
+  unpackMint,
+} from '@solana/spl-token';
+import { calculateTransferFeeIncludedAmount } from '@meteora-ag/cp-amm-sdk';
+import BN from 'bn.js';
+import {
+  DEFAULT_COMPUTE_UNIT_PRICE_PERCENTILE,
+  DEFAULT_JITO_TIP_LAMPORTS,
+  DEFAULT_MAX_COMPUTE_UNIT_PRICE_MICRO_LAMPORTS,
+  PREFLIGHT_COMPUTE_UNITS_PER_TRANSACTION,
+  SIGNATURE_FEE_LAMPORTS,
+  SOL_TOKEN_DECIMALS,
+} from '../utils/constants';
+import { PreflightCost, PreflightRequirements, TransactionConfig } from '../utils/types';
+import { formatAmount } from './report';
+import { estimateComputeUnitPrice } from './transaction';
+
+interface BalanceRequirement {
+  labels: Set<string>;
+  owner: PublicKey;
+  /** Undefined for SOL */
+  mint?: Mint;
+  tokenProgram?: PublicKey;
+  required: bigint;
+}
+
+async function getPriorityFeeLamports(
+  connection: Connection,
+  payer: PublicKey,
+  transactions: number,
+  txConfig: TransactionConfig
+): Promise<BN> {
+  let computeUnitPrice = txConfig.computeUnitPriceMicroLamports ?? 0;
+  if (computeUnitPrice === 'auto') {
+    computeUnitPrice = await estimateComputeUnitPrice(
+      connection,
+      [payer],
+      txConfig.computeUnitPricePercentile ?? DEFAULT_COMPUTE_UNIT_PRICE_PERCENTILE,
+      txConfig.maxComputeUnitPriceMicroLamports ?? DEFAULT_MAX_COMPUTE_UNIT_PRICE_MICRO_LAMPORTS
+    );
+  }
+  const lamportsPerTransaction = Math.ceil(
+    (computeUnitPrice * PREFLIGHT_COMPUTE_UNITS_PER_TRANSACTION) / 1_000_000
+  );
+  return new BN(lamportsPerTransaction).muln(transactions);
+}
+
+async function getSolCosts(
+  connection: Connection,
+  payer: PublicKey,
+  requirements: PreflightRequirements,
+  txConfig: TransactionConfig
+): Promise<PreflightCost[]> {
+  const rentBySpace = new Map<number, number>();
+  let rent = new BN(0);
+  for (const { space } of requirements.newAccounts) {
+    if (!rentBySpace.has(space)) {
+      rentBySpace.set(space, await connection.getMinimumBalanceForRentExemption(space));
+    }
+    rent = rent.addn(rentBySpace.get(space)!);
+  }
+
+  const costs: PreflightCost[] = [
+    { label: `Rent of ${requirements.newAccounts.length} new account(s)`, lamports: rent },
+    ...requirements.costs,
+    {
+      label: `Fees of ${requirements.signatures} signature(s)`,
+      lamports: new BN(SIGNATURE_FEE_LAMPORTS).muln(requirements.signatures),
+    },
+    {
+      label: `Priority fees of ${requirements.transactions} transaction(s)`,
+      lamports: await getPriorityFeeLamports(
+        connection,
+        payer,
+        requirements.transactions,
+        txConfig
+      ),
+    },
+  ];
+  if (txConfig.sendMode === 'jito-bundle') {
+    costs.push({
+      label: 'Jito tip',
+      lamports: new BN(txConfig.jitoTipLamports ?? DEFAULT_JITO_TIP_LAMPORTS),
+    });
+  }
+  return costs;
+}
+
+async function getMints(connection: Connection, mints: PublicKey[]) {
+  const accounts = await connection.getMultipleAccountsInfo(mints);
+  return new Map(
+    accounts.map((account, i) => {
+      if (!account) {
+        throw new Error(`Mint account not found: ${mints[i]}`);
+      }
+      return [
+        mints[i]!.toBase58(),
+        { mint: unpackMint(mints[i]!, account, account.owner), tokenProgram: account.owner },
+      ];
+    })
+  );
+}
+
+async function getAvailableBalances(
+  connection: Connection,
+  balances: BalanceRequirement[]
+): Promise<bigint[]> {
+  // SOL is available as lamports and as wrapped SOL, which the SDKs use before wrapping more
+  const addresses = balances.flatMap(({ owner, mint, tokenProgram }) =>
+    mint
+      ? [getAssociatedTokenAddressSync(mint.address, owner, true, tokenProgram)]
+      : [owner, getAssociatedTokenAddressSync(NATIVE_MINT, owner, true)]
+  );
+  const accounts = await connection.getMultipleAccountsInfo(addresses);
+  const getTokenAmount = (i: number) => {
+    const account = accounts[i];
+    return account ? unpackAccount(addresses[i]!, account, account.owner).amount : 0n;
+  };
+
+  let i = 0;
+  return balances.map(({ mint }) => {
+    if (mint) {
+      return getTokenAmount(i++);
+    }
+    const lamports = BigInt(accounts[i]?.lamports ?? 0);
+    i += 2;
+    return lamports + getTokenAmount(i - 1);
+  });
+}
+
+/**
+ * Add up what the steps of an action spend, to check them all before its first transaction
+ * @param requirements - What each step spends
+ */
+export function mergePreflightRequirements(
+  ...requirements: PreflightRequirements[]
+): PreflightRequirements {
+  return {
+    transactions: requirements.reduce((total, { transactions }) => total + transactions, 0),
+    signatures: requirements.reduce((total, { signatures }) => total + signatures, 0),
+    newAccounts: requirements.flatMap(({ newAccounts }) => newAccounts),
+    costs: requirements.flatMap(({ costs }) => costs),
+    tokens: requirements.flatMap(({ tokens }) => tokens),
+  };
+}
+
+/**
+ * Check that the wallets of an action hold the SOL and tokens it spends before it sends anything:
+ * rent of the new accounts, signature and priority fees, and token amounts with their Token-2022
+ * transfer fees. Prints the requirements and throws with a shortfall table when a balance is
+ * short, dry runs only warn.
+ * @param connection - The connection to the cluster
+ * @param payer - The fee payer, also the token owner unless a token amount sets its own
+ * @param requirements - What the action spends
+ * @param txConfig - The transaction settings of the config, for the priority fees
+ * @param opts - Warn instead of throwing when dry running
+ */
+export async function runPreflightChecks(
+  connection: Connection,
+  payer: PublicKey,
+  requirements: PreflightRequirements,
+  txConfig: TransactionConfig,
+  opts?: { dryRun?: boolean }
+) {
+  console.log('\n> Running pre-flight checks...');
+
+  const solCosts = await getSolCosts(connection, payer, requirements, txConfig);
+  const balances = new Map<string, BalanceRequirement>();
+  const getBalance = (owner: PublicKey, mint?: Mint, tokenProgram?: PublicKey) => {
+    const key = `${owner.toBase58()}:${mint?.address.toBase58() ?? 'SOL'}`;
+    let balance = balances.get(key);
+    if (!balance) {
+      balance = { labels: new Set(), owner, mint, tokenProgram, required: 0n };
+      balances.set(key, balance);
+    }
+    return balance;
+  };
+
+  const payerSol = getBalance(payer);
+  payerSol.labels.add('SOL');
+  for (const cost of solCosts) {
+    console.log(
+      `- ${cost.label}: ${formatAmount(BigInt(cost.lamports.toString()), SOL_TOKEN_DECIMALS)} SOL`
+    );
+    payerSol.required += BigInt(cost.lamports.toString());
+  }
+
+  const tokenMints = [...new Set(requirements.tokens.map(({ mint }) => mint.toBase58()))];
+  const mints = await getMints(
+    connection,
+    tokenMints.map((mint) => new PublicKey(mint))
+  );
+  const hasTransferFees = [...mints.values()].some(({ tokenProgram }) =>
+    tokenProgram.equals(TOKEN_2022_PROGRAM_ID)
+  );
+  const epoch = hasTransferFees ? (await connection.getEpochInfo()).epoch : 0;
+
+  for (const token of requirements.tokens) {
+    const { mint, tokenProgram } = mints.get(token.mint.toBase58())!;
+    const amount =
+      token.transferFeeIncluded || !tokenProgram.equals(TOKEN_2022_PROGRAM_ID)
+        ? token.amount
+        : calculateTransferFeeIncludedAmount(token.amount, mint, epoch).amount;
+
+    const balance = mint.address.equals(NATIVE_MINT)
+      ? getBalance(token.owner ?? payer)
+      : getBalance(token.owner ?? payer, mint, tokenProgram);
+    balance.labels.add(balance.mint ? token.label : 'SOL');
+    balance.required += BigInt(amount.toString());
+    console.log(
+      `- ${token.label}: ${formatAmount(BigInt(amount.toString()), mint.decimals)} of ${mint.address}`
+    );
+  }
+
+  const requiredBalances = [...balances.values()].filter(({ required }) => required > 0n);
+  const available = await getAvailableBalances(connection, requiredBalances);
+  const rows = requiredBalances.map((balance, i) => {
+    const decimals = balance.mint?.decimals ?? SOL_TOKEN_DECIMALS;
+    const shortfall = balance.required - available[i]!;
+    return {
+      asset: [...balance.labels].join(', '),
+      mint: balance.mint?.address.toBase58() ?? '',
+      wallet: balance.owner.toBase58(),
+      required: formatAmount(balance.required, decimals),
+      available: formatAmount(available[i]!, decimals),
+      shortfall: shortfall > 0n ? formatAmount(shortfall, decimals) : '',
+    };
+  });
+  console.table(rows);
+
+  const shortfalls = rows.filter(({ shortfall }) => shortfall);
+  if (shortfalls.length === 0) {
+    console.log('>>> Pre-flight checks passed');
+    return;
+  }
+
+  const message = `Insufficient balance: ${shortfalls
+    .map(({ asset, wallet, shortfall }) => `${asset} of ${wallet} is ${shortfall} short`)
+    .join(', ')}`;
+  if (opts?.dryRun) {
+    console.warn(`WARNING: ${message}, the transactions would fail when sent`);
+    return;
+  }
+  throw new Error(`${message}. Pre-flight checks failed, no transaction was sent`);
+}
@@ -0,0 +1,242 @@
+import {
+  AccountInfo,
+  AddressLookupTableAccount,
+  Connection,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SimulatedTransactionAccountInfo,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import {
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  unpackAccount,
+  unpackMint,
+} from '@solana/spl-token';
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_DRY_RUN_REPORT_DIR } from '../utils/constants';
+import { DryRunBalanceChange, DryRunReport, DryRunTransactionReport } from '../utils/types';
+
+let dryRunReport: DryRunReport | undefined;
+
+function saveDryRunReport(report: DryRunReport) {
+  const { filePath, ...content } = report;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(content, null, 2));
+}
+
+function getDryRunReport(): DryRunReport {
+  if (!dryRunReport) {
+    dryRunReport = {
+      filePath: path.resolve(
+        process.cwd(),
+        DEFAULT_DRY_RUN_REPORT_DIR,
+        `dry-run-${Date.now()}.json`
+      ),
+      createdAt: new Date().toISOString(),
+      transactions: [],
+    };
+    console.log(`> Writing dry run report to ${dryRunReport.filePath}`);
+  }
+  return dryRunReport;
+}
+
+function toAccountInfo(account: SimulatedTransactionAccountInfo): AccountInfo<Buffer> {
+  return {
+    executable: account.executable,
+    owner: new PublicKey(account.owner),
+    lamports: account.lamports,
+    data: Buffer.from(account.data[0]!, 'base64'),
+    rentEpoch: account.rentEpoch,
+  };
+}
+
+function isTokenAccount(account: AccountInfo<Buffer> | null): account is AccountInfo<Buffer> {
+  return (
+    !!account &&
+    (account.owner.equals(TOKEN_PROGRAM_ID) || account.owner.equals(TOKEN_2022_PROGRAM_ID))
+  );
+}
+
+function getTokenBalance(address: PublicKey, account: AccountInfo<Buffer> | null) {
+  if (!isTokenAccount(account)) {
+    return undefined;
+  }
+  try {
+    const { mint, owner, amount } = unpackAccount(address, account, account.owner);
+    return { mint, owner, amount };
+  } catch {
+    // Mints and other token program accounts hold no balance
+    return undefined;
+  }
+}
+
+/**
+ * Format an amount in the smallest unit of a token as a decimal string
+ * @param amount - The amount in the smallest unit
+ * @param decimals - The decimals of the token
+ */
+export function formatAmount(amount: bigint, decimals: number): string {
+  const negative = amount < 0n;
+  const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+async function getMintDecimals(
+  connection: Connection,
+  mints: PublicKey[]
+): Promise<Map<string, number>> {
+  const decimals = new Map<string, number>();
+  const accounts = await connection.getMultipleAccountsInfo(mints);
+  accounts.forEach((account, i) => {
+    if (isTokenAccount(account)) {
+      decimals.set(mints[i]!.toBase58(), unpackMint(mints[i]!, account, account.owner).decimals);
+    }
+  });
+  return decimals;
+}
+
+function printDryRunTransactionReport(report: DryRunTransactionReport) {
+  console.log(`\n> Dry run report: ${report.label}`);
+  console.log(`- Compute units consumed: ${report.computeUnitsConsumed ?? 'unknown'}`);
+  console.table(
+    report.balanceChanges.map((change) => ({
+      account: change.account,
+      signer: change.isSigner,
+      'SOL before': change.solBefore,
+      'SOL after': change.solAfter,
+      'SOL change': change.solChange,
+      mint: change.token?.mint ?? '',
+      'token change': change.token?.change ?? '',
+    }))
+  );
+  if (report.createdAccounts.length > 0) {
+    console.log('- Accounts created:');
+    console.table(
+      report.createdAccounts.map((account) => ({
+        account: account.account,
+        program: account.owner,
+        space: account.space,
+        'rent (SOL)': account.rent,
+      }))
+    );
+  }
+}
+
+/**
+ * Simulate a transaction and add the outcome to the dry run report of this run: compute units,
+ * program logs, SOL and token balance changes of the writable accounts, and created accounts
+ * with their rent. The report is printed and written as JSON to the dry run report directory.
+ * @param connection - The connection to the cluster
+ * @param tx - The transaction to simulate
+ * @param label - The description of the transaction in the report
+ * @param addressLookupTableAccounts - The lookup tables used by the transaction, so that the
+ * accounts loaded from them are reported too
+ * @returns The transaction report, with the simulation error if it failed
+ */
+export async function reportSimulatedTransaction(
+  connection: Connection,
+  tx: VersionedTransaction,
+  label: string,
+  addressLookupTableAccounts: AddressLookupTableAccount[] = []
+): Promise<DryRunTransactionReport> {
+  const { message } = tx;
+  const accountKeys =
+    message.version === 0
+      ? message.getAccountKeys({ addressLookupTableAccounts })
+      : message.getAccountKeys();
+  const writableAccounts = accountKeys
+    .keySegments()
+    .flat()
+    .filter((_, i) => message.isAccountWritable(i));
+  const signers = message.staticAccountKeys.slice(0, message.header.numRequiredSignatures);
+
+  const preAccounts = await connection.getMultipleAccountsInfo(writableAccounts);
+  const { value } = await connection.simulateTransaction(tx, {
+    commitment: connection.commitment,
+    accounts: {
+      encoding: 'base64',
+      addresses: writableAccounts.map((account) => account.toBase58()),
+    },
+  });
+  const postAccounts = (value.accounts ?? []).map((account) =>
+    account ? toAccountInfo(account) : null
+  );
+
+  const tokenBalances = writableAccounts.map((address, i) => ({
+    pre: getTokenBalance(address, preAccounts[i] ?? null),
+    post: getTokenBalance(address, postAccounts[i] ?? null),
+  }));
+  const mints = [
+    ...new Set(
+      tokenBalances.flatMap(({ pre, post }) =>
+        [pre?.mint, post?.mint].filter((mint) => mint).map((mint) => mint!.toBase58())
+      )
+    ),
+  ].map((mint) => new PublicKey(mint));
+  const mintDecimals = mints.length > 0 ? await getMintDecimals(connection, mints) : new Map();
+
+  const balanceChanges: DryRunBalanceChange[] = writableAccounts.map((address, i) => {
+    const lamportsBefore = preAccounts[i]?.lamports ?? 0;
+    const lamportsAfter = postAccounts[i]?.lamports ?? 0;
+    const change: DryRunBalanceChange = {
+      account: address.toBase58(),
+      isSigner: signers.some((signer) => signer.equals(address)),
+      solBefore: lamportsBefore / LAMPORTS_PER_SOL,
+      solAfter: lamportsAfter / LAMPORTS_PER_SOL,
+      solChange: (lamportsAfter - lamportsBefore) / LAMPORTS_PER_SOL,
+    };
+
+    const { pre, post } = tokenBalances[i]!;
+    const balance = post ?? pre;
+    if (balance) {
+      const decimals = mintDecimals.get(balance.mint.toBase58()) ?? 0;
+      const before = pre?.amount ?? 0n;
+      const after = post?.amount ?? 0n;
+      change.token = {
+        mint: balance.mint.toBase58(),
+        owner: balance.owner.toBase58(),
+        before: formatAmount(before, decimals),
+        after: formatAmount(after, decimals),
+        change: formatAmount(after - before, decimals),
+      };
+    }
+    return change;
+  });
+
+  const createdAccounts = writableAccounts.flatMap((address, i) => {
+    const post = postAccounts[i];
+    if (preAccounts[i] || !post) {
+      return [];
+    }
+    return [
+      {
+        account: address.toBase58(),
+        owner: post.owner.toBase58(),
+        space: post.data.length,
+        rent: post.lamports / LAMPORTS_PER_SOL,
+      },
+    ];
+  });
+
+  const report: DryRunTransactionReport = {
+    label,
+    error: value.err ? JSON.stringify(value.err) : null,
+    computeUnitsConsumed: value.unitsConsumed,
+    logs: value.logs ?? [],
+    balanceChanges,
+    createdAccounts,
+  };
+
+  const dryRun = getDryRunReport();
+  dryRun.transactions.push(report);
+  saveDryRunReport(dryRun);
+  if (!report.error) {
+    printDryRunTransactionReport(report);
+  }
+
+  return report;
+}
@@ -0,0 +1,69 @@
+import { Keypair, Signer, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { SdkSigner, StudioSigner } from '../utils/types';
+import { createOfflineKeypair, isOfflineSigner } from './offline';
+
+const externalSigners = new Map<string, StudioSigner>();
+
+/**
+ * Get a keypair for a signer, creating a stand-in keypair when the signer does not expose its
+ * private key. Transactions are signed by the signer itself when they are sent.
+ * @param signer - A keypair, or a signer such as a wallet adapter or a remote signing service
+ */
+export function getSignerKeypair(signer: SdkSigner): Keypair {
+  if ('secretKey' in signer) {
+    return signer;
+  }
+  externalSigners.set(signer.publicKey.toBase58(), signer);
+  return createOfflineKeypair(signer.publicKey);
+}
+
+function getExternalSigner(signer: Signer): StudioSigner | undefined {
+  return isOfflineSigner(signer) ? externalSigners.get(signer.publicKey.toBase58()) : undefined;
+}
+
+/**
+ * Check whether a signer is a stand-in created by getSignerKeypair
+ * @param signer - The signer to check
+ */
+export function isExternalSigner(signer: Signer): boolean {
+  return getExternalSigner(signer) !== undefined;
+}
+
+/**
+ * Sign a transaction with keypairs and with the external signers standing behind the keypairs
+ * created by getSignerKeypair
+ * @param tx - The transaction, with its blockhash set
+ * @param signers - The signers, fee payer first
+ */
+export async function signTransaction(tx: Transaction | VersionedTransaction, signers: Signer[]) {
+  const externals = signers.map(getExternalSigner);
+  const keypairs = signers.filter((_, i) => !externals[i]);
+
+  if ('version' in tx) {
+    tx.sign(keypairs);
+  } else if (keypairs.length === signers.length) {
+    tx.sign(...signers);
+  } else {
+    tx.feePayer ??= signers[0]!.publicKey;
+    if (keypairs.length > 0) {
+      tx.partialSign(...keypairs);
+    }
+  }
+
+  for (const external of externals) {
+    if (!external) {
+      continue;
+    }
+    const signed = await external.signTransaction(tx);
+    const signature =
+      'version' in signed
+        ? signed.signatures[
+            signed.message.staticAccountKeys.findIndex((key) => key.equals(external.publicKey))
+          ]
+        : signed.signatures.find((s) => s.publicKey.equals(external.publicKey))?.signature;
+    if (!signature) {
+      throw new Error(`Signer ${external.publicKey} did not sign the transaction`);
+    }
+    tx.addSignature(external.publicKey, Buffer.from(signature));
+  }
+}
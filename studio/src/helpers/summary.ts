@@ -0,0 +1,266 @@
+import { Connection } from '@solana/web3.js';
+import {
+  ActionSummary,
+  LaunchPlanConfig,
+  MeteoraConfig,
+  NetworkConfig,
+  NetworkName,
+  ProgramIds,
+} from '../utils/types';
+import { DEFAULT_COMMITMENT_LEVEL } from '../utils/constants';
+import { estimatePointTime } from './time';
+
+const PROGRAM_NAMES: Record<keyof ProgramIds, string> = {
+  dlmm: 'DLMM',
+  dammV1: 'DAMM v1',
+  dammV2: 'DAMM v2',
+  dbc: 'DBC',
+  alphaVault: 'Alpha Vault',
+  stake2earn: 'Stake2Earn',
+};
+
+const POINT_KEYS = [
+  'activationPoint',
+  'depositingPoint',
+  'startVestingPoint',
+  'endVestingPoint',
+  'lockReleasePoint',
+];
+
+const POOL_CONFIG_KEYS = ['dlmmConfig', 'dammV1Config', 'dammV2Config'];
+
+const CREATE_BASE_TOKEN = 'Base token mint with its supply, when createBaseToken is set';
+
+/** What every action sending transactions does, printed before it runs on mainnet */
+export const ACTION_SUMMARIES: Record<string, ActionSummary> = {
+  'dlmm create-pool': {
+    program: 'dlmm',
+    creates: [
+      'Customizable permissionless DLMM pool',
+      CREATE_BASE_TOKEN,
+      'Alpha vault, when dlmmConfig.hasAlphaVault is set',
+    ],
+    configKeys: ['baseMint', 'quoteMint', 'createBaseToken', 'dlmmConfig', 'alphaVault'],
+  },
+  'dlmm seed-liquidity-lfg': {
+    program: 'dlmm',
+    creates: ['Positions and bin arrays seeded with the LFG curve'],
+    configKeys: ['baseMint', 'quoteMint', 'lfgSeedLiquidity'],
+  },
+  'dlmm seed-liquidity-single-bin': {
+    program: 'dlmm',
+    creates: ['Position seeded in a single bin'],
+    configKeys: ['baseMint', 'quoteMint', 'singleBinSeedLiquidity'],
+  },
+  'dlmm set-pool-status': {
+    program: 'dlmm',
+    creates: [],
+    configKeys: ['setDlmmPoolStatus'],
+  },
+  'damm-v2 create-balanced-pool': {
+    program: 'dammV2',
+    creates: [
+      'DAMM v2 pool with a position and its NFT',
+      CREATE_BASE_TOKEN,
+      'Alpha vault, when dammV2Config.hasAlphaVault is set',
+    ],
+    configKeys: ['baseMint', 'quoteMint', 'createBaseToken', 'dammV2Config', 'alphaVault'],
+  },
+  'damm-v2 create-one-sided-pool': {
+    program: 'dammV2',
+    creates: [
+      'DAMM v2 pool with a position and its NFT',
+      CREATE_BASE_TOKEN,
+      'Alpha vault, when dammV2Config.hasAlphaVault is set',
+    ],
+    configKeys: ['baseMint', 'quoteMint', 'createBaseToken', 'dammV2Config', 'alphaVault'],
+  },
+  'damm-v2 split-position': {
+    program: 'dammV2',
+    creates: ['Position and its NFT receiving the split share'],
+    configKeys: ['poolAddress', 'splitPosition'],
+  },
+  'damm-v2 claim-position-fee': { program: 'dammV2', creates: [], configKeys: ['poolAddress'] },
+  'damm-v2 add-liquidity': {
+    program: 'dammV2',
+    creates: [],
+    configKeys: ['poolAddress', 'addLiquidity'],
+  },
+  'damm-v2 remove-liquidity': { program: 'dammV2', creates: [], configKeys: ['poolAddress'] },
+  'damm-v2 close-position': { program: 'dammV2', creates: [], configKeys: ['poolAddress'] },
+  'damm-v1 create-pool': {
+    program: 'dammV1',
+    creates: [
+      'Customizable permissionless DAMM v1 pool',
+      CREATE_BASE_TOKEN,
+      'Alpha vault, when dammV1Config.hasAlphaVault is set',
+    ],
+    configKeys: ['baseMint', 'quoteMint', 'createBaseToken', 'dammV1Config', 'alphaVault'],
+  },
+  'damm-v1 lock-liquidity': {
+    program: 'dammV1',
+    creates: ['Lock escrow of every allocation'],
+    configKeys: ['baseMint', 'quoteMint', 'dammV1LockLiquidity'],
+  },
+  'damm-v1 create-stake2earn-farm': {
+    program: 'stake2earn',
+    creates: ['Stake2Earn farm'],
+    configKeys: ['baseMint', 'quoteMint', 'stake2EarnFarm'],
+  },
+  'damm-v1 lock-liquidity-stake2earn': {
+    program: 'stake2earn',
+    creates: ['Lock escrow of every allocation'],
+    configKeys: ['baseMint', 'quoteMint', 'dammV1LockLiquidity'],
+  },
+  'dbc create-config': {
+    program: 'dbc',
+    creates: ['DBC config'],
+    configKeys: ['quoteMint', 'dbcConfig'],
+  },
+  'dbc create-pool': {
+    program: 'dbc',
+    creates: ['DBC pool with its base token mint', 'DBC config, unless dbcConfigAddress is set'],
+    configKeys: ['quoteMint', 'dbcConfigAddress', 'dbcConfig', 'dbcPool'],
+  },
+  'dbc claim-trading-fee': { program: 'dbc', creates: [], configKeys: ['baseMint', 'quoteMint'] },
+  'dbc migrate-to-damm-v1': {
+    program: 'dbc',
+    creates: ['DAMM v1 pool of the graduated DBC pool'],
+    configKeys: ['baseMint', 'quoteMint'],
+  },
+  'dbc migrate-to-damm-v2': {
+    program: 'dbc',
+    creates: ['DAMM v2 pool of the graduated DBC pool'],
+    configKeys: ['baseMint', 'quoteMint'],
+  },
+  'dbc swap': { program: 'dbc', creates: [], configKeys: ['baseMint', 'quoteMint', 'dbcSwap'] },
+  'alpha-vault create': {
+    program: 'alphaVault',
+    creates: ['Alpha vault', 'Merkle root configs, with a permissioned whitelist'],
+    configKeys: ['baseMint', 'quoteMint', 'alphaVault'],
+  },
+};
+
+interface ConfigValue {
+  keyPath: string;
+  value: unknown;
+  /** The object holding the value, its activationType applies to the value */
+  parent?: Record<string, unknown>;
+}
+
+function flattenConfigValue(
+  value: unknown,
+  keyPath: string,
+  parent?: Record<string, unknown>
+): ConfigValue[] {
+  if (Array.isArray(value) && value.some((item) => item && typeof item === 'object')) {
+    return value.flatMap((item, i) => flattenConfigValue(item, `${keyPath}[${i}]`));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const object = value as Record<string, unknown>;
+    return Object.entries(object).flatMap(([key, item]) =>
+      flattenConfigValue(item, `${keyPath}.${key}`, object)
+    );
+  }
+  return [{ keyPath, value, parent }];
+}
+
+async function formatConfigValue(
+  connection: Connection,
+  { keyPath, value, parent }: ConfigValue,
+  poolActivationType?: number
+): Promise<string> {
+  const key = keyPath.slice(keyPath.lastIndexOf('.') + 1);
+  if (typeof value === 'number' && key.endsWith('Bps')) {
+    return `${value} bps (${value / 100}%)`;
+  }
+  if (POINT_KEYS.includes(key) && (typeof value === 'number' || typeof value === 'string')) {
+    const time = await estimatePointTime(
+      connection,
+      value,
+      (parent?.activationType as number | undefined) ?? poolActivationType
+    );
+    if (time) {
+      const local = time.toLocaleString(undefined, { timeZoneName: 'short' });
+      return `${value} (~${local} local, ${time.toISOString()} UTC)`;
+    }
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+async function printConfigValues(connection: Connection, config: any, configKeys: string[]) {
+  // Alpha vault points follow the activation type of their pool
+  const poolActivationType = POOL_CONFIG_KEYS.map((key) => config[key]?.activationType).find(
+    (activationType) => activationType !== undefined
+  );
+  for (const configKey of configKeys) {
+    const value = config[configKey];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    for (const configValue of flattenConfigValue(value, configKey)) {
+      if (configValue.value !== undefined && configValue.value !== null) {
+        console.log(
+          `  - ${configValue.keyPath}: ${await formatConfigValue(connection, configValue, poolActivationType)}`
+        );
+      }
+    }
+  }
+}
+
+function printActionDescription(summary: ActionSummary, network: NetworkConfig) {
+  console.log(
+    `- Program: ${PROGRAM_NAMES[summary.program]} ${network.programIds[summary.program]}`
+  );
+  if (summary.creates.length === 0) {
+    console.log('- Creates no accounts');
+    return;
+  }
+  console.log('- Creates:');
+  summary.creates.forEach((account) => console.log(`  - ${account}`));
+}
+
+/**
+ * Print what an action is about to do: its program, the accounts it creates and the config values
+ * it reads, with fees in percent and activation points as local and UTC times
+ * @param config - The validated action config
+ * @param action - The command path of the action
+ * @param network - The network profile the action runs on
+ * @param rpcNetwork - The network the RPC serves, told by its genesis hash
+ */
+export async function printActionSummary(
+  config: MeteoraConfig,
+  action: string,
+  network: NetworkConfig,
+  rpcNetwork: NetworkName
+) {
+  const connection = new Connection(config.rpcUrl, DEFAULT_COMMITMENT_LEVEL);
+
+  console.log(`\n> Summary of ${action} on ${rpcNetwork}`);
+  if (network.name !== rpcNetwork) {
+    console.log(`- Network: ${network.name}`);
+  }
+  console.log(`- RPC URL: ${config.rpcUrl}`);
+
+  if (action === 'launch-plan run') {
+    const { steps } = config as unknown as LaunchPlanConfig;
+    for (const step of steps) {
+      console.log(`\n> Step ${step.id}: ${step.action}`);
+      const summary = ACTION_SUMMARIES[step.action];
+      if (summary) {
+        printActionDescription(summary, network);
+      }
+      console.log('- Config:');
+      await printConfigValues(connection, step.config ?? {}, Object.keys(step.config ?? {}));
+    }
+    return;
+  }
+
+  const summary = ACTION_SUMMARIES[action];
+  if (!summary) {
+    throw new Error(`No summary for action "${action}"`);
+  }
+  printActionDescription(summary, network);
+  console.log('- Config:');
+  await printConfigValues(connection, config, summary.configKeys);
+}
@@ -0,0 +1,177 @@
+import { Connection } from '@solana/web3.js';
+import { ActivationType } from '@meteora-ag/dynamic-bonding-curve-sdk';
+import { SLOT_DURATION_SECONDS } from '../utils/constants';
+import { DurationInput, PointInput } from '../utils/types';
+import { getCurrentPoint } from './common';
+
+const DURATION_UNIT_SECONDS: Record<string, number> = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+};
+
+const DURATION_REGEX = /^(\d+[smhdw])+$/;
+// A date-time needs a zone, it would otherwise be read in the local zone of the machine. A bare
+// date is midnight UTC.
+const ISO_TIMESTAMP_REGEX =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+/**
+ * Check whether a string is an ISO-8601 timestamp or a duration from now, e.g. "+2h"
+ * @param value - The string to check
+ */
+export function isPointString(value: string): boolean {
+  return value.startsWith('+')
+    ? DURATION_REGEX.test(value.slice(1))
+    : ISO_TIMESTAMP_REGEX.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Check whether a string is a duration, e.g. "2h" or "1d12h"
+ * @param value - The string to check
+ */
+export function isDurationString(value: string): boolean {
+  return DURATION_REGEX.test(value);
+}
+
+function parseDurationSeconds(value: string): number | undefined {
+  if (!DURATION_REGEX.test(value)) {
+    return undefined;
+  }
+  let seconds = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+)([smhdw])/g)) {
+    seconds += Number(amount) * DURATION_UNIT_SECONDS[unit!]!;
+  }
+  return seconds;
+}
+
+function secondsToPoints(seconds: number, activationType: number): number {
+  return activationType === ActivationType.Slot
+    ? Math.ceil(seconds / SLOT_DURATION_SECONDS)
+    : seconds;
+}
+
+function getPointUnit(activationType: number): string {
+  return activationType === ActivationType.Slot ? 'slot' : 'unix timestamp';
+}
+
+function getDurationUnit(activationType: number): string {
+  return activationType === ActivationType.Slot ? 'slots' : 'seconds';
+}
+
+/**
+ * Resolve an activation, depositing, vesting or lock release point into an absolute slot or
+ * unix timestamp. ISO-8601 timestamps and durations from now, e.g. "+2h", are converted with
+ * the current point of the cluster, at ~0.4s per slot for slot based activation.
+ * @param connection - The connection to the cluster
+ * @param value - The configured point
+ * @param activationType - The activation type of the pool, or a function fetching it, only called
+ * for points that need converting
+ * @param label - The name of the config field, used in logs and errors
+ * @returns The absolute slot or unix timestamp
+ */
+export async function resolvePoint(
+  connection: Connection,
+  value: PointInput,
+  activationType: number | (() => Promise<number>),
+  label: string
+): Promise<number> {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const type = typeof activationType === 'function' ? await activationType() : activationType;
+  const currentPoint = (await getCurrentPoint(connection, type)).toNumber();
+
+  let point: number;
+  let estimatedTime: number;
+  const durationSeconds = value.startsWith('+') ? parseDurationSeconds(value.slice(1)) : undefined;
+  if (durationSeconds !== undefined) {
+    point = currentPoint + secondsToPoints(durationSeconds, type);
+    estimatedTime = type === ActivationType.Slot ? Date.now() / 1000 + durationSeconds : point;
+  } else if (ISO_TIMESTAMP_REGEX.test(value) && !isNaN(Date.parse(value))) {
+    estimatedTime = Math.floor(Date.parse(value) / 1000);
+    if (type === ActivationType.Slot) {
+      const currentTime = (await getCurrentPoint(connection, ActivationType.Timestamp)).toNumber();
+      point = currentPoint + secondsToPoints(estimatedTime - currentTime, type);
+    } else {
+      point = estimatedTime;
+    }
+  } else {
+    throw new Error(
+      `Invalid ${label} "${value}", expected a ${getPointUnit(type)}, an ISO-8601 timestamp with a zone like "2025-11-01T14:00:00Z" or a duration from now like "+2h"`
+    );
+  }
+
+  console.log(
+    `- Resolved ${label} "${value}" to ${getPointUnit(type)} ${point} (~${new Date(estimatedTime * 1000).toISOString()})`
+  );
+  if (point <= currentPoint) {
+    console.log(
+      `- Warning: ${label} is in the past, the current ${getPointUnit(type)} is ${currentPoint}`
+    );
+  }
+  return point;
+}
+
+/**
+ * Resolve a duration into a number of slots or seconds, converting durations like "2h" or
+ * "1d12h" at ~0.4s per slot for slot based activation
+ * @param value - The configured duration
+ * @param activationType - The activation type of the pool
+ * @param label - The name of the config field, used in logs and errors
+ * @returns The number of slots or seconds
+ */
+export function resolveDuration(
+  value: DurationInput,
+  activationType: number,
+  label: string
+): number {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const seconds = parseDurationSeconds(value);
+  if (seconds === undefined) {
+    throw new Error(
+      `Invalid ${label} "${value}", expected a number of ${getDurationUnit(activationType)} or a duration like "2h" or "1d12h"`
+    );
+  }
+  const duration = secondsToPoints(seconds, activationType);
+  console.log(`- Resolved ${label} "${value}" to ${duration} ${getDurationUnit(activationType)}`);
+  return duration;
+}
+
+/**
+ * Estimate when a configured point is reached, at ~0.4s per slot for slots
+ * @param connection - The connection to the cluster, only used for slots
+ * @param value - The configured point
+ * @param activationType - The activation type of the pool, undefined when unknown
+ * @returns The estimated date, undefined for a number whose activation type is unknown
+ */
+export async function estimatePointTime(
+  connection: Connection,
+  value: PointInput,
+  activationType?: number
+): Promise<Date | undefined> {
+  if (typeof value === 'string') {
+    const durationSeconds = value.startsWith('+')
+      ? parseDurationSeconds(value.slice(1))
+      : undefined;
+    if (durationSeconds !== undefined) {
+      return new Date(Date.now() + durationSeconds * 1000);
+    }
+    return isNaN(Date.parse(value)) ? undefined : new Date(Date.parse(value));
+  }
+
+  if (activationType === ActivationType.Timestamp) {
+    return new Date(value * 1000);
+  }
+  if (activationType === ActivationType.Slot) {
+    const currentSlot = (await getCurrentPoint(connection, ActivationType.Slot)).toNumber();
+    return new Date(Date.now() + (value - currentSlot) * SLOT_DURATION_SECONDS * 1000);
+  }
+  return undefined;
+}
@@ -3,25 +3,30 @@ import {
   PublicKey,
   Connection,
   Signer,
-  sendAndConfirmTransaction,
   Keypair,
-  ComputeBudgetProgram,
   SystemProgram,
   Transaction,
-  TransactionSignature,
 } from '@solana/web3.js';
-import { CreateTokenMintOptions } from '../utils/types';
+import {
+  CreateTokenMintOptions,
+  ExecutionJournal,
+  TransactionConfig,
+  TransactionResult,
+} from '../utils/types';
 import { getAmountInLamports, getSigners } from './common';
 import BN from 'bn.js';
 import {
+  createAssociatedTokenAccountIdempotentInstruction,
   createInitializeMint2Instruction,
   createMintToInstruction,
+  getAssociatedTokenAddressSync,
   getMinimumBalanceForRentExemptMint,
-  getOrCreateAssociatedTokenAccount,
   MINT_SIZE,
   TOKEN_PROGRAM_ID,
 } from '@solana/spl-token';
-import { DEFAULT_SEND_TX_MAX_RETRIES } from '../utils/constants';
+import { getJournalKeypair } from './journal';
+import { recordOutputAddress } from './output';
+import { applyComputeUnitPrice, executeTransaction } from './transaction';
 
 export async function createTokenMint(
   connection: Connection,
@@ -39,12 +44,14 @@ export async function createTokenMint(
     wallet,
     options.decimals,
     mintAmount,
-    options.computeUnitPriceMicroLamports
+    options.txConfig,
+    options.journal
   );
 
   console.log(
     `>> Mint token mint ${mint} to payer wallet. Amount ${options.mintTokenAmount} in lamport ${mintAmount}`
   );
+  recordOutputAddress('baseMint', mint);
 
   return mint;
 }
@@ -54,35 +61,34 @@ async function createAndMintToken(
   wallet: Wallet,
   mintDecimals: number,
   mintAmountLamport: BN,
-  computeUnitPriceMicroLamports: number
+  txConfig: TransactionConfig,
+  journal?: ExecutionJournal
 ): Promise<PublicKey> {
+  // A resumed run mints to the mint created by the journaled run
   const mint = await createMintWithPriorityFee(
     connection,
     wallet.payer,
     wallet.publicKey,
     null,
     mintDecimals,
-    computeUnitPriceMicroLamports
+    txConfig,
+    getJournalKeypair(journal, 'baseMint'),
+    TOKEN_PROGRAM_ID,
+    journal
   );
   console.log(`Created token mint ${mint}`);
 
-  const walletTokenATA = await getOrCreateAssociatedTokenAccount(
-    connection,
-    wallet.payer,
-    mint,
-    wallet.publicKey,
-    true,
-    connection.commitment
-  );
   await mintToWithPriorityFee(
     connection,
     wallet.payer,
     mint,
-    walletTokenATA.address,
+    wallet.publicKey,
     wallet.publicKey,
     BigInt(mintAmountLamport.toString()),
     [],
-    computeUnitPriceMicroLamports
+    txConfig,
+    TOKEN_PROGRAM_ID,
+    journal
   );
   console.log(`Minted ${mint} to wallet`);
 
@@ -95,16 +101,13 @@ async function createMintWithPriorityFee(
   mintAuthority: PublicKey,
   freezeAuthority: PublicKey | null,
   decimals: number,
-  computeUnitPriceMicroLamports: number,
+  txConfig: TransactionConfig,
   keypair = Keypair.generate(),
-  programId = TOKEN_PROGRAM_ID
+  programId = TOKEN_PROGRAM_ID,
+  journal?: ExecutionJournal
 ): Promise<PublicKey> {
   const lamports = await getMinimumBalanceForRentExemptMint(connection);
 
-  const addPriorityFeeIx = ComputeBudgetProgram.setComputeUnitPrice({
-    microLamports: computeUnitPriceMicroLamports,
-  });
-
   const createAccountIx = SystemProgram.createAccount({
     fromPubkey: payer.publicKey,
     newAccountPubkey: keypair.publicKey,
@@ -121,15 +124,13 @@ async function createMintWithPriorityFee(
     programId
   );
 
-  const transaction = new Transaction().add(
-    addPriorityFeeIx,
-    createAccountIx,
-    createInitializeMint2Tx
-  );
+  const transaction = new Transaction().add(createAccountIx, createInitializeMint2Tx);
+  await applyComputeUnitPrice(connection, transaction, txConfig);
 
-  await sendAndConfirmTransaction(connection, transaction, [payer, keypair], {
-    commitment: connection.commitment,
-    maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+  await executeTransaction(connection, transaction, [payer, keypair], {
+    txConfig,
+    journal,
+    journalStepId: 'create-base-token-mint',
   });
 
   return keypair.publicKey;
@@ -139,26 +140,34 @@ async function mintToWithPriorityFee(
   connection: Connection,
   payer: Signer,
   mint: PublicKey,
-  destination: PublicKey,
+  owner: PublicKey,
   authority: Signer | PublicKey,
   amount: number | bigint,
   multiSigners: Signer[] = [],
-  computeUnitPriceMicroLamports: number,
-  programId = TOKEN_PROGRAM_ID
-): Promise<TransactionSignature> {
+  txConfig: TransactionConfig,
+  programId = TOKEN_PROGRAM_ID,
+  journal?: ExecutionJournal
+): Promise<TransactionResult> {
   const [authorityPublicKey, signers] = getSigners(authority, multiSigners);
 
-  const addPriorityFeeIx = ComputeBudgetProgram.setComputeUnitPrice({
-    microLamports: computeUnitPriceMicroLamports,
-  });
-
+  // The token account is created in the same transaction so that every signature goes through
+  // executeTransaction, which also signs for external signers
+  const destination = getAssociatedTokenAddressSync(mint, owner, true, programId);
   const transaction = new Transaction().add(
-    addPriorityFeeIx,
+    createAssociatedTokenAccountIdempotentInstruction(
+      payer.publicKey,
+      destination,
+      owner,
+      mint,
+      programId
+    ),
     createMintToInstruction(mint, destination, authorityPublicKey, amount, multiSigners, programId)
   );
+  await applyComputeUnitPrice(connection, transaction, txConfig);
 
-  return await sendAndConfirmTransaction(connection, transaction, [payer, ...signers], {
-    commitment: connection.commitment,
-    maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+  return executeTransaction(connection, transaction, [payer, ...signers], {
+    txConfig,
+    journal,
+    journalStepId: 'mint-base-token',
   });
 }
@@ -1,28 +1,58 @@
-import { simulateTransaction } from '@coral-xyz/anchor/dist/cjs/utils/rpc';
 import {
+  AddressLookupTableAccount,
+  AddressLookupTableProgram,
   ComputeBudgetProgram,
   PublicKey,
+  SystemProgram,
+  SystemInstruction,
   Transaction,
   Keypair,
+  Commitment,
   Connection,
+  Signer,
   VersionedTransaction,
   TransactionInstruction,
-  sendAndConfirmTransaction,
+  TransactionMessage,
 } from '@solana/web3.js';
-import { DEFAULT_SEND_TX_MAX_RETRIES } from '../utils/constants';
+import bs58 from 'bs58';
+import {
+  DEFAULT_COMPUTE_UNIT_LIMIT_MARGIN,
+  DEFAULT_COMPUTE_UNIT_PRICE_PERCENTILE,
+  DEFAULT_MAX_COMPUTE_UNIT_PRICE_MICRO_LAMPORTS,
+  DEFAULT_REBROADCAST_INTERVAL_MS,
+  DEFAULT_SEND_TX_MAX_RETRIES,
+  LOOKUP_TABLE_ACTIVATION_TIMEOUT_MS,
+  LOOKUP_TABLE_DEACTIVATION_SLOTS,
+  LOOKUP_TABLE_EXTEND_ADDRESSES_PER_TX,
+  LOOKUP_TABLE_MAX_ADDRESSES,
+  MAX_COMPUTE_UNIT_LIMIT,
+  MAX_PRIORITIZATION_FEE_ACCOUNTS,
+  TX_SIZE_LIMIT_BYTES,
+} from '../utils/constants';
+import {
+  ExecuteTransactionOptions,
+  ExecutionJournal,
+  TransactionConfig,
+  TransactionResult,
+} from '../utils/types';
+import { getInstructionsStepId, getJournalStep, recordJournalStep } from './journal';
+import { exportTransaction, getNextNonceAccount, isOfflineSigner } from './offline';
+import { recordOutputAddress, recordOutputSignature } from './output';
+import { isExternalSigner, signTransaction } from './signer';
+import { reportSimulatedTransaction } from './report';
 
 /**
- * Simulate a transaction
+ * Simulate a transaction and add it to the dry run report
  * @param connection - The connection to the cluster
- * @param signers - The signers to the transaction
  * @param feePayer - The fee payer of the transaction
  * @param txs - The transactions to simulate
+ * @param label - The description of the transaction in the dry run report
  */
 export async function runSimulateTransaction(
   connection: Connection,
-  signers: Array<Keypair>,
   feePayer: PublicKey,
-  txs: Array<Transaction>
+  txs: Array<Transaction>,
+  label?: string
 ) {
   const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
     connection.commitment
@@ -34,19 +64,108 @@ export async function runSimulateTransaction(
     feePayer,
   }).add(...txs);
 
-  const simulateResp = await simulateTransaction(
+  const report = await reportSimulatedTransaction(
     connection,
-    transaction,
-    signers,
-    connection.commitment
+    new VersionedTransaction(transaction.compileMessage()),
+    label ?? 'transaction'
+  );
+  if (report.error) {
+    console.error('>>> Simulate transaction failed:', report.error);
+    console.log(`Logs ${report.logs}`);
+    throw new Error(`Transaction simulation failed: ${report.error}`);
+  }
+
+  console.log(
+    `>>> Simulated transaction successfully, consumed ${report.computeUnitsConsumed} compute units`
+  );
+}
+
+function isComputeBudgetIx(
+  programId: PublicKey | undefined,
+  data: Uint8Array,
+  discriminator: number
+) {
+  return (
+    !!programId && ComputeBudgetProgram.programId.equals(programId) && data[0] === discriminator
+  );
+}
+
+function isNonceAdvanceIx(ix: TransactionInstruction) {
+  if (!ix.programId.equals(SystemProgram.programId)) {
+    return false;
+  }
+  try {
+    return SystemInstruction.decodeInstructionType(ix) === 'AdvanceNonceAccount';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Replace the compute budget instruction with the same discriminator as `ix`, or add it if none.
+ * Versioned transactions using address lookup tables can only get a new instruction when the
+ * lookup table accounts are provided.
+ * @param tx - The transaction to modify
+ * @param ix - The compute budget instruction to set
+ * @param addressLookupTableAccounts - The lookup tables used by a versioned transaction
+ * @returns {boolean} true if the instruction was set
+ */
+function setComputeBudgetIx(
+  tx: VersionedTransaction | Transaction,
+  ix: TransactionInstruction,
+  addressLookupTableAccounts: AddressLookupTableAccount[] = []
+): boolean {
+  const discriminator = ix.data[0]!;
+
+  if (!('version' in tx)) {
+    const existingIx = tx.instructions.find((i) =>
+      isComputeBudgetIx(i.programId, i.data, discriminator)
+    );
+    if (existingIx) {
+      existingIx.data = ix.data;
+    } else {
+      tx.add(ix);
+    }
+    return true;
+  }
+
+  const { message } = tx;
+  if (message.version === 0) {
+    const existingIx = message.compiledInstructions.find((i) =>
+      isComputeBudgetIx(message.staticAccountKeys[i.programIdIndex], i.data, discriminator)
+    );
+    if (existingIx) {
+      existingIx.data = Uint8Array.from(ix.data);
+      return true;
+    }
+  }
+
+  if (message.addressTableLookups.length > addressLookupTableAccounts.length) {
+    return false;
+  }
+
+  // Legacy messages derive their compiled instructions on access, so they are recompiled as well
+  const decompiled = TransactionMessage.decompile(message, { addressLookupTableAccounts });
+  const index = decompiled.instructions.findIndex((i) =>
+    isComputeBudgetIx(i.programId, i.data, discriminator)
   );
-  if (simulateResp.value.err) {
-    console.error('>>> Simulate transaction failed:', simulateResp.value.err);
-    console.log(`Logs ${simulateResp.value.logs}`);
-    throw simulateResp.value.err;
+  if (index === -1) {
+    // A durable nonce transaction must keep its nonce advance as the first instruction
+    const [firstIx] = decompiled.instructions;
+    decompiled.instructions.splice(firstIx && isNonceAdvanceIx(firstIx) ? 1 : 0, 0, ix);
+  } else {
+    decompiled.instructions[index] = ix;
   }
 
-  console.log('>>> Simulated transaction successfully');
+  tx.message =
+    message.version === 0
+      ? decompiled.compileToV0Message(addressLookupTableAccounts)
+      : decompiled.compileToLegacyMessage();
+  tx.signatures = Array.from(
+    { length: tx.message.header.numRequiredSignatures },
+    () => new Uint8Array(64)
+  );
+  return true;
 }
 
 /**
@@ -59,106 +178,909 @@ export const modifyComputeUnitPriceIx = (
   tx: VersionedTransaction | Transaction,
   newPriorityFee: number
 ): boolean => {
+  return setComputeBudgetIx(
+    tx,
+    ComputeBudgetProgram.setComputeUnitPrice({
+      microLamports: newPriorityFee,
+    })
+  );
+};
+
+async function getAddressLookupTableAccounts(
+  connection: Connection,
+  tx: VersionedTransaction
+): Promise<AddressLookupTableAccount[]> {
+  return Promise.all(
+    tx.message.addressTableLookups.map(async ({ accountKey }) => {
+      const { value } = await connection.getAddressLookupTable(accountKey);
+      if (!value) {
+        throw new Error(`Address lookup table ${accountKey} not found`);
+      }
+      return value;
+    })
+  );
+}
+
+/**
+ * Simulate a transaction and set its compute unit limit to the consumed units plus a safety
+ * margin, so priority fees are not paid on unused compute units
+ * @param connection - The connection to the cluster
+ * @param tx - The transaction to modify
+ * @param feePayer - The fee payer of the transaction
+ * @param margin - Fraction added on top of the simulated compute units
+ * @returns The compute units consumed in the simulation
+ */
+export async function applySimulatedComputeUnitLimit(
+  connection: Connection,
+  tx: VersionedTransaction | Transaction,
+  feePayer: PublicKey,
+  margin: number = DEFAULT_COMPUTE_UNIT_LIMIT_MARGIN
+): Promise<number | undefined> {
+  const addressLookupTableAccounts =
+    'version' in tx ? await getAddressLookupTableAccounts(connection, tx) : [];
+
+  // Simulate a copy with the maximum limit so the simulation itself does not run out of compute
+  // units, the transaction is left as is when the simulation fails
+  const simulationTx =
+    'version' in tx
+      ? VersionedTransaction.deserialize(tx.serialize())
+      : new VersionedTransaction(
+          new TransactionMessage({
+            payerKey: tx.feePayer ?? feePayer,
+            recentBlockhash: tx.recentBlockhash ?? PublicKey.default.toBase58(),
+            instructions: tx.instructions,
+          }).compileToLegacyMessage()
+        );
+  setComputeBudgetIx(
+    simulationTx,
+    ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNIT_LIMIT }),
+    addressLookupTableAccounts
+  );
+  const { value } = await connection.simulateTransaction(simulationTx, {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: connection.commitment,
+  });
+  if (value.err) {
+    console.error('>>> Simulate transaction failed:', value.err);
+    console.log(`Logs ${value.logs}`);
+    throw new Error(`Transaction simulation failed: ${JSON.stringify(value.err)}`);
+  }
+  if (value.unitsConsumed === undefined) {
+    return undefined;
+  }
+
+  const units = Math.min(Math.ceil(value.unitsConsumed * (1 + margin)), MAX_COMPUTE_UNIT_LIMIT);
+  setComputeBudgetIx(
+    tx,
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    addressLookupTableAccounts
+  );
+  console.log(`- Using compute unit limit ${units} (simulated ${value.unitsConsumed} units)`);
+
+  return value.unitsConsumed;
+}
+
+/**
+ * Collect the writable accounts of a transaction, which are the accounts whose fee markets the
+ * transaction competes in
+ * @param tx - The transaction
+ * @param addressLookupTableAccounts - The lookup tables of a v0 transaction, whose writable
+ * accounts are not in its static keys
+ */
+export function getWritableAccounts(
+  tx: Transaction | VersionedTransaction,
+  addressLookupTableAccounts: AddressLookupTableAccount[] = []
+): PublicKey[] {
+  const accounts = new Map<string, PublicKey>();
   if ('version' in tx) {
-    for (const ix of tx.message.compiledInstructions) {
-      const programId = tx.message.staticAccountKeys[ix.programIdIndex];
-      if (programId && ComputeBudgetProgram.programId.equals(programId)) {
-        // need check for data index
-        if (ix.data[0] === 3) {
-          ix.data = Uint8Array.from(
-            ComputeBudgetProgram.setComputeUnitPrice({
-              microLamports: newPriorityFee,
-            }).data
-          );
-          return true;
+    const accountKeys = tx.message.getAccountKeys({ addressLookupTableAccounts });
+    accountKeys
+      .keySegments()
+      .flat()
+      .forEach((key, index) => {
+        if (tx.message.isAccountWritable(index)) {
+          accounts.set(key.toBase58(), key);
+        }
+      });
+  } else {
+    if (tx.feePayer) {
+      accounts.set(tx.feePayer.toBase58(), tx.feePayer);
+    }
+    for (const ix of tx.instructions) {
+      for (const key of ix.keys) {
+        if (key.isWritable) {
+          accounts.set(key.pubkey.toBase58(), key.pubkey);
         }
       }
     }
-    // could not inject for VT
+  }
+  return [...accounts.values()];
+}
+
+/**
+ * Estimate a compute unit price from the prioritization fees paid in recent slots for the given
+ * accounts
+ * @param connection - The connection to the cluster
+ * @param writableAccounts - The writable accounts of the transaction
+ * @param percentile - The percentile of the recent fees to pay, from 0 to 100
+ * @param maxMicroLamports - The upper bound of the estimated price
+ * @returns The compute unit price in micro-lamports
+ */
+export async function estimateComputeUnitPrice(
+  connection: Connection,
+  writableAccounts: PublicKey[],
+  percentile: number = DEFAULT_COMPUTE_UNIT_PRICE_PERCENTILE,
+  maxMicroLamports: number = DEFAULT_MAX_COMPUTE_UNIT_PRICE_MICRO_LAMPORTS
+): Promise<number> {
+  if (percentile < 0 || percentile > 100) {
+    throw new Error(`Invalid compute unit price percentile ${percentile}, expected 0 to 100`);
+  }
+
+  const recentFees = await connection.getRecentPrioritizationFees({
+    lockedWritableAccounts: writableAccounts.slice(0, MAX_PRIORITIZATION_FEE_ACCOUNTS),
+  });
+  if (recentFees.length === 0) {
+    return 0;
+  }
+
+  const fees = recentFees.map((fee) => fee.prioritizationFee).sort((a, b) => a - b);
+  const rank = Math.max(Math.ceil((percentile / 100) * fees.length) - 1, 0);
+
+  return Math.min(fees[rank]!, maxMicroLamports);
+}
+
+/**
+ * Set the compute unit price of a transaction from the config. A fixed price is injected as is,
+ * "auto" estimates it from the recent prioritization fees of the writable accounts in the
+ * transaction.
+ * @param connection - The connection to the cluster
+ * @param tx - The transaction to modify
+ * @param txConfig - The transaction settings from the config
+ * @returns The compute unit price set in micro-lamports
+ */
+export async function applyComputeUnitPrice(
+  connection: Connection,
+  tx: VersionedTransaction | Transaction,
+  txConfig: TransactionConfig
+): Promise<number> {
+  const addressLookupTableAccounts =
+    'version' in tx ? await getAddressLookupTableAccounts(connection, tx) : [];
+
+  let computeUnitPrice = txConfig.computeUnitPriceMicroLamports;
+  if (computeUnitPrice === 'auto') {
+    const percentile = txConfig.computeUnitPricePercentile ?? DEFAULT_COMPUTE_UNIT_PRICE_PERCENTILE;
+    computeUnitPrice = await estimateComputeUnitPrice(
+      connection,
+      getWritableAccounts(tx, addressLookupTableAccounts),
+      percentile,
+      txConfig.maxComputeUnitPriceMicroLamports ?? DEFAULT_MAX_COMPUTE_UNIT_PRICE_MICRO_LAMPORTS
+    );
+    console.log(
+      `- Using estimated compute unit price ${computeUnitPrice} micro-lamports (p${percentile} of recent fees)`
+    );
+  }
+
+  setComputeBudgetIx(
+    tx,
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice }),
+    addressLookupTableAccounts
+  );
+  return computeUnitPrice;
+}
+
+const COMMITMENT_RANK: Record<string, number> = { processed: 0, confirmed: 1, finalized: 2 };
+
+function isCommitmentReached(status: string | null | undefined, commitment: Commitment) {
+  return status != null && COMMITMENT_RANK[status]! >= (COMMITMENT_RANK[commitment] ?? 1);
+}
+
+async function signWithLatestBlockhash(
+  connection: Connection,
+  tx: Transaction | VersionedTransaction,
+  signers: Signer[],
+  refresh: boolean
+): Promise<{ signature: string; lastValidBlockHeight: number }> {
+  if ('version' in tx) {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
+      connection.commitment
+    );
+    // The expiry of a blockhash already in the message is unknown, so it is always replaced
+    tx.message.recentBlockhash = blockhash;
+    await signTransaction(tx, signers);
+    return { signature: bs58.encode(tx.signatures[0]!), lastValidBlockHeight };
+  }
+
+  if (refresh || !tx.recentBlockhash || !tx.lastValidBlockHeight) {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
+      connection.commitment
+    );
+    tx.recentBlockhash = blockhash;
+    tx.lastValidBlockHeight = lastValidBlockHeight;
+  }
+  await signTransaction(tx, signers);
+  return { signature: bs58.encode(tx.signature!), lastValidBlockHeight: tx.lastValidBlockHeight! };
+}
+
+/**
+ * Fetch the slot, compute units consumed and fee of a landed transaction
+ * @param connection - The connection to the cluster
+ * @param signature - The transaction signature
+ * @param commitment - The commitment the transaction reached
+ */
+export async function getTransactionResult(
+  connection: Connection,
+  signature: string,
+  commitment: Commitment = 'confirmed'
+): Promise<TransactionResult> {
+  // getTransaction does not support processed commitment
+  const finality = commitment === 'finalized' ? 'finalized' : 'confirmed';
+  for (let attempt = 0; attempt < DEFAULT_SEND_TX_MAX_RETRIES; attempt++) {
+    const tx = await connection.getTransaction(signature, {
+      commitment: finality,
+      maxSupportedTransactionVersion: 0,
+    });
+    if (tx) {
+      return {
+        signature,
+        slot: tx.slot,
+        computeUnitsConsumed: tx.meta?.computeUnitsConsumed,
+        fee: tx.meta?.fee,
+      };
+    }
+    await new Promise((resolve) => setTimeout(resolve, DEFAULT_REBROADCAST_INTERVAL_MS));
+  }
+
+  const { value: status } = await connection.getSignatureStatus(signature, {
+    searchTransactionHistory: true,
+  });
+  return { signature, slot: status?.slot ?? 0 };
+}
+
+function prependInstruction(
+  tx: Transaction | VersionedTransaction,
+  ix: TransactionInstruction,
+  addressLookupTableAccounts: AddressLookupTableAccount[]
+) {
+  if (!('version' in tx)) {
+    tx.instructions.unshift(ix);
+    return;
+  }
+
+  const decompiled = TransactionMessage.decompile(tx.message, { addressLookupTableAccounts });
+  decompiled.instructions.unshift(ix);
+  tx.message =
+    tx.message.version === 0
+      ? decompiled.compileToV0Message(addressLookupTableAccounts)
+      : decompiled.compileToLegacyMessage();
+  tx.signatures = Array.from(
+    { length: tx.message.header.numRequiredSignatures },
+    () => new Uint8Array(64)
+  );
+}
+
+/**
+ * Write a transaction to the export directory instead of sending it. It uses the next unused
+ * durable nonce account when nonceAccounts are configured, and is signed by every signer that is
+ * not an offline wallet.
+ */
+async function exportUnsignedTransaction(
+  connection: Connection,
+  tx: Transaction | VersionedTransaction,
+  signers: Signer[],
+  txConfig: TransactionConfig,
+  description: string
+): Promise<TransactionResult> {
+  const dir = txConfig.exportUnsignedDir!;
+  const feePayer =
+    'version' in tx ? tx.message.staticAccountKeys[0]! : (tx.feePayer ?? signers[0]!.publicKey);
+  const addressLookupTableAccounts =
+    'version' in tx ? await getAddressLookupTableAccounts(connection, tx) : [];
+
+  const nonceAccount = getNextNonceAccount(dir, txConfig.nonceAccounts);
+  let recentBlockhash: string;
+  let lastValidBlockHeight: number | undefined;
+  if (nonceAccount) {
+    const nonce = await connection.getNonce(nonceAccount, connection.commitment);
+    if (!nonce) {
+      throw new Error(`Nonce account ${nonceAccount} not found`);
+    }
+    // The nonce advance instruction must come first for the nonce to be used as the blockhash
+    prependInstruction(
+      tx,
+      SystemProgram.nonceAdvance({
+        noncePubkey: nonceAccount,
+        authorizedPubkey: nonce.authorizedPubkey,
+      }),
+      addressLookupTableAccounts
+    );
+    recentBlockhash = nonce.nonce;
+    console.log(`- Using nonce account ${nonceAccount}`);
   } else {
-    for (const ix of tx.instructions) {
-      if (ComputeBudgetProgram.programId.equals(ix.programId)) {
-        // need check for data index
-        if (ix.data[0] === 3) {
-          ix.data = ComputeBudgetProgram.setComputeUnitPrice({
-            microLamports: newPriorityFee,
-          }).data;
-          return true;
+    ({ blockhash: recentBlockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
+      connection.commitment
+    ));
+    console.log(`- No nonceAccounts configured, the exported transaction expires in ~1 minute`);
+  }
+
+  // Transactions of the same export can depend on each other and fail simulation until the
+  // earlier ones landed
+  await applySimulatedComputeUnitLimit(
+    connection,
+    tx,
+    feePayer,
+    txConfig.computeUnitLimitMargin
+  ).catch((err) => {
+    const message = err instanceof Error ? err.message : String(err);
+    console.log(`- Keeping the maximum compute unit limit, simulation failed: ${message}`);
+  });
+
+  const onlineSigners = signers.filter(
+    (signer) => !isOfflineSigner(signer) || isExternalSigner(signer)
+  );
+  if ('version' in tx) {
+    tx.message.recentBlockhash = recentBlockhash;
+  } else {
+    tx.feePayer = feePayer;
+    tx.recentBlockhash = recentBlockhash;
+  }
+  if (onlineSigners.length > 0) {
+    await signTransaction(tx, onlineSigners);
+  }
+
+  const exportedFilePath = exportTransaction(dir, tx, {
+    description,
+    nonceAccount,
+    lastValidBlockHeight,
+  });
+  console.log(`>>> Exported unsigned transaction to ${exportedFilePath}`);
+
+  return { signature: '', slot: 0, exportedFilePath };
+}
+
+/**
+ * Send a fully signed transaction and rebroadcast it until it reaches the commitment. Unlike
+ * executeTransaction it cannot re-sign, so it fails once the transaction can no longer land.
+ * @param connection - The connection to the cluster
+ * @param tx - The signed transaction
+ * @param opts - The durable nonce account or last valid block height of the transaction
+ * @returns The signature, slot, compute units consumed and fee of the landed transaction
+ */
+export async function sendSignedTransaction(
+  connection: Connection,
+  tx: Transaction | VersionedTransaction,
+  opts: {
+    nonceAccount?: PublicKey;
+    lastValidBlockHeight?: number;
+    commitment?: Commitment;
+  } = {}
+): Promise<TransactionResult> {
+  const commitment = opts.commitment ?? connection.commitment ?? 'confirmed';
+  const signature = bs58.encode('version' in tx ? tx.signatures[0]! : tx.signature!);
+  const recentBlockhash = 'version' in tx ? tx.message.recentBlockhash : tx.recentBlockhash;
+  const rawTransaction = tx.serialize();
+
+  await connection.sendRawTransaction(rawTransaction, {
+    preflightCommitment: commitment,
+    maxRetries: 0,
+  });
+
+  while (true) {
+    await new Promise((resolve) => setTimeout(resolve, DEFAULT_REBROADCAST_INTERVAL_MS));
+
+    const { value: status } = await connection.getSignatureStatus(signature, {
+      searchTransactionHistory: true,
+    });
+    if (status?.err) {
+      throw new Error(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`);
+    }
+    if (isCommitmentReached(status?.confirmationStatus, commitment)) {
+      recordOutputSignature(signature);
+      return getTransactionResult(connection, signature, commitment);
+    }
+    if (status) {
+      continue;
+    }
+
+    const expired = opts.nonceAccount
+      ? (await connection.getNonce(opts.nonceAccount, commitment))?.nonce !== recentBlockhash
+      : opts.lastValidBlockHeight !== undefined &&
+        (await connection.getBlockHeight(commitment)) > opts.lastValidBlockHeight;
+    if (expired) {
+      // The transaction itself may have advanced the nonce since the status check
+      const { value: landedStatus } = await connection.getSignatureStatus(signature, {
+        searchTransactionHistory: true,
+      });
+      if (!landedStatus) {
+        throw new Error(
+          `Transaction ${signature} can no longer land, its ${opts.nonceAccount ? 'nonce was advanced' : 'blockhash expired'}`
+        );
+      }
+      continue;
+    }
+
+    await connection
+      .sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 })
+      .catch(() => {
+        // The transaction may have landed between the status check and the rebroadcast
+      });
+  }
+}
+
+/**
+ * Simulate, sign, send and confirm a transaction. The compute unit limit is set from the
+ * simulation. The signed transaction is rebroadcast until it lands, and re-signed with a new
+ * blockhash if its blockhash expires before that.
+ * @param connection - The connection to the cluster
+ * @param tx - The transaction to send
+ * @param signers - The signers of the transaction, fee payer first
+ * @param options - Confirmation, journaling and transaction config options
+ * @returns The signature, slot, compute units consumed and fee of the landed transaction
+ */
+export async function executeTransaction(
+  connection: Connection,
+  tx: Transaction | VersionedTransaction,
+  signers: Signer[],
+  options: ExecuteTransactionOptions = {}
+): Promise<TransactionResult> {
+  const commitment = options.commitment ?? connection.commitment ?? 'confirmed';
+  const maxBlockhashRefreshes = options.maxBlockhashRefreshes ?? DEFAULT_SEND_TX_MAX_RETRIES;
+  const rebroadcastIntervalMs = options.rebroadcastIntervalMs ?? DEFAULT_REBROADCAST_INTERVAL_MS;
+  const { journal, journalStepId } = options;
+
+  if (options.txConfig?.exportUnsignedDir) {
+    return exportUnsignedTransaction(
+      connection,
+      tx,
+      signers,
+      options.txConfig,
+      journalStepId ?? 'transaction'
+    );
+  }
+
+  if (journal && journalStepId) {
+    const journaledStep = getJournalStep(journal, journalStepId);
+    if (journaledStep?.status === 'confirmed') {
+      console.log(
+        `>>> Skipping ${journalStepId}, already confirmed with tx hash: ${journaledStep.signature}`
+      );
+      recordOutputSignature(journaledStep.signature!);
+      return getTransactionResult(connection, journaledStep.signature!, commitment);
+    }
+  }
+
+  let signature = '';
+  let lastValidBlockHeight = 0;
+  try {
+    const feePayer =
+      'version' in tx ? tx.message.staticAccountKeys[0]! : (tx.feePayer ?? signers[0]!.publicKey);
+    await applySimulatedComputeUnitLimit(
+      connection,
+      tx,
+      feePayer,
+      options.txConfig?.computeUnitLimitMargin
+    );
+
+    for (let attempt = 0; attempt <= maxBlockhashRefreshes; attempt++) {
+      ({ signature, lastValidBlockHeight } = await signWithLatestBlockhash(
+        connection,
+        tx,
+        signers,
+        attempt > 0
+      ));
+      if (journal && journalStepId) {
+        recordJournalStep(journal, {
+          id: journalStepId,
+          status: 'sent',
+          signature,
+          lastValidBlockHeight,
+        });
+      }
+
+      const rawTransaction = tx.serialize();
+      await connection.sendRawTransaction(rawTransaction, {
+        preflightCommitment: commitment,
+        maxRetries: 0,
+      });
+
+      while (true) {
+        await new Promise((resolve) => setTimeout(resolve, rebroadcastIntervalMs));
+
+        const { value: status } = await connection.getSignatureStatus(signature);
+        if (status?.err) {
+          throw new Error(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`);
+        }
+        if (isCommitmentReached(status?.confirmationStatus, commitment)) {
+          const result = await getTransactionResult(connection, signature, commitment);
+          if (journal && journalStepId) {
+            recordJournalStep(journal, { id: journalStepId, status: 'confirmed', signature });
+          }
+          recordOutputSignature(signature);
+          return result;
         }
+
+        if (status) {
+          // Landed, waiting for the requested commitment
+          continue;
+        }
+
+        const blockHeight = await connection.getBlockHeight(commitment);
+        if (blockHeight > lastValidBlockHeight) {
+          // The blockhash expired, check the history once more before signing a new transaction
+          const { value: landedStatus } = await connection.getSignatureStatus(signature, {
+            searchTransactionHistory: true,
+          });
+          if (!landedStatus) {
+            break;
+          }
+          continue;
+        }
+
+        await connection
+          .sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 })
+          .catch(() => {
+            // The transaction may have landed between the status check and the rebroadcast
+          });
       }
+
+      console.log(`>>> Blockhash expired for ${signature}, re-signing with a new blockhash...`);
+    }
+  } catch (err) {
+    if (journal && journalStepId && signature) {
+      recordJournalStep(journal, {
+        id: journalStepId,
+        status: 'failed',
+        signature,
+        lastValidBlockHeight,
+        error: err instanceof Error ? err.message : String(err),
+      });
     }
+    throw err;
+  }
 
-    // inject if none
-    tx.add(
-      ComputeBudgetProgram.setComputeUnitPrice({
-        microLamports: newPriorityFee,
-      })
+  throw new Error(
+    `Transaction was not confirmed after ${maxBlockhashRefreshes + 1} blockhash(es), last signature: ${signature}`
+  );
+}
+
+function compileV0Transaction(
+  payer: PublicKey,
+  instructions: TransactionInstruction[],
+  recentBlockhash: string,
+  addressLookupTableAccounts: AddressLookupTableAccount[]
+) {
+  return new VersionedTransaction(
+    new TransactionMessage({ payerKey: payer, recentBlockhash, instructions }).compileToV0Message(
+      addressLookupTableAccounts
+    )
+  );
+}
+
+function getV0TransactionSize(
+  payer: PublicKey,
+  instructions: TransactionInstruction[],
+  addressLookupTableAccounts: AddressLookupTableAccount[]
+): number {
+  try {
+    return compileV0Transaction(
+      payer,
+      instructions,
+      PublicKey.default.toBase58(),
+      addressLookupTableAccounts
+    ).serialize().length;
+  } catch {
+    // Too many accounts or bytes to even serialize
+    return Infinity;
+  }
+}
+
+/**
+ * Pack instructions greedily into v0 transactions by serialized size. Room is kept for the compute
+ * unit price and limit instructions set before sending.
+ * @param payer - The fee payer of the transactions
+ * @param instructions - The instructions to pack, in order
+ * @param addressLookupTableAccounts - The lookup tables the transactions will use
+ * @param maxInstructionsPerTx - Upper bound of instructions per transaction
+ * @returns The instructions of each transaction
+ */
+export function packInstructions(
+  payer: PublicKey,
+  instructions: TransactionInstruction[],
+  addressLookupTableAccounts: AddressLookupTableAccount[] = [],
+  maxInstructionsPerTx: number = Infinity
+): TransactionInstruction[][] {
+  const computeBudgetIxs = [
+    ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNIT_LIMIT }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 0 }),
+  ];
+
+  const groups: TransactionInstruction[][] = [];
+  let group: TransactionInstruction[] = [];
+  for (const ix of instructions) {
+    const candidate = [...group, ix];
+    const fits =
+      candidate.length <= maxInstructionsPerTx &&
+      getV0TransactionSize(
+        payer,
+        [...computeBudgetIxs, ...candidate],
+        addressLookupTableAccounts
+      ) <= TX_SIZE_LIMIT_BYTES;
+
+    if (fits || group.length === 0) {
+      group = candidate;
+    } else {
+      groups.push(group);
+      group = [ix];
+    }
+  }
+  if (group.length > 0) {
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+/**
+ * Collect the accounts used by more than one instruction. Signers and invoked programs are left
+ * out since they cannot be loaded from an address lookup table.
+ * @param instructions - The instructions
+ */
+export function getRepeatedAccounts(instructions: TransactionInstruction[]): PublicKey[] {
+  const programIds = new Set(instructions.map((ix) => ix.programId.toBase58()));
+  const counts = new Map<string, { pubkey: PublicKey; count: number }>();
+
+  for (const ix of instructions) {
+    const keys = new Map(
+      ix.keys.filter((key) => !key.isSigner).map((key) => [key.pubkey.toBase58(), key.pubkey])
     );
-    return true;
+    for (const [address, pubkey] of keys) {
+      if (programIds.has(address)) {
+        continue;
+      }
+      const entry = counts.get(address) ?? { pubkey, count: 0 };
+      entry.count++;
+      counts.set(address, entry);
+    }
   }
 
-  return false;
-};
+  return [...counts.values()].filter(({ count }) => count > 1).map(({ pubkey }) => pubkey);
+}
 
 /**
- * Divide the instructions to multiple transactions
+ * Create an address lookup table holding the given addresses, or extend the table recorded in the
+ * journal when resuming, and wait until the addresses can be used
+ * @param connection - The connection to the cluster
+ * @param payer - The payer and authority of the lookup table
+ * @param addresses - The addresses to store in the table
+ * @param txConfig - The transaction settings from the config
+ * @param journal - The execution journal to record the table into
+ * @returns The lookup table account
+ */
+export async function createAddressLookupTable(
+  connection: Connection,
+  payer: Keypair,
+  addresses: PublicKey[],
+  txConfig: TransactionConfig,
+  journal?: ExecutionJournal
+): Promise<AddressLookupTableAccount> {
+  let tableAddress: PublicKey;
+  if (
+    journal?.context.addressLookupTable &&
+    getJournalStep(journal, 'create-address-lookup-table')?.status === 'confirmed'
+  ) {
+    tableAddress = new PublicKey(journal.context.addressLookupTable);
+  } else {
+    const recentSlot = await connection.getSlot('finalized');
+    const [createIx, address] = AddressLookupTableProgram.createLookupTable({
+      authority: payer.publicKey,
+      payer: payer.publicKey,
+      recentSlot,
+    });
+    tableAddress = address;
+
+    console.log(`>> Creating address lookup table ${tableAddress}...`);
+    const tx = new Transaction({ feePayer: payer.publicKey }).add(createIx);
+    await applyComputeUnitPrice(connection, tx, txConfig);
+    if (journal) {
+      journal.context.addressLookupTable = tableAddress.toBase58();
+    }
+    await executeTransaction(connection, tx, [payer], {
+      txConfig,
+      journal,
+      journalStepId: 'create-address-lookup-table',
+    });
+  }
+  console.log(`- Using address lookup table ${tableAddress}`);
+
+  const { value: table } = await connection.getAddressLookupTable(tableAddress);
+  const storedAddresses = new Set(table?.state.addresses.map((address) => address.toBase58()));
+  const newAddresses = addresses.filter((address) => !storedAddresses.has(address.toBase58()));
+  if (storedAddresses.size + newAddresses.length > LOOKUP_TABLE_MAX_ADDRESSES) {
+    throw new Error(
+      `Address lookup table ${tableAddress} cannot hold more than ${LOOKUP_TABLE_MAX_ADDRESSES} addresses`
+    );
+  }
+
+  for (let i = 0; i < newAddresses.length; i += LOOKUP_TABLE_EXTEND_ADDRESSES_PER_TX) {
+    const extendIx = AddressLookupTableProgram.extendLookupTable({
+      lookupTable: tableAddress,
+      authority: payer.publicKey,
+      payer: payer.publicKey,
+      addresses: newAddresses.slice(i, i + LOOKUP_TABLE_EXTEND_ADDRESSES_PER_TX),
+    });
+    const tx = new Transaction({ feePayer: payer.publicKey }).add(extendIx);
+    await applyComputeUnitPrice(connection, tx, txConfig);
+
+    console.log(`>> Extending address lookup table with ${extendIx.keys.length} accounts...`);
+    await executeTransaction(connection, tx, [payer], {
+      txConfig,
+      journal,
+      journalStepId: getInstructionsStepId('extend-address-lookup-table', [extendIx]),
+    });
+  }
+
+  // Addresses can only be looked up from the slot after the one that added them. The wait is
+  // bounded in time, since the slot of an RPC node stuck behind the cluster does not advance
+  const deadline = Date.now() + LOOKUP_TABLE_ACTIVATION_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { value } = await connection.getAddressLookupTable(tableAddress);
+    if (!value) {
+      throw new Error(`Address lookup table ${tableAddress} not found`);
+    }
+    const slot = await connection.getSlot(connection.commitment);
+    if (value.state.addresses.length >= addresses.length && slot > value.state.lastExtendedSlot) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, DEFAULT_REBROADCAST_INTERVAL_MS));
+  }
+  throw new Error(
+    `Address lookup table ${tableAddress} is not usable after ${LOOKUP_TABLE_ACTIVATION_TIMEOUT_MS / 1000}s, the RPC node may be behind the cluster`
+  );
+}
+
+/**
+ * Deactivate a lookup table once its transactions landed, so that its rent can be reclaimed.
+ * Failing to deactivate only warns, the transactions using it already landed.
+ * @param connection - The connection to the cluster
+ * @param payer - The authority of the lookup table
+ * @param tableAddress - The lookup table
+ * @param txConfig - The transaction settings from the config
+ * @param journal - The execution journal to record the deactivation into
+ */
+async function deactivateAddressLookupTable(
+  connection: Connection,
+  payer: Keypair,
+  tableAddress: PublicKey,
+  txConfig: TransactionConfig,
+  journal?: ExecutionJournal
+) {
+  console.log(`>> Deactivating address lookup table ${tableAddress}...`);
+  try {
+    const tx = new Transaction({ feePayer: payer.publicKey }).add(
+      AddressLookupTableProgram.deactivateLookupTable({
+        lookupTable: tableAddress,
+        authority: payer.publicKey,
+      })
+    );
+    await applyComputeUnitPrice(connection, tx, txConfig);
+    await executeTransaction(connection, tx, [payer], {
+      txConfig,
+      journal,
+      journalStepId: 'deactivate-address-lookup-table',
+    });
+  } catch (err) {
+    console.warn(`WARNING: Failed to deactivate address lookup table ${tableAddress}: ${err}`);
+    return;
+  }
+  console.log(
+    `- Reclaim its rent once the deactivation cools down (~${LOOKUP_TABLE_DEACTIVATION_SLOTS} slots) with: solana address-lookup-table close ${tableAddress}`
+  );
+}
+
+/**
+ * Pack the instructions into as few v0 transactions as fit, and send them one by one
  * @param connection - The connection to the cluster
  * @param instructions - The instructions to send
- * @param instructionsPerTx - The number of instructions per transaction
  * @param payer - The payer of the transaction
- * @param computeUnitPriceMicroLamports - The compute unit price in microlamports
+ * @param txConfig - The transaction settings from the config. With `useAddressLookupTable`, the
+ * accounts repeated across instructions are moved into a new address lookup table first.
  * @param dryRun - Whether to dry run the transaction
  * @param txLabel - The label of the transaction
+ * @param opts - The upper bound of instructions per transaction, and the execution journal to
+ * record sent transactions into
+ * @returns The results of the sent transactions, empty when dry running
  */
 export async function handleSendTxs(
   connection: Connection,
   instructions: TransactionInstruction[],
-  instructionsPerTx: number,
   payer: Keypair,
-  computeUnitPriceMicroLamports: number,
+  txConfig: TransactionConfig,
   dryRun: boolean,
-  txLabel?: string
-): Promise<void> {
-  const numTransactions = Math.ceil(instructions.length / instructionsPerTx);
+  txLabel?: string,
+  opts?: {
+    maxInstructionsPerTx?: number;
+    journal?: ExecutionJournal;
+  }
+): Promise<TransactionResult[]> {
+  const label = txLabel ?? '';
+  const journal = opts?.journal;
+  const results: TransactionResult[] = [];
 
-  for (let i = 0; i < numTransactions; i++) {
-    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
-      connection.commitment
-    );
-    const setPriorityFeeIx = ComputeBudgetProgram.setComputeUnitPrice({
-      microLamports: computeUnitPriceMicroLamports,
-    });
-    const tx = new Transaction({
+  let addressLookupTableAccounts: AddressLookupTableAccount[] = [];
+  if (txConfig.useAddressLookupTable) {
+    const repeatedAccounts = getRepeatedAccounts(instructions);
+    if (dryRun || txConfig.exportUnsignedDir) {
+      console.log(
+        `> Skipping address lookup table creation for ${repeatedAccounts.length} accounts in ${dryRun ? 'dry run' : 'export mode'}`
+      );
+    } else if (repeatedAccounts.length > 0) {
+      addressLookupTableAccounts = [
+        await createAddressLookupTable(connection, payer, repeatedAccounts, txConfig, journal),
+      ];
+    }
+  }
+
+  const groups = packInstructions(
+    payer.publicKey,
+    instructions,
+    addressLookupTableAccounts,
+    opts?.maxInstructionsPerTx
+  );
+  console.log(`> Packed ${instructions.length} instructions into ${groups.length} transactions`);
+
+  for (const [i, txInstructions] of groups.entries()) {
+    const { blockhash } = await connection.getLatestBlockhash(connection.commitment);
+    const tx = compileV0Transaction(
+      payer.publicKey,
+      txInstructions,
       blockhash,
-      lastValidBlockHeight,
-      feePayer: payer.publicKey,
-    }).add(setPriorityFeeIx);
-    const lowerIndex = i * instructionsPerTx;
-    const upperIndex = (i + 1) * instructionsPerTx;
-    for (let j = lowerIndex; j < upperIndex; j++) {
-      const instruction = instructions[j];
-      if (instruction) tx.add(instruction);
-    }
-
-    const txSize = tx.serialize({
-      verifySignatures: false,
-    }).length;
+      addressLookupTableAccounts
+    );
+    await applyComputeUnitPrice(connection, tx, txConfig);
+
+    const txSize = tx.serialize().length;
     console.log(`Tx number ${i + 1} txSize = ${txSize}`);
 
-    const label = txLabel ?? '';
     if (dryRun) {
       console.log(`\n> Simulating ${label} tx number ${i + 1}...`);
-      await runSimulateTransaction(connection, [payer], payer.publicKey, [tx]);
+      await applySimulatedComputeUnitLimit(
+        connection,
+        tx,
+        payer.publicKey,
+        txConfig.computeUnitLimitMargin
+      );
+      const report = await reportSimulatedTransaction(
+        connection,
+        tx,
+        `${label} tx number ${i + 1}`.trim(),
+        addressLookupTableAccounts
+      );
+      if (report.error) {
+        throw new Error(`Transaction simulation failed: ${report.error}`);
+      }
+      console.log('>>> Simulated transaction successfully');
     } else {
       console.log(`>> Sending ${label} transaction number ${i + 1}...`);
-      const txHash = await sendAndConfirmTransaction(connection, tx, [payer], {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+      const result = await executeTransaction(connection, tx, [payer], {
+        txConfig,
+        journal,
+        journalStepId: getInstructionsStepId(label || 'transaction', txInstructions),
       }).catch((err) => {
         console.error(err);
         throw err;
       });
-      console.log(`>>> Transaction ${i + 1} ${label} successfully with tx hash: ${txHash}`);
+      results.push(result);
+      console.log(
+        `>>> Transaction ${i + 1} ${label} successfully with tx hash: ${result.signature}`
+      );
     }
   }
+
+  // The table is only needed by these transactions, a failed run keeps it to resume with
+  for (const { key } of addressLookupTableAccounts) {
+    recordOutputAddress('addressLookupTable', key);
+    await deactivateAddressLookupTable(connection, payer, key, txConfig, journal);
+  }
+
+  return results;
 }
@@ -1,21 +1,75 @@
 import { Keypair, Connection, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import fs from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
 import { parse as parseJsonc } from 'jsonc-parser';
 import { PriceRoundingConfig } from '../utils/types';
 import bs58 from 'bs58';
+import { recordOutputSignature } from './output';
 
+const PLACEHOLDER_REGEX = /\$\{(env|file):([^}]+)\}/g;
+
+function interpolatePlaceholders(value: unknown, baseDir: string, missing: Set<string>): unknown {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_REGEX, (placeholder, source: string, name: string) => {
+      if (source === 'env') {
+        const envValue = process.env[name];
+        if (envValue === undefined) {
+          missing.add(`environment variable ${name}`);
+          return placeholder;
+        }
+        return envValue;
+      }
+
+      const filePath = path.resolve(baseDir, name);
+      if (!existsSync(filePath)) {
+        missing.add(`file ${filePath}`);
+        return placeholder;
+      }
+      return readFileSync(filePath, 'utf-8').trim();
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolatePlaceholders(item, baseDir, missing));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        interpolatePlaceholders(item, baseDir, missing),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Parse a JSON or JSONC file. `${env:NAME}` placeholders in string values are replaced by the
+ * environment variable, and `${file:path}` placeholders by the trimmed content of the file, relative
+ * to the parsed file.
+ * @param filePath - The file to parse
+ */
 export async function safeParseJsonFromFile<T>(filePath: string): Promise<T> {
+  let result: unknown;
   try {
     const rawData = await fs.readFile(filePath, 'utf-8');
-    const result = parseJsonc(rawData);
+    result = parseJsonc(rawData);
     if (result === undefined) {
       throw new Error('Failed to parse JSON content');
     }
-    return result as T;
   } catch (error) {
     console.error('Error reading or parsing JSON file:', error);
     throw new Error(`failed to parse file ${filePath}`);
   }
+
+  const missing = new Set<string>();
+  const interpolated = interpolatePlaceholders(result, path.dirname(filePath), missing);
+  if (missing.size > 0) {
+    throw new Error(
+      `Missing values for the placeholders of ${filePath}:\n${[...missing].map((m) => `- ${m}`).join('\n')}`
+    );
+  }
+  return interpolated as T;
 }
 
 export async function safeParseKeypairFromFile(filePath: string): Promise<Keypair> {
@@ -37,7 +91,9 @@ export function parseKeypairFromPrivateKey(privateKey: string): Keypair {
       const keypairBytes = Uint8Array.from(keypairJson);
       return Keypair.fromSecretKey(keypairBytes);
     } catch (jsonError) {
-      throw new Error('Invalid private key format. Expected base58 string or JSON array of numbers');
+      throw new Error(
+        'Invalid private key format. Expected base58 string or JSON array of numbers'
+      );
     }
   }
 }
@@ -51,6 +107,7 @@ export async function airdropSol(
     const signature = await connection.requestAirdrop(keypair.publicKey, amount * LAMPORTS_PER_SOL);
 
     await connection.confirmTransaction(signature, 'confirmed');
+    recordOutputSignature(signature);
 
     console.log(`Airdropped ${amount} SOL to ${keypair.publicKey.toString()}`);
     console.log(`Transaction signature: ${signature}`);
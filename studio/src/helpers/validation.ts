@@ -1,130 +1,167 @@
-import Ajv from 'ajv';
-import { CONFIG_SCHEMA } from './config';
-import {
-  MeteoraConfig,
-  DammV1Config,
-  DammV2Config,
-  DlmmConfig,
-  DbcConfig,
-  AlphaVaultConfig,
-} from '../utils/types';
-
-function isDammV1Config(config: MeteoraConfig): config is DammV1Config {
-  return 'tradeFeeNumerator' in config && 'baseAmount' in config && 'quoteAmount' in config;
-}
-
-function isDammV2Config(config: MeteoraConfig): config is DammV2Config {
-  return 'dynamicAmmV2' in config;
-}
-
-function isDlmmConfig(config: MeteoraConfig): config is DlmmConfig {
-  return 'dlmm' in config;
-}
-
-function isDbcConfig(config: MeteoraConfig): config is DbcConfig {
-  return 'dbc' in config;
-}
-
-function isAlphaVaultConfig(config: MeteoraConfig): config is AlphaVaultConfig {
-  return 'alphaVault' in config && Object.keys(config).length === 7; // Only has base properties + alphaVault
-}
-
-export function validateConfig(config: MeteoraConfig) {
-  const ajv = new Ajv({
-    strict: false,
-  });
-  const validate = ajv.compile(CONFIG_SCHEMA);
-  const isValid = validate(config);
-  if (!isValid) {
-    console.error(validate.errors);
-    throw new Error('Config file is invalid');
+import Ajv, { ErrorObject, ValidateFunction } from 'ajv';
+import { getConfigSchema } from './config';
+import { ActionConfigSchema, ConfigType, MeteoraConfig, WhitelistModeConfig } from '../utils/types';
+
+// verbose exposes the schema of failed patterns, whose description is reported instead
+const ajv = new Ajv({ strict: false, allErrors: true, verbose: true });
+const validators = new Map<string, ValidateFunction>();
+
+function getValidator(configType: ConfigType, requiredKeys: string[]): ValidateFunction {
+  const key = `${configType}:${requiredKeys.join(',')}`;
+  let validate = validators.get(key);
+  if (!validate) {
+    validate = ajv.compile(getConfigSchema(configType, requiredKeys));
+    validators.set(key, validate);
   }
-
-  extraConfigValidation(config);
+  return validate;
 }
 
-export function extraConfigValidation(config: MeteoraConfig) {
-  if (!config.keypairFilePath) {
-    throw new Error('Missing keypairFilePath in config file.');
-  }
-  if (!config.rpcUrl) {
-    throw new Error('Missing rpcUrl in config file.');
-  }
-
-  // Check createBaseToken vs baseMint conflict for applicable config types
-  if ('createBaseToken' in config && config.createBaseToken && config.baseMint) {
-    throw new Error('Both createBaseToken and baseMint cannot be set simultaneously.');
-  }
-
-  // Type-specific validation
-  if (isDammV1Config(config)) {
-    validateDammV1Config(config);
-  } else if (isDammV2Config(config)) {
-    validateDammV2Config(config);
-  } else if (isDlmmConfig(config)) {
-    validateDlmmConfig(config);
-  } else if (isDbcConfig(config)) {
-    validateDbcConfig(config);
-  } else if (isAlphaVaultConfig(config)) {
-    validateAlphaVaultConfig(config);
+function toJsonPath(instancePath: string, key?: string): string {
+  const segments = instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (key !== undefined) {
+    segments.push(key);
   }
+  return segments.reduce(
+    (jsonPath, segment) =>
+      /^\d+$/.test(segment) ? `${jsonPath}[${segment}]` : `${jsonPath}.${segment}`,
+    '$'
+  );
 }
 
-function validateDammV1Config(config: DammV1Config) {
-  if (config.alphaVault) {
-    validateAlphaVaultCommon(config.alphaVault);
+function formatSchemaErrors(errors: ErrorObject[]): string[] {
+  const messages = new Map<string, string[]>();
+  const addMessage = (jsonPath: string, message: string) => {
+    const pathMessages = messages.get(jsonPath) ?? [];
+    if (!pathMessages.includes(message)) {
+      pathMessages.push(message);
+    }
+    messages.set(jsonPath, pathMessages);
+  };
+
+  for (const error of errors) {
+    switch (error.keyword) {
+      case 'required':
+        addMessage(toJsonPath(error.instancePath, error.params.missingProperty), 'is required');
+        break;
+      case 'additionalProperties':
+        addMessage(
+          toJsonPath(error.instancePath, error.params.additionalProperty),
+          'is not a known config key'
+        );
+        break;
+      case 'not':
+        addMessage(toJsonPath(error.instancePath), 'is required');
+        break;
+      case 'enum':
+        addMessage(
+          toJsonPath(error.instancePath),
+          `must be one of ${error.params.allowedValues.map((v: unknown) => JSON.stringify(v)).join(', ')}`
+        );
+        break;
+      case 'const':
+        addMessage(
+          toJsonPath(error.instancePath),
+          `must be ${JSON.stringify(error.params.allowedValue)}`
+        );
+        break;
+      case 'pattern':
+        addMessage(
+          toJsonPath(error.instancePath),
+          error.parentSchema?.description
+            ? `must be ${error.parentSchema.description}`
+            : (error.message ?? 'is invalid')
+        );
+        break;
+      case 'anyOf':
+      case 'if':
+        // Failed unions are reported through the errors of their members
+        break;
+      case 'type': {
+        // Nullable values report "must be null" next to the actual problem of the value
+        const isNullMember =
+          error.params.type === 'null' &&
+          errors.some(
+            (other) =>
+              other !== error &&
+              other.instancePath.startsWith(error.instancePath) &&
+              !(other.keyword === 'type' && other.params.type === 'null') &&
+              other.keyword !== 'anyOf'
+          );
+        if (!isNullMember) {
+          addMessage(toJsonPath(error.instancePath), error.message ?? 'has an invalid type');
+        }
+        break;
+      }
+      default:
+        addMessage(toJsonPath(error.instancePath), error.message ?? 'is invalid');
+    }
   }
-}
 
-function validateDammV2Config(config: DammV2Config) {
-  if (config.alphaVault) {
-    validateAlphaVaultCommon(config.alphaVault);
-  }
+  return [...messages.entries()].map(
+    ([jsonPath, pathMessages]) => `${jsonPath}: ${pathMessages.join(' or ')}`
+  );
 }
 
-function validateDlmmConfig(config: DlmmConfig) {
-  if (config.dlmmConfig && config.dlmmConfig.hasAlphaVault) {
-    if (config.quoteMint == null) {
-      throw new Error('quoteMint must be provided for DLMM');
-    }
+function getExtraConfigProblems(config: any): string[] {
+  const problems: string[] = [];
+
+  if (!config.keypair && !config.keypairFilePath) {
+    problems.push('$.keypairFilePath: is required unless keypair references a keystore key');
   }
 
-  if (config.alphaVault) {
-    validateAlphaVaultCommon(config.alphaVault);
+  if (config.createBaseToken && config.baseMint) {
+    problems.push('$.createBaseToken: cannot be set together with baseMint');
   }
-}
 
-function validateDbcConfig(config: DbcConfig) {
-  if (!config.dbcConfig) {
-    throw new Error('DBC configuration is required but not provided.');
+  if (config.dlmmConfig?.hasAlphaVault && config.quoteMint == null) {
+    problems.push('$.quoteMint: is required when dlmmConfig.hasAlphaVault is true');
   }
 
   if (
-    config.dbcConfig.buildCurveMode !== 0 &&
-    config.dbcConfig.buildCurveMode !== 1 &&
-    config.dbcConfig.buildCurveMode !== 2 &&
-    config.dbcConfig.buildCurveMode !== 3
+    config.alphaVault?.whitelistMode === WhitelistModeConfig.PermissionedWithMerkleProof &&
+    !config.alphaVault.merkleProofBaseUrl
   ) {
-    throw new Error(`Build curve mode isn't supported.`);
+    problems.push(
+      `$.alphaVault.merkleProofBaseUrl: is required with the ${WhitelistModeConfig.PermissionedWithMerkleProof} whitelist mode`
+    );
   }
-}
 
-function validateAlphaVaultConfig(config: AlphaVaultConfig) {
-  if (config.alphaVault) {
-    validateAlphaVaultCommon(config.alphaVault);
-  }
+  return problems;
 }
 
-function validateAlphaVaultCommon(alphaVault: any) {
-  if (alphaVault.alphaVaultType != 'fcfs' && alphaVault.alphaVaultType != 'prorata') {
-    throw new Error(`Alpha vault type ${alphaVault.alphaVaultType} isn't supported.`);
+/**
+ * Check a config against the generated schema of an action, and the rules a schema cannot express
+ * @param config - The config to check
+ * @param schema - The config schema of the action, only the extra rules are checked without
+ * @returns Every problem found, prefixed with the JSON path of the value
+ */
+export function getConfigProblems(config: unknown, schema?: ActionConfigSchema): string[] {
+  const problems: string[] = [];
+  if (schema) {
+    const validate = getValidator(schema.configType, schema.requiredConfigKeys);
+    if (!validate(config)) {
+      problems.push(...formatSchemaErrors(validate.errors ?? []));
+    }
+  }
+  if (config && typeof config === 'object') {
+    problems.push(...getExtraConfigProblems(config));
   }
+  return problems;
+}
 
-  if (
-    alphaVault.poolType != 'dynamic' &&
-    alphaVault.poolType != 'dlmm' &&
-    alphaVault.poolType != 'damm2'
-  ) {
-    throw new Error(`Alpha vault pool type ${alphaVault.poolType} isn't supported.`);
+/**
+ * Validate a config, printing every problem found before throwing
+ * @param config - The config to validate
+ * @param schema - The config schema of the action running with the config
+ */
+export function validateConfig(config: MeteoraConfig, schema?: ActionConfigSchema) {
+  const problems = getConfigProblems(config, schema);
+  if (problems.length > 0) {
+    console.error('\n> Config problems:');
+    problems.forEach((problem) => console.error(`- ${problem}`));
+    throw new Error(`Config file is invalid, found ${problems.length} problem(s)`);
   }
 }
@@ -1,44 +1,50 @@
 import { Wallet } from '@coral-xyz/anchor';
 import AlphaVault, {
+  createProgram,
   deriveMerkleProofMetadata,
   PoolType,
   WalletDepositCap,
 } from '@meteora-ag/alpha-vault';
-import {
-  Cluster,
-  Connection,
-  PublicKey,
-  Transaction,
-  sendAndConfirmTransaction,
-} from '@solana/web3.js';
+import { Cluster, Connection, PublicKey, Transaction } from '@solana/web3.js';
+import { ACCOUNT_SIZE, getAccountLenForMint, Mint } from '@solana/spl-token';
+import AmmImpl from '@meteora-ag/dynamic-amm-sdk';
+import { CpAmm } from '@meteora-ag/cp-amm-sdk';
+import DLMM from '@meteora-ag/dlmm';
 import BN from 'bn.js';
 import fs from 'fs/promises';
 import { BalanceTree } from './merkle_tree';
-import {
-  ALPHA_VAULT_PROGRAM_IDS,
-  DEFAULT_NODES_PER_TREE,
-  DEFAULT_SEND_TX_MAX_RETRIES,
-  MAX_INSTRUCTIONS_PER_STAKE_ESCROW_ACCOUNTS_CREATED,
-} from '../../utils/constants';
+import { ALPHA_VAULT_PROGRAM_IDS, DEFAULT_NODES_PER_TREE } from '../../utils/constants';
 import {
   AlphaVaultConfig,
   AlphaVaultTypeConfig,
+  DammV1Config,
+  DammV2Config,
+  DlmmConfig,
+  ExecutionJournal,
   FcfsAlphaVaultConfig,
+  FcfsOrProrataAlphaVaultConfig,
   KvMerkleProof,
   PoolTypeConfig,
+  PreflightRequirements,
+  TransactionConfig,
   ProrataAlphaVaultConfig,
+  TransactionResult,
   WhitelistCsv,
   WhitelistModeConfig,
 } from '../../utils/types';
 import {
   getAmountInLamports,
   handleSendTxs,
-  modifyComputeUnitPriceIx,
+  applyComputeUnitPrice,
   runSimulateTransaction,
   deriveAlphaVault,
   deriveMerkleRootConfig,
   parseCsv,
   getQuoteDecimals,
+  executeTransaction,
+  getConfigNetwork,
+  resolvePoint,
+  recordOutputAddress,
 } from '../../helpers';
 import { getAlphaVaultWhitelistMode, getClusterFromProgramId } from './utils';
 import { uploadProof } from './merkle_tree/metadata';
@@ -53,11 +59,12 @@ export async function createFcfsAlphaVault(
   quoteDecimals: number,
   params: FcfsAlphaVaultConfig,
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number,
+  txConfig: TransactionConfig,
   opts?: {
     alphaVaultProgramId: PublicKey;
-  }
-): Promise<void> {
+  },
+  journal?: ExecutionJournal
+): Promise<TransactionResult | undefined> {
   const maxDepositingCap = getAmountInLamports(params.maxDepositCap, quoteDecimals);
   const individualDepositingCap = getAmountInLamports(
     params.individualDepositingCap,
@@ -106,27 +113,33 @@ export async function createFcfsAlphaVault(
     }
   )) as Transaction;
 
-  modifyComputeUnitPriceIx(initAlphaVaultTx, computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, initAlphaVaultTx, txConfig);
 
   if (dryRun) {
     console.log(`\n> Simulating init alpha vault tx...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [initAlphaVaultTx]);
-  } else {
-    console.log(`>> Sending init alpha vault transaction...`);
-    const initAlphaVaulTxHash = await sendAndConfirmTransaction(
+    await runSimulateTransaction(
       connection,
-      initAlphaVaultTx,
-      [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
-    ).catch((err) => {
-      console.error(err);
-      throw err;
-    });
-    console.log(`>>> Alpha vault initialized successfully with tx hash: ${initAlphaVaulTxHash}`);
+      wallet.publicKey,
+      [initAlphaVaultTx],
+      'init alpha vault transaction'
+    );
+    return;
   }
+
+  console.log(`>> Sending init alpha vault transaction...`);
+  const initAlphaVaultResult = await executeTransaction(
+    connection,
+    initAlphaVaultTx,
+    [wallet.payer],
+    { txConfig, journal, journalStepId: 'create-alpha-vault' }
+  ).catch((err) => {
+    console.error(err);
+    throw err;
+  });
+  console.log(
+    `>>> Alpha vault initialized successfully with tx hash: ${initAlphaVaultResult.signature}`
+  );
+  return initAlphaVaultResult;
 }
 
 export async function createProrataAlphaVault(
@@ -139,11 +152,12 @@ export async function createProrataAlphaVault(
   quoteDecimals: number,
   params: ProrataAlphaVaultConfig,
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number,
+  txConfig: TransactionConfig,
   opts?: {
     alphaVaultProgramId: PublicKey;
-  }
-) {
+  },
+  journal?: ExecutionJournal
+): Promise<TransactionResult | undefined> {
   const maxBuyingCap = getAmountInLamports(params.maxBuyingCap, quoteDecimals);
   const escrowFee = getAmountInLamports(params.escrowFee, quoteDecimals);
   const whitelistMode = getAlphaVaultWhitelistMode(params.whitelistMode);
@@ -184,27 +198,33 @@ export async function createProrataAlphaVault(
     }
   )) as Transaction;
 
-  modifyComputeUnitPriceIx(initAlphaVaultTx, computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, initAlphaVaultTx, txConfig);
 
   if (dryRun) {
     console.log(`\n> Simulating init alpha vault tx...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [initAlphaVaultTx]);
-  } else {
-    console.log(`>> Sending init alpha vault transaction...`);
-    const initAlphaVaulTxHash = await sendAndConfirmTransaction(
+    await runSimulateTransaction(
       connection,
-      initAlphaVaultTx,
-      [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
-    ).catch((err) => {
-      console.error(err);
-      throw err;
-    });
-    console.log(`>>> Alpha vault initialized successfully with tx hash: ${initAlphaVaulTxHash}`);
+      wallet.publicKey,
+      [initAlphaVaultTx],
+      'init alpha vault transaction'
+    );
+    return;
   }
+
+  console.log(`>> Sending init alpha vault transaction...`);
+  const initAlphaVaultResult = await executeTransaction(
+    connection,
+    initAlphaVaultTx,
+    [wallet.payer],
+    { txConfig, journal, journalStepId: 'create-alpha-vault' }
+  ).catch((err) => {
+    console.error(err);
+    throw err;
+  });
+  console.log(
+    `>>> Alpha vault initialized successfully with tx hash: ${initAlphaVaultResult.signature}`
+  );
+  return initAlphaVaultResult;
 }
 
 export async function createPermissionedAlphaVaultWithMerkleProof(
@@ -219,10 +239,11 @@ export async function createPermissionedAlphaVaultWithMerkleProof(
   params: FcfsAlphaVaultConfig | ProrataAlphaVaultConfig,
   whitelistList: WalletDepositCap[],
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number,
+  txConfig: TransactionConfig,
   opts?: {
     alphaVaultProgramId: PublicKey;
-  }
+  },
+  journal?: ExecutionJournal
 ): Promise<void> {
   if (params.whitelistMode != WhitelistModeConfig.PermissionedWithMerkleProof) {
     throw new Error(`Invalid whitelist mode ${params.whitelistMode}. Only Permissioned with merkle proof is allowed 
@@ -267,8 +288,9 @@ export async function createPermissionedAlphaVaultWithMerkleProof(
         quoteDecimals,
         params as FcfsAlphaVaultConfig,
         dryRun,
-        computeUnitPriceMicroLamports,
-        opts
+        txConfig,
+        opts,
+        journal
       );
     } else if (alphaVaultType == AlphaVaultTypeConfig.Prorata) {
       await createProrataAlphaVault(
@@ -281,8 +303,9 @@ export async function createPermissionedAlphaVaultWithMerkleProof(
         quoteDecimals,
         params as ProrataAlphaVaultConfig,
         dryRun,
-        computeUnitPriceMicroLamports,
-        opts
+        txConfig,
+        opts,
+        journal
       );
     }
   } else {
@@ -359,29 +382,29 @@ export async function createPermissionedAlphaVaultWithMerkleProof(
       blockhash,
     }).add(...tx.instructions);
 
-    modifyComputeUnitPriceIx(initMerkleRootConfigTx, computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, initMerkleRootConfigTx, txConfig);
 
     if (dryRun) {
       console.log(`\n> Simulating init merkle root config tx...`);
-      await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [
-        initMerkleRootConfigTx,
-      ]);
+      await runSimulateTransaction(
+        connection,
+        wallet.publicKey,
+        [initMerkleRootConfigTx],
+        'init merkle root config transaction'
+      );
     } else {
       console.log(`>> Sending init merkle root config transaction...`);
-      const initAlphaVaulTxHash = await sendAndConfirmTransaction(
+      const initMerkleRootConfigResult = await executeTransaction(
         connection,
         initMerkleRootConfigTx,
         [wallet.payer],
-        {
-          commitment: connection.commitment,
-          maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-        }
+        { txConfig, journal, journalStepId: `merkle-root-config-${i}` }
       ).catch((err) => {
         console.error(err);
         throw err;
       });
       console.log(
-        `>>> Merkle root config version ${i + 1} successfully with tx hash: ${initAlphaVaulTxHash}`
+        `>>> Merkle root config version ${i + 1} successfully with tx hash: ${initMerkleRootConfigResult.signature}`
       );
     }
   }
@@ -399,10 +422,11 @@ export async function createPermissionedAlphaVaultWithAuthority(
   params: FcfsAlphaVaultConfig | ProrataAlphaVaultConfig,
   whitelistList: WalletDepositCap[],
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number,
+  txConfig: TransactionConfig,
   opts?: {
     alphaVaultProgramId: PublicKey;
-  }
+  },
+  journal?: ExecutionJournal
 ): Promise<void> {
   if (params.whitelistMode != WhitelistModeConfig.PermissionedWithAuthority) {
     throw new Error(`Invalid whitelist mode ${params.whitelistMode}. Only Permissioned with authority is allowed 
@@ -447,8 +471,9 @@ export async function createPermissionedAlphaVaultWithAuthority(
         quoteDecimals,
         params as FcfsAlphaVaultConfig,
         dryRun,
-        computeUnitPriceMicroLamports,
-        opts
+        txConfig,
+        opts,
+        journal
       );
     } else if (alphaVaultType == AlphaVaultTypeConfig.Prorata) {
       await createProrataAlphaVault(
@@ -461,8 +486,9 @@ export async function createPermissionedAlphaVaultWithAuthority(
         quoteDecimals,
         params as ProrataAlphaVaultConfig,
         dryRun,
-        computeUnitPriceMicroLamports,
-        opts
+        txConfig,
+        opts,
+        journal
       );
     }
   } else {
@@ -485,11 +511,11 @@ export async function createPermissionedAlphaVaultWithAuthority(
   await handleSendTxs(
     connection,
     instructions,
-    MAX_INSTRUCTIONS_PER_STAKE_ESCROW_ACCOUNTS_CREATED,
     wallet.payer,
-    computeUnitPriceMicroLamports,
+    txConfig,
     dryRun,
-    'create stake escrow accounts'
+    'create stake escrow accounts',
+    { journal }
   );
 }
 
@@ -525,7 +551,7 @@ export async function createMerkleProofMetadata(
   connection: Connection,
   config: AlphaVaultConfig
 ) {
-  const alphaVaultProgramId = new PublicKey(ALPHA_VAULT_PROGRAM_IDS['mainnet-beta']);
+  const alphaVaultProgramId = new PublicKey(getConfigNetwork(config).programIds.alphaVault);
 
   const alphaVaultPubkey = deriveAlphaVault(wallet.publicKey, poolKey, alphaVaultProgramId);
 
@@ -542,6 +568,9 @@ export async function createMerkleProofMetadata(
     if (!config.alphaVault) {
       throw new Error('Alpha vault configuration is missing');
     }
+    if (!config.alphaVault.merkleProofBaseUrl) {
+      throw new Error('Missing merkleProofBaseUrl in alpha vault configuration');
+    }
 
     const createMerkleProofMetadataTx = await alphaVault.createMerkleProofMetadata(
       wallet.publicKey,
@@ -550,25 +579,25 @@ export async function createMerkleProofMetadata(
 
     if (config.dryRun) {
       console.log(`\n> Simulating init merkle proof metadata tx...`);
-      await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [
-        createMerkleProofMetadataTx,
-      ]);
+      await runSimulateTransaction(
+        connection,
+        wallet.publicKey,
+        [createMerkleProofMetadataTx],
+        'init merkle proof metadata transaction'
+      );
     } else {
       console.log(`>> Sending init merkle proof metadata transaction...`);
-      const initAlphaVaulTxHash = await sendAndConfirmTransaction(
+      const merkleProofMetadataResult = await executeTransaction(
         connection,
         createMerkleProofMetadataTx,
         [wallet.payer],
-        {
-          commitment: connection.commitment,
-          maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-        }
+        { txConfig: config }
       ).catch((err) => {
         console.error(err);
         throw err;
       });
       console.log(
-        `>>> Merkle proof metadata initialized successfully with tx hash: ${initAlphaVaulTxHash}`
+        `>>> Merkle proof metadata initialized successfully with tx hash: ${merkleProofMetadataResult.signature}`
       );
     }
   }
@@ -590,11 +619,167 @@ export async function createMerkleProofMetadata(
   }
 }
 
+async function getPoolActivationType(
+  connection: Connection,
+  config: AlphaVaultConfig,
+  poolType: PoolType,
+  poolAddress: PublicKey
+): Promise<number> {
+  // The pool config is part of the config when the alpha vault is created along with its pool
+  const { dlmmConfig, dammV1Config, dammV2Config } = config as Partial<
+    DlmmConfig & DammV1Config & DammV2Config
+  >;
+  const network = getConfigNetwork(config);
+
+  switch (poolType) {
+    case PoolType.DLMM: {
+      if (dlmmConfig) {
+        return dlmmConfig.activationType;
+      }
+      const pair = await DLMM.create(connection, poolAddress, {
+        cluster: network.cluster,
+        programId: new PublicKey(network.programIds.dlmm),
+      });
+      return pair.lbPair.activationType;
+    }
+    case PoolType.DAMM: {
+      if (dammV1Config) {
+        return dammV1Config.activationType;
+      }
+      const pool = await AmmImpl.create(connection as any, poolAddress, {
+        programId: network.programIds.dammV1,
+      });
+      return pool.poolState.bootstrapping.activationType;
+    }
+    case PoolType.DAMMV2: {
+      if (dammV2Config) {
+        return dammV2Config.activationType;
+      }
+      const poolState = await new CpAmm(connection).fetchPoolState(poolAddress);
+      return poolState.activationType;
+    }
+    default:
+      throw new Error(`Unsupported alpha vault pool type: ${poolType}`);
+  }
+}
+
+/**
+ * Resolve the depositing and vesting points of the alpha vault config into absolute slots or
+ * timestamps, following the activation type of the pool
+ * @param connection - The connection to the network
+ * @param config - The alpha vault config
+ * @param poolType - The pool type of the alpha vault
+ * @param poolAddress - The pool of the alpha vault
+ * @returns The alpha vault config with absolute points
+ */
+export async function resolveAlphaVaultPoints(
+  connection: Connection,
+  config: AlphaVaultConfig,
+  poolType: PoolType,
+  poolAddress: PublicKey
+): Promise<FcfsOrProrataAlphaVaultConfig> {
+  if (!config.alphaVault) {
+    throw new Error('Alpha vault configuration is missing');
+  }
+
+  let activationType: number | undefined;
+  const getActivationType = async () => {
+    activationType ??= await getPoolActivationType(connection, config, poolType, poolAddress);
+    return activationType;
+  };
+
+  const { depositingPoint, startVestingPoint, endVestingPoint } = config.alphaVault;
+  return {
+    ...config.alphaVault,
+    depositingPoint: await resolvePoint(
+      connection,
+      depositingPoint,
+      getActivationType,
+      'depositingPoint'
+    ),
+    startVestingPoint: await resolvePoint(
+      connection,
+      startVestingPoint,
+      getActivationType,
+      'startVestingPoint'
+    ),
+    endVestingPoint: await resolvePoint(
+      connection,
+      endVestingPoint,
+      getActivationType,
+      'endVestingPoint'
+    ),
+  };
+}
+
+/**
+ * Get what creating an alpha vault spends, with the stake escrows or the merkle root configs of
+ * its whitelist, for the pre-flight checks
+ * @param config - The alpha vault config
+ * @param connection - The connection to the network
+ * @param quoteMint - The quote token mint
+ * @param baseMint - The base token mint, undefined when the action creates it
+ */
+export async function getAlphaVaultPreflightRequirements(
+  config: AlphaVaultConfig,
+  connection: Connection,
+  quoteMint: Mint,
+  baseMint?: Mint
+): Promise<PreflightRequirements> {
+  if (!config.alphaVault) {
+    throw new Error('Alpha vault configuration is missing');
+  }
+  const programAccounts = createProgram(connection).account;
+
+  const requirements: PreflightRequirements = {
+    transactions: 1,
+    signatures: 1,
+    newAccounts: [
+      { label: 'alpha vault', space: programAccounts.vault.size },
+      {
+        label: 'alpha vault base token account',
+        space: baseMint ? getAccountLenForMint(baseMint) : ACCOUNT_SIZE,
+      },
+      { label: 'alpha vault quote token account', space: getAccountLenForMint(quoteMint) },
+    ],
+    costs: [],
+    tokens: [],
+  };
+
+  const { whitelistMode, whitelistFilepath, chunkSize } = config.alphaVault;
+  if (whitelistMode == WhitelistModeConfig.Permissionless || !whitelistFilepath) {
+    return requirements;
+  }
+
+  const whitelist: Array<WhitelistCsv> = await parseCsv(whitelistFilepath);
+  if (whitelistMode == WhitelistModeConfig.PermissionedWithAuthority) {
+    // An upper bound, the stake escrow instructions are packed into as few transactions as fit
+    requirements.transactions += whitelist.length;
+    requirements.signatures += whitelist.length;
+    requirements.newAccounts.push(
+      ...whitelist.map(() => ({ label: 'stake escrow', space: programAccounts.escrow.size }))
+    );
+  } else {
+    const treeCount = Math.ceil(whitelist.length / (chunkSize ?? DEFAULT_NODES_PER_TREE));
+    requirements.transactions += treeCount;
+    requirements.signatures += treeCount;
+    requirements.newAccounts.push(
+      ...Array.from({ length: treeCount }, () => ({
+        label: 'merkle root config',
+        space: programAccounts.merkleRootConfig.size,
+      }))
+    );
+  }
+
+  return requirements;
+}
+
 export async function createAlphaVault(
   connection: Connection,
   wallet: Wallet,
   config: AlphaVaultConfig,
-  poolAddress: PublicKey
+  poolAddress: PublicKey,
+  journal?: ExecutionJournal
 ) {
   if (!config.alphaVault) {
     throw new Error('Alpha vault configuration is missing');
@@ -610,15 +795,21 @@ export async function createAlphaVault(
 
   const quoteDecimals = await getQuoteDecimals(connection, config.quoteMint);
   const poolType = toAlphaVaulSdkPoolType(config.alphaVault.poolType);
+  const alphaVault = await resolveAlphaVaultPoints(connection, config, poolType, poolAddress);
+  const alphaVaultOpts = {
+    alphaVaultProgramId: new PublicKey(getConfigNetwork(config).programIds.alphaVault),
+  };
+  recordOutputAddress(
+    'alphaVault',
+    deriveAlphaVault(wallet.publicKey, poolAddress, alphaVaultOpts.alphaVaultProgramId)
+  );
 
-  if (config.alphaVault.whitelistMode == WhitelistModeConfig.PermissionedWithAuthority) {
-    if (!config.alphaVault.whitelistFilepath) {
+  if (alphaVault.whitelistMode == WhitelistModeConfig.PermissionedWithAuthority) {
+    if (!alphaVault.whitelistFilepath) {
       throw new Error('Missing whitelist filepath in configuration');
     }
 
-    const whitelistListCsv: Array<WhitelistCsv> = await parseCsv(
-      config.alphaVault.whitelistFilepath
-    );
+    const whitelistListCsv: Array<WhitelistCsv> = await parseCsv(alphaVault.whitelistFilepath);
 
     const whitelistList: Array<WalletDepositCap> = new Array(0);
     for (const item of whitelistListCsv) {
@@ -631,19 +822,21 @@ export async function createAlphaVault(
     await createPermissionedAlphaVaultWithAuthority(
       connection,
       wallet,
-      config.alphaVault.alphaVaultType,
+      alphaVault.alphaVaultType,
       poolType,
       poolAddress,
       new PublicKey(config.baseMint),
       new PublicKey(config.quoteMint),
       quoteDecimals,
-      config.alphaVault,
+      alphaVault,
       whitelistList,
       config.dryRun,
-      config.computeUnitPriceMicroLamports
+      config,
+      alphaVaultOpts,
+      journal
     );
-  } else if (config.alphaVault.whitelistMode == WhitelistModeConfig.Permissionless) {
-    if (config.alphaVault.alphaVaultType == AlphaVaultTypeConfig.Fcfs) {
+  } else if (alphaVault.whitelistMode == WhitelistModeConfig.Permissionless) {
+    if (alphaVault.alphaVaultType == AlphaVaultTypeConfig.Fcfs) {
       await createFcfsAlphaVault(
         connection,
         wallet,
@@ -652,11 +845,13 @@ export async function createAlphaVault(
         new PublicKey(config.baseMint),
         new PublicKey(config.quoteMint),
         quoteDecimals,
-        config.alphaVault as FcfsAlphaVaultConfig,
+        alphaVault as FcfsAlphaVaultConfig,
         config.dryRun,
-        config.computeUnitPriceMicroLamports
+        config,
+        alphaVaultOpts,
+        journal
       );
-    } else if (config.alphaVault.alphaVaultType == AlphaVaultTypeConfig.Prorata) {
+    } else if (alphaVault.alphaVaultType == AlphaVaultTypeConfig.Prorata) {
       await createProrataAlphaVault(
         connection,
         wallet,
@@ -665,21 +860,21 @@ export async function createAlphaVault(
         new PublicKey(config.baseMint),
         new PublicKey(config.quoteMint),
         quoteDecimals,
-        config.alphaVault as ProrataAlphaVaultConfig,
+        alphaVault as ProrataAlphaVaultConfig,
         config.dryRun,
-        config.computeUnitPriceMicroLamports
+        config,
+        alphaVaultOpts,
+        journal
       );
     } else {
-      throw new Error(`Invalid alpha vault type ${config.alphaVault.alphaVaultType}`);
+      throw new Error(`Invalid alpha vault type ${(alphaVault as any).alphaVaultType}`);
     }
-  } else if (config.alphaVault.whitelistMode == WhitelistModeConfig.PermissionedWithMerkleProof) {
-    if (!config.alphaVault.whitelistFilepath) {
+  } else if (alphaVault.whitelistMode == WhitelistModeConfig.PermissionedWithMerkleProof) {
+    if (!alphaVault.whitelistFilepath) {
       throw new Error('Missing whitelist filepath in configuration');
     }
 
-    const whitelistListCsv: Array<WhitelistCsv> = await parseCsv(
-      config.alphaVault.whitelistFilepath
-    );
+    const whitelistListCsv: Array<WhitelistCsv> = await parseCsv(alphaVault.whitelistFilepath);
 
     const whitelistList: Array<WalletDepositCap> = new Array(0);
     for (const item of whitelistListCsv) {
@@ -692,19 +887,21 @@ export async function createAlphaVault(
     await createPermissionedAlphaVaultWithMerkleProof(
       connection,
       wallet,
-      config.alphaVault.alphaVaultType,
+      alphaVault.alphaVaultType,
       poolType,
       poolAddress,
       new PublicKey(config.baseMint),
       new PublicKey(config.quoteMint),
       quoteDecimals,
-      config.alphaVault,
+      alphaVault,
       whitelistList,
       config.dryRun,
-      config.computeUnitPriceMicroLamports
+      config,
+      alphaVaultOpts,
+      journal
     );
 
-    if (config.alphaVault.cloudflareKvProofUpload) {
+    if (alphaVault.cloudflareKvProofUpload) {
       await createMerkleProofMetadata(poolAddress, wallet, connection, config);
     }
   }
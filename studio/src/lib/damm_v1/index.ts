@@ -1,20 +1,27 @@
+import { Cluster, Connection, Keypair, PublicKey } from '@solana/web3.js';
 import {
-  Cluster,
-  Connection,
-  Keypair,
-  PublicKey,
-  sendAndConfirmTransaction,
-} from '@solana/web3.js';
-import { DammV1Config, LockLiquidityAllocation } from '../../utils/types';
+  DammV1Config,
+  ExecutionJournal,
+  LockLiquidityAllocation,
+  PreflightRequirements,
+  TransactionConfig,
+  TransactionResult,
+} from '../../utils/types';
 import { Wallet } from '@coral-xyz/anchor';
 import {
   fromAllocationsToAmount,
   getAmountInLamports,
   getQuoteDecimals,
-  modifyComputeUnitPriceIx,
+  applyComputeUnitPrice,
   runSimulateTransaction,
+  executeTransaction,
+  getConfigNetwork,
+  resolvePoint,
+  recordOutputAddress,
+  getMintWithProgram,
+  mergePreflightRequirements,
 } from '../../helpers';
-import { getMint } from '@solana/spl-token';
+import { ACCOUNT_SIZE, getMint, MINT_SIZE } from '@solana/spl-token';
 import { CustomizableParams } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/types';
 import AmmImpl from '@meteora-ag/dynamic-amm-sdk';
 import BN from 'bn.js';
@@ -23,8 +30,98 @@ import {
   deriveCustomizablePermissionlessConstantProductPoolAddress,
   getAssociatedTokenAccount,
 } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
+import { getVaultPdas } from '@meteora-ag/vault-sdk';
+import { DYNAMIC_AMM_PROGRAM_IDS, METAPLEX_METADATA_ACCOUNT_SPACE } from '../../utils/constants';
 import { SEEDS } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/constants';
-import { DEFAULT_SEND_TX_MAX_RETRIES } from '../../utils/constants';
+import { getAlphaVaultPreflightRequirements } from '../alpha_vault';
+
+/**
+ * Get what creating a DAMM V1 pool spends, with the dynamic vaults of its tokens when missing, the
+ * base token creation and the alpha vault when the config has them, for the pre-flight checks
+ * @param config - The DAMM V1 config
+ * @param connection - The connection to the cluster
+ * @param quoteTokenMint - The quote token mint
+ * @param baseTokenMint - The base token mint, undefined when createBaseToken creates it
+ */
+export async function getDammV1PoolPreflightRequirements(
+  config: DammV1Config,
+  connection: Connection,
+  quoteTokenMint: PublicKey,
+  baseTokenMint?: PublicKey
+): Promise<PreflightRequirements> {
+  if (!config.dammV1Config) {
+    throw new Error('DAMM V1 configuration is required');
+  }
+  const { baseAmount, quoteAmount, hasAlphaVault } = config.dammV1Config;
+  const { ammProgram, vaultProgram } = createProgram(
+    connection as any,
+    getConfigNetwork(config).programIds.dammV1
+  );
+  const quoteMint = await getMintWithProgram(connection, quoteTokenMint, 'Quote');
+
+  const requirements: PreflightRequirements = {
+    transactions: 1,
+    signatures: 1,
+    newAccounts: [
+      { label: 'pool', space: ammProgram.account.pool.size },
+      { label: 'LP mint', space: MINT_SIZE },
+      { label: 'LP mint metadata', space: METAPLEX_METADATA_ACCOUNT_SPACE },
+      { label: 'LP token account', space: ACCOUNT_SIZE },
+      { label: 'base vault LP token account', space: ACCOUNT_SIZE },
+      { label: 'quote vault LP token account', space: ACCOUNT_SIZE },
+      { label: 'base protocol fee account', space: ACCOUNT_SIZE },
+      { label: 'quote protocol fee account', space: ACCOUNT_SIZE },
+    ],
+    costs: [],
+    tokens: [
+      {
+        label: 'quote token',
+        mint: quoteTokenMint,
+        amount: getAmountInLamports(quoteAmount, quoteMint.decimals),
+      },
+    ],
+  };
+
+  const baseMint = baseTokenMint && (await getMintWithProgram(connection, baseTokenMint, 'Base'));
+  if (baseMint) {
+    requirements.tokens.push({
+      label: 'base token',
+      mint: baseMint.address,
+      amount: getAmountInLamports(baseAmount, baseMint.decimals),
+    });
+  } else {
+    // createTokenMint sends a create mint and a mint to transaction, the minted supply is the base
+    requirements.transactions += 2;
+    requirements.signatures += 3;
+    requirements.newAccounts.push(
+      { label: 'base token mint', space: MINT_SIZE },
+      { label: 'base token account', space: ACCOUNT_SIZE }
+    );
+  }
+
+  // The pool deposits into a dynamic vault per token, created along with the pool when missing
+  const vaultMints = baseMint ? [baseMint.address, quoteTokenMint] : [quoteTokenMint];
+  const vaultAccounts = await connection.getMultipleAccountsInfo(
+    vaultMints.map((mint) => getVaultPdas(mint, vaultProgram.programId).vaultPda)
+  );
+  const missingVaultCount = vaultAccounts.filter((account) => !account).length + (baseMint ? 0 : 1);
+  for (let i = 0; i < missingVaultCount; i++) {
+    requirements.newAccounts.push(
+      { label: 'dynamic vault', space: vaultProgram.account.vault.size },
+      { label: 'dynamic vault token account', space: ACCOUNT_SIZE },
+      { label: 'dynamic vault LP mint', space: MINT_SIZE }
+    );
+  }
+
+  if (hasAlphaVault && config.alphaVault) {
+    return mergePreflightRequirements(
+      requirements,
+      await getAlphaVaultPreflightRequirements(config, connection, quoteMint, baseMint)
+    );
+  }
+
+  return requirements;
+}
 
 /**
  * Create a DammV1 pool permissionlessly
@@ -34,7 +131,7 @@ import { DEFAULT_SEND_TX_MAX_RETRIES } from '../../utils/constants';
  * @param baseMint - The mint for the base token
  * @param quoteMint - The mint for the quote token
  * @param opts - The options for the pool
- * @returns The pool address
+ * @returns The init pool transaction result, undefined when dry running
  */
 export async function createDammV1Pool(
   config: DammV1Config,
@@ -45,11 +142,14 @@ export async function createDammV1Pool(
   opts?: {
     cluster?: Cluster;
     programId?: PublicKey;
+    journal?: ExecutionJournal;
   }
-) {
+): Promise<TransactionResult | undefined> {
   if (!config) {
     throw new Error('Missing dynamic amm configuration');
   }
+  const network = getConfigNetwork(config);
+  const programId = opts?.programId ?? new PublicKey(network.programIds.dammV1);
   console.log('\n> Initializing Permissionless Dynamic AMM pool...');
 
   if (!config.quoteMint) {
@@ -77,7 +177,14 @@ export async function createDammV1Pool(
     tradeFeeNumerator: config.dammV1Config.tradeFeeNumerator,
     activationType: config.dammV1Config.activationType,
     activationPoint: config.dammV1Config.activationPoint
-      ? new BN(config.dammV1Config.activationPoint)
+      ? new BN(
+          await resolvePoint(
+            connection,
+            config.dammV1Config.activationPoint,
+            config.dammV1Config.activationType,
+            'activationPoint'
+          )
+        )
       : null,
     hasAlphaVault: config.dammV1Config.hasAlphaVault,
     padding: Array(90).fill(0),
@@ -98,37 +205,41 @@ export async function createDammV1Pool(
     customizeParam,
     {
       cluster: opts?.cluster,
-      programId: opts?.programId?.toString(),
+      programId: programId.toBase58(),
     }
   );
-  modifyComputeUnitPriceIx(initPoolTx as any, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, initPoolTx as any, config);
   const poolKey = deriveCustomizablePermissionlessConstantProductPoolAddress(
     baseMint,
     quoteMint,
-    createProgram(connection as any).ammProgram.programId
+    programId
   );
 
   console.log(`\n> Pool address: ${poolKey}`);
+  recordOutputAddress('pool', poolKey);
 
   if (config.dryRun) {
     console.log(`> Simulating init pool tx...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [initPoolTx as any]);
-  } else {
-    console.log(`>> Sending init pool transaction...`);
-    const initPoolTxHash = await sendAndConfirmTransaction(
+    await runSimulateTransaction(
       connection,
-      initPoolTx as any,
-      [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
-    ).catch((err) => {
-      console.error(err);
-      throw err;
-    });
-    console.log(`>>> Pool initialized successfully with tx hash: ${initPoolTxHash}`);
+      wallet.publicKey,
+      [initPoolTx as any],
+      'init pool transaction'
+    );
+    return;
   }
+
+  console.log(`>> Sending init pool transaction...`);
+  const initPoolResult = await executeTransaction(connection, initPoolTx as any, [wallet.payer], {
+    txConfig: config,
+    journal: opts?.journal,
+    journalStepId: 'create-pool',
+  }).catch((err) => {
+    console.error(err);
+    throw err;
+  });
+  console.log(`>>> Pool initialized successfully with tx hash: ${initPoolResult.signature}`);
+  return initPoolResult;
 }
 
 /**
@@ -139,8 +250,9 @@ export async function createDammV1Pool(
  * @param quoteMint - The mint for the quote token
  * @param allocations - The allocations for the liquidity
  * @param dryRun - Whether to simulate the transaction
- * @param computeUnitPriceMicroLamports - The compute unit price for the transaction
- * @returns The pool address
+ * @param txConfig - The transaction settings from the config
+ * @param opts - The DAMM v1 program id of the network
+ * @returns The lock liquidity transaction results, empty when dry running
  */
 export async function lockLiquidity(
   connection: Connection,
@@ -149,15 +261,20 @@ export async function lockLiquidity(
   quoteMint: PublicKey,
   allocations: LockLiquidityAllocation[],
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number
-): Promise<void> {
+  txConfig: TransactionConfig,
+  opts?: {
+    programId?: PublicKey;
+  }
+): Promise<TransactionResult[]> {
+  const programId = opts?.programId ?? new PublicKey(DYNAMIC_AMM_PROGRAM_IDS['mainnet-beta']);
   // Derive pool address
   const poolKey = deriveCustomizablePermissionlessConstantProductPoolAddress(
     baseMint,
     quoteMint,
-    createProgram(connection as any).ammProgram.programId
+    programId
   );
   console.log(`\n> Pool address: ${poolKey}`);
+  recordOutputAddress('pool', poolKey);
 
   if (allocations.length === 0) {
     throw new Error('Missing allocations in lockLiquidity configuration');
@@ -165,7 +282,7 @@ export async function lockLiquidity(
 
   const [lpMint] = PublicKey.findProgramAddressSync(
     [Buffer.from(SEEDS.LP_MINT), poolKey.toBuffer()],
-    createProgram(connection as any).ammProgram.programId
+    programId
   );
   const payerPoolLp = getAssociatedTokenAccount(lpMint, payer.publicKey);
   const payerPoolLpBalance = (
@@ -175,30 +292,40 @@ export async function lockLiquidity(
 
   const allocationByAmounts = fromAllocationsToAmount(new BN(payerPoolLpBalance), allocations);
 
-  const pool = await AmmImpl.create(connection as any, poolKey);
+  const pool = await AmmImpl.create(connection as any, poolKey, {
+    programId: programId.toBase58(),
+  });
+  const results: TransactionResult[] = [];
 
   for (const allocation of allocationByAmounts) {
     console.log('\n> Lock liquidity %s', allocation.address.toString());
     const tx = await pool.lockLiquidity(allocation.address, allocation.amount, payer.publicKey);
-    modifyComputeUnitPriceIx(tx as any, computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, tx as any, txConfig);
 
     if (dryRun) {
       console.log(
         `\n> Simulating lock liquidity tx for address ${allocation.address} with amount = ${allocation.amount}... / percentage = ${allocation.percentage}`
       );
-      await runSimulateTransaction(connection, [payer], payer.publicKey, [tx as any]);
+      await runSimulateTransaction(
+        connection,
+        payer.publicKey,
+        [tx as any],
+        `lock liquidity transaction for ${allocation.address}`
+      );
     } else {
-      const txHash = await sendAndConfirmTransaction(connection, tx as any, [payer], {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }).catch((err) => {
-        console.error(err);
-        throw err;
-      });
+      const txResult = await executeTransaction(connection, tx as any, [payer], { txConfig }).catch(
+        (err) => {
+          console.error(err);
+          throw err;
+        }
+      );
+      results.push(txResult);
 
       console.log(
-        `>>> Lock liquidity successfully with tx hash: ${txHash} for address ${allocation.address} with amount ${allocation.amount}`
+        `>>> Lock liquidity successfully with tx hash: ${txResult.signature} for address ${allocation.address} with amount ${allocation.amount}`
       );
     }
   }
+
+  return results;
 }
@@ -1,18 +1,24 @@
-import { Connection, Keypair, PublicKey, sendAndConfirmTransaction } from '@solana/web3.js';
-import { Stake2EarnFarmConfig, LockLiquidityAllocation } from '../../utils/types';
-import { DEFAULT_SEND_TX_MAX_RETRIES, STAKE2EARN_PROGRAM_IDS } from '../../utils/constants';
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
+import {
+  Stake2EarnFarmConfig,
+  LockLiquidityAllocation,
+  TransactionConfig,
+  TransactionResult,
+} from '../../utils/types';
+import { DYNAMIC_AMM_PROGRAM_IDS, STAKE2EARN_PROGRAM_IDS } from '../../utils/constants';
 import StakeForFee, { deriveFeeVault } from '@meteora-ag/m3m3';
 import BN from 'bn.js';
 import {
   fromAllocationsToAmount,
-  modifyComputeUnitPriceIx,
+  applyComputeUnitPrice,
   runSimulateTransaction,
+  executeTransaction,
+  recordOutputAddress,
 } from '../../helpers';
 import AmmImpl from '@meteora-ag/dynamic-amm-sdk';
 import { SEEDS } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/constants';
 import {
   deriveCustomizablePermissionlessConstantProductPoolAddress,
-  createProgram,
   getAssociatedTokenAccount,
 } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
 
@@ -24,9 +30,9 @@ import {
  * @param stakeMint
  * @param config
  * @param dryRun
- * @param computeUnitPriceMicroLamports
- * @param opts
- * @returns
+ * @param txConfig
+ * @param opts - The M3M3 and DAMM v1 program ids of the network
+ * @returns The create farm transaction result, undefined when dry running or the farm exists
  */
 export async function createDammV1Stake2EarnPool(
   connection: Connection,
@@ -35,15 +41,17 @@ export async function createDammV1Stake2EarnPool(
   stakeMint: PublicKey,
   config: Stake2EarnFarmConfig,
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number,
+  txConfig: TransactionConfig,
   opts?: {
-    m3m3ProgramId: PublicKey;
+    m3m3ProgramId?: PublicKey;
+    dammV1ProgramId?: PublicKey;
   }
-): Promise<void> {
+): Promise<TransactionResult | undefined> {
   const m3m3ProgramId =
     opts?.m3m3ProgramId ?? new PublicKey(STAKE2EARN_PROGRAM_IDS['mainnet-beta']);
   const m3m3VaultPubkey = deriveFeeVault(poolKey, m3m3ProgramId);
   console.log(`- M3M3 fee vault ${m3m3VaultPubkey}`);
+  recordOutputAddress('stake2EarnVault', m3m3VaultPubkey);
 
   // Check if the stake2earn vault already exists
   const m3m3VaultAccount = await connection.getAccountInfo(m3m3VaultPubkey, connection.commitment);
@@ -76,25 +84,35 @@ export async function createDammV1Stake2EarnPool(
       secondsToFullUnlock,
       startFeeDistributeTimestamp,
       padding: [],
+    },
+    {
+      stakeForFeeProgramId: m3m3ProgramId,
+      dynamicAmmProgramId: opts?.dammV1ProgramId,
     }
   );
 
-  modifyComputeUnitPriceIx(createTx, computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, createTx, txConfig);
 
   if (dryRun) {
     console.log(`> Simulating create m3m3 farm tx...`);
-    await runSimulateTransaction(connection, [payer], payer.publicKey, [createTx]);
-  } else {
-    console.log(`>> Sending create m3m3 farm transaction...`);
-    const txHash = await sendAndConfirmTransaction(connection, createTx, [payer], {
-      commitment: connection.commitment,
-      maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-    }).catch((err: any) => {
+    await runSimulateTransaction(
+      connection,
+      payer.publicKey,
+      [createTx],
+      'create m3m3 farm transaction'
+    );
+    return;
+  }
+
+  console.log(`>> Sending create m3m3 farm transaction...`);
+  const txResult = await executeTransaction(connection, createTx, [payer], { txConfig }).catch(
+    (err: any) => {
       console.error(err);
       throw err;
-    });
-    console.log(`>>> M3M3 farm initialized successfully with tx hash: ${txHash}`);
-  }
+    }
+  );
+  console.log(`>>> M3M3 farm initialized successfully with tx hash: ${txResult.signature}`);
+  return txResult;
 }
 
 /**
@@ -105,9 +123,9 @@ export async function createDammV1Stake2EarnPool(
  * @param quoteMint - The mint for the quote token
  * @param allocations - The allocations for the liquidity
  * @param dryRun - Whether to simulate the transaction
- * @param computeUnitPriceMicroLamports - The compute unit price for the transaction
+ * @param txConfig - The transaction settings from the config
  * @param opts - The options for the transaction
- * @returns The pool address
+ * @returns The lock liquidity transaction results, empty when dry running
  */
 export async function lockLiquidityStake2Earn(
   connection: Connection,
@@ -116,23 +134,28 @@ export async function lockLiquidityStake2Earn(
   quoteMint: PublicKey,
   allocations: LockLiquidityAllocation[],
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number,
+  txConfig: TransactionConfig,
   opts?: {
-    m3m3ProgramId: PublicKey;
+    m3m3ProgramId?: PublicKey;
+    dammV1ProgramId?: PublicKey;
   }
-): Promise<void> {
+): Promise<TransactionResult[]> {
   const m3m3ProgramId =
     opts?.m3m3ProgramId ?? new PublicKey(STAKE2EARN_PROGRAM_IDS['mainnet-beta']);
+  const dammV1ProgramId =
+    opts?.dammV1ProgramId ?? new PublicKey(DYNAMIC_AMM_PROGRAM_IDS['mainnet-beta']);
 
   const poolKey = deriveCustomizablePermissionlessConstantProductPoolAddress(
     baseMint,
     quoteMint,
-    createProgram(connection as any).ammProgram.programId
+    dammV1ProgramId
   );
   console.log(`- Pool address: ${poolKey}`);
+  recordOutputAddress('pool', poolKey);
 
   const stake2EarnVaultPubkey = deriveFeeVault(poolKey, m3m3ProgramId);
   console.log(`- Stake2Earn fee vault ${stake2EarnVaultPubkey}`);
+  recordOutputAddress('stake2EarnVault', stake2EarnVaultPubkey);
 
   if (allocations.length === 0) {
     throw new Error('Missing allocations in lockLiquidity configuration');
@@ -147,7 +170,7 @@ export async function lockLiquidityStake2Earn(
 
   const [lpMint] = PublicKey.findProgramAddressSync(
     [Buffer.from(SEEDS.LP_MINT), poolKey.toBuffer()],
-    createProgram(connection as any).ammProgram.programId
+    dammV1ProgramId
   );
   const payerPoolLp = getAssociatedTokenAccount(lpMint, payer.publicKey);
   const payerPoolLpBalance = (
@@ -157,30 +180,40 @@ export async function lockLiquidityStake2Earn(
 
   const allocationByAmounts = fromAllocationsToAmount(new BN(payerPoolLpBalance), allocations);
 
-  const pool = await AmmImpl.create(connection as any, poolKey);
+  const pool = await AmmImpl.create(connection as any, poolKey, {
+    programId: dammV1ProgramId.toBase58(),
+  });
+  const results: TransactionResult[] = [];
 
   for (const allocation of allocationByAmounts) {
     console.log('\n> Lock liquidity %s', allocation.address.toString());
     const tx = await pool.lockLiquidity(allocation.address, allocation.amount, payer.publicKey);
-    modifyComputeUnitPriceIx(tx as any, computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, tx as any, txConfig);
 
     if (dryRun) {
       console.log(
         `\n> Simulating lock liquidity tx for address ${allocation.address} with amount = ${allocation.amount}... / percentage = ${allocation.percentage}`
       );
-      await runSimulateTransaction(connection, [payer], payer.publicKey, [tx as any]);
+      await runSimulateTransaction(
+        connection,
+        payer.publicKey,
+        [tx as any],
+        `lock liquidity transaction for ${allocation.address}`
+      );
     } else {
-      const txHash = await sendAndConfirmTransaction(connection, tx as any, [payer], {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }).catch((err) => {
-        console.error(err);
-        throw err;
-      });
+      const txResult = await executeTransaction(connection, tx as any, [payer], { txConfig }).catch(
+        (err) => {
+          console.error(err);
+          throw err;
+        }
+      );
+      results.push(txResult);
 
       console.log(
-        `>>> Lock liquidity successfully with tx hash: ${txHash} for address ${allocation.address} with amount ${allocation.amount}`
+        `>>> Lock liquidity successfully with tx hash: ${txResult.signature} for address ${allocation.address} with amount ${allocation.amount}`
       );
     }
   }
+
+  return results;
 }
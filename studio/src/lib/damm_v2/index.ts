@@ -5,6 +5,8 @@ import {
   BIN_STEP_BPS_U128_DEFAULT,
   calculateTransferFeeIncludedAmount,
   CpAmm,
+  derivePositionAddress,
+  derivePositionNftAccount,
   getBaseFeeParams,
   getDynamicFeeParams,
   getLiquidityDeltaFromAmountA,
@@ -16,20 +18,123 @@ import {
   MIN_SQRT_PRICE,
   PoolFeesParams,
 } from '@meteora-ag/cp-amm-sdk';
-import { TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID, unpackMint } from '@solana/spl-token';
-import { Connection, Keypair, PublicKey, sendAndConfirmTransaction } from '@solana/web3.js';
-import { DammV2Config } from '../../utils/types';
+import {
+  ACCOUNT_SIZE,
+  ExtensionType,
+  getAccountLen,
+  getAccountLenForMint,
+  MINT_SIZE,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  unpackMint,
+} from '@solana/spl-token';
+import { Connection, PublicKey } from '@solana/web3.js';
+import {
+  DammV2Config,
+  ExecutionJournal,
+  PreflightRequirements,
+  TransactionResult,
+} from '../../utils/types';
+import { DAMM_V2_POSITION_NFT_MINT_SPACE } from '../../utils/constants';
 import {
   getAmountInLamports,
+  getMintWithProgram,
   getDecimalizedAmount,
   getAmountInTokens,
   getQuoteDecimals,
-  modifyComputeUnitPriceIx,
+  applyComputeUnitPrice,
   runSimulateTransaction,
   getCurrentPoint,
+  executeTransaction,
+  getActionAuthority,
+  submitMultisigTransaction,
+  resolvePoint,
+  resolveDuration,
+  recordOutputAddress,
+  mergePreflightRequirements,
+  getJournalKeypair,
+  setJournalContext,
 } from '../../helpers';
 import { promptForSelection } from '../../helpers/cli';
-import { DEFAULT_SEND_TX_MAX_RETRIES } from '../../utils/constants';
+import { getAlphaVaultPreflightRequirements } from '../alpha_vault';
+
+/**
+ * Get what creating a DAMM V2 pool spends, with the base token creation and the alpha vault when
+ * the config has them, for the pre-flight checks
+ * @param config - The DAMM V2 config
+ * @param connection - The connection to the network
+ * @param quoteTokenMint - The quote token mint
+ * @param baseTokenMint - The base token mint, undefined when createBaseToken creates it
+ */
+export async function getDammV2PoolPreflightRequirements(
+  config: DammV2Config,
+  connection: Connection,
+  quoteTokenMint: PublicKey,
+  baseTokenMint?: PublicKey
+): Promise<PreflightRequirements> {
+  if (!config.dammV2Config) {
+    throw new Error('Missing DAMM V2 configuration');
+  }
+  const { baseAmount, quoteAmount, hasAlphaVault } = config.dammV2Config;
+  const programAccounts = new CpAmm(connection)._program.account;
+  const quoteMint = await getMintWithProgram(connection, quoteTokenMint, 'Quote');
+
+  const requirements: PreflightRequirements = {
+    transactions: 1,
+    signatures: 2,
+    newAccounts: [
+      { label: 'pool', space: programAccounts.pool.size },
+      { label: 'position', space: programAccounts.position.size },
+      { label: 'position NFT mint', space: DAMM_V2_POSITION_NFT_MINT_SPACE },
+      { label: 'position NFT account', space: getAccountLen([ExtensionType.ImmutableOwner]) },
+      { label: 'quote token vault', space: getAccountLenForMint(quoteMint) },
+    ],
+    costs: [],
+    tokens: [],
+  };
+
+  const baseMint = baseTokenMint && (await getMintWithProgram(connection, baseTokenMint, 'Base'));
+  // The amounts of the config cover the transfer fees, the pool receives them net of the fees
+  if (baseMint) {
+    requirements.newAccounts.push({
+      label: 'base token vault',
+      space: getAccountLenForMint(baseMint),
+    });
+    requirements.tokens.push({
+      label: 'base token',
+      mint: baseMint.address,
+      amount: getAmountInLamports(baseAmount, baseMint.decimals),
+      transferFeeIncluded: true,
+    });
+  } else {
+    // createTokenMint sends a create mint and a mint to transaction, the minted supply is the base
+    requirements.transactions += 2;
+    requirements.signatures += 3;
+    requirements.newAccounts.push(
+      { label: 'base token mint', space: MINT_SIZE },
+      { label: 'base token account', space: ACCOUNT_SIZE },
+      { label: 'base token vault', space: ACCOUNT_SIZE }
+    );
+  }
+
+  if (quoteAmount) {
+    requirements.tokens.push({
+      label: 'quote token',
+      mint: quoteTokenMint,
+      amount: getAmountInLamports(quoteAmount, quoteMint.decimals),
+      transferFeeIncluded: true,
+    });
+  }
+
+  if (hasAlphaVault && config.alphaVault) {
+    return mergePreflightRequirements(
+      requirements,
+      await getAlphaVaultPreflightRequirements(config, connection, quoteMint, baseMint)
+    );
+  }
+
+  return requirements;
+}
 
 /**
  * Create a one-sided DAMM V2 pool
@@ -38,13 +143,19 @@ import { DEFAULT_SEND_TX_MAX_RETRIES } from '../../utils/constants';
  * @param wallet - The wallet to use for the transaction
  * @param baseTokenMint - The base token mint
  * @param quoteTokenMint - The quote token mint
+ * @param opts - The execution journal, whose resumed run reuses the position NFT keypair
+ * @returns The pool, position and position NFT mint addresses, and the init pool transaction
+ * result (undefined when dry running)
  */
 export async function createDammV2OneSidedPool(
   config: DammV2Config,
   connection: Connection,
   wallet: Wallet,
   baseTokenMint: PublicKey,
-  quoteTokenMint: PublicKey
+  quoteTokenMint: PublicKey,
+  opts?: {
+    journal?: ExecutionJournal;
+  }
 ) {
   if (!config.dammV2Config) {
     throw new Error('Missing DAMM V2 configuration');
@@ -168,7 +279,7 @@ export async function createDammV2OneSidedPool(
     minBaseFeeBps,
     feeSchedulerMode,
     numberOfPeriod,
-    totalDuration
+    resolveDuration(totalDuration, activationType, 'totalDuration')
   );
 
   const poolFeesParams: PoolFeesParams = {
@@ -176,7 +287,7 @@ export async function createDammV2OneSidedPool(
     padding: [],
     dynamicFee,
   };
-  const positionNft = Keypair.generate();
+  const positionNft = getJournalKeypair(opts?.journal, 'positionNft');
 
   const {
     tx: initCustomizePoolTx,
@@ -198,37 +309,45 @@ export async function createDammV2OneSidedPool(
     hasAlphaVault: hasAlphaVault,
     activationType,
     collectFeeMode: collectFeeMode,
-    activationPoint: activationPoint ? new BN(activationPoint) : null,
+    activationPoint: activationPoint
+      ? new BN(await resolvePoint(connection, activationPoint, activationType, 'activationPoint'))
+      : null,
     tokenAProgram: baseTokenProgram,
     tokenBProgram: TOKEN_PROGRAM_ID,
   });
 
-  modifyComputeUnitPriceIx(initCustomizePoolTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, initCustomizePoolTx, config);
 
   console.log(`\n> Pool address: ${pool}`);
   console.log(`\n> Position address: ${position}`);
+  recordOutputAddress('pool', pool);
+  recordOutputAddress('position', position);
+  recordOutputAddress('positionNft', positionNft.publicKey);
 
+  let initPoolResult: TransactionResult | undefined;
   if (config.dryRun) {
     console.log(`> Simulating init pool tx...`);
-    await runSimulateTransaction(connection, [wallet.payer, positionNft], wallet.publicKey, [
-      initCustomizePoolTx,
-    ]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [initCustomizePoolTx],
+      'init pool transaction'
+    );
   } else {
     console.log(`>> Sending init pool transaction...`);
-    const initPoolTxHash = await sendAndConfirmTransaction(
+    initPoolResult = await executeTransaction(
       connection,
       initCustomizePoolTx,
       [wallet.payer, positionNft],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config, journal: opts?.journal, journalStepId: 'create-pool' }
     ).catch((err) => {
       console.error(err);
       throw err;
     });
-    console.log(`>>> Pool initialized successfully with tx hash: ${initPoolTxHash}`);
+    console.log(`>>> Pool initialized successfully with tx hash: ${initPoolResult.signature}`);
   }
+
+  return { pool, position, positionNft: positionNft.publicKey, transaction: initPoolResult };
 }
 
 /**
@@ -238,13 +357,19 @@ export async function createDammV2OneSidedPool(
  * @param wallet - The wallet to use for the transaction
  * @param baseTokenMint - The base token mint
  * @param quoteTokenMint - The quote token mint
+ * @param opts - The execution journal, whose resumed run reuses the position NFT keypair
+ * @returns The pool, position and position NFT mint addresses, and the init pool transaction
+ * result (undefined when dry running)
  */
 export async function createDammV2BalancedPool(
   config: DammV2Config,
   connection: Connection,
   wallet: Wallet,
   baseTokenMint: PublicKey,
-  quoteTokenMint: PublicKey
+  quoteTokenMint: PublicKey,
+  opts?: {
+    journal?: ExecutionJournal;
+  }
 ) {
   if (!config.dammV2Config) {
     throw new Error('Missing DAMM V2 configuration');
@@ -404,7 +529,7 @@ export async function createDammV2BalancedPool(
     minBaseFeeBps,
     feeSchedulerMode,
     numberOfPeriod,
-    totalDuration
+    resolveDuration(totalDuration, activationType, 'totalDuration')
   );
 
   const poolFeesParams: PoolFeesParams = {
@@ -413,7 +538,7 @@ export async function createDammV2BalancedPool(
     dynamicFee,
   };
 
-  const positionNft = Keypair.generate();
+  const positionNft = getJournalKeypair(opts?.journal, 'positionNft');
 
   const {
     tx: initCustomizePoolTx,
@@ -435,37 +560,58 @@ export async function createDammV2BalancedPool(
     hasAlphaVault: hasAlphaVault,
     activationType,
     collectFeeMode: collectFeeMode,
-    activationPoint: activationPoint ? new BN(activationPoint) : null,
+    activationPoint: activationPoint
+      ? new BN(await resolvePoint(connection, activationPoint, activationType, 'activationPoint'))
+      : null,
     tokenAProgram: baseTokenProgram,
     tokenBProgram: TOKEN_PROGRAM_ID,
   });
 
-  modifyComputeUnitPriceIx(initCustomizePoolTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, initCustomizePoolTx, config);
 
   console.log(`\n> Pool address: ${pool}`);
   console.log(`\n> Position address: ${position}`);
+  recordOutputAddress('pool', pool);
+  recordOutputAddress('position', position);
+  recordOutputAddress('positionNft', positionNft.publicKey);
 
+  let initPoolResult: TransactionResult | undefined;
   if (config.dryRun) {
     console.log(`> Simulating init pool tx...`);
-    await runSimulateTransaction(connection, [wallet.payer, positionNft], wallet.publicKey, [
-      initCustomizePoolTx,
-    ]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [initCustomizePoolTx],
+      'init pool transaction'
+    );
   } else {
     console.log(`>> Sending init pool transaction...`);
-    const initPoolTxHash = await sendAndConfirmTransaction(
+    initPoolResult = await executeTransaction(
       connection,
       initCustomizePoolTx,
       [wallet.payer, positionNft],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config, journal: opts?.journal, journalStepId: 'create-pool' }
     ).catch((err) => {
       console.error(err);
       throw err;
     });
-    console.log(`>>> Pool initialized successfully with tx hash: ${initPoolTxHash}`);
+    console.log(`>>> Pool initialized successfully with tx hash: ${initPoolResult.signature}`);
   }
+
+  return { pool, position, positionNft: positionNft.publicKey, transaction: initPoolResult };
+}
+
+function findPositionData<T extends { userPosition: { position: PublicKey } }>(
+  positionDataArray: T[],
+  position: PublicKey
+): T {
+  const positionData = positionDataArray.find((data) =>
+    data.userPosition.position.equals(position)
+  );
+  if (!positionData) {
+    throw new Error(`Position ${position} not found in the pool for this wallet`);
+  }
+  return positionData;
 }
 
 /**
@@ -474,12 +620,20 @@ export async function createDammV2BalancedPool(
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
  * @param poolAddress - The pool address
+ * @param opts - The position to use, instead of asking when the wallet has several in the pool,
+ * and the execution journal, whose resumed run reuses the position and the new position NFT keypair
+ * @returns The new position and its NFT mint with the sent transaction results, or undefined if
+ * the wallet has no position
  */
 export async function splitPosition(
   config: DammV2Config,
   connection: Connection,
   wallet: Wallet,
-  poolAddress: PublicKey
+  poolAddress: PublicKey,
+  opts?: {
+    position?: PublicKey;
+    journal?: ExecutionJournal;
+  }
 ) {
   if (!poolAddress) {
     throw new Error('Pool address is required');
@@ -495,7 +649,8 @@ export async function splitPosition(
 
   const poolState = await cpAmmInstance.fetchPoolState(poolAddress);
 
-  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, wallet.publicKey);
+  const authority = getActionAuthority(config, wallet.publicKey);
+  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, authority);
 
   if (userPositions.length === 0) {
     console.log('> No position found');
@@ -503,6 +658,7 @@ export async function splitPosition(
   }
 
   console.log(`\n> Pool address: ${poolAddress.toString()}`);
+  recordOutputAddress('pool', poolAddress);
   console.log(`\n> Found ${userPositions.length} position(s) in this pool`);
 
   const positionDataArray = [];
@@ -520,7 +676,12 @@ export async function splitPosition(
 
   let selectedPositionData;
 
-  if (userPositions.length === 1) {
+  const journal = opts?.journal;
+  const position =
+    opts?.position ?? (journal?.context.position && new PublicKey(journal.context.position));
+  if (position) {
+    selectedPositionData = findPositionData(positionDataArray, position);
+  } else if (userPositions.length === 1) {
     selectedPositionData = positionDataArray[0];
     console.log('> Only one position found, splitting that position...');
   } else {
@@ -576,9 +737,14 @@ export async function splitPosition(
 
   const { userPosition, positionState, unclaimReward, totalPositionFeeA, totalPositionFeeB } =
     selectedPositionData;
+  // The new position can also belong to the wallet, a resumed run must not ask again
+  if (journal) {
+    setJournalContext(journal, { position: userPosition.position.toBase58() });
+  }
 
   console.log('\n> Position Fee Information:');
   console.log(`- Position Address: ${userPosition.position.toString()}`);
+  recordOutputAddress('position', userPosition.position);
   console.log(`- Total Claimed Fee A: ${positionState.metrics.totalClaimedAFee.toString()}`);
   console.log(`- Unclaimed Fee A: ${unclaimReward.feeTokenA.toString()}`);
   console.log(`- TOTAL POSITION FEE A: ${totalPositionFeeA.toString()}`);
@@ -587,7 +753,7 @@ export async function splitPosition(
   console.log(`- TOTAL POSITION FEE B: ${totalPositionFeeB.toString()}`);
 
   // CREATE THE SECOND POSITION FIRST
-  const secondPositionKP = Keypair.generate();
+  const secondPositionKP = getJournalKeypair(journal, 'secondPositionNft');
 
   const createSecondPositionTx = await cpAmmInstance.createPosition({
     owner: new PublicKey(config.splitPosition.newPositionOwner),
@@ -596,39 +762,41 @@ export async function splitPosition(
     positionNft: secondPositionKP.publicKey,
   });
 
-  const createSignature = await sendAndConfirmTransaction(
-    connection,
-    createSecondPositionTx,
-    [wallet.payer, secondPositionKP],
-    {
-      commitment: 'confirmed',
-      skipPreflight: true,
-    }
-  );
-  console.log('Second position created:', createSignature);
-
-  // Now get the newly created second position
-  const secondPositions = await cpAmmInstance.getUserPositionByPool(
-    poolAddress,
-    new PublicKey(config.splitPosition.newPositionOwner)
-  );
-
-  const secondPosition = secondPositions.find((pos) =>
-    pos.positionState.nftMint.equals(secondPositionKP.publicKey)
-  );
+  // The split is built from the derived addresses of the second position, which does not exist
+  // yet when dry running
+  const secondPosition = derivePositionAddress(secondPositionKP.publicKey);
+  const secondPositionNftAccount = derivePositionNftAccount(secondPositionKP.publicKey);
+  recordOutputAddress('newPosition', secondPosition);
+  recordOutputAddress('newPositionNft', secondPositionKP.publicKey);
 
-  if (!secondPosition) {
-    throw new Error('Could not find the newly created second position');
+  const transactions: TransactionResult[] = [];
+  if (config.dryRun) {
+    console.log(`\n> Simulating create position transaction...`);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [createSecondPositionTx],
+      'create position transaction'
+    );
+  } else {
+    const createResult = await executeTransaction(
+      connection,
+      createSecondPositionTx,
+      [wallet.payer, secondPositionKP],
+      { txConfig: config, commitment: 'confirmed', journal, journalStepId: 'create-position' }
+    );
+    console.log('Second position created:', createResult.signature);
+    transactions.push(createResult);
   }
 
   const splitPositionTx = await cpAmmInstance.splitPosition({
-    firstPositionOwner: wallet.publicKey,
+    firstPositionOwner: authority,
     secondPositionOwner: new PublicKey(config.splitPosition.newPositionOwner),
     pool: poolAddress,
     firstPosition: userPosition.position,
     firstPositionNftAccount: userPosition.positionNftAccount,
-    secondPosition: secondPosition.position,
-    secondPositionNftAccount: secondPosition.positionNftAccount,
+    secondPosition,
+    secondPositionNftAccount,
     unlockedLiquidityPercentage: config.splitPosition.unlockedLiquidityPercentage,
     permanentLockedLiquidityPercentage: config.splitPosition.permanentLockedLiquidityPercentage,
     feeAPercentage: config.splitPosition.feeAPercentage,
@@ -637,30 +805,45 @@ export async function splitPosition(
     reward1Percentage: config.splitPosition.reward1Percentage,
   });
 
-  modifyComputeUnitPriceIx(splitPositionTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, splitPositionTx, config);
 
-  if (config.dryRun) {
-    console.log(`\n> Simulating split position transaction...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [splitPositionTx]);
-    console.log('> Split position simulation successful');
+  if (config.multisig) {
+    transactions.push(
+      ...(await submitMultisigTransaction(
+        connection,
+        wallet.payer,
+        [splitPositionTx],
+        config,
+        'Split DAMM v2 position',
+        journal
+      ))
+    );
+  } else if (config.dryRun) {
+    console.log(
+      '> Skipping simulation of the split position transaction, which needs the position created above'
+    );
   } else {
     console.log(`\n>> Sending split position transaction...`);
 
-    const claimFeeTxHash = await sendAndConfirmTransaction(
+    const splitPositionResult = await executeTransaction(
       connection,
       splitPositionTx,
       [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config, journal, journalStepId: 'split-position' }
     ).catch((err) => {
       console.error(`Failed to claim fee for position:`, err);
       throw err;
     });
 
-    console.log(`>>> Position split successfully with tx hash: ${claimFeeTxHash}`);
+    transactions.push(splitPositionResult);
+    console.log(`>>> Position split successfully with tx hash: ${splitPositionResult.signature}`);
   }
+
+  return {
+    position: secondPosition,
+    positionNft: secondPositionKP.publicKey,
+    transactions,
+  };
 }
 
 /**
@@ -669,31 +852,39 @@ export async function splitPosition(
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
  * @param poolAddress - The pool address
+ * @param opts - The position to use, instead of asking when the wallet has several in the pool
+ * @returns The sent transaction results, empty when dry running or nothing was sent
  */
 export async function claimPositionFee(
   config: DammV2Config,
   connection: Connection,
   wallet: Wallet,
-  poolAddress: PublicKey
-) {
+  poolAddress: PublicKey,
+  opts?: {
+    position?: PublicKey;
+  }
+): Promise<TransactionResult[]> {
   if (!poolAddress) {
     throw new Error('Pool address is required');
   }
 
   console.log('\n> Claiming position fee...');
+  const results: TransactionResult[] = [];
 
   const cpAmmInstance = new CpAmm(connection);
 
   const poolState = await cpAmmInstance.fetchPoolState(poolAddress);
 
-  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, wallet.publicKey);
+  const authority = getActionAuthority(config, wallet.publicKey);
+  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, authority);
 
   if (userPositions.length === 0) {
     console.log('> No position found');
-    return;
+    return results;
   }
 
   console.log(`\n> Pool address: ${poolAddress.toString()}`);
+  recordOutputAddress('pool', poolAddress);
   console.log(`\n> Found ${userPositions.length} position(s) in this pool`);
 
   const positionDataArray = [];
@@ -711,7 +902,9 @@ export async function claimPositionFee(
 
   let selectedPositionData;
 
-  if (userPositions.length === 1) {
+  if (opts?.position) {
+    selectedPositionData = findPositionData(positionDataArray, opts.position);
+  } else if (userPositions.length === 1) {
     selectedPositionData = positionDataArray[0];
     console.log('> Only one position found, claiming fees from that position...');
   } else {
@@ -754,6 +947,7 @@ export async function claimPositionFee(
 
   console.log('\n> Position Fee Information:');
   console.log(`- Position Address: ${userPosition.position.toString()}`);
+  recordOutputAddress('position', userPosition.position);
   console.log(`- Total Claimed Fee A: ${positionState.metrics.totalClaimedAFee.toString()}`);
   console.log(`- Unclaimed Fee A: ${unclaimReward.feeTokenA.toString()}`);
   console.log(`- TOTAL POSITION FEE A: ${totalPositionFeeA.toString()}`);
@@ -762,7 +956,7 @@ export async function claimPositionFee(
   console.log(`- TOTAL POSITION FEE B: ${totalPositionFeeB.toString()}`);
 
   const claimPositionFeeTx = await cpAmmInstance.claimPositionFee({
-    owner: wallet.publicKey,
+    owner: authority,
     pool: poolAddress,
     position: userPosition.position,
     positionNftAccount: userPosition.positionNftAccount,
@@ -774,32 +968,46 @@ export async function claimPositionFee(
     tokenBProgram: getTokenProgram(poolState.tokenBFlag),
   });
 
-  modifyComputeUnitPriceIx(claimPositionFeeTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, claimPositionFeeTx, config);
 
-  if (config.dryRun) {
+  if (config.multisig) {
+    results.push(
+      ...(await submitMultisigTransaction(
+        connection,
+        wallet.payer,
+        [claimPositionFeeTx],
+        config,
+        'Claim DAMM v2 position fee'
+      ))
+    );
+  } else if (config.dryRun) {
     console.log(`\n> Simulating claim position fee transaction...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [
-      claimPositionFeeTx,
-    ]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [claimPositionFeeTx],
+      'claim position fee transaction'
+    );
     console.log('> Claim position fee simulation successful');
   } else {
     console.log(`\n>> Sending claim position fee transaction...`);
 
-    const claimFeeTxHash = await sendAndConfirmTransaction(
+    const claimFeeResult = await executeTransaction(
       connection,
       claimPositionFeeTx,
       [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config }
     ).catch((err) => {
       console.error(`Failed to claim fee for position:`, err);
       throw err;
     });
 
-    console.log(`>>> Position fee claimed successfully with tx hash: ${claimFeeTxHash}`);
+    results.push(claimFeeResult);
+
+    console.log(`>>> Position fee claimed successfully with tx hash: ${claimFeeResult.signature}`);
   }
+
+  return results;
 }
 
 /**
@@ -808,13 +1016,18 @@ export async function claimPositionFee(
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
  * @param poolAddress - The pool address
+ * @param opts - The position to use, instead of asking when the wallet has several in the pool
+ * @returns The sent transaction results, empty when dry running or nothing was sent
  */
 export async function addLiquidity(
   config: DammV2Config,
   connection: Connection,
   wallet: Wallet,
-  poolAddress: PublicKey
-) {
+  poolAddress: PublicKey,
+  opts?: {
+    position?: PublicKey;
+  }
+): Promise<TransactionResult[]> {
   if (!poolAddress) {
     throw new Error('Pool address is required');
   }
@@ -824,19 +1037,22 @@ export async function addLiquidity(
   }
 
   console.log('\n> Adding liquidity...');
+  const results: TransactionResult[] = [];
 
   const cpAmmInstance = new CpAmm(connection);
 
   const poolState = await cpAmmInstance.fetchPoolState(poolAddress);
 
-  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, wallet.publicKey);
+  const authority = getActionAuthority(config, wallet.publicKey);
+  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, authority);
 
   if (userPositions.length === 0) {
     console.log('> No position found');
-    return;
+    return results;
   }
 
   console.log(`\n> Pool address: ${poolAddress.toString()}`);
+  recordOutputAddress('pool', poolAddress);
   console.log(`\n> Found ${userPositions.length} position(s) in this pool`);
 
   const positionDataArray = [];
@@ -852,7 +1068,9 @@ export async function addLiquidity(
 
   let selectedPositionData;
 
-  if (userPositions.length === 1) {
+  if (opts?.position) {
+    selectedPositionData = findPositionData(positionDataArray, opts.position);
+  } else if (userPositions.length === 1) {
     selectedPositionData = positionDataArray[0];
     console.log('> Only one position found, adding liquidity to that position...');
   } else {
@@ -883,6 +1101,7 @@ export async function addLiquidity(
     throw new Error('No position selected');
   }
   const { userPosition } = selectedPositionData;
+  recordOutputAddress('position', userPosition.position);
 
   const tokenAMintInfo = await connection.getAccountInfo(poolState.tokenAMint);
   const tokenBMintInfo = await connection.getAccountInfo(poolState.tokenBMint);
@@ -938,7 +1157,7 @@ export async function addLiquidity(
   console.log(`\n> Adding ${depositQuote.liquidityDelta.toString()} liquidity units...`);
 
   const addLiquidityTx = await cpAmmInstance.addLiquidity({
-    owner: wallet.publicKey,
+    owner: authority,
     pool: poolAddress,
     position: userPosition.position,
     positionNftAccount: userPosition.positionNftAccount,
@@ -955,31 +1174,43 @@ export async function addLiquidity(
     tokenBProgram: getTokenProgram(poolState.tokenBFlag),
   });
 
-  modifyComputeUnitPriceIx(addLiquidityTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, addLiquidityTx, config);
 
-  if (config.dryRun) {
+  if (config.multisig) {
+    results.push(
+      ...(await submitMultisigTransaction(
+        connection,
+        wallet.payer,
+        [addLiquidityTx],
+        config,
+        'Add DAMM v2 liquidity'
+      ))
+    );
+  } else if (config.dryRun) {
     console.log(`\n> Simulating add liquidity transaction...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [addLiquidityTx]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [addLiquidityTx],
+      'add liquidity transaction'
+    );
     console.log('> Add liquidity simulation successful');
   } else {
     console.log(`\n>> Sending add liquidity transaction...`);
 
-    const addLiquidityTxHash = await sendAndConfirmTransaction(
+    const addLiquidityResult = await executeTransaction(
       connection,
       addLiquidityTx,
       [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config, commitment: 'finalized' }
     ).catch((err) => {
       console.error(`Failed to add liquidity:`, err);
       throw err;
     });
 
-    console.log(`>>> Liquidity added successfully with tx hash: ${addLiquidityTxHash}`);
+    results.push(addLiquidityResult);
 
-    await connection.confirmTransaction(addLiquidityTxHash, 'finalized');
+    console.log(`>>> Liquidity added successfully with tx hash: ${addLiquidityResult.signature}`);
   }
 
   // Show updated position state
@@ -990,6 +1221,8 @@ export async function addLiquidity(
   console.log(
     `- Permanent locked liquidity: ${updatedPositionState.permanentLockedLiquidity.toString()}`
   );
+
+  return results;
 }
 
 /**
@@ -998,34 +1231,39 @@ export async function addLiquidity(
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
  * @param poolAddress - The pool address
+ * @param opts - The position to use, instead of asking when the wallet has several in the pool
+ * @returns The sent transaction results, empty when dry running or nothing was sent
  */
 export async function removeLiquidity(
   config: DammV2Config,
   connection: Connection,
   wallet: Wallet,
-  poolAddress: PublicKey
-) {
-  if (!config.dammV2Config) {
-    throw new Error('Missing DAMM V2 configuration');
+  poolAddress: PublicKey,
+  opts?: {
+    position?: PublicKey;
   }
+): Promise<TransactionResult[]> {
   if (!poolAddress) {
     throw new Error('Pool address is required');
   }
 
   console.log('\n> Removing liquidity...');
+  const results: TransactionResult[] = [];
 
   const cpAmmInstance = new CpAmm(connection);
 
   const poolState = await cpAmmInstance.fetchPoolState(poolAddress);
 
-  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, wallet.publicKey);
+  const authority = getActionAuthority(config, wallet.publicKey);
+  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, authority);
 
   if (userPositions.length === 0) {
     console.log('> No position found');
-    return;
+    return results;
   }
 
   console.log(`\n> Pool address: ${poolAddress.toString()}`);
+  recordOutputAddress('pool', poolAddress);
   console.log(`\n> Found ${userPositions.length} position(s) in this pool`);
 
   const positionDataArray = [];
@@ -1043,7 +1281,9 @@ export async function removeLiquidity(
 
   let selectedPositionData;
 
-  if (userPositions.length === 1) {
+  if (opts?.position) {
+    selectedPositionData = findPositionData(positionDataArray, opts.position);
+  } else if (userPositions.length === 1) {
     selectedPositionData = positionDataArray[0];
     console.log('> Only one position found, removing liquidity from that position...');
   } else {
@@ -1096,6 +1336,7 @@ export async function removeLiquidity(
 
   console.log('\n> Position Fee Information:');
   console.log(`- Position Address: ${userPosition.position.toString()}`);
+  recordOutputAddress('position', userPosition.position);
   console.log(`- Total Claimed Fee A: ${positionState.metrics.totalClaimedAFee.toString()}`);
   console.log(`- Unclaimed Fee A: ${unclaimReward.feeTokenA.toString()}`);
   console.log(`- TOTAL POSITION FEE A: ${totalPositionFeeA.toString()}`);
@@ -1134,7 +1375,7 @@ export async function removeLiquidity(
 
   if (liquidityToRemove.isZero()) {
     console.log('> No removable liquidity to remove');
-    return;
+    return results;
   }
 
   console.log(`\n> Total removable liquidity: ${liquidityToRemove.toString()}`);
@@ -1160,10 +1401,10 @@ export async function removeLiquidity(
     `- Expected token B amount: ${getAmountInTokens(withdrawQuote.outAmountB, tokenBMintData.decimals)}`
   );
 
-  const currentPoint = await getCurrentPoint(connection, config.dammV2Config.activationType);
+  const currentPoint = await getCurrentPoint(connection, poolState.activationType);
 
   const removeLiquidityTx = await cpAmmInstance.removeLiquidity({
-    owner: wallet.publicKey,
+    owner: authority,
     position: userPosition.position,
     pool: poolAddress,
     positionNftAccount: userPosition.positionNftAccount,
@@ -1183,31 +1424,48 @@ export async function removeLiquidity(
     })),
   });
 
-  modifyComputeUnitPriceIx(removeLiquidityTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, removeLiquidityTx, config);
 
-  if (config.dryRun) {
+  if (config.multisig) {
+    results.push(
+      ...(await submitMultisigTransaction(
+        connection,
+        wallet.payer,
+        [removeLiquidityTx],
+        config,
+        'Remove DAMM v2 liquidity'
+      ))
+    );
+    // The position is unchanged until the proposal executes
+    console.log('> Claim the remaining fees and close the position once the proposal executed');
+    return results;
+  } else if (config.dryRun) {
     console.log(`\n> Simulating remove liquidity transaction...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [removeLiquidityTx]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [removeLiquidityTx],
+      'remove liquidity transaction'
+    );
     console.log('> Remove liquidity simulation successful');
   } else {
     console.log(`\n>> Sending remove liquidity transaction...`);
 
-    const removeLiquidityTxHash = await sendAndConfirmTransaction(
+    const removeLiquidityResult = await executeTransaction(
       connection,
       removeLiquidityTx,
       [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config, commitment: 'finalized' }
     ).catch((err) => {
       console.error(`Failed to remove liquidity:`, err);
       throw err;
     });
 
-    console.log(`>>> Liquidity removed successfully with tx hash: ${removeLiquidityTxHash}`);
+    results.push(removeLiquidityResult);
 
-    await connection.confirmTransaction(removeLiquidityTxHash, 'finalized');
+    console.log(
+      `>>> Liquidity removed successfully with tx hash: ${removeLiquidityResult.signature}`
+    );
   }
 
   // sanity check if position can be closed (all liquidity removed and fees claimed)
@@ -1241,7 +1499,7 @@ export async function removeLiquidity(
       `- Permanent locked liquidity: ${updatedPositionState.permanentLockedLiquidity.toString()}`
     );
     console.log('> Position cannot be closed yet');
-    return;
+    return results;
   }
 
   // claim any remaining fees before closing position
@@ -1251,7 +1509,7 @@ export async function removeLiquidity(
     console.log(`- Unclaimed Fee B: ${updatedUnclaimReward.feeTokenB.toString()}`);
 
     const claimPositionFeeTx = await cpAmmInstance.claimPositionFee({
-      owner: wallet.publicKey,
+      owner: authority,
       position: userPosition.position,
       positionNftAccount: userPosition.positionNftAccount,
       pool: poolAddress,
@@ -1263,34 +1521,35 @@ export async function removeLiquidity(
       tokenBProgram: getTokenProgram(poolState.tokenBFlag),
     });
 
-    modifyComputeUnitPriceIx(claimPositionFeeTx, config.computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, claimPositionFeeTx, config);
 
     if (config.dryRun) {
       console.log(`\n> Simulating claim position fee transaction...`);
-      await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [
-        claimPositionFeeTx,
-      ]);
+      await runSimulateTransaction(
+        connection,
+        wallet.publicKey,
+        [claimPositionFeeTx],
+        'claim position fee transaction'
+      );
       console.log('> Claim position fee simulation successful');
     } else {
       console.log(`\n>> Sending claim position fee transaction...`);
 
-      const claimFeeTxHash = await sendAndConfirmTransaction(
+      const claimFeeResult = await executeTransaction(
         connection,
         claimPositionFeeTx,
         [wallet.payer],
-        {
-          commitment: connection.commitment,
-          maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-        }
+        { txConfig: config, commitment: 'confirmed' }
       ).catch((err) => {
         console.error(`Failed to claim fee for position:`, err);
         throw err;
       });
 
-      console.log(`>>> Position fee claimed successfully with tx hash: ${claimFeeTxHash}`);
+      results.push(claimFeeResult);
 
-      // wait for the fee claiming transaction to be finalized
-      await connection.confirmTransaction(claimFeeTxHash, 'confirmed');
+      console.log(
+        `>>> Position fee claimed successfully with tx hash: ${claimFeeResult.signature}`
+      );
     }
 
     // verify final position state after fee claiming
@@ -1310,37 +1569,43 @@ export async function removeLiquidity(
   console.log(`\n> All liquidity removed and fees claimed. Closing position...`);
 
   const closePositionTx = await cpAmmInstance.closePosition({
-    owner: wallet.publicKey,
+    owner: authority,
     pool: poolAddress,
     position: userPosition.position,
     positionNftMint: updatedPositionState.nftMint,
     positionNftAccount: userPosition.positionNftAccount,
   });
 
-  modifyComputeUnitPriceIx(closePositionTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, closePositionTx, config);
 
   if (config.dryRun) {
     console.log(`\n> Simulating close position transaction...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [closePositionTx]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [closePositionTx],
+      'close position transaction'
+    );
     console.log('> Close position simulation successful');
   } else {
     console.log(`\n>> Sending close position transaction...`);
 
-    const closePositionTxHash = await sendAndConfirmTransaction(
+    const closePositionResult = await executeTransaction(
       connection,
       closePositionTx,
       [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config }
     ).catch((err) => {
       console.error(`Failed to close position:`, err);
       throw err;
     });
 
-    console.log(`>>> Position closed successfully with tx hash: ${closePositionTxHash}`);
+    results.push(closePositionResult);
+
+    console.log(`>>> Position closed successfully with tx hash: ${closePositionResult.signature}`);
   }
+
+  return results;
 }
 
 /**
@@ -1349,31 +1614,39 @@ export async function removeLiquidity(
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
  * @param poolAddress - The pool address
+ * @param opts - The position to use, instead of asking when the wallet has several in the pool
+ * @returns The sent transaction results, empty when dry running or nothing was sent
  */
 export async function closePosition(
   config: DammV2Config,
   connection: Connection,
   wallet: Wallet,
-  poolAddress: PublicKey
-) {
+  poolAddress: PublicKey,
+  opts?: {
+    position?: PublicKey;
+  }
+): Promise<TransactionResult[]> {
   if (!poolAddress) {
     throw new Error('Pool address is required');
   }
 
   console.log('\n> Closing position...');
+  const results: TransactionResult[] = [];
 
   const cpAmmInstance = new CpAmm(connection);
 
   const poolState = await cpAmmInstance.fetchPoolState(poolAddress);
 
-  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, wallet.publicKey);
+  const authority = getActionAuthority(config, wallet.publicKey);
+  const userPositions = await cpAmmInstance.getUserPositionByPool(poolAddress, authority);
 
   if (userPositions.length === 0) {
     console.log('> No position found');
-    return;
+    return results;
   }
 
   console.log(`\n> Pool address: ${poolAddress.toString()}`);
+  recordOutputAddress('pool', poolAddress);
   console.log(`\n> Found ${userPositions.length} position(s) in this pool`);
 
   const positionDataArray = [];
@@ -1391,7 +1664,9 @@ export async function closePosition(
 
   let selectedPositionData;
 
-  if (userPositions.length === 1) {
+  if (opts?.position) {
+    selectedPositionData = findPositionData(positionDataArray, opts.position);
+  } else if (userPositions.length === 1) {
     selectedPositionData = positionDataArray[0];
     console.log('> Only one position found, closing that position...');
   } else {
@@ -1422,6 +1697,7 @@ export async function closePosition(
     throw new Error('No position selected');
   }
   const { userPosition } = selectedPositionData;
+  recordOutputAddress('position', userPosition.position);
 
   const currentPositionState = await cpAmmInstance.fetchPositionState(userPosition.position);
   const currentUnclaimReward = getUnClaimReward(poolState, currentPositionState);
@@ -1445,46 +1721,62 @@ export async function closePosition(
 
   if (hasRemainingLiquidity) {
     console.log(`\n> Position still has liquidity remaining. Please remove liquidity first.`);
-    return;
+    return results;
   }
 
   if (hasUnclaimedFees) {
     console.log(`\n> Position still has unclaimed fees. Please claim fees first.`);
-    return;
+    return results;
   }
 
   console.log(`\n> Position is ready to be closed. Proceeding...`);
 
   const closePositionTx = await cpAmmInstance.closePosition({
-    owner: wallet.publicKey,
+    owner: authority,
     pool: poolAddress,
     position: userPosition.position,
     positionNftMint: currentPositionState.nftMint,
     positionNftAccount: userPosition.positionNftAccount,
   });
 
-  modifyComputeUnitPriceIx(closePositionTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, closePositionTx, config);
 
-  if (config.dryRun) {
+  if (config.multisig) {
+    results.push(
+      ...(await submitMultisigTransaction(
+        connection,
+        wallet.payer,
+        [closePositionTx],
+        config,
+        'Close DAMM v2 position'
+      ))
+    );
+  } else if (config.dryRun) {
     console.log(`\n> Simulating close position transaction...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [closePositionTx]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [closePositionTx],
+      'close position transaction'
+    );
     console.log('> Close position simulation successful');
   } else {
     console.log(`\n>> Sending close position transaction...`);
 
-    const closePositionTxHash = await sendAndConfirmTransaction(
+    const closePositionResult = await executeTransaction(
       connection,
       closePositionTx,
       [wallet.payer],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config }
     ).catch((err) => {
       console.error(`Failed to close position:`, err);
       throw err;
     });
 
-    console.log(`>>> Position closed successfully with tx hash: ${closePositionTxHash}`);
+    results.push(closePositionResult);
+
+    console.log(`>>> Position closed successfully with tx hash: ${closePositionResult.signature}`);
   }
+
+  return results;
 }
@@ -1,29 +1,54 @@
+import { Connection, Keypair, PublicKey, Transaction } from '@solana/web3.js';
 import {
-  Connection,
-  Keypair,
-  PublicKey,
-  sendAndConfirmTransaction,
-  Transaction,
-} from '@solana/web3.js';
-import { DbcConfig } from '../../utils/types';
+  BundleClient,
+  BundleTransaction,
+  DbcConfig,
+  ExecutionJournal,
+  PreflightRequirements,
+  TransactionResult,
+} from '../../utils/types';
 import { Wallet } from '@coral-xyz/anchor';
-import { getQuoteDecimals, modifyComputeUnitPriceIx, runSimulateTransaction } from '../../helpers';
-import { DEFAULT_SEND_TX_MAX_RETRIES } from '../../utils/constants';
+import {
+  executeTransaction,
+  getActionAuthority,
+  getAmountInLamports,
+  getMintWithProgram,
+  getQuoteDecimals,
+  applyComputeUnitPrice,
+  resolveDuration,
+  runSimulateTransaction,
+  sendTransactions,
+  submitMultisigTransaction,
+  recordOutputAddress,
+  getJournalKeypair,
+} from '../../helpers';
 import {
   buildCurve,
   buildCurveWithLiquidityWeights,
   buildCurveWithMarketCap,
   buildCurveWithTwoSegments,
   ConfigParameters,
+  createDbcProgram,
   DAMM_V1_MIGRATION_FEE_ADDRESS,
   DAMM_V2_MIGRATION_FEE_ADDRESS,
   deriveBaseKeyForLocker,
   deriveDammV1MigrationMetadataAddress,
   deriveDammV2MigrationMetadataAddress,
+  deriveDbcPoolAddress,
   deriveEscrow,
   DynamicBondingCurveClient,
+  TokenType,
 } from '@meteora-ag/dynamic-bonding-curve-sdk';
 import BN from 'bn.js';
+import {
+  ACCOUNT_SIZE,
+  ExtensionType,
+  getAccountLen,
+  getAccountLenForMint,
+  getMintLen,
+  MINT_SIZE,
+} from '@solana/spl-token';
+import { METAPLEX_METADATA_ACCOUNT_SPACE } from '../../utils/constants';
 
 /**
  * Create a DBC config
@@ -31,13 +56,15 @@ import BN from 'bn.js';
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
  * @param quoteMint - The quote mint
+ * @param journal - The execution journal, whose resumed run reuses the config keypair
  * @returns The public key of the DBC config
  */
 export async function createDbcConfig(
   config: DbcConfig,
   connection: Connection,
   wallet: Wallet,
-  quoteMint: PublicKey
+  quoteMint: PublicKey,
+  journal?: ExecutionJournal
 ): Promise<PublicKey> {
   if (!config.dbcConfig) {
     throw new Error('Missing dbc configuration');
@@ -47,23 +74,40 @@ export async function createDbcConfig(
   // check if using an existing config key address
   if (config.dbcConfigAddress) {
     console.log(`> Using existing config key: ${config.dbcConfigAddress.toString()}`);
-    return config.dbcConfigAddress;
+    return new PublicKey(config.dbcConfigAddress);
   }
 
+  const { baseFeeParams } = config.dbcConfig;
+  const dbcConfig = {
+    ...config.dbcConfig,
+    baseFeeParams:
+      baseFeeParams.baseFeeMode === 2
+        ? baseFeeParams
+        : {
+            ...baseFeeParams,
+            feeSchedulerParam: {
+              ...baseFeeParams.feeSchedulerParam,
+              totalDuration: resolveDuration(
+                baseFeeParams.feeSchedulerParam.totalDuration,
+                config.dbcConfig.activationType,
+                'totalDuration'
+              ),
+            },
+          },
+  };
+
   let curveConfig: ConfigParameters | null = null;
 
-  if (config.dbcConfig.buildCurveMode === 0) {
-    curveConfig = buildCurve(config.dbcConfig);
-  } else if (config.dbcConfig.buildCurveMode === 1) {
-    curveConfig = buildCurveWithMarketCap(config.dbcConfig);
-  } else if (config.dbcConfig.buildCurveMode === 2) {
-    curveConfig = buildCurveWithTwoSegments(config.dbcConfig);
-  } else if (config.dbcConfig.buildCurveMode === 3) {
-    curveConfig = buildCurveWithLiquidityWeights(config.dbcConfig);
+  if (dbcConfig.buildCurveMode === 0) {
+    curveConfig = buildCurve(dbcConfig);
+  } else if (dbcConfig.buildCurveMode === 1) {
+    curveConfig = buildCurveWithMarketCap(dbcConfig);
+  } else if (dbcConfig.buildCurveMode === 2) {
+    curveConfig = buildCurveWithTwoSegments(dbcConfig);
+  } else if (dbcConfig.buildCurveMode === 3) {
+    curveConfig = buildCurveWithLiquidityWeights(dbcConfig);
   } else {
-    throw new Error(
-      `Unsupported DBC build curve mode: ${(config.dbcConfig as any).buildCurveMode}`
-    );
+    throw new Error(`Unsupported DBC build curve mode: ${(dbcConfig as any).buildCurveMode}`);
   }
 
   if (!curveConfig) {
@@ -72,8 +116,9 @@ export async function createDbcConfig(
 
   const dbcInstance = new DynamicBondingCurveClient(connection, 'confirmed');
 
-  const configKeypair = Keypair.generate();
+  const configKeypair = getJournalKeypair(journal, 'configKeypair');
   console.log(`> Generated config keypair: ${configKeypair.publicKey.toString()}`);
+  recordOutputAddress('config', configKeypair.publicKey);
 
   const createConfigTx = await dbcInstance.partner.createConfig({
     config: configKeypair.publicKey,
@@ -84,40 +129,114 @@ export async function createDbcConfig(
     ...curveConfig,
   });
 
-  modifyComputeUnitPriceIx(createConfigTx as any, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, createConfigTx as any, config);
 
   if (config.dryRun) {
     console.log(`> Simulating create config tx...`);
-    await runSimulateTransaction(connection, [wallet.payer, configKeypair], wallet.publicKey, [
-      createConfigTx,
-    ]);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [createConfigTx],
+      'create config transaction'
+    );
     console.log(`> Config simulation successful`);
   } else {
-    console.log(`>> Sending create config transaction...`);
-    const createConfigTxHash = await sendAndConfirmTransaction(
+    console.log(`>> Sending create config transaction and waiting for it to be finalized...`);
+    const createConfigResult = await executeTransaction(
       connection,
       createConfigTx,
       [wallet.payer, configKeypair],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
+      { txConfig: config, commitment: 'finalized', journal, journalStepId: 'create-config' }
     ).catch((err) => {
       console.error('Failed to create config:', err);
       throw err;
     });
 
-    console.log(`>>> Config created successfully with tx hash: ${createConfigTxHash}`);
+    console.log(`>>> Config created successfully with tx hash: ${createConfigResult.signature}`);
     console.log(`>>> Config public key: ${configKeypair.publicKey.toString()}`);
-
-    console.log(`> Waiting for config transaction to be finalized...`);
-    await connection.confirmTransaction(createConfigTxHash, 'finalized');
-    console.log(`>>> Config transaction finalized`);
   }
 
   return configKeypair.publicKey;
 }
 
+/**
+ * Get what creating a DBC pool spends, with its config unless the config is an existing one and
+ * the first buy when the config has one, for the pre-flight checks
+ * @param config - The DBC config
+ * @param connection - The connection to the network
+ * @param quoteTokenMint - The quote token mint
+ */
+export async function getDbcPoolPreflightRequirements(
+  config: DbcConfig,
+  connection: Connection,
+  quoteTokenMint: PublicKey
+): Promise<PreflightRequirements> {
+  if (!config.dbcConfig) {
+    throw new Error('Missing dbc configuration');
+  }
+  if (!config.dbcPool) {
+    throw new Error('Missing dbc pool configuration');
+  }
+  const programAccounts = createDbcProgram(connection).program.account;
+  const quoteMint = await getMintWithProgram(connection, quoteTokenMint, 'Quote');
+  const { name, symbol, uri, firstBuy } = config.dbcPool;
+  const isToken2022 = config.dbcConfig.tokenType === TokenType.Token2022;
+
+  const requirements: PreflightRequirements = {
+    transactions: 1,
+    signatures: 2,
+    newAccounts: [
+      { label: 'pool', space: programAccounts.virtualPool.size },
+      { label: 'base token vault', space: ACCOUNT_SIZE },
+      { label: 'quote token vault', space: getAccountLenForMint(quoteMint) },
+    ],
+    costs: [],
+    tokens: [],
+  };
+
+  if (isToken2022) {
+    // The metadata extension holds the update authority, the mint and the length prefixed name,
+    // symbol, uri and additional metadata
+    const metadataSpace = [name, symbol, uri].reduce(
+      (space, field) => space + 4 + Buffer.byteLength(field),
+      4 + 32 + 32 + 4
+    );
+    requirements.newAccounts.push({
+      label: 'base token mint',
+      space: getMintLen([ExtensionType.MetadataPointer]) + metadataSpace,
+    });
+  } else {
+    requirements.newAccounts.push(
+      { label: 'base token mint', space: MINT_SIZE },
+      { label: 'base token metadata', space: METAPLEX_METADATA_ACCOUNT_SPACE }
+    );
+  }
+
+  if (!config.dbcConfigAddress) {
+    requirements.transactions += 1;
+    requirements.signatures += 2;
+    requirements.newAccounts.push({ label: 'config', space: programAccounts.poolConfig.size });
+  }
+
+  // The first buy sends buyAmount, the pool receives it net of the transfer fee
+  if (firstBuy) {
+    requirements.transactions += 1;
+    requirements.signatures += 1;
+    requirements.newAccounts.push({
+      label: 'base token account',
+      space: isToken2022 ? getAccountLen([ExtensionType.ImmutableOwner]) : ACCOUNT_SIZE,
+    });
+    requirements.tokens.push({
+      label: 'first buy',
+      mint: quoteTokenMint,
+      amount: getAmountInLamports(firstBuy.buyAmount, quoteMint.decimals),
+      transferFeeIncluded: true,
+    });
+  }
+
+  return requirements;
+}
+
 /**
  * Create a DBC pool
  * @param config - The DBC config
@@ -125,13 +244,21 @@ export async function createDbcConfig(
  * @param wallet - The wallet to use for the transaction
  * @param quoteMint - The quote mint
  * @param baseMint - The base mint
+ * @param opts - The block engine client to send the pool and first buy bundle with, and the
+ * execution journal
+ * @returns The public keys of the DBC config and pool, and the create pool and first buy
+ * transaction results (undefined when dry running)
  */
 export async function createDbcPool(
   config: DbcConfig,
   connection: Connection,
   wallet: Wallet,
   quoteMint: PublicKey,
-  baseMint: Keypair
+  baseMint: Keypair,
+  opts?: {
+    bundleClient?: BundleClient;
+    journal?: ExecutionJournal;
+  }
 ) {
   if (!config.dbcConfig) {
     throw new Error('Missing dbc configuration');
@@ -140,30 +267,61 @@ export async function createDbcPool(
     throw new Error('Missing dbc pool configuration');
   }
 
-  const configPublicKey = await createDbcConfig(config, connection, wallet, quoteMint);
+  const configPublicKey = await createDbcConfig(
+    config,
+    connection,
+    wallet,
+    quoteMint,
+    opts?.journal
+  );
 
   const dbcInstance = new DynamicBondingCurveClient(connection, 'confirmed');
 
+  const firstBuy = config.dbcPool.firstBuy;
+  const { createPoolTx, swapBuyTx } = await dbcInstance.pool.createPoolWithFirstBuy({
+    createPoolParam: {
+      baseMint: baseMint.publicKey,
+      config: configPublicKey,
+      name: config.dbcPool.name,
+      symbol: config.dbcPool.symbol,
+      uri: config.dbcPool.uri,
+      payer: wallet.publicKey,
+      poolCreator: wallet.publicKey,
+    },
+    firstBuyParam: firstBuy
+      ? {
+          buyer: wallet.publicKey,
+          buyAmount: getAmountInLamports(
+            firstBuy.buyAmount,
+            await getQuoteDecimals(connection, quoteMint.toString())
+          ),
+          minimumAmountOut: getAmountInLamports(
+            firstBuy.minimumAmountOut ?? 0,
+            config.dbcConfig.tokenBaseDecimal
+          ),
+          referralTokenAccount: null,
+        }
+      : undefined,
+  });
+
+  await applyComputeUnitPrice(connection, createPoolTx, config);
+  if (swapBuyTx) {
+    await applyComputeUnitPrice(connection, swapBuyTx, config);
+  }
+
+  let createPoolResult: TransactionResult | undefined;
+  let firstBuyResult: TransactionResult | undefined;
   if (config.dryRun) {
     console.log(
       `> Simulating create pool tx (note: this may fail in dry-run mode due to missing config state)...`
     );
     try {
-      const createPoolTx = await dbcInstance.pool.createPool({
-        baseMint: baseMint.publicKey,
-        config: configPublicKey,
-        name: config.dbcPool.name,
-        symbol: config.dbcPool.symbol,
-        uri: config.dbcPool.uri,
-        payer: wallet.publicKey,
-        poolCreator: wallet.publicKey,
-      });
-
-      modifyComputeUnitPriceIx(createPoolTx as any, config.computeUnitPriceMicroLamports);
-
-      await runSimulateTransaction(connection, [wallet.payer, baseMint], wallet.publicKey, [
-        createPoolTx,
-      ]);
+      await runSimulateTransaction(
+        connection,
+        wallet.publicKey,
+        [createPoolTx],
+        'create pool transaction'
+      );
       console.log(`> Pool simulation successful`);
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
@@ -171,35 +329,39 @@ export async function createDbcPool(
       console.log(`> This is normal since the config doesn't exist on-chain during dry-run`);
     }
   } else {
-    console.log(`>> Creating pool transaction...`);
-    const createPoolTx = await dbcInstance.pool.createPool({
-      baseMint: baseMint.publicKey,
-      config: configPublicKey,
-      name: config.dbcPool.name,
-      symbol: config.dbcPool.symbol,
-      uri: config.dbcPool.uri,
-      payer: wallet.publicKey,
-      poolCreator: wallet.publicKey,
-    });
-
-    modifyComputeUnitPriceIx(createPoolTx as any, config.computeUnitPriceMicroLamports);
+    const transactions: BundleTransaction[] = [
+      { tx: createPoolTx, signers: [wallet.payer, baseMint], journalStepId: 'create-pool' },
+    ];
+    if (swapBuyTx) {
+      transactions.push({ tx: swapBuyTx, signers: [wallet.payer], journalStepId: 'first-buy' });
+    }
 
-    console.log(`>> Sending create pool transaction...`);
-    const createPoolTxHash = await sendAndConfirmTransaction(
-      connection,
-      createPoolTx,
-      [wallet.payer, baseMint],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
-    ).catch((err) => {
+    console.log(`>> Sending create pool transaction${swapBuyTx ? ' with first buy' : ''}...`);
+    [createPoolResult, firstBuyResult] = await sendTransactions(connection, transactions, config, {
+      bundleClient: opts?.bundleClient,
+      journal: opts?.journal,
+    }).catch((err) => {
       console.error('Failed to create pool:', err);
       throw err;
     });
 
-    console.log(`>>> Pool created successfully with tx hash: ${createPoolTxHash}`);
+    console.log(`>>> Pool created successfully with tx hash: ${createPoolResult!.signature}`);
+    if (firstBuyResult) {
+      console.log(`>>> First buy successful with tx hash: ${firstBuyResult.signature}`);
+    }
   }
+
+  const pool = deriveDbcPoolAddress(quoteMint, baseMint.publicKey, configPublicKey);
+  recordOutputAddress('config', configPublicKey);
+  recordOutputAddress('pool', pool);
+  recordOutputAddress('baseMint', baseMint.publicKey);
+
+  return {
+    config: configPublicKey,
+    pool,
+    transaction: createPoolResult,
+    firstBuyTransaction: firstBuyResult,
+  };
 }
 
 /**
@@ -207,13 +369,19 @@ export async function createDbcPool(
  * @param config - The DBC config
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
+ * @returns The sent transaction results, empty when dry running or nothing was sent
  */
-export async function claimTradingFee(config: DbcConfig, connection: Connection, wallet: Wallet) {
+export async function claimTradingFee(
+  config: DbcConfig,
+  connection: Connection,
+  wallet: Wallet
+): Promise<TransactionResult[]> {
   if (!config.baseMint) {
     throw new Error('Missing baseMint configuration');
   }
 
   console.log('\n> Initializing DBC claim trading fee...');
+  const results: TransactionResult[] = [];
 
   const dbcInstance = new DynamicBondingCurveClient(connection, 'confirmed');
 
@@ -230,31 +398,33 @@ export async function claimTradingFee(config: DbcConfig, connection: Connection,
   }
 
   const poolAddress = poolState.publicKey;
+  recordOutputAddress('pool', poolAddress);
   const creator = poolState.account.creator;
   const partner = poolConfig.feeClaimer;
   const feeMetrics = await dbcInstance.state.getPoolFeeMetrics(poolAddress);
 
-  const isCreator = creator.toString() === wallet.publicKey.toString();
+  const authority = getActionAuthority(config, wallet.publicKey);
+  const isCreator = creator.toString() === authority.toString();
   console.log(`> Is creator: ${isCreator}`);
-  const isPartner = partner.toString() === wallet.publicKey.toString();
+  const isPartner = partner.toString() === authority.toString();
   console.log(`> Is partner: ${isPartner}`);
 
   if (!isCreator && !isPartner) {
     console.log('> User is neither the creator nor the launchpad fee claimer');
-    return;
+    return results;
   }
 
   const transactions: Transaction[] = [];
 
   if (isCreator) {
     const claimCreatorTradingFeeTx = await dbcInstance.creator.claimCreatorTradingFee({
-      creator: wallet.publicKey,
+      creator: authority,
       pool: poolAddress,
       maxBaseAmount: feeMetrics.current.creatorBaseFee,
       maxQuoteAmount: feeMetrics.current.creatorQuoteFee,
-      payer: wallet.publicKey,
+      payer: authority,
     });
-    modifyComputeUnitPriceIx(claimCreatorTradingFeeTx, config.computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, claimCreatorTradingFeeTx, config);
     transactions.push(claimCreatorTradingFeeTx);
   } else {
     console.log('> This is not the creator of the pool');
@@ -262,13 +432,13 @@ export async function claimTradingFee(config: DbcConfig, connection: Connection,
 
   if (isPartner) {
     const claimPartnerTradingFeeTx = await dbcInstance.partner.claimPartnerTradingFee({
-      feeClaimer: wallet.publicKey,
+      feeClaimer: authority,
       pool: poolAddress,
       maxBaseAmount: feeMetrics.current.partnerBaseFee,
       maxQuoteAmount: feeMetrics.current.partnerQuoteFee,
-      payer: wallet.publicKey,
+      payer: authority,
     });
-    modifyComputeUnitPriceIx(claimPartnerTradingFeeTx, config.computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, claimPartnerTradingFeeTx, config);
     transactions.push(claimPartnerTradingFeeTx);
   } else {
     console.log('> This is not the launchpad fee claimer');
@@ -276,14 +446,29 @@ export async function claimTradingFee(config: DbcConfig, connection: Connection,
 
   if (transactions.length === 0) {
     console.log('> No trading fees to claim');
-    return;
+    return results;
+  }
+
+  if (config.multisig) {
+    return submitMultisigTransaction(
+      connection,
+      wallet.payer,
+      transactions,
+      config,
+      'Claim DBC trading fees'
+    );
   }
 
   if (config.dryRun) {
     console.log('> Simulating claim trading fee tx...');
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, transactions);
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      transactions,
+      'claim trading fee transaction'
+    );
     console.log('> Claim trading fee simulation successful');
-    return;
+    return results;
   }
 
   try {
@@ -296,17 +481,22 @@ export async function claimTradingFee(config: DbcConfig, connection: Connection,
 
       console.log(`> Sending ${txType} trading fee claim transaction...`);
 
-      const txHash = await sendAndConfirmTransaction(connection, transaction, [wallet.payer], {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+      const txResult = await executeTransaction(connection, transaction, [wallet.payer], {
+        txConfig: config,
       });
 
-      console.log(`> ${txType} trading fee claimed successfully with tx hash: ${txHash}`);
+      results.push(txResult);
+
+      console.log(
+        `> ${txType} trading fee claimed successfully with tx hash: ${txResult.signature}`
+      );
     }
   } catch (error) {
     console.error('Failed to claim trading fee:', error);
     throw error;
   }
+
+  return results;
 }
 
 /**
@@ -314,8 +504,13 @@ export async function claimTradingFee(config: DbcConfig, connection: Connection,
  * @param config - The DBC config
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
+ * @returns The sent transaction results, empty when dry running or nothing was sent
  */
-export async function swap(config: DbcConfig, connection: Connection, wallet: Wallet) {
+export async function swap(
+  config: DbcConfig,
+  connection: Connection,
+  wallet: Wallet
+): Promise<TransactionResult[]> {
   if (!config.dbcSwap) {
     throw new Error('Missing dbc swap parameters');
   }
@@ -325,6 +520,7 @@ export async function swap(config: DbcConfig, connection: Connection, wallet: Wa
   }
 
   console.log('\n> Initializing DBC swap...');
+  const results: TransactionResult[] = [];
 
   const dbcInstance = new DynamicBondingCurveClient(connection, 'confirmed');
 
@@ -335,6 +531,7 @@ export async function swap(config: DbcConfig, connection: Connection, wallet: Wa
   }
 
   const poolAddress = poolState.publicKey;
+  recordOutputAddress('pool', poolAddress);
 
   const dbcConfigAddress = poolState.account.config;
   const poolConfig = await dbcInstance.state.getPoolConfig(dbcConfigAddress);
@@ -377,26 +574,29 @@ export async function swap(config: DbcConfig, connection: Connection, wallet: Wa
       : null,
   });
 
-  modifyComputeUnitPriceIx(swapTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, swapTx, config);
 
   if (config.dryRun) {
     console.log('> Simulating swap tx...');
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [swapTx]);
+    await runSimulateTransaction(connection, wallet.publicKey, [swapTx], 'swap transaction');
     console.log('> Swap tx simulation successful');
-    return;
+    return results;
   }
 
   try {
-    const txHash = await sendAndConfirmTransaction(connection, swapTx, [wallet.payer], {
-      commitment: connection.commitment,
-      maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+    const txResult = await executeTransaction(connection, swapTx, [wallet.payer], {
+      txConfig: config,
     });
 
-    console.log(`> Swap tx successful with tx hash: ${txHash}`);
+    results.push(txResult);
+
+    console.log(`> Swap tx successful with tx hash: ${txResult.signature}`);
   } catch (error) {
     console.error('Failed to swap:', error);
     throw error;
   }
+
+  return results;
 }
 
 /**
@@ -404,13 +604,23 @@ export async function swap(config: DbcConfig, connection: Connection, wallet: Wa
  * @param config - The DBC config
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
+ * @param opts - The block engine client to send the migration bundle with
+ * @returns The sent transaction results, empty when dry running or nothing was sent
  */
-export async function migrateDammV1(config: DbcConfig, connection: Connection, wallet: Wallet) {
+export async function migrateDammV1(
+  config: DbcConfig,
+  connection: Connection,
+  wallet: Wallet,
+  opts?: {
+    bundleClient?: BundleClient;
+  }
+): Promise<TransactionResult[]> {
   if (!config.baseMint) {
     throw new Error('Missing baseMint configuration');
   }
 
   console.log('\n> Initializing migration from DBC to DAMM v1...');
+  const results: TransactionResult[] = [];
 
   const dbcInstance = new DynamicBondingCurveClient(connection, 'confirmed');
 
@@ -442,6 +652,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
   }
 
   const poolAddress = poolState.publicKey;
+  recordOutputAddress('pool', poolAddress);
 
   const transactions: Transaction[] = [];
 
@@ -449,6 +660,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
   console.log('> Checking if migration metadata exists...');
   const migrationMetadata = deriveDammV1MigrationMetadataAddress(poolAddress);
   console.log('> Migration metadata address:', migrationMetadata.toString());
+  recordOutputAddress('migrationMetadata', migrationMetadata);
 
   const metadataAccount = await connection.getAccountInfo(migrationMetadata);
   if (!metadataAccount) {
@@ -458,7 +670,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
       virtualPool: poolAddress,
       config: dbcConfigAddress,
     });
-    modifyComputeUnitPriceIx(createMetadataTx, config.computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, createMetadataTx, config);
     transactions.push(createMetadataTx);
   } else {
     console.log('Migration metadata already exists');
@@ -477,7 +689,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
         virtualPool: poolAddress,
         payer: wallet.publicKey,
       });
-      modifyComputeUnitPriceIx(createLockerTx, config.computeUnitPriceMicroLamports);
+      await applyComputeUnitPrice(connection, createLockerTx, config);
       transactions.push(createLockerTx);
     } else {
       console.log('> Locker already exists, skipping creation');
@@ -509,26 +721,25 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
           throw new Error(`Transaction at index ${i} is undefined`);
         }
         console.log(`> Simulating transaction [${i + 1}/${transactions.length}]...`);
-        await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [transaction]);
+        await runSimulateTransaction(
+          connection,
+          wallet.publicKey,
+          [transaction],
+          `migration to DAMM V1 transaction [${i + 1}/${transactions.length}]`
+        );
       }
       console.log('> Initial migration simulation successful');
     } else {
       try {
-        for (let i = 0; i < transactions.length; i++) {
-          const transaction = transactions[i];
-          if (!transaction) {
-            throw new Error(`Transaction at index ${i} is undefined`);
-          }
-
-          console.log(`> Sending migration transaction [${i + 1}/${transactions.length}]...`);
-
-          const txHash = await sendAndConfirmTransaction(connection, transaction, [wallet.payer], {
-            commitment: connection.commitment,
-            maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-          });
-
-          console.log(`> Migration transaction [${i + 1}] successful with tx hash: ${txHash}`);
-        }
+        console.log(`> Sending ${transactions.length} migration transactions...`);
+        const txResults = await sendTransactions(
+          connection,
+          transactions.map((tx) => ({ tx, signers: [wallet.payer] })),
+          config,
+          { bundleClient: opts?.bundleClient }
+        );
+        results.push(...txResults);
+        console.log('> Initial migration transactions successful');
       } catch (error) {
         console.error('Failed to execute migration transactions:', error);
         throw error;
@@ -547,7 +758,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
     if (config.dryRun) {
       console.log('> Cannot fetch migration metadata in dry-run mode (expected)');
       console.log('> Skipping LP claim/lock operations in dry-run mode');
-      return;
+      return results;
     }
     throw new Error(`DAMM v1 migration metadata not found for ${poolAddress.toString()}: ${error}`);
   }
@@ -567,14 +778,14 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
     if (config.dryRun) {
       console.log('> Migration metadata not available in dry-run mode');
       console.log('> Skipping LP claim/lock operations in dry-run mode');
-      return;
+      return results;
     }
     throw new Error(`DAMM v1 migration metadata not found for ${poolAddress.toString()}`);
   }
 
   if (config.dryRun && poolState.account.isMigrated === 0) {
     console.log('> Pool not actually migrated in dry-run mode, skipping LP operations');
-    return;
+    return results;
   }
 
   // if creator and partner are the same, combine the amounts and do a single claim
@@ -596,7 +807,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
         dammConfig: dammConfigAddress,
         isPartner: false, // Use creator (false) for the combined claim
       });
-      modifyComputeUnitPriceIx(claimCreatorLpTx, config.computeUnitPriceMicroLamports);
+      await applyComputeUnitPrice(connection, claimCreatorLpTx, config);
       transactions.push(claimCreatorLpTx);
       transactionLabels.push('Combined Creator+Partner LP claim');
     } else if (!hasClaimableLp) {
@@ -616,7 +827,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
         dammConfig: dammConfigAddress,
         isPartner: false,
       });
-      modifyComputeUnitPriceIx(claimCreatorLpTx, config.computeUnitPriceMicroLamports);
+      await applyComputeUnitPrice(connection, claimCreatorLpTx, config);
       transactions.push(claimCreatorLpTx);
       transactionLabels.push('Creator LP claim');
     } else {
@@ -634,7 +845,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
         dammConfig: dammConfigAddress,
         isPartner: true,
       });
-      modifyComputeUnitPriceIx(claimPartnerLpTx, config.computeUnitPriceMicroLamports);
+      await applyComputeUnitPrice(connection, claimPartnerLpTx, config);
       transactions.push(claimPartnerLpTx);
       transactionLabels.push('Partner LP claim');
     } else {
@@ -660,7 +871,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
         dammConfig: dammConfigAddress,
         isPartner: false, // Use creator (false) for the combined lock
       });
-      modifyComputeUnitPriceIx(lockCreatorLpTx, config.computeUnitPriceMicroLamports);
+      await applyComputeUnitPrice(connection, lockCreatorLpTx, config);
       transactions.push(lockCreatorLpTx);
       transactionLabels.push('Combined Creator+Partner LP lock');
     } else if (!hasLockedLp) {
@@ -680,7 +891,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
         dammConfig: dammConfigAddress,
         isPartner: false,
       });
-      modifyComputeUnitPriceIx(lockCreatorLpTx, config.computeUnitPriceMicroLamports);
+      await applyComputeUnitPrice(connection, lockCreatorLpTx, config);
       transactions.push(lockCreatorLpTx);
       transactionLabels.push('Creator LP lock');
     } else {
@@ -699,7 +910,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
         isPartner: true,
       });
 
-      modifyComputeUnitPriceIx(lockPartnerLpTx, config.computeUnitPriceMicroLamports);
+      await applyComputeUnitPrice(connection, lockPartnerLpTx, config);
       transactions.push(lockPartnerLpTx);
       transactionLabels.push('Partner LP lock');
     } else {
@@ -710,7 +921,7 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
   // execute LP claim/lock transactions if any
   if (transactions.length === 0) {
     console.log('> No LP claim/lock transactions to execute');
-    return;
+    return results;
   }
 
   if (config.dryRun) {
@@ -722,10 +933,10 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
       }
       const label = transactionLabels[i] || `Transaction ${i + 1}`;
       console.log(`> Simulating ${label}...`);
-      await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [transaction]);
+      await runSimulateTransaction(connection, wallet.publicKey, [transaction], label);
     }
     console.log('> LP claim/lock simulation successful');
-    return;
+    return results;
   }
 
   try {
@@ -738,17 +949,20 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
 
       console.log(`> Sending ${label}...`);
 
-      const txHash = await sendAndConfirmTransaction(connection, transaction, [wallet.payer], {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+      const txResult = await executeTransaction(connection, transaction, [wallet.payer], {
+        txConfig: config,
       });
 
-      console.log(`> ${label} successful with tx hash: ${txHash}`);
+      results.push(txResult);
+
+      console.log(`> ${label} successful with tx hash: ${txResult.signature}`);
     }
   } catch (error) {
     console.error('Failed to execute LP claim/lock transactions:', error);
     throw error;
   }
+
+  return results;
 }
 
 /**
@@ -756,13 +970,23 @@ export async function migrateDammV1(config: DbcConfig, connection: Connection, w
  * @param config - The DBC config
  * @param connection - The connection to the network
  * @param wallet - The wallet to use for the transaction
+ * @param opts - The block engine client to send the migration bundle with
+ * @returns The sent transaction results, empty when dry running or nothing was sent
  */
-export async function migrateDammV2(config: DbcConfig, connection: Connection, wallet: Wallet) {
+export async function migrateDammV2(
+  config: DbcConfig,
+  connection: Connection,
+  wallet: Wallet,
+  opts?: {
+    bundleClient?: BundleClient;
+  }
+): Promise<TransactionResult[]> {
   if (!config.baseMint) {
     throw new Error('Missing baseMint configuration');
   }
 
   console.log('\n> Initializing migration from DBC to DAMM v2...');
+  const results: TransactionResult[] = [];
 
   const dbcInstance = new DynamicBondingCurveClient(connection, 'confirmed');
 
@@ -794,6 +1018,7 @@ export async function migrateDammV2(config: DbcConfig, connection: Connection, w
   }
 
   const poolAddress = poolState.publicKey;
+  recordOutputAddress('pool', poolAddress);
 
   const transactions: Transaction[] = [];
 
@@ -801,6 +1026,7 @@ export async function migrateDammV2(config: DbcConfig, connection: Connection, w
   console.log('> Checking if migration metadata exists...');
   const migrationMetadata = deriveDammV2MigrationMetadataAddress(poolAddress);
   console.log('> Migration metadata address:', migrationMetadata.toString());
+  recordOutputAddress('migrationMetadata', migrationMetadata);
 
   const metadataAccount = await connection.getAccountInfo(migrationMetadata);
   if (!metadataAccount) {
@@ -810,7 +1036,7 @@ export async function migrateDammV2(config: DbcConfig, connection: Connection, w
       virtualPool: poolAddress,
       config: dbcConfigAddress,
     });
-    modifyComputeUnitPriceIx(createMetadataTx, config.computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, createMetadataTx, config);
     transactions.push(createMetadataTx);
   } else {
     console.log('Migration metadata already exists');
@@ -829,7 +1055,7 @@ export async function migrateDammV2(config: DbcConfig, connection: Connection, w
         virtualPool: poolAddress,
         payer: wallet.publicKey,
       });
-      modifyComputeUnitPriceIx(createLockerTx, config.computeUnitPriceMicroLamports);
+      await applyComputeUnitPrice(connection, createLockerTx, config);
       transactions.push(createLockerTx);
     } else {
       console.log('> Locker already exists, skipping creation');
@@ -848,26 +1074,25 @@ export async function migrateDammV2(config: DbcConfig, connection: Connection, w
           throw new Error(`Transaction at index ${i} is undefined`);
         }
         console.log(`> Simulating transaction [${i + 1}/${transactions.length}]...`);
-        await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [transaction]);
+        await runSimulateTransaction(
+          connection,
+          wallet.publicKey,
+          [transaction],
+          `migration to DAMM V2 transaction [${i + 1}/${transactions.length}]`
+        );
       }
       console.log('> Initial migration simulation successful');
     } else {
       try {
-        for (let i = 0; i < transactions.length; i++) {
-          const transaction = transactions[i];
-          if (!transaction) {
-            throw new Error(`Transaction at index ${i} is undefined`);
-          }
-
-          console.log(`> Sending migration transaction [${i + 1}/${transactions.length}]...`);
-
-          const txHash = await sendAndConfirmTransaction(connection, transaction, [wallet.payer], {
-            commitment: connection.commitment,
-            maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-          });
-
-          console.log(`> Migration transaction [${i + 1}] successful with tx hash: ${txHash}`);
-        }
+        console.log(`> Sending ${transactions.length} migration transactions...`);
+        const txResults = await sendTransactions(
+          connection,
+          transactions.map((tx) => ({ tx, signers: [wallet.payer] })),
+          config,
+          { bundleClient: opts?.bundleClient }
+        );
+        results.push(...txResults);
+        console.log('> Initial migration transactions successful');
       } catch (error) {
         console.error('Failed to execute migration transactions:', error);
         throw error;
@@ -888,33 +1113,33 @@ export async function migrateDammV2(config: DbcConfig, connection: Connection, w
       dammConfig: dammConfigAddress,
     });
 
-    modifyComputeUnitPriceIx(migrateTx, config.computeUnitPriceMicroLamports);
+    await applyComputeUnitPrice(connection, migrateTx, config);
 
     if (config.dryRun) {
       console.log('> Simulating migration to DAMM V2 transaction...');
       await runSimulateTransaction(
         connection,
-        [wallet.payer, firstPositionNftKeypair, secondPositionNftKeypair],
         wallet.publicKey,
-        [migrateTx]
+        [migrateTx],
+        'migration to DAMM V2 transaction'
       );
       console.log('> Migration simulation successful');
     } else {
       console.log('> Sending migration to DAMM V2 transaction...');
-      const migrateTxHash = await sendAndConfirmTransaction(
+      const migrateResult = await executeTransaction(
         connection,
         migrateTx,
         [wallet.payer, firstPositionNftKeypair, secondPositionNftKeypair],
-        {
-          commitment: connection.commitment,
-          maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-        }
+        { txConfig: config }
       );
-      console.log(`> Migration to DAMM V2 successful with tx hash: ${migrateTxHash}`);
+      results.push(migrateResult);
+      console.log(`> Migration to DAMM V2 successful with tx hash: ${migrateResult.signature}`);
     }
   } else {
     console.log('> Pool already migrated to DAMM V2');
   }
 
   console.log('> DAMM V2 migration process completed successfully');
+
+  return results;
 }
@@ -1,24 +1,92 @@
+import { Cluster, Connection, Keypair, PublicKey, Transaction } from '@solana/web3.js';
 import {
-  Cluster,
-  ComputeBudgetProgram,
-  Connection,
-  Keypair,
-  PublicKey,
-  sendAndConfirmTransaction,
-  Transaction,
-} from '@solana/web3.js';
-import { DlmmConfig } from '../../utils/types';
+  DlmmConfig,
+  ExecutionJournal,
+  PreflightRequirements,
+  TransactionConfig,
+  TransactionResult,
+} from '../../utils/types';
 import { Wallet } from '@coral-xyz/anchor';
-import DLMM, { deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
+import DLMM, {
+  createProgram,
+  deriveCustomizablePermissionlessLbPair,
+  SeedLiquidityCostBreakdown,
+} from '@meteora-ag/dlmm';
 import BN from 'bn.js';
 import {
+  getConfigNetwork,
+  getInstructionsStepId,
   getQuoteDecimals,
   isPriceRoundingUp,
-  modifyComputeUnitPriceIx,
+  applyComputeUnitPrice,
   runSimulateTransaction,
+  executeTransaction,
+  resolvePoint,
+  recordOutputAddress,
+  runPreflightChecks,
+  getMintWithProgram,
+  mergePreflightRequirements,
 } from '../../helpers';
-import { getMint } from '@solana/spl-token';
-import { DEFAULT_SEND_TX_MAX_RETRIES, DLMM_PROGRAM_IDS } from '../../utils/constants';
+import { ACCOUNT_SIZE, getAccountLenForMint, getMint, MINT_SIZE } from '@solana/spl-token';
+import { DLMM_PROGRAM_IDS } from '../../utils/constants';
+import { getAlphaVaultPreflightRequirements } from '../alpha_vault';
+
+/**
+ * Get what creating a DLMM pool spends, with the base token creation and the alpha vault when the
+ * config has them, for the pre-flight checks
+ * @param config - The DLMM config
+ * @param connection - The connection to the network
+ * @param quoteTokenMint - The quote token mint
+ * @param baseTokenMint - The base token mint, undefined when createBaseToken creates it
+ */
+export async function getDlmmPoolPreflightRequirements(
+  config: DlmmConfig,
+  connection: Connection,
+  quoteTokenMint: PublicKey,
+  baseTokenMint?: PublicKey
+): Promise<PreflightRequirements> {
+  if (!config.dlmmConfig) {
+    throw new Error('Missing DLMM configuration');
+  }
+  const programAccounts = createProgram(connection).account;
+  const quoteMint = await getMintWithProgram(connection, quoteTokenMint, 'Quote');
+  const baseMint = baseTokenMint && (await getMintWithProgram(connection, baseTokenMint, 'Base'));
+
+  const requirements: PreflightRequirements = {
+    transactions: 1,
+    signatures: 1,
+    newAccounts: [
+      { label: 'pool', space: programAccounts.lbPair.size },
+      { label: 'oracle', space: programAccounts.oracle.size },
+      {
+        label: 'base token reserve',
+        space: baseMint ? getAccountLenForMint(baseMint) : ACCOUNT_SIZE,
+      },
+      { label: 'quote token reserve', space: getAccountLenForMint(quoteMint) },
+    ],
+    costs: [],
+    tokens: [],
+  };
+
+  if (!baseMint) {
+    // createTokenMint sends a create mint and a mint to transaction
+    requirements.transactions += 2;
+    requirements.signatures += 3;
+    requirements.newAccounts.push(
+      { label: 'base token mint', space: MINT_SIZE },
+      { label: 'base token account', space: ACCOUNT_SIZE }
+    );
+  }
+
+  if (config.dlmmConfig.hasAlphaVault && config.alphaVault) {
+    return mergePreflightRequirements(
+      requirements,
+      await getAlphaVaultPreflightRequirements(config, connection, quoteMint, baseMint)
+    );
+  }
+
+  return requirements;
+}
 
 export async function createPermissionlessDlmmPool(
   config: DlmmConfig,
@@ -29,8 +97,9 @@ export async function createPermissionlessDlmmPool(
   opts?: {
     cluster?: Cluster | 'localhost';
     programId?: PublicKey;
+    journal?: ExecutionJournal;
   }
-) {
+): Promise<TransactionResult | undefined> {
   if (!config.dlmmConfig) {
     throw new Error('Missing DLMM configuration');
   }
@@ -40,7 +109,14 @@ export async function createPermissionlessDlmmPool(
   const feeBps = config.dlmmConfig.feeBps;
   const hasAlphaVault = config.dlmmConfig.hasAlphaVault;
   const activationPoint = config.dlmmConfig.activationPoint
-    ? new BN(config.dlmmConfig.activationPoint)
+    ? new BN(
+        await resolvePoint(
+          connection,
+          config.dlmmConfig.activationPoint,
+          config.dlmmConfig.activationType,
+          'activationPoint'
+        )
+      )
     : null;
 
   const creatorPoolOnOffControl = config.dlmmConfig.creatorPoolOnOffControl;
@@ -81,9 +157,9 @@ export async function createPermissionlessDlmmPool(
     !isPriceRoundingUp(config.dlmmConfig.priceRounding)
   );
 
-  const cluster = opts?.cluster || 'mainnet-beta';
-  const dlmmProgramId =
-    opts?.programId ?? new PublicKey(DLMM_PROGRAM_IDS[cluster as keyof typeof DLMM_PROGRAM_IDS]);
+  const network = getConfigNetwork(config);
+  const cluster = opts?.cluster ?? network.cluster;
+  const dlmmProgramId = opts?.programId ?? new PublicKey(network.programIds.dlmm);
   const initPoolTx = await DLMM.createCustomizablePermissionlessLbPair2(
     connection,
     new BN(binStep),
@@ -102,26 +178,84 @@ export async function createPermissionlessDlmmPool(
     }
   );
 
-  modifyComputeUnitPriceIx(initPoolTx, config.computeUnitPriceMicroLamports);
+  await applyComputeUnitPrice(connection, initPoolTx, config);
 
   const [poolKey] = deriveCustomizablePermissionlessLbPair(baseMint, quoteMint, dlmmProgramId);
 
   console.log(`\n> Pool address: ${poolKey}`);
+  recordOutputAddress('pool', poolKey);
 
   if (config.dryRun) {
     console.log(`\n> Simulating init pool tx...`);
-    await runSimulateTransaction(connection, [wallet.payer], wallet.publicKey, [initPoolTx]);
-  } else {
-    console.log(`>> Sending init pool transaction...`);
-    const initPoolTxHash = await sendAndConfirmTransaction(connection, initPoolTx, [wallet.payer], {
-      commitment: connection.commitment,
-      maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-    }).catch((e) => {
-      console.error(e);
-      throw e;
+    await runSimulateTransaction(
+      connection,
+      wallet.publicKey,
+      [initPoolTx],
+      'init pool transaction'
+    );
+    return;
+  }
+
+  console.log(`>> Sending init pool transaction...`);
+  const initPoolResult = await executeTransaction(connection, initPoolTx, [wallet.payer], {
+    txConfig: config,
+    journal: opts?.journal,
+    journalStepId: 'create-pool',
+  }).catch((e) => {
+    console.error(e);
+    throw e;
+  });
+  console.log(`>>> Pool initialized successfully with tx hash: ${initPoolResult.signature}`);
+  return initPoolResult;
+}
+
+/**
+ * Get what seeding liquidity spends from the cost breakdown of the DLMM SDK, for the pre-flight
+ * checks
+ * @param costBreakdown - The rent of the accounts created, quoted by the SDK
+ * @param transactionSigners - The signers of each transaction sent
+ * @param baseMint - The base token mint
+ * @param operator - The operator, holding the seeded base tokens
+ * @param seedAmount - The base token amount seeded
+ * @param proveOwnership - Whether the operator sends 1 base token to the position owner
+ */
+function getSeedLiquidityPreflightRequirements(
+  costBreakdown: SeedLiquidityCostBreakdown,
+  transactionSigners: PublicKey[][],
+  baseMint: PublicKey,
+  operator: PublicKey,
+  seedAmount: BN,
+  proveOwnership: boolean
+): PreflightRequirements {
+  const costs = [
+    { label: 'Rent of the positions', lamports: costBreakdown.totalPositionLamports },
+    { label: 'Rent of the bin arrays', lamports: costBreakdown.totalBinArraysLamports },
+    { label: 'Rent of the bin array bitmap', lamports: costBreakdown.binArrayBitmapLamports },
+    {
+      label: 'Rent of the position owner token account',
+      lamports: costBreakdown.tokenOwnerProveAssociatedTokenAccountLamports,
+    },
+  ];
+  const tokens = [{ label: 'seed amount', mint: baseMint, owner: operator, amount: seedAmount }];
+  if (proveOwnership) {
+    tokens.push({
+      label: 'position owner proof',
+      mint: baseMint,
+      owner: operator,
+      amount: new BN(1),
     });
-    console.log(`>>> Pool initialized successfully with tx hash: ${initPoolTxHash}`);
   }
+
+  return {
+    transactions: transactionSigners.length,
+    signatures: transactionSigners.reduce(
+      (total, signers) => total + new Set(signers.map((signer) => signer.toBase58())).size,
+      0
+    ),
+    newAccounts: [],
+    costs: costs.filter(({ lamports }) => !lamports.isZero()),
+    tokens,
+  };
 }
 
 export async function seedLiquidityLfg(
@@ -140,12 +274,13 @@ export async function seedLiquidityLfg(
   lockReleasePoint: BN,
   seedTokenXToPositionOwner: boolean,
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number | bigint,
+  txConfig: TransactionConfig,
   opts?: {
     cluster?: Cluster | 'localhost';
     programId?: PublicKey;
-  }
-) {
+  },
+  journal?: ExecutionJournal
+): Promise<TransactionResult[]> {
   const cluster = opts?.cluster || 'mainnet-beta';
   const dlmmProgramId =
     opts?.programId ?? new PublicKey(DLMM_PROGRAM_IDS[cluster as keyof typeof DLMM_PROGRAM_IDS]);
@@ -170,52 +305,92 @@ export async function seedLiquidityLfg(
   }
 
   const dlmmInstance = await DLMM.create(connection, poolKey, opts);
+  const results: TransactionResult[] = [];
+
+  const {
+    sendPositionOwnerTokenProveIxs,
+    initializeBinArraysAndPositionIxs,
+    addLiquidityIxs,
+    costBreakdown,
+  } = await dlmmInstance.seedLiquidity(
+    positionOwner,
+    seedAmount,
+    curvature,
+    minPrice,
+    maxPrice,
+    baseKeypair.publicKey,
+    payerKeypair.publicKey,
+    feeOwner,
+    operatorKeypair.publicKey,
+    lockReleasePoint,
+    seedTokenXToPositionOwner
+  );
 
-  const { sendPositionOwnerTokenProveIxs, initializeBinArraysAndPositionIxs, addLiquidityIxs } =
-    await dlmmInstance.seedLiquidity(
-      positionOwner,
-      seedAmount,
-      curvature,
-      minPrice,
-      maxPrice,
-      baseKeypair.publicKey,
-      payerKeypair.publicKey,
-      feeOwner,
-      operatorKeypair.publicKey,
-      lockReleasePoint,
-      seedTokenXToPositionOwner
+  // A resumed run already spent what its confirmed transactions cost
+  if (!journal?.steps.length) {
+    const payer = payerKeypair.publicKey;
+    const operator = operatorKeypair.publicKey;
+    await runPreflightChecks(
+      connection,
+      payer,
+      getSeedLiquidityPreflightRequirements(
+        costBreakdown,
+        [
+          ...(sendPositionOwnerTokenProveIxs.length > 0 ? [[payer]] : []),
+          ...initializeBinArraysAndPositionIxs.map(() => [payer, baseKeypair.publicKey, operator]),
+          ...addLiquidityIxs.map(() => [payer, operator]),
+        ],
+        baseMint,
+        operator,
+        seedAmount,
+        sendPositionOwnerTokenProveIxs.length > 0
+      ),
+      txConfig,
+      { dryRun }
     );
+  }
 
   if (sendPositionOwnerTokenProveIxs.length > 0) {
     // run preflight ixs
     const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
       connection.commitment
     );
-    const setCUPriceIx = ComputeBudgetProgram.setComputeUnitPrice({
-      microLamports: computeUnitPriceMicroLamports,
-    });
-
     const signers = [payerKeypair];
     const tx = new Transaction({
       feePayer: payerKeypair.publicKey,
       blockhash,
       lastValidBlockHeight,
-    }).add(setCUPriceIx);
+    });
 
     tx.add(...sendPositionOwnerTokenProveIxs);
+    await applyComputeUnitPrice(connection, tx, txConfig);
 
+    // The positions are initialized with the token proving ownership, so the later transactions
+    // fail simulation until the preflight transaction landed
     if (dryRun) {
-      throw new Error('dryRun is not supported for this script, please set dryRun config to false');
+      console.log(`\n> Simulating preflight transaction...`);
+      await runSimulateTransaction(
+        connection,
+        payerKeypair.publicKey,
+        [tx],
+        'preflight transaction'
+      );
+      console.log(
+        `> Skipping simulation of the ${initializeBinArraysAndPositionIxs.length + addLiquidityIxs.length} transaction(s) that depend on the preflight transaction`
+      );
+      return results;
     }
 
     console.log(`>> Running preflight instructions...`);
     try {
       console.log(`>> Sending preflight transaction...`);
-      const txHash = await sendAndConfirmTransaction(connection, tx, signers, {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+      const txResult = await executeTransaction(connection, tx, signers, {
+        txConfig,
+        journal,
+        journalStepId: getInstructionsStepId('preflight', sendPositionOwnerTokenProveIxs),
       });
-      console.log(`>>> Preflight successfully with tx hash: ${txHash}`);
+      results.push(txResult);
+      console.log(`>>> Preflight successfully with tx hash: ${txResult.signature}`);
     } catch (err) {
       console.error(err);
       throw new Error(err as string);
@@ -229,7 +404,7 @@ export async function seedLiquidityLfg(
       connection.commitment
     );
 
-    const transactions: Array<Promise<string>> = [];
+    const transactions: Array<Promise<TransactionResult>> = [];
 
     for (const groupIx of initializeBinArraysAndPositionIxs) {
       const tx = new Transaction({
@@ -237,20 +412,33 @@ export async function seedLiquidityLfg(
         blockhash,
         lastValidBlockHeight,
       }).add(...groupIx);
+      await applyComputeUnitPrice(connection, tx, txConfig);
 
       const signers = [payerKeypair, baseKeypair, operatorKeypair];
 
+      if (dryRun) {
+        await runSimulateTransaction(
+          connection,
+          payerKeypair.publicKey,
+          [tx],
+          'initializeBinArraysAndPosition transaction'
+        );
+        continue;
+      }
+
       transactions.push(
-        sendAndConfirmTransaction(connection, tx, signers, {
-          commitment: connection.commitment,
-          maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
+        executeTransaction(connection, tx, signers, {
+          txConfig,
+          journal,
+          journalStepId: getInstructionsStepId('initialize-bin-arrays-and-position', groupIx),
         })
       );
     }
 
     await Promise.all(transactions)
       .then((txs) => {
-        txs.map(console.log);
+        txs.map((tx) => console.log(tx.signature));
+        results.push(...txs);
       })
       .catch((e) => {
         console.error(e);
@@ -259,6 +447,13 @@ export async function seedLiquidityLfg(
   }
   console.log(`>>> Finished initializeBinArraysAndPosition instructions!`);
 
+  if (dryRun) {
+    console.log(
+      `> Skipping simulation of the ${addLiquidityIxs.length} addLiquidity transaction(s), which deposit to the positions initialized above`
+    );
+    return results;
+  }
+
   console.log(`>> Running addLiquidity instructions...`);
   {
     const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
@@ -272,16 +467,22 @@ export async function seedLiquidityLfg(
         blockhash,
         lastValidBlockHeight,
       }).add(...groupIx);
+      await applyComputeUnitPrice(connection, tx, txConfig);
 
       const signers = [payerKeypair, operatorKeypair];
 
-      await sendAndConfirmTransaction(connection, tx, signers, {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      });
+      results.push(
+        await executeTransaction(connection, tx, signers, {
+          txConfig,
+          journal,
+          journalStepId: getInstructionsStepId('add-liquidity', groupIx),
+        })
+      );
     }
   }
   console.log(`>>> Finished addLiquidity instructions!`);
+
+  return results;
 }
 
 export async function seedLiquiditySingleBin(
@@ -299,12 +500,12 @@ export async function seedLiquiditySingleBin(
   lockReleasePoint: BN,
   seedTokenXToPositionOwner: boolean,
   dryRun: boolean,
-  computeUnitPriceMicroLamports: number | bigint,
+  txConfig: TransactionConfig,
   opts?: {
     cluster?: Cluster | 'localhost';
     programId?: PublicKey;
   }
-) {
+): Promise<TransactionResult | undefined> {
   if (priceRounding != 'up' && priceRounding != 'down') {
     throw new Error("Invalid selective rounding value. Must be 'up' or 'down'");
   }
@@ -332,7 +533,7 @@ export async function seedLiquiditySingleBin(
   }
 
   const dlmmInstance = await DLMM.create(connection, poolKey, opts);
-  const { instructions } = await dlmmInstance.seedLiquiditySingleBin(
+  const { instructions, costBreakdown } = await dlmmInstance.seedLiquiditySingleBin(
     payerKeypair.publicKey,
     baseKeypair.publicKey,
     seedAmount,
@@ -345,9 +546,20 @@ export async function seedLiquiditySingleBin(
     seedTokenXToPositionOwner
   );
 
-  const setCUPriceIx = ComputeBudgetProgram.setComputeUnitPrice({
-    microLamports: computeUnitPriceMicroLamports,
-  });
+  await runPreflightChecks(
+    connection,
+    payerKeypair.publicKey,
+    getSeedLiquidityPreflightRequirements(
+      costBreakdown,
+      [[payerKeypair.publicKey, baseKeypair.publicKey, operatorKeypair.publicKey]],
+      baseMint,
+      operatorKeypair.publicKey,
+      seedAmount,
+      seedTokenXToPositionOwner
+    ),
+    txConfig,
+    { dryRun }
+  );
 
   const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
     connection.commitment
@@ -357,32 +569,30 @@ export async function seedLiquiditySingleBin(
     feePayer: payerKeypair.publicKey,
     blockhash,
     lastValidBlockHeight,
-  })
-    .add(setCUPriceIx)
-    .add(...instructions);
+  }).add(...instructions);
+  await applyComputeUnitPrice(connection, tx, txConfig);
 
   if (dryRun) {
     console.log(`\n> Simulating seedLiquiditySingleBin transaction...`);
     await runSimulateTransaction(
       connection,
-      [payerKeypair, baseKeypair, operatorKeypair],
       payerKeypair.publicKey,
-      [tx]
+      [tx],
+      'seedLiquiditySingleBin transaction'
     );
-  } else {
-    console.log(`>> Sending seedLiquiditySingleBin transaction...`);
-    const txHash = await sendAndConfirmTransaction(
-      connection,
-      tx,
-      [payerKeypair, baseKeypair, operatorKeypair],
-      {
-        commitment: connection.commitment,
-        maxRetries: DEFAULT_SEND_TX_MAX_RETRIES,
-      }
-    ).catch((err) => {
-      console.error(err);
-      throw err;
-    });
-    console.log(`>>> SeedLiquiditySingleBin successfully with tx hash: ${txHash}`);
+    return;
   }
+
+  console.log(`>> Sending seedLiquiditySingleBin transaction...`);
+  const txResult = await executeTransaction(
+    connection,
+    tx,
+    [payerKeypair, baseKeypair, operatorKeypair],
+    { txConfig }
+  ).catch((err) => {
+    console.error(err);
+    throw err;
+  });
+  console.log(`>>> SeedLiquiditySingleBin successfully with tx hash: ${txResult.signature}`);
+  return txResult;
 }
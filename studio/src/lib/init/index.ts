@@ -0,0 +1,285 @@
+import { PublicKey } from '@solana/web3.js';
+import {
+  isDurationString,
+  isPointString,
+  promptForInput,
+  promptForSelection,
+  setConfigValue,
+} from '../../helpers';
+import { InitAnswers, InitQuestion, InitTemplate } from '../../utils/types';
+import { INIT_TEMPLATES } from './templates';
+
+export { INIT_TEMPLATES } from './templates';
+
+/**
+ * Get the init wizard template of an action
+ * @param action - The action, e.g. "dbc create-pool"
+ */
+export function getInitTemplate(action: string): InitTemplate {
+  const template = INIT_TEMPLATES.find((t) => t.action === action);
+  if (!template) {
+    throw new Error(
+      `No init wizard for "${action}". Actions with a wizard: ${INIT_TEMPLATES.map((t) => t.action).join(', ')}`
+    );
+  }
+  return template;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function getAnswer(answers: InitAnswers, key: string): unknown {
+  if (key in answers) {
+    return answers[key];
+  }
+  // Nested answers, e.g. copied from an existing config
+  return key
+    .split('.')
+    .reduce<unknown>(
+      (value, segment) => (isPlainObject(value) ? value[segment] : undefined),
+      answers
+    );
+}
+
+function parseNumber(question: InitQuestion, raw: unknown): number {
+  const value = typeof raw === 'string' ? Number(raw.replace(/_/g, '')) : raw;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error('must be a number');
+  }
+  if (question.type === 'integer' && !Number.isInteger(value)) {
+    throw new Error('must be an integer');
+  }
+  if (question.min !== undefined && value < question.min) {
+    throw new Error(`must be at least ${question.min}`);
+  }
+  if (question.max !== undefined && value > question.max) {
+    throw new Error(`must be at most ${question.max}`);
+  }
+  return value;
+}
+
+function parseAnswer(question: InitQuestion, raw: unknown, answers: InitAnswers): unknown {
+  if (raw === undefined || raw === null || raw === '') {
+    if (question.optional) {
+      return undefined;
+    }
+    if (question.nullable) {
+      return null;
+    }
+    throw new Error('is required');
+  }
+
+  if (typeof raw === 'string' && question.keywords?.includes(raw)) {
+    return raw;
+  }
+
+  let value: unknown;
+  if (question.choices) {
+    const choice = question.choices.find((c) => String(c.value) === String(raw));
+    if (!choice) {
+      throw new Error(
+        `must be one of ${question.choices.map((c) => JSON.stringify(c.value)).join(', ')}`
+      );
+    }
+    value = choice.value;
+  } else {
+    switch (question.type) {
+      case 'string':
+        value = String(raw);
+        break;
+      case 'number':
+      case 'integer':
+        value = parseNumber(question, raw);
+        break;
+      case 'boolean':
+        if (typeof raw === 'boolean') {
+          value = raw;
+        } else if (/^(y|yes|true)$/i.test(String(raw))) {
+          value = true;
+        } else if (/^(n|no|false)$/i.test(String(raw))) {
+          value = false;
+        } else {
+          throw new Error('must be yes or no');
+        }
+        break;
+      case 'address':
+        try {
+          value = new PublicKey(String(raw)).toBase58();
+        } catch {
+          throw new Error('must be a valid address');
+        }
+        break;
+      case 'point':
+        if (typeof raw === 'string' && isPointString(raw)) {
+          value = raw;
+        } else {
+          try {
+            value = parseNumber({ ...question, type: 'integer', min: 0 }, raw);
+          } catch {
+            throw new Error(
+              'must be a slot, a unix timestamp, an ISO-8601 timestamp like "2025-11-01T14:00:00Z" or a duration from now like "+2h"'
+            );
+          }
+        }
+        break;
+      case 'duration':
+        if (typeof raw === 'string' && isDurationString(raw)) {
+          value = raw;
+        } else {
+          try {
+            value = parseNumber({ ...question, type: 'integer', min: 0 }, raw);
+          } catch {
+            throw new Error('must be a number of slots or seconds, or a duration like "2h"');
+          }
+        }
+        break;
+      case 'numbers': {
+        const items = Array.isArray(raw) ? raw : String(raw).split(',');
+        value = items.map((item) => parseNumber({ ...question, type: 'number' }, item));
+        break;
+      }
+    }
+  }
+
+  const problem = question.validate?.(value, answers);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return value;
+}
+
+function formatDefault(value: unknown): string | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+async function askQuestion(question: InitQuestion, answers: InitAnswers): Promise<unknown> {
+  const defaultValue =
+    typeof question.defaultValue === 'function'
+      ? question.defaultValue(answers)
+      : question.defaultValue;
+
+  while (true) {
+    let raw: unknown;
+    if (question.choices) {
+      const defaultIndex = question.choices.findIndex((c) => c.value === defaultValue);
+      const index = await promptForSelection(
+        question.choices.map((c) => `${c.label} (${c.value})`),
+        question.prompt,
+        defaultIndex === -1 ? undefined : defaultIndex
+      );
+      raw = question.choices[index]!.value;
+    } else {
+      raw = await promptForInput(question.prompt, formatDefault(defaultValue));
+    }
+
+    try {
+      return parseAnswer(question, raw, answers);
+    } catch (err) {
+      console.log(`Invalid answer, ${question.key} ${(err as Error).message}`);
+    }
+  }
+}
+
+/**
+ * Run the init wizard of an action, asking its questions or reading them from answers, and build
+ * the config they describe
+ * @param template - The init wizard template of the action
+ * @param answers - Answers keyed by config key path, prompting for each question when not set.
+ * Missing answers fall back to the question defaults.
+ * @returns The config and the comments of its keys
+ */
+export async function runInitWizard(
+  template: InitTemplate,
+  answers?: InitAnswers
+): Promise<{ config: Record<string, unknown>; comments: Record<string, string> }> {
+  const collected: InitAnswers = {};
+  const problems: string[] = [];
+
+  for (const question of template.questions) {
+    if (question.when && !question.when(collected)) {
+      continue;
+    }
+
+    let value: unknown;
+    if ('value' in question) {
+      value = question.value;
+    } else if (answers) {
+      const answer = getAnswer(answers, question.key);
+      const defaultValue =
+        typeof question.defaultValue === 'function'
+          ? question.defaultValue(collected)
+          : question.defaultValue;
+      try {
+        value = parseAnswer(question, answer ?? defaultValue, collected);
+      } catch (err) {
+        problems.push(`${question.key}: ${(err as Error).message}`);
+        continue;
+      }
+    } else {
+      value = await askQuestion(question, collected);
+    }
+
+    if (value !== undefined) {
+      collected[question.key] = value;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid init answers:\n- ${problems.join('\n- ')}`);
+  }
+
+  const config: Record<string, unknown> = {};
+  const comments: Record<string, string> = {};
+  for (const question of template.questions) {
+    if (question.key in collected) {
+      setConfigValue(config, question.key, collected[question.key]);
+      if (question.comment) {
+        comments[question.key] = question.comment;
+      }
+    }
+  }
+  return { config, comments };
+}
+
+function formatJsoncValue(
+  value: unknown,
+  comments: Record<string, string>,
+  keyPath: string,
+  indent: string
+): string {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => JSON.stringify(item)).join(', ')}]`;
+  }
+  if (!isPlainObject(value)) {
+    return JSON.stringify(value);
+  }
+
+  const innerIndent = `${indent}  `;
+  const entries = Object.entries(value);
+  const lines = entries.map(([key, entry], i) => {
+    const entryPath = keyPath ? `${keyPath}.${key}` : key;
+    const comma = i < entries.length - 1 ? ',' : '';
+    const comment = comments[entryPath] ? ` // ${comments[entryPath]}` : '';
+    return `${innerIndent}${JSON.stringify(key)}: ${formatJsoncValue(entry, comments, entryPath, innerIndent)}${comma}${comment}`;
+  });
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Format a config built by the init wizard as JSONC, with the comment of each key next to it
+ * @param action - The action the config is for
+ * @param config - The config
+ * @param comments - The comments keyed by config key path
+ */
+export function formatInitConfig(
+  action: string,
+  config: Record<string, unknown>,
+  comments: Record<string, string>
+): string {
+  const header = `/* Config for ${action}, generated by studio init. Check it with: pnpm studio validate --action "${action}" --config <this file> */`;
+  return `${header}\n${formatJsoncValue(config, comments, '', '')}\n`;
+}
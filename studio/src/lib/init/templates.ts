@@ -0,0 +1,921 @@
+import { getNetworkConfig } from '../../helpers';
+import { SOL_TOKEN_MINT, USDC_TOKEN_MINT } from '../../utils/constants';
+import {
+  AlphaVaultTypeConfig,
+  InitAnswers,
+  InitQuestion,
+  InitTemplate,
+  PoolTypeConfig,
+  WhitelistModeConfig,
+} from '../../utils/types';
+
+const POINT_COMMENT =
+  'Slot or unix timestamp depending on activationType, an ISO-8601 timestamp like "2025-11-01T14:00:00Z" or a duration from now like "+2h"';
+
+function onlyWhen(
+  questions: InitQuestion[],
+  condition: (answers: InitAnswers) => boolean
+): InitQuestion[] {
+  return questions.map((question) => ({
+    ...question,
+    when: (answers) => condition(answers) && (!question.when || question.when(answers)),
+  }));
+}
+
+const BASE_QUESTIONS: InitQuestion[] = [
+  {
+    key: 'network',
+    prompt: 'Network',
+    type: 'string',
+    choices: [
+      { value: 'mainnet', label: 'Mainnet' },
+      { value: 'devnet', label: 'Devnet' },
+      { value: 'localnet', label: 'Localnet' },
+    ],
+    defaultValue: 'devnet',
+    comment: 'mainnet | devnet | localnet, selects the RPC URL and the Meteora program ids',
+  },
+  {
+    key: 'rpcUrl',
+    prompt: 'RPC URL',
+    type: 'string',
+    defaultValue: (answers: InitAnswers) => getNetworkConfig(String(answers.network)).rpcUrl,
+    // The default comes from the network, an invalid network answer is reported on its own
+    when: (answers: InitAnswers) => answers.network !== undefined,
+    comment: 'Replaces the RPC URL of the network profile',
+  },
+  {
+    key: 'dryRun',
+    prompt: 'Simulate the transactions instead of sending them (y/n)',
+    type: 'boolean',
+    defaultValue: true,
+    comment: 'If true, transactions are simulated and not executed',
+  },
+  {
+    key: 'keypairFilePath',
+    prompt: 'Keypair file of the payer',
+    type: 'string',
+    defaultValue: './keypair.json',
+    comment: 'Payer and signer of all transactions',
+  },
+  {
+    key: 'computeUnitPriceMicroLamports',
+    prompt: 'Compute unit price in micro lamports, or "auto"',
+    type: 'integer',
+    min: 0,
+    keywords: ['auto'],
+    defaultValue: 'auto',
+    comment: '"auto" estimates it from recent prioritization fees',
+  },
+  {
+    key: 'quoteMint',
+    prompt: 'Quote token mint',
+    type: 'address',
+    defaultValue: SOL_TOKEN_MINT.toBase58(),
+    comment: `SOL: ${SOL_TOKEN_MINT.toBase58()} | USDC: ${USDC_TOKEN_MINT.toBase58()} | any other token address`,
+  },
+];
+
+const BASE_TOKEN_QUESTIONS: InitQuestion[] = [
+  {
+    key: 'baseMint',
+    prompt: 'Base token mint, leave empty to create a new token',
+    type: 'address',
+    optional: true,
+    comment: 'Base token of the pool',
+  },
+  ...onlyWhen(
+    [
+      {
+        key: 'createBaseToken.mintBaseTokenAmount',
+        prompt: 'Supply of the new base token',
+        type: 'number',
+        min: 0,
+        comment: 'Amount minted to the payer (not in lamports)',
+      },
+      {
+        key: 'createBaseToken.baseDecimals',
+        prompt: 'Decimals of the new base token',
+        type: 'integer',
+        min: 0,
+        max: 9,
+        defaultValue: 6,
+        comment: 'Decimals of the new base token',
+      },
+    ],
+    (answers) => answers.baseMint === undefined
+  ),
+];
+
+const ACTIVATION_TYPE_QUESTION: Omit<InitQuestion, 'key'> = {
+  prompt: 'Activation type',
+  type: 'integer',
+  choices: [
+    { value: 0, label: 'Slot' },
+    { value: 1, label: 'Timestamp' },
+  ],
+  defaultValue: 1,
+  comment: '0 - Slot | 1 - Timestamp',
+};
+
+const ACTIVATION_POINT_QUESTION: Omit<InitQuestion, 'key'> = {
+  prompt: 'Activation point, leave empty to activate right away',
+  type: 'point',
+  nullable: true,
+  comment: `Activation time of the pool. ${POINT_COMMENT}`,
+};
+
+function getAlphaVaultQuestions(poolType?: PoolTypeConfig): InitQuestion[] {
+  const isFcfs = (answers: InitAnswers) =>
+    answers['alphaVault.alphaVaultType'] === AlphaVaultTypeConfig.Fcfs;
+
+  return [
+    poolType
+      ? { key: 'alphaVault.poolType', prompt: 'Pool type', type: 'string', value: poolType }
+      : {
+          key: 'alphaVault.poolType',
+          prompt: 'Pool type of the alpha vault',
+          type: 'string',
+          choices: [
+            { value: PoolTypeConfig.Dlmm, label: 'DLMM' },
+            { value: PoolTypeConfig.DammV1, label: 'DAMM v1' },
+            { value: PoolTypeConfig.DammV2, label: 'DAMM v2' },
+          ],
+          comment: 'DLMM = dlmm | DAMM v1 = dynamic | DAMM v2 = damm2',
+        },
+    {
+      key: 'alphaVault.alphaVaultType',
+      prompt: 'Alpha vault type',
+      type: 'string',
+      choices: [
+        { value: AlphaVaultTypeConfig.Fcfs, label: 'First come first serve' },
+        { value: AlphaVaultTypeConfig.Prorata, label: 'Prorata' },
+      ],
+      defaultValue: AlphaVaultTypeConfig.Fcfs,
+      comment: 'FCFS = fcfs | Prorata = prorata',
+    },
+    {
+      key: 'alphaVault.maxDepositCap',
+      prompt: 'Maximum total deposit, in quote token',
+      type: 'number',
+      min: 0,
+      when: isFcfs,
+      comment: 'Maximum total amount (in quote token) deposited across all users',
+    },
+    {
+      key: 'alphaVault.individualDepositingCap',
+      prompt: 'Maximum deposit per user, in quote token',
+      type: 'number',
+      min: 0,
+      when: isFcfs,
+      comment: 'Maximum amount (in quote token) deposited by each user',
+    },
+    {
+      key: 'alphaVault.maxBuyingCap',
+      prompt: 'Maximum total buy, in quote token',
+      type: 'number',
+      min: 0,
+      when: (answers) => !isFcfs(answers),
+      comment: 'Maximum total amount (in quote token) bought across all users',
+    },
+    {
+      key: 'alphaVault.depositingPoint',
+      prompt: 'Depositing point',
+      type: 'point',
+      comment: `When users can start depositing. ${POINT_COMMENT}`,
+    },
+    {
+      key: 'alphaVault.startVestingPoint',
+      prompt: 'Start vesting point',
+      type: 'point',
+      comment: `When vested tokens start being claimable. ${POINT_COMMENT}`,
+    },
+    {
+      key: 'alphaVault.endVestingPoint',
+      prompt: 'End vesting point',
+      type: 'point',
+      comment: `When all tokens are claimable. ${POINT_COMMENT}`,
+    },
+    {
+      key: 'alphaVault.escrowFee',
+      prompt: 'Escrow fee, in quote token',
+      type: 'number',
+      min: 0,
+      defaultValue: 0,
+      comment: 'Fee (in quote token) charged when creating a stake escrow account',
+    },
+    {
+      key: 'alphaVault.whitelistMode',
+      prompt: 'Whitelist mode',
+      type: 'string',
+      choices: [
+        { value: WhitelistModeConfig.Permissionless, label: 'Permissionless' },
+        { value: WhitelistModeConfig.PermissionedWithMerkleProof, label: 'Merkle proof whitelist' },
+        { value: WhitelistModeConfig.PermissionedWithAuthority, label: 'Authority whitelist' },
+      ],
+      defaultValue: WhitelistModeConfig.Permissionless,
+      comment: 'permissionless | permissioned_with_merkle_proof | permissioned_with_authority',
+    },
+    {
+      key: 'alphaVault.whitelistFilepath',
+      prompt: 'Whitelist CSV file',
+      type: 'string',
+      when: (answers) => answers['alphaVault.whitelistMode'] !== WhitelistModeConfig.Permissionless,
+      comment:
+        'CSV file of the whitelisted wallets and their deposit caps (format: address,maxAmount)',
+    },
+    {
+      key: 'alphaVault.merkleProofBaseUrl',
+      prompt: 'Merkle proof base URL',
+      type: 'string',
+      when: (answers) =>
+        answers['alphaVault.whitelistMode'] === WhitelistModeConfig.PermissionedWithMerkleProof,
+      comment: 'Base URL the merkle proofs of the whitelisted wallets are served from',
+    },
+  ];
+}
+
+const DLMM_CREATE_POOL_QUESTIONS: InitQuestion[] = [
+  ...BASE_QUESTIONS,
+  ...BASE_TOKEN_QUESTIONS,
+  {
+    key: 'dlmmConfig.binStep',
+    prompt: 'Bin step, in basis points',
+    type: 'integer',
+    min: 1,
+    defaultValue: 25,
+    comment: 'Price increment between bins in basis points',
+  },
+  {
+    key: 'dlmmConfig.feeBps',
+    prompt: 'Trading fee, in basis points',
+    type: 'integer',
+    min: 0,
+    max: 10000,
+    defaultValue: 100,
+    comment: 'Trading fee in basis points (100 = 1% fee per swap)',
+  },
+  {
+    key: 'dlmmConfig.initialPrice',
+    prompt: 'Initial price, in quote token per base token',
+    type: 'number',
+    min: 0,
+    comment: 'Initial price (in terms of quote/base price)',
+  },
+  { key: 'dlmmConfig.activationType', ...ACTIVATION_TYPE_QUESTION },
+  { key: 'dlmmConfig.activationPoint', ...ACTIVATION_POINT_QUESTION },
+  {
+    key: 'dlmmConfig.priceRounding',
+    prompt: 'Price rounding',
+    type: 'string',
+    choices: [
+      { value: 'up', label: 'Up' },
+      { value: 'down', label: 'Down' },
+    ],
+    defaultValue: 'up',
+    comment: 'Price calculation rounding direction for bin ID conversion',
+  },
+  {
+    key: 'dlmmConfig.creatorPoolOnOffControl',
+    prompt: 'Let the creator turn trading on and off (y/n)',
+    type: 'boolean',
+    defaultValue: false,
+    comment: 'Pool creator permission to enable/disable trading',
+  },
+  {
+    key: 'dlmmConfig.hasAlphaVault',
+    prompt: 'Create an alpha vault with the pool (y/n)',
+    type: 'boolean',
+    defaultValue: false,
+    comment: 'If true, the alpha vault is created after the pool',
+  },
+  ...onlyWhen(
+    getAlphaVaultQuestions(PoolTypeConfig.Dlmm),
+    (answers) => answers['dlmmConfig.hasAlphaVault'] === true
+  ),
+];
+
+const DAMM_V1_CREATE_POOL_QUESTIONS: InitQuestion[] = [
+  ...BASE_QUESTIONS,
+  ...BASE_TOKEN_QUESTIONS,
+  {
+    key: 'dammV1Config.baseAmount',
+    prompt: 'Base token amount',
+    type: 'number',
+    min: 0,
+    comment: 'Base token amount (not in lamports)',
+  },
+  {
+    key: 'dammV1Config.quoteAmount',
+    prompt: 'Quote token amount',
+    type: 'number',
+    min: 0,
+    comment: 'Quote token amount (not in lamports)',
+  },
+  {
+    key: 'dammV1Config.tradeFeeNumerator',
+    prompt: 'Trading fee, in basis points',
+    type: 'integer',
+    min: 0,
+    max: 10000,
+    defaultValue: 2500,
+    comment: 'Pool fee in bps',
+  },
+  { key: 'dammV1Config.activationType', ...ACTIVATION_TYPE_QUESTION },
+  { key: 'dammV1Config.activationPoint', ...ACTIVATION_POINT_QUESTION },
+  {
+    key: 'dammV1Config.hasAlphaVault',
+    prompt: 'Create an alpha vault with the pool (y/n)',
+    type: 'boolean',
+    defaultValue: false,
+    comment: 'If true, the alpha vault is created after the pool',
+  },
+  ...onlyWhen(
+    getAlphaVaultQuestions(PoolTypeConfig.DammV1),
+    (answers) => answers['dammV1Config.hasAlphaVault'] === true
+  ),
+];
+
+function getDammV2CreatePoolQuestions(balanced: boolean): InitQuestion[] {
+  return [
+    ...BASE_QUESTIONS,
+    ...BASE_TOKEN_QUESTIONS,
+    {
+      key: 'dammV2Config.creator',
+      prompt: 'Creator of the pool',
+      type: 'address',
+      comment: 'Creator address',
+    },
+    {
+      key: 'dammV2Config.baseAmount',
+      prompt: 'Base token amount',
+      type: 'number',
+      min: 0,
+      comment: 'Base token amount (not in lamports)',
+    },
+    balanced
+      ? {
+          key: 'dammV2Config.quoteAmount',
+          prompt: 'Quote token amount',
+          type: 'number',
+          min: 0,
+          comment: 'Quote token amount (not in lamports)',
+        }
+      : {
+          key: 'dammV2Config.quoteAmount',
+          prompt: 'Quote token amount',
+          type: 'number',
+          value: null,
+        },
+    {
+      key: 'dammV2Config.initPrice',
+      prompt: 'Initial price, in quote token per base token',
+      type: 'number',
+      min: 0,
+      comment: 'Initial price (in terms of quote/base price)',
+    },
+    {
+      key: 'dammV2Config.maxPrice',
+      prompt: 'Maximum price, leave empty for no maximum',
+      type: 'number',
+      min: 0,
+      nullable: true,
+      comment: 'Max price (in terms of quote/base price)',
+    },
+    {
+      key: 'dammV2Config.poolFees.maxBaseFeeBps',
+      prompt: 'Starting base fee, in basis points',
+      type: 'integer',
+      min: 0,
+      max: 9900,
+      defaultValue: 100,
+      comment: 'Max base fee (in basis points)',
+    },
+    {
+      key: 'dammV2Config.poolFees.minBaseFeeBps',
+      prompt: 'Ending base fee, in basis points',
+      type: 'integer',
+      min: 0,
+      max: 9900,
+      defaultValue: (answers: InitAnswers) => answers['dammV2Config.poolFees.maxBaseFeeBps'],
+      validate: (value, answers) =>
+        Number(value) > Number(answers['dammV2Config.poolFees.maxBaseFeeBps'])
+          ? 'must not be greater than maxBaseFeeBps'
+          : undefined,
+      comment: 'Min base fee (in basis points)',
+    },
+    {
+      key: 'dammV2Config.poolFees.numberOfPeriod',
+      prompt: 'Number of fee periods',
+      type: 'integer',
+      min: 0,
+      defaultValue: 0,
+      comment: 'Number of period',
+    },
+    {
+      key: 'dammV2Config.poolFees.totalDuration',
+      prompt: 'Fee scheduler duration, e.g. "2h"',
+      type: 'duration',
+      defaultValue: 0,
+      comment:
+        'Total duration in slots or seconds depending on activationType, or a duration like "2h"',
+    },
+    {
+      key: 'dammV2Config.poolFees.feeSchedulerMode',
+      prompt: 'Fee scheduler mode',
+      type: 'integer',
+      choices: [
+        { value: 0, label: 'Linear' },
+        { value: 1, label: 'Exponential' },
+      ],
+      defaultValue: 0,
+      comment: '0 - Fee Scheduler: Linear | 1 - Fee Scheduler: Exponential',
+    },
+    {
+      key: 'dammV2Config.poolFees.useDynamicFee',
+      prompt: 'Add a dynamic fee of 20% of the minimum base fee (y/n)',
+      type: 'boolean',
+      defaultValue: false,
+      comment: 'If true, the dynamic fee adds 20% of minBaseFeeBps to the fee',
+    },
+    {
+      key: 'dammV2Config.poolFees.dynamicFeeConfig',
+      prompt: 'Dynamic fee config',
+      type: 'number',
+      value: null,
+    },
+    {
+      key: 'dammV2Config.collectFeeMode',
+      prompt: 'Fee collection',
+      type: 'integer',
+      choices: [
+        { value: 0, label: 'Both tokens' },
+        { value: 1, label: 'Quote token only' },
+      ],
+      defaultValue: 1,
+      comment: '0 - Both Token | 1 - Token B Only',
+    },
+    { key: 'dammV2Config.activationType', ...ACTIVATION_TYPE_QUESTION },
+    { key: 'dammV2Config.activationPoint', ...ACTIVATION_POINT_QUESTION },
+    {
+      key: 'dammV2Config.hasAlphaVault',
+      prompt: 'Create an alpha vault with the pool (y/n)',
+      type: 'boolean',
+      defaultValue: false,
+      comment: 'If true, the alpha vault is created after the pool',
+    },
+    ...onlyWhen(
+      getAlphaVaultQuestions(PoolTypeConfig.DammV2),
+      (answers) => answers['dammV2Config.hasAlphaVault'] === true
+    ),
+  ];
+}
+
+const DBC_CONFIG_QUESTIONS: InitQuestion[] = [
+  {
+    key: 'dbcConfig.buildCurveMode',
+    prompt: 'Curve',
+    type: 'integer',
+    choices: [
+      { value: 0, label: 'buildCurve: supply and quote threshold at migration' },
+      { value: 1, label: 'buildCurveWithMarketCap: initial and migration market caps' },
+      { value: 2, label: 'buildCurveWithTwoSegments: market caps and supply at migration' },
+      { value: 3, label: 'buildCurveWithLiquidityWeights: market caps and liquidity weights' },
+    ],
+    defaultValue: 1,
+    comment:
+      '0 - buildCurve | 1 - buildCurveWithMarketCap | 2 - buildCurveWithTwoSegments | 3 - buildCurveWithLiquidityWeights',
+  },
+  {
+    key: 'dbcConfig.percentageSupplyOnMigration',
+    prompt: 'Percentage of the supply migrated',
+    type: 'number',
+    min: 0,
+    max: 100,
+    defaultValue: 20,
+    when: (answers) => [0, 2].includes(answers['dbcConfig.buildCurveMode'] as number),
+    comment: 'Percentage of total token supply to be migrated',
+  },
+  {
+    key: 'dbcConfig.migrationQuoteThreshold',
+    prompt: 'Quote amount needed to migrate',
+    type: 'number',
+    min: 0,
+    when: (answers) => answers['dbcConfig.buildCurveMode'] === 0,
+    comment: 'Migration quote threshold needed to migrate the pool (not in lamports)',
+  },
+  ...onlyWhen(
+    [
+      {
+        key: 'dbcConfig.initialMarketCap',
+        prompt: 'Initial market cap, in quote token',
+        type: 'number',
+        min: 0,
+        comment: 'Market cap when the pool is created (in quote token, not in lamports)',
+      },
+      {
+        key: 'dbcConfig.migrationMarketCap',
+        prompt: 'Migration market cap, in quote token',
+        type: 'number',
+        min: 0,
+        validate: (value, answers) =>
+          Number(value) <= Number(answers['dbcConfig.initialMarketCap'])
+            ? 'must be greater than initialMarketCap'
+            : undefined,
+        comment: 'Market cap when the pool graduates (in quote token, not in lamports)',
+      },
+    ],
+    (answers) => answers['dbcConfig.buildCurveMode'] !== 0
+  ),
+  {
+    key: 'dbcConfig.liquidityWeights',
+    prompt: '16 liquidity weights, comma separated',
+    type: 'numbers',
+    min: 0,
+    when: (answers) => answers['dbcConfig.buildCurveMode'] === 3,
+    validate: (value) =>
+      (value as number[]).length !== 16 ? 'must have 16 liquidity weights' : undefined,
+    comment: 'Liquidity weight of each of the 16 curve segments',
+  },
+  {
+    key: 'dbcConfig.totalTokenSupply',
+    prompt: 'Total token supply',
+    type: 'number',
+    min: 0,
+    defaultValue: 1000000000,
+    comment: 'Total token supply (not in lamports)',
+  },
+  {
+    key: 'dbcConfig.migrationOption',
+    prompt: 'Migrate to',
+    type: 'integer',
+    choices: [
+      { value: 0, label: 'DAMM v1' },
+      { value: 1, label: 'DAMM v2' },
+    ],
+    defaultValue: 1,
+    comment: '0 - Migrate to DAMM v1 | 1 - Migrate to DAMM v2',
+  },
+  {
+    key: 'dbcConfig.tokenBaseDecimal',
+    prompt: 'Base token decimals',
+    type: 'integer',
+    min: 6,
+    max: 9,
+    defaultValue: 6,
+    comment: 'Token base decimal',
+  },
+  {
+    key: 'dbcConfig.tokenQuoteDecimal',
+    prompt: 'Quote token decimals',
+    type: 'integer',
+    min: 0,
+    max: 9,
+    defaultValue: (answers: InitAnswers) =>
+      answers.quoteMint === USDC_TOKEN_MINT.toBase58() ? 6 : 9,
+    comment: 'Token quote decimal',
+  },
+  {
+    key: 'dbcConfig.lockedVestingParam.totalLockedVestingAmount',
+    prompt: 'Locked vesting amount',
+    type: 'number',
+    min: 0,
+    defaultValue: 0,
+    comment: 'Total locked vesting amount (not in lamports)',
+  },
+  {
+    key: 'dbcConfig.lockedVestingParam.numberOfVestingPeriod',
+    prompt: 'Number of vesting periods',
+    type: 'integer',
+    min: 0,
+    defaultValue: 0,
+    comment: 'Number of vesting period',
+  },
+  {
+    key: 'dbcConfig.lockedVestingParam.cliffUnlockAmount',
+    prompt: 'Cliff unlock amount',
+    type: 'number',
+    min: 0,
+    defaultValue: 0,
+    comment: 'Cliff unlock amount (not in lamports)',
+  },
+  {
+    key: 'dbcConfig.lockedVestingParam.totalVestingDuration',
+    prompt: 'Vesting duration, in seconds',
+    type: 'integer',
+    min: 0,
+    defaultValue: 0,
+    comment: 'Total vesting duration (in seconds)',
+  },
+  {
+    key: 'dbcConfig.lockedVestingParam.cliffDurationFromMigrationTime',
+    prompt: 'Cliff duration from migration, in seconds',
+    type: 'integer',
+    min: 0,
+    defaultValue: 0,
+    comment: 'Cliff duration from migration time (in seconds)',
+  },
+  {
+    key: 'dbcConfig.baseFeeParams.baseFeeMode',
+    prompt: 'Base fee',
+    type: 'integer',
+    choices: [
+      { value: 0, label: 'Fee scheduler: linear' },
+      { value: 1, label: 'Fee scheduler: exponential' },
+      { value: 2, label: 'Rate limiter' },
+    ],
+    defaultValue: 0,
+    comment: '0 - Fee Scheduler: Linear | 1 - Fee Scheduler: Exponential | 2 - Rate Limiter',
+  },
+  ...onlyWhen(
+    [
+      {
+        key: 'dbcConfig.baseFeeParams.feeSchedulerParam.startingFeeBps',
+        prompt: 'Starting fee, in basis points',
+        type: 'integer',
+        min: 1,
+        max: 9900,
+        defaultValue: 100,
+        comment: 'Starting fee (max 99% fee === 9900 bps)',
+      },
+      {
+        key: 'dbcConfig.baseFeeParams.feeSchedulerParam.endingFeeBps',
+        prompt: 'Ending fee, in basis points',
+        type: 'integer',
+        min: 1,
+        max: 9900,
+        defaultValue: (answers: InitAnswers) =>
+          answers['dbcConfig.baseFeeParams.feeSchedulerParam.startingFeeBps'],
+        comment: 'Ending fee (minimum 0.01% fee === 1 bps)',
+      },
+      {
+        key: 'dbcConfig.baseFeeParams.feeSchedulerParam.numberOfPeriod',
+        prompt: 'Number of fee periods',
+        type: 'integer',
+        min: 0,
+        defaultValue: 0,
+        comment: 'Number of period',
+      },
+      {
+        key: 'dbcConfig.baseFeeParams.feeSchedulerParam.totalDuration',
+        prompt: 'Fee scheduler duration, e.g. "2h"',
+        type: 'duration',
+        defaultValue: 0,
+        comment:
+          'Total duration in slots or seconds depending on activationType, or a duration like "2h"',
+      },
+    ],
+    (answers) => answers['dbcConfig.baseFeeParams.baseFeeMode'] !== 2
+  ),
+  ...onlyWhen(
+    [
+      {
+        key: 'dbcConfig.baseFeeParams.rateLimiterParam.baseFeeBps',
+        prompt: 'Base fee, in basis points',
+        type: 'integer',
+        min: 1,
+        max: 9900,
+        defaultValue: 100,
+        comment: 'Base fee (max 99% base fee === 9900 bps)',
+      },
+      {
+        key: 'dbcConfig.baseFeeParams.rateLimiterParam.feeIncrementBps',
+        prompt: 'Fee increment, in basis points',
+        type: 'integer',
+        min: 0,
+        max: 9900,
+        defaultValue: 100,
+        comment: 'Fee increment (max fee increment = 9900 bps - baseFeeBps)',
+      },
+      {
+        key: 'dbcConfig.baseFeeParams.rateLimiterParam.referenceAmount',
+        prompt: 'Reference amount, in quote token',
+        type: 'number',
+        min: 0,
+        comment: 'Reference amount (not in lamports)',
+      },
+      {
+        key: 'dbcConfig.baseFeeParams.rateLimiterParam.maxLimiterDuration',
+        prompt: 'Rate limiter duration, in slots or seconds depending on the activation type',
+        type: 'integer',
+        min: 0,
+        comment: 'In slots if activationType is 0 (slots) | in seconds if activationType is 1',
+      },
+    ],
+    (answers) => answers['dbcConfig.baseFeeParams.baseFeeMode'] === 2
+  ),
+  {
+    key: 'dbcConfig.dynamicFeeEnabled',
+    prompt: 'Add a dynamic fee of 20% of the minimum base fee (y/n)',
+    type: 'boolean',
+    defaultValue: true,
+    comment: 'If true, dynamic fee will add 20% of minimum base fee to the total fee',
+  },
+  { key: 'dbcConfig.activationType', ...ACTIVATION_TYPE_QUESTION },
+  {
+    key: 'dbcConfig.collectFeeMode',
+    prompt: 'Fee collection',
+    type: 'integer',
+    choices: [
+      { value: 0, label: 'Quote token' },
+      { value: 1, label: 'Output token' },
+    ],
+    defaultValue: 0,
+    comment: '0 - Quote Token | 1 - Output Token',
+  },
+  {
+    key: 'dbcConfig.migrationFeeOption',
+    prompt: 'LP fee of the migrated pool',
+    type: 'integer',
+    choices: [
+      { value: 0, label: '0.25%' },
+      { value: 1, label: '0.3%' },
+      { value: 2, label: '1%' },
+      { value: 3, label: '2%' },
+      { value: 4, label: '4%' },
+      { value: 5, label: '6%' },
+    ],
+    defaultValue: 1,
+    comment:
+      '0 - LP Fee 0.25% | 1 - LP Fee 0.3% | 2 - LP Fee 1% | 3 - LP Fee 2% | 4 - LP Fee 4% | 5 - LP Fee 6%',
+  },
+  {
+    key: 'dbcConfig.tokenType',
+    prompt: 'Token program',
+    type: 'integer',
+    choices: [
+      { value: 0, label: 'SPL Token' },
+      { value: 1, label: 'Token 2022' },
+    ],
+    defaultValue: 0,
+    comment: '0 - SPL | 1 - Token 2022',
+  },
+  {
+    key: 'dbcConfig.partnerLpPercentage',
+    prompt: 'Partner claimable LP percentage',
+    type: 'number',
+    min: 0,
+    max: 100,
+    defaultValue: 25,
+    comment: 'Partner claimable LP (withdrawable LP once pool migrates)',
+  },
+  {
+    key: 'dbcConfig.creatorLpPercentage',
+    prompt: 'Creator claimable LP percentage',
+    type: 'number',
+    min: 0,
+    max: 100,
+    defaultValue: 25,
+    comment: 'Creator claimable LP (withdrawable LP once pool migrates)',
+  },
+  {
+    key: 'dbcConfig.partnerLockedLpPercentage',
+    prompt: 'Partner locked LP percentage',
+    type: 'number',
+    min: 0,
+    max: 100,
+    defaultValue: 25,
+    comment: 'Partner locked LP (permanently locked LP once pool migrates)',
+  },
+  {
+    key: 'dbcConfig.creatorLockedLpPercentage',
+    prompt: 'Creator locked LP percentage',
+    type: 'number',
+    min: 0,
+    max: 100,
+    defaultValue: (answers: InitAnswers) =>
+      100 -
+      Number(answers['dbcConfig.partnerLpPercentage']) -
+      Number(answers['dbcConfig.creatorLpPercentage']) -
+      Number(answers['dbcConfig.partnerLockedLpPercentage']),
+    validate: (value, answers) =>
+      Number(value) +
+        Number(answers['dbcConfig.partnerLpPercentage']) +
+        Number(answers['dbcConfig.creatorLpPercentage']) +
+        Number(answers['dbcConfig.partnerLockedLpPercentage']) !==
+      100
+        ? 'the four LP percentages must add up to 100'
+        : undefined,
+    comment: 'Creator locked LP (permanently locked LP once pool migrates)',
+  },
+  {
+    key: 'dbcConfig.creatorTradingFeePercentage',
+    prompt: 'Percentage of the trading fees going to the creator',
+    type: 'number',
+    min: 0,
+    max: 100,
+    defaultValue: 0,
+    comment: 'Bonding curve trading fee sharing - 0% means all trading fees go to the partner',
+  },
+  {
+    key: 'dbcConfig.leftover',
+    prompt: 'Leftover tokens',
+    type: 'number',
+    min: 0,
+    defaultValue: 0,
+    comment: 'Leftover tokens in the bonding curve (claimable once pool migrates)',
+  },
+  {
+    key: 'dbcConfig.tokenUpdateAuthority',
+    prompt: 'Token authority',
+    type: 'integer',
+    choices: [
+      { value: 0, label: 'Creator update authority' },
+      { value: 1, label: 'Immutable' },
+      { value: 2, label: 'Partner update authority' },
+      { value: 3, label: 'Creator update and mint authority' },
+      { value: 4, label: 'Partner update and mint authority' },
+    ],
+    defaultValue: 1,
+    comment:
+      '0 - CreatorUpdateAuthority | 1 - Immutable | 2 - PartnerUpdateAuthority | 3 - CreatorUpdateAndMintAuthority | 4 - PartnerUpdateAndMintAuthority',
+  },
+  {
+    key: 'dbcConfig.migrationFee.feePercentage',
+    prompt: 'Migration fee percentage',
+    type: 'number',
+    min: 0,
+    max: 50,
+    defaultValue: 0,
+    comment: 'Percentage of the migration quote threshold taken as fee once pool migrates',
+  },
+  {
+    key: 'dbcConfig.migrationFee.creatorFeePercentage',
+    prompt: 'Percentage of the migration fee going to the creator',
+    type: 'number',
+    min: 0,
+    max: 100,
+    defaultValue: 0,
+    comment: 'Percentage of the migrationFee.feePercentage claimable by creator',
+  },
+  {
+    key: 'dbcConfig.leftoverReceiver',
+    prompt: 'Leftover receiver',
+    type: 'address',
+    comment: 'Leftover receiver address',
+  },
+  {
+    key: 'dbcConfig.feeClaimer',
+    prompt: 'Fee claimer',
+    type: 'address',
+    comment: 'Fee claimer address',
+  },
+];
+
+const DBC_POOL_QUESTIONS: InitQuestion[] = [
+  { key: 'dbcPool.name', prompt: 'Token name', type: 'string', comment: 'Token name' },
+  { key: 'dbcPool.symbol', prompt: 'Token symbol', type: 'string', comment: 'Token symbol' },
+  {
+    key: 'dbcPool.uri',
+    prompt: 'Token metadata URI',
+    type: 'string',
+    comment: 'Metaplex token metadata format for the token',
+  },
+];
+
+export const INIT_TEMPLATES: InitTemplate[] = [
+  {
+    action: 'dlmm create-pool',
+    description: 'Create a customizable permissionless DLMM pool',
+    questions: DLMM_CREATE_POOL_QUESTIONS,
+  },
+  {
+    action: 'damm-v2 create-balanced-pool',
+    description: 'Create a balanced DAMM v2 pool',
+    questions: getDammV2CreatePoolQuestions(true),
+  },
+  {
+    action: 'damm-v2 create-one-sided-pool',
+    description: 'Create a one-sided DAMM v2 pool',
+    questions: getDammV2CreatePoolQuestions(false),
+  },
+  {
+    action: 'damm-v1 create-pool',
+    description: 'Create a customizable constant product DAMM v1 pool',
+    questions: DAMM_V1_CREATE_POOL_QUESTIONS,
+  },
+  {
+    action: 'dbc create-config',
+    description: 'Create a DBC config',
+    questions: [...BASE_QUESTIONS, ...DBC_CONFIG_QUESTIONS],
+  },
+  {
+    action: 'dbc create-pool',
+    description: 'Create a DBC config and a token pool using it',
+    questions: [...BASE_QUESTIONS, ...DBC_CONFIG_QUESTIONS, ...DBC_POOL_QUESTIONS],
+  },
+  {
+    action: 'alpha-vault create',
+    description: 'Create an alpha vault for an existing pool',
+    questions: [
+      ...BASE_QUESTIONS,
+      {
+        key: 'baseMint',
+        prompt: 'Base token mint of the pool',
+        type: 'address',
+        comment: 'Base token of the pool',
+      },
+      ...getAlphaVaultQuestions(),
+    ],
+  },
+];
@@ -0,0 +1,304 @@
+import { Wallet } from '@coral-xyz/anchor';
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
+import { deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
+import { deriveCustomizablePermissionlessConstantProductPoolAddress } from '@meteora-ag/dynamic-amm-sdk/dist/cjs/src/amm/utils';
+import {
+  createTokenMint,
+  deriveAlphaVault,
+  getConfigNetwork,
+  parseKeypairFromReference,
+  setOutputAddressPrefix,
+  validateConfig,
+  ACTION_CONFIG_SCHEMAS,
+} from '../../helpers';
+import {
+  LaunchPlanConfig,
+  LaunchPlanStepOutputs,
+  MeteoraConfig,
+  MeteoraConfigBase,
+} from '../../utils/types';
+import { createDammV1Pool, lockLiquidity } from '../damm_v1';
+import { createDammV2BalancedPool, createDammV2OneSidedPool, splitPosition } from '../damm_v2';
+import { createPermissionlessDlmmPool } from '../dlmm';
+import { createDbcPool } from '../dbc';
+import { createAlphaVault } from '../alpha_vault';
+
+type LaunchPlanStepHandler = (
+  config: any,
+  connection: Connection,
+  wallet: Wallet
+) => Promise<LaunchPlanStepOutputs>;
+
+const STEP_REFERENCE_PATTERN = /\$\{steps\.([\w-]+)\.(\w+)\}/g;
+
+function getMint(config: MeteoraConfigBase, key: 'baseMint' | 'quoteMint'): PublicKey {
+  const value = config[key];
+  if (!value) {
+    throw new Error(`Missing ${key} in step configuration`);
+  }
+  return new PublicKey(value);
+}
+
+function getPoolAddress(config: { poolAddress?: string }): PublicKey {
+  if (!config.poolAddress) {
+    throw new Error('Missing poolAddress in step configuration');
+  }
+  return new PublicKey(config.poolAddress);
+}
+
+export const LAUNCH_PLAN_ACTIONS: Record<string, LaunchPlanStepHandler> = {
+  'create-token-mint': async (config, connection, wallet) => {
+    if (!config.createBaseToken) {
+      throw new Error('Missing createBaseToken in step configuration');
+    }
+    const mint = await createTokenMint(connection, wallet, {
+      dryRun: config.dryRun,
+      mintTokenAmount: config.createBaseToken.mintBaseTokenAmount,
+      decimals: config.createBaseToken.baseDecimals,
+      txConfig: config,
+    });
+    return { address: mint.toBase58() };
+  },
+
+  'dlmm create-pool': async (config, connection, wallet) => {
+    const baseMint = getMint(config, 'baseMint');
+    const quoteMint = getMint(config, 'quoteMint');
+    await createPermissionlessDlmmPool(config, connection, wallet, baseMint, quoteMint);
+    const [pool] = deriveCustomizablePermissionlessLbPair(
+      baseMint,
+      quoteMint,
+      new PublicKey(getConfigNetwork(config).programIds.dlmm)
+    );
+    return { address: pool.toBase58() };
+  },
+
+  'damm-v1 create-pool': async (config, connection, wallet) => {
+    const baseMint = getMint(config, 'baseMint');
+    const quoteMint = getMint(config, 'quoteMint');
+    await createDammV1Pool(config, connection, wallet, baseMint, quoteMint);
+    const pool = deriveCustomizablePermissionlessConstantProductPoolAddress(
+      baseMint,
+      quoteMint,
+      new PublicKey(getConfigNetwork(config).programIds.dammV1)
+    );
+    return { address: pool.toBase58() };
+  },
+
+  'damm-v1 lock-liquidity': async (config, connection, wallet) => {
+    if (!config.dammV1LockLiquidity) {
+      throw new Error('Missing dammV1LockLiquidity in step configuration');
+    }
+    await lockLiquidity(
+      connection,
+      wallet.payer,
+      getMint(config, 'baseMint'),
+      getMint(config, 'quoteMint'),
+      config.dammV1LockLiquidity.allocations,
+      config.dryRun,
+      config,
+      { programId: new PublicKey(getConfigNetwork(config).programIds.dammV1) }
+    );
+    return {};
+  },
+
+  'damm-v2 create-balanced-pool': async (config, connection, wallet) => {
+    const { pool, position, positionNft } = await createDammV2BalancedPool(
+      config,
+      connection,
+      wallet,
+      getMint(config, 'baseMint'),
+      getMint(config, 'quoteMint')
+    );
+    return {
+      address: pool.toBase58(),
+      position: position.toBase58(),
+      positionNft: positionNft.toBase58(),
+    };
+  },
+
+  'damm-v2 create-one-sided-pool': async (config, connection, wallet) => {
+    const { pool, position, positionNft } = await createDammV2OneSidedPool(
+      config,
+      connection,
+      wallet,
+      getMint(config, 'baseMint'),
+      getMint(config, 'quoteMint')
+    );
+    return {
+      address: pool.toBase58(),
+      position: position.toBase58(),
+      positionNft: positionNft.toBase58(),
+    };
+  },
+
+  'damm-v2 split-position': async (config, connection, wallet) => {
+    const result = await splitPosition(config, connection, wallet, getPoolAddress(config));
+    if (!result) {
+      throw new Error('No position found to split');
+    }
+    return { position: result.position.toBase58(), positionNft: result.positionNft.toBase58() };
+  },
+
+  'dbc create-pool': async (config, connection, wallet) => {
+    if (!config.dbcPool) {
+      throw new Error('Missing dbcPool in step configuration');
+    }
+    const baseMint: Keypair = config.dbcPool.baseMintKeypairFilepath
+      ? await parseKeypairFromReference(config.dbcPool.baseMintKeypairFilepath)
+      : Keypair.generate();
+    const { config: dbcConfig, pool } = await createDbcPool(
+      config,
+      connection,
+      wallet,
+      getMint(config, 'quoteMint'),
+      baseMint
+    );
+    return {
+      address: pool.toBase58(),
+      config: dbcConfig.toBase58(),
+      baseMint: baseMint.publicKey.toBase58(),
+    };
+  },
+
+  'alpha-vault create': async (config, connection, wallet) => {
+    const poolAddress = getPoolAddress(config);
+    await createAlphaVault(connection, wallet, config, poolAddress);
+    const alphaVault = deriveAlphaVault(
+      wallet.publicKey,
+      poolAddress,
+      new PublicKey(getConfigNetwork(config).programIds.alphaVault)
+    );
+    return { address: alphaVault.toBase58() };
+  },
+};
+
+/**
+ * Check step ids, actions and references before anything is sent
+ * @param plan - The launch plan
+ */
+export function validateLaunchPlan(plan: LaunchPlanConfig) {
+  if (!Array.isArray(plan.steps) || plan.steps.length === 0) {
+    throw new Error('Launch plan must contain at least one step');
+  }
+
+  const previousStepIds = new Set<string>();
+  for (const step of plan.steps) {
+    if (!step.id) {
+      throw new Error('Every launch plan step must have an id');
+    }
+    if (previousStepIds.has(step.id)) {
+      throw new Error(`Duplicate launch plan step id: ${step.id}`);
+    }
+    if (!LAUNCH_PLAN_ACTIONS[step.action]) {
+      throw new Error(
+        `Unknown action "${step.action}" in step ${step.id}. Supported actions: ${Object.keys(LAUNCH_PLAN_ACTIONS).join(', ')}`
+      );
+    }
+
+    for (const [reference, stepId] of JSON.stringify(step.config ?? {}).matchAll(
+      STEP_REFERENCE_PATTERN
+    )) {
+      if (!previousStepIds.has(stepId!)) {
+        throw new Error(
+          `Step ${step.id} references ${reference}, but step ${stepId} does not run before it`
+        );
+      }
+    }
+
+    previousStepIds.add(step.id);
+  }
+}
+
+/**
+ * Replace `${steps.<id>.<output>}` references in every string of a step config
+ * @param value - The step config, or a value nested in it
+ * @param outputs - Outputs of the steps that already ran, keyed by step id
+ */
+export function resolveStepReferences(
+  value: any,
+  outputs: Record<string, LaunchPlanStepOutputs>
+): any {
+  if (typeof value === 'string') {
+    return value.replace(STEP_REFERENCE_PATTERN, (reference, stepId: string, key: string) => {
+      const output = outputs[stepId]?.[key];
+      if (output === undefined) {
+        const available = Object.keys(outputs[stepId] ?? {}).join(', ') || 'none';
+        throw new Error(`Cannot resolve ${reference}. Outputs of step ${stepId}: ${available}`);
+      }
+      return output;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveStepReferences(item, outputs));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveStepReferences(item, outputs)])
+    );
+  }
+  return value;
+}
+
+function printLaunchPlanSummary(
+  plan: LaunchPlanConfig,
+  outputs: Record<string, LaunchPlanStepOutputs>
+) {
+  console.log('\n> Launch plan summary');
+  for (const step of plan.steps) {
+    const stepOutputs = outputs[step.id];
+    if (!stepOutputs) {
+      console.log(`- ${step.id} (${step.action}): not run`);
+      continue;
+    }
+    console.log(`- ${step.id} (${step.action})`);
+    for (const [key, value] of Object.entries(stepOutputs)) {
+      console.log(`    ${key}: ${value}`);
+    }
+  }
+}
+
+/**
+ * Run the steps of a launch plan in order, stopping at the first failure
+ * @param plan - The launch plan
+ * @param connection - The connection to the network
+ * @param wallet - The wallet to use for the transactions
+ * @returns The outputs of every step, keyed by step id
+ */
+export async function runLaunchPlan(
+  plan: LaunchPlanConfig,
+  connection: Connection,
+  wallet: Wallet
+): Promise<Record<string, LaunchPlanStepOutputs>> {
+  validateLaunchPlan(plan);
+
+  const { steps, ...baseConfig } = plan;
+  const outputs: Record<string, LaunchPlanStepOutputs> = {};
+
+  for (const [index, step] of steps.entries()) {
+    console.log(`\n> Running step ${index + 1}/${steps.length}: ${step.id} (${step.action})`);
+
+    try {
+      const stepConfig = {
+        ...baseConfig,
+        ...resolveStepReferences(step.config ?? {}, outputs),
+      } as MeteoraConfig;
+      // create-token-mint is not an action of its own, only the extra rules apply to it
+      validateConfig(stepConfig, ACTION_CONFIG_SCHEMAS[step.action]);
+
+      // Addresses recorded for the JSON output are keyed by step, e.g. "pool-step.pool"
+      setOutputAddressPrefix(step.id);
+      outputs[step.id] = await LAUNCH_PLAN_ACTIONS[step.action]!(stepConfig, connection, wallet);
+    } catch (err) {
+      console.error(`\n>>> Step ${step.id} (${step.action}) failed, stopping launch plan`);
+      printLaunchPlanSummary(plan, outputs);
+      throw err;
+    } finally {
+      setOutputAddressPrefix();
+    }
+  }
+
+  printLaunchPlanSummary(plan, outputs);
+  console.log('\n>>> Launch plan completed successfully! 🎉');
+
+  return outputs;
+}
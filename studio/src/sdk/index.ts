@@ -0,0 +1,770 @@
+import { Wallet } from '@coral-xyz/anchor';
+import DLMM, { deriveCustomizablePermissionlessLbPair } from '@meteora-ag/dlmm';
+import { getMint } from '@solana/spl-token';
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
+import BN from 'bn.js';
+import {
+  collectActionOutput,
+  createTokenMint as createTokenMintHelper,
+  getAmountInLamports,
+  getConfigNetwork,
+  getSignerKeypair,
+  getRpcNetwork,
+  recordOutputAddress,
+  resolvePoint,
+} from '../helpers';
+import {
+  AddDammV2LiquidityParams,
+  CreateAlphaVaultParams,
+  CreateDammV1PoolParams,
+  CreateDammV2PoolParams,
+  CreateDbcConfigParams,
+  CreateDbcPoolParams,
+  CreateDlmmPoolParams,
+  CreateTokenMintParams,
+  DammV2PositionParams,
+  DbcPoolParams,
+  LockDammV1LiquidityParams,
+  MeteoraConfigBase,
+  SdkOptions,
+  SdkResult,
+  SdkSigner,
+  SeedDlmmLiquidityLfgParams,
+  SeedDlmmLiquidityParams,
+  SeedDlmmLiquiditySingleBinParams,
+  SplitDammV2PositionParams,
+  SwapDbcParams,
+} from '../utils/types';
+import * as alphaVault from '../lib/alpha_vault';
+import * as dammV1 from '../lib/damm_v1';
+import * as dammV2 from '../lib/damm_v2';
+import * as dbc from '../lib/dbc';
+import * as dlmm from '../lib/dlmm';
+
+export type {
+  AddDammV2LiquidityParams,
+  CreateAlphaVaultParams,
+  CreateDammV1PoolParams,
+  CreateDammV2PoolParams,
+  CreateDbcConfigParams,
+  CreateDbcPoolParams,
+  CreateDlmmPoolParams,
+  CreateTokenMintParams,
+  DammV2PositionParams,
+  DbcPoolParams,
+  LockDammV1LiquidityParams,
+  SdkOptions,
+  SdkPoolMints,
+  SdkResult,
+  SdkSigner,
+  SeedDlmmLiquidityLfgParams,
+  SeedDlmmLiquidityParams,
+  SeedDlmmLiquiditySingleBinParams,
+  SplitDammV2PositionParams,
+  StudioSigner,
+  SwapDbcParams,
+} from '../utils/types';
+
+/**
+ * Build the config the studio library functions read from the SDK options, with the network of the
+ * cluster the connection serves when the options leave it unset
+ * @param connection - The connection to the network
+ * @param opts - The SDK options
+ */
+async function getSdkConfig(connection: Connection, opts?: SdkOptions): Promise<MeteoraConfigBase> {
+  const {
+    network,
+    programIds,
+    dryRun,
+    multisig,
+    verbose: _verbose,
+    bundleClient: _bundleClient,
+    ...txConfig
+  } = opts ?? {};
+  return {
+    computeUnitPriceMicroLamports: 'auto',
+    ...txConfig,
+    network: network ?? (await getRpcNetwork(connection)),
+    rpcUrl: connection.rpcEndpoint,
+    programIds,
+    dryRun: dryRun ?? false,
+    multisig,
+  };
+}
+
+/**
+ * Run an operation and return the addresses it recorded with the signatures of its transactions
+ * @param names - The names of the addresses returned, as recorded by the operation
+ * @param fn - The operation
+ * @param opts - The SDK options
+ */
+async function runOperation<K extends string>(
+  names: readonly K[],
+  fn: () => Promise<unknown>,
+  opts?: SdkOptions
+): Promise<SdkResult<Record<K, PublicKey>>> {
+  const { addresses, signatures } = await collectActionOutput(fn, { verbose: opts?.verbose });
+
+  const result = {} as Record<K, PublicKey>;
+  for (const name of names) {
+    const address = addresses[name];
+    if (!address) {
+      throw new Error(
+        `Operation finished without a ${name} address, run it with verbose: true to see why`
+      );
+    }
+    result[name] = new PublicKey(address);
+  }
+  return { addresses: result, signatures };
+}
+
+/* Token */
+
+/**
+ * Create a token mint and mint its supply to the signer
+ * @param connection - The connection to the network
+ * @param signer - The payer and mint authority
+ * @param params - The amount minted and the decimals
+ * @param opts - The SDK options
+ */
+export async function createTokenMint(
+  connection: Connection,
+  signer: SdkSigner,
+  params: CreateTokenMintParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ baseMint: PublicKey }>> {
+  const config = await getSdkConfig(connection, opts);
+  return runOperation(
+    ['baseMint'],
+    () =>
+      createTokenMintHelper(connection, new Wallet(getSignerKeypair(signer)), {
+        dryRun: config.dryRun,
+        mintTokenAmount: params.amount,
+        decimals: params.decimals,
+        txConfig: config,
+      }),
+    opts
+  );
+}
+
+/* DLMM */
+
+/**
+ * Create a customizable permissionless DLMM pool
+ * @param connection - The connection to the network
+ * @param signer - The payer and pool creator
+ * @param params - The pool mints and settings
+ * @param opts - The SDK options
+ */
+export async function createDlmmPool(
+  connection: Connection,
+  signer: SdkSigner,
+  params: CreateDlmmPoolParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey }>> {
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    baseMint: params.baseMint.toBase58(),
+    quoteMint: params.quoteMint.toBase58(),
+    dlmmConfig: params.pool,
+  };
+  return runOperation(
+    ['pool'],
+    () =>
+      dlmm.createPermissionlessDlmmPool(
+        config,
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        params.baseMint,
+        params.quoteMint
+      ),
+    opts
+  );
+}
+
+async function getSeedDlmmLiquidityArgs(
+  connection: Connection,
+  signer: SdkSigner,
+  params: SeedDlmmLiquidityParams,
+  opts?: SdkOptions
+) {
+  const config = await getSdkConfig(connection, opts);
+  const network = getConfigNetwork(config);
+  const programId = new PublicKey(network.programIds.dlmm);
+  const [pool] = deriveCustomizablePermissionlessLbPair(
+    params.baseMint,
+    params.quoteMint,
+    programId
+  );
+  recordOutputAddress('pool', pool);
+
+  const baseKeypair = params.baseKeypair ?? Keypair.generate();
+  recordOutputAddress('baseKeypair', baseKeypair.publicKey);
+
+  const { decimals } = await getMint(connection, params.baseMint, connection.commitment);
+  const lockReleasePoint = await resolvePoint(
+    connection,
+    params.lockReleasePoint,
+    async () => {
+      const pair = await DLMM.create(connection, pool, { cluster: network.cluster, programId });
+      return pair.lbPair.activationType;
+    },
+    'lockReleasePoint'
+  );
+
+  return {
+    config,
+    payer: getSignerKeypair(signer),
+    baseKeypair,
+    operator: getSignerKeypair(params.operator),
+    seedAmount: getAmountInLamports(params.seedAmount, decimals),
+    lockReleasePoint: new BN(lockReleasePoint),
+    dlmmOpts: { cluster: network.cluster, programId },
+  };
+}
+
+/**
+ * Seed liquidity to a DLMM pool along a curve between a min and a max price (LFG)
+ * @param connection - The connection to the network
+ * @param signer - The payer, holding the seeded base tokens
+ * @param params - The pool mints, the operator, the positions owners and the curve
+ * @param opts - The SDK options
+ * @returns The pool and the public key of the base keypair the positions are derived from
+ */
+export async function seedDlmmLiquidityLfg(
+  connection: Connection,
+  signer: SdkSigner,
+  params: SeedDlmmLiquidityLfgParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; baseKeypair: PublicKey }>> {
+  return runOperation(
+    ['pool', 'baseKeypair'],
+    async () => {
+      const args = await getSeedDlmmLiquidityArgs(connection, signer, params, opts);
+      await dlmm.seedLiquidityLfg(
+        connection,
+        args.payer,
+        args.baseKeypair,
+        args.operator,
+        params.positionOwner,
+        params.feeOwner,
+        params.baseMint,
+        params.quoteMint,
+        args.seedAmount,
+        params.curvature,
+        params.minPrice,
+        params.maxPrice,
+        args.lockReleasePoint,
+        params.seedTokenXToPositionOwner,
+        args.config.dryRun,
+        args.config,
+        args.dlmmOpts
+      );
+    },
+    opts
+  );
+}
+
+/**
+ * Seed liquidity to a single bin of a DLMM pool
+ * @param connection - The connection to the network
+ * @param signer - The payer, holding the seeded base tokens
+ * @param params - The pool mints, the operator, the positions owners and the price
+ * @param opts - The SDK options
+ * @returns The pool and the public key of the base keypair the position is derived from
+ */
+export async function seedDlmmLiquiditySingleBin(
+  connection: Connection,
+  signer: SdkSigner,
+  params: SeedDlmmLiquiditySingleBinParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; baseKeypair: PublicKey }>> {
+  return runOperation(
+    ['pool', 'baseKeypair'],
+    async () => {
+      const args = await getSeedDlmmLiquidityArgs(connection, signer, params, opts);
+      await dlmm.seedLiquiditySingleBin(
+        connection,
+        args.payer,
+        args.baseKeypair,
+        args.operator,
+        params.positionOwner,
+        params.feeOwner,
+        params.baseMint,
+        params.quoteMint,
+        args.seedAmount,
+        params.price,
+        params.priceRounding,
+        args.lockReleasePoint,
+        params.seedTokenXToPositionOwner,
+        args.config.dryRun,
+        args.config,
+        args.dlmmOpts
+      );
+    },
+    opts
+  );
+}
+
+/* DAMM v1 */
+
+/**
+ * Create a customizable permissionless DAMM v1 pool
+ * @param connection - The connection to the network
+ * @param signer - The payer and pool creator, holding the initial liquidity
+ * @param params - The pool mints and settings
+ * @param opts - The SDK options
+ */
+export async function createDammV1Pool(
+  connection: Connection,
+  signer: SdkSigner,
+  params: CreateDammV1PoolParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey }>> {
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    baseMint: params.baseMint.toBase58(),
+    quoteMint: params.quoteMint.toBase58(),
+    dammV1Config: params.pool,
+  };
+  return runOperation(
+    ['pool'],
+    () =>
+      dammV1.createDammV1Pool(
+        config,
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        params.baseMint,
+        params.quoteMint
+      ),
+    opts
+  );
+}
+
+/**
+ * Lock the signer's liquidity of a DAMM v1 pool to the allocation addresses
+ * @param connection - The connection to the network
+ * @param signer - The payer, holding the pool liquidity
+ * @param params - The pool mints and the allocations
+ * @param opts - The SDK options
+ */
+export async function lockDammV1Liquidity(
+  connection: Connection,
+  signer: SdkSigner,
+  params: LockDammV1LiquidityParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey }>> {
+  const config = await getSdkConfig(connection, opts);
+  return runOperation(
+    ['pool'],
+    () =>
+      dammV1.lockLiquidity(
+        connection,
+        getSignerKeypair(signer),
+        params.baseMint,
+        params.quoteMint,
+        params.allocations,
+        config.dryRun,
+        config,
+        { programId: new PublicKey(getConfigNetwork(config).programIds.dammV1) }
+      ),
+    opts
+  );
+}
+
+/* DAMM v2 */
+
+/**
+ * Create a DAMM v2 pool with base and quote liquidity
+ * @param connection - The connection to the network
+ * @param signer - The payer and pool creator, holding the initial liquidity
+ * @param params - The pool mints and settings
+ * @param opts - The SDK options
+ */
+export async function createDammV2BalancedPool(
+  connection: Connection,
+  signer: SdkSigner,
+  params: CreateDammV2PoolParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; position: PublicKey; positionNft: PublicKey }>> {
+  const config = { ...(await getSdkConfig(connection, opts)), dammV2Config: params.pool };
+  return runOperation(
+    ['pool', 'position', 'positionNft'],
+    () =>
+      dammV2.createDammV2BalancedPool(
+        config,
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        params.baseMint,
+        params.quoteMint
+      ),
+    opts
+  );
+}
+
+/**
+ * Create a DAMM v2 pool with base liquidity only
+ * @param connection - The connection to the network
+ * @param signer - The payer and pool creator, holding the initial liquidity
+ * @param params - The pool mints and settings
+ * @param opts - The SDK options
+ */
+export async function createDammV2OneSidedPool(
+  connection: Connection,
+  signer: SdkSigner,
+  params: CreateDammV2PoolParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; position: PublicKey; positionNft: PublicKey }>> {
+  const config = { ...(await getSdkConfig(connection, opts)), dammV2Config: params.pool };
+  return runOperation(
+    ['pool', 'position', 'positionNft'],
+    () =>
+      dammV2.createDammV2OneSidedPool(
+        config,
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        params.baseMint,
+        params.quoteMint
+      ),
+    opts
+  );
+}
+
+/**
+ * Split a DAMM v2 position of the signer into a new position
+ * @param connection - The connection to the network
+ * @param signer - The payer and position owner
+ * @param params - The pool, the position and the split percentages
+ * @param opts - The SDK options
+ */
+export async function splitDammV2Position(
+  connection: Connection,
+  signer: SdkSigner,
+  params: SplitDammV2PositionParams,
+  opts?: SdkOptions
+): Promise<
+  SdkResult<{
+    pool: PublicKey;
+    position: PublicKey;
+    newPosition: PublicKey;
+    newPositionNft: PublicKey;
+  }>
+> {
+  const config = { ...(await getSdkConfig(connection, opts)), splitPosition: params.split };
+  return runOperation(
+    ['pool', 'position', 'newPosition', 'newPositionNft'],
+    () =>
+      dammV2.splitPosition(config, connection, new Wallet(getSignerKeypair(signer)), params.pool, {
+        position: params.position,
+      }),
+    opts
+  );
+}
+
+/**
+ * Claim the fees of a DAMM v2 position of the signer
+ * @param connection - The connection to the network
+ * @param signer - The payer and position owner
+ * @param params - The pool and the position
+ * @param opts - The SDK options
+ */
+export async function claimDammV2PositionFee(
+  connection: Connection,
+  signer: SdkSigner,
+  params: DammV2PositionParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; position: PublicKey }>> {
+  const config = await getSdkConfig(connection, opts);
+  return runOperation(
+    ['pool', 'position'],
+    () =>
+      dammV2.claimPositionFee(
+        config,
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        params.pool,
+        { position: params.position }
+      ),
+    opts
+  );
+}
+
+/**
+ * Add liquidity to a DAMM v2 position of the signer
+ * @param connection - The connection to the network
+ * @param signer - The payer and position owner
+ * @param params - The pool, the position and the amount added
+ * @param opts - The SDK options
+ */
+export async function addDammV2Liquidity(
+  connection: Connection,
+  signer: SdkSigner,
+  params: AddDammV2LiquidityParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; position: PublicKey }>> {
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    addLiquidity: { amountIn: params.amountIn, isTokenA: params.isTokenA },
+  };
+  return runOperation(
+    ['pool', 'position'],
+    () =>
+      dammV2.addLiquidity(config, connection, new Wallet(getSignerKeypair(signer)), params.pool, {
+        position: params.position,
+      }),
+    opts
+  );
+}
+
+/**
+ * Remove all the unlocked liquidity of a DAMM v2 position of the signer
+ * @param connection - The connection to the network
+ * @param signer - The payer and position owner
+ * @param params - The pool and the position
+ * @param opts - The SDK options
+ */
+export async function removeDammV2Liquidity(
+  connection: Connection,
+  signer: SdkSigner,
+  params: DammV2PositionParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; position: PublicKey }>> {
+  const config = await getSdkConfig(connection, opts);
+  return runOperation(
+    ['pool', 'position'],
+    () =>
+      dammV2.removeLiquidity(
+        config,
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        params.pool,
+        { position: params.position }
+      ),
+    opts
+  );
+}
+
+/**
+ * Close a DAMM v2 position of the signer
+ * @param connection - The connection to the network
+ * @param signer - The payer and position owner
+ * @param params - The pool and the position
+ * @param opts - The SDK options
+ */
+export async function closeDammV2Position(
+  connection: Connection,
+  signer: SdkSigner,
+  params: DammV2PositionParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; position: PublicKey }>> {
+  const config = await getSdkConfig(connection, opts);
+  return runOperation(
+    ['pool', 'position'],
+    () =>
+      dammV2.closePosition(config, connection, new Wallet(getSignerKeypair(signer)), params.pool, {
+        position: params.position,
+      }),
+    opts
+  );
+}
+
+/* DBC */
+
+/**
+ * Create a DBC config from a bonding curve
+ * @param connection - The connection to the network
+ * @param signer - The payer
+ * @param params - The quote mint and the curve
+ * @param opts - The SDK options
+ */
+export async function createDbcConfig(
+  connection: Connection,
+  signer: SdkSigner,
+  params: CreateDbcConfigParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ config: PublicKey }>> {
+  const config = { ...(await getSdkConfig(connection, opts)), dbcConfig: params.curve };
+  return runOperation(
+    ['config'],
+    () =>
+      dbc.createDbcConfig(
+        config,
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        params.quoteMint
+      ),
+    opts
+  );
+}
+
+/**
+ * Create a DBC pool, creating its config first unless an existing one is given
+ * @param connection - The connection to the network
+ * @param signer - The payer and pool creator
+ * @param params - The quote mint, the curve or config, the token metadata and the first buy
+ * @param opts - The SDK options
+ */
+export async function createDbcPool(
+  connection: Connection,
+  signer: SdkSigner,
+  params: CreateDbcPoolParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ config: PublicKey; pool: PublicKey; baseMint: PublicKey }>> {
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    dbcConfig: params.curve,
+    dbcConfigAddress: params.config?.toBase58(),
+    dbcPool: params.pool,
+  };
+  return runOperation(
+    ['config', 'pool', 'baseMint'],
+    () =>
+      dbc.createDbcPool(
+        config,
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        params.quoteMint,
+        params.baseMint ?? Keypair.generate(),
+        { bundleClient: opts?.bundleClient }
+      ),
+    opts
+  );
+}
+
+/**
+ * Claim the trading fees of the DBC pool of a base mint
+ * @param connection - The connection to the network
+ * @param signer - The payer, fee claimer or pool creator
+ * @param params - The base mint of the pool
+ * @param opts - The SDK options
+ */
+export async function claimDbcTradingFee(
+  connection: Connection,
+  signer: SdkSigner,
+  params: DbcPoolParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey }>> {
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    baseMint: params.baseMint.toBase58(),
+  };
+  return runOperation(
+    ['pool'],
+    () => dbc.claimTradingFee(config, connection, new Wallet(getSignerKeypair(signer))),
+    opts
+  );
+}
+
+/**
+ * Swap on the DBC pool of a base mint
+ * @param connection - The connection to the network
+ * @param signer - The payer and trader
+ * @param params - The base mint of the pool and the swap
+ * @param opts - The SDK options
+ */
+export async function swapDbc(
+  connection: Connection,
+  signer: SdkSigner,
+  params: SwapDbcParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey }>> {
+  const { baseMint, ...dbcSwap } = params;
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    baseMint: baseMint.toBase58(),
+    dbcSwap,
+  };
+  return runOperation(
+    ['pool'],
+    () => dbc.swap(config, connection, new Wallet(getSignerKeypair(signer))),
+    opts
+  );
+}
+
+/**
+ * Migrate the completed DBC pool of a base mint to DAMM v1
+ * @param connection - The connection to the network
+ * @param signer - The payer
+ * @param params - The base mint of the pool
+ * @param opts - The SDK options
+ */
+export async function migrateDbcToDammV1(
+  connection: Connection,
+  signer: SdkSigner,
+  params: DbcPoolParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; migrationMetadata: PublicKey }>> {
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    baseMint: params.baseMint.toBase58(),
+  };
+  return runOperation(
+    ['pool', 'migrationMetadata'],
+    () =>
+      dbc.migrateDammV1(config, connection, new Wallet(getSignerKeypair(signer)), {
+        bundleClient: opts?.bundleClient,
+      }),
+    opts
+  );
+}
+
+/**
+ * Migrate the completed DBC pool of a base mint to DAMM v2
+ * @param connection - The connection to the network
+ * @param signer - The payer
+ * @param params - The base mint of the pool
+ * @param opts - The SDK options
+ */
+export async function migrateDbcToDammV2(
+  connection: Connection,
+  signer: SdkSigner,
+  params: DbcPoolParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ pool: PublicKey; migrationMetadata: PublicKey }>> {
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    baseMint: params.baseMint.toBase58(),
+  };
+  return runOperation(
+    ['pool', 'migrationMetadata'],
+    () =>
+      dbc.migrateDammV2(config, connection, new Wallet(getSignerKeypair(signer)), {
+        bundleClient: opts?.bundleClient,
+      }),
+    opts
+  );
+}
+
+/* Alpha Vault */
+
+/**
+ * Create an alpha vault for a pool
+ * @param connection - The connection to the network
+ * @param signer - The payer and vault creator
+ * @param params - The pool, its mints and the vault settings
+ * @param opts - The SDK options
+ */
+export async function createAlphaVault(
+  connection: Connection,
+  signer: SdkSigner,
+  params: CreateAlphaVaultParams,
+  opts?: SdkOptions
+): Promise<SdkResult<{ alphaVault: PublicKey }>> {
+  const config = {
+    ...(await getSdkConfig(connection, opts)),
+    baseMint: params.baseMint.toBase58(),
+    quoteMint: params.quoteMint.toBase58(),
+    alphaVault: params.vault,
+  };
+  return runOperation(
+    ['alphaVault'],
+    () =>
+      alphaVault.createAlphaVault(
+        connection,
+        new Wallet(getSignerKeypair(signer)),
+        config,
+        params.pool
+      ),
+    opts
+  );
+}
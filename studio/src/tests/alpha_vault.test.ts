@@ -0,0 +1,53 @@
+import { describe, expect, it } from '@jest/globals';
+import { PublicKey } from '@solana/web3.js';
+import { getNetworkConfig } from '../helpers';
+import { getTestConfigBase, getTestConnection, runStudio } from './utils';
+
+describe('alpha-vault', () => {
+  const connection = getTestConnection();
+  const programId = new PublicKey(getNetworkConfig('localnet').programIds.alphaVault);
+  let baseMint: string;
+  let pool: string;
+
+  it('creates a DLMM pool with an alpha vault', async () => {
+    const output = await runStudio('dlmm create-pool', {
+      ...getTestConfigBase(),
+      createBaseToken: { mintBaseTokenAmount: 1_000_000_000, baseDecimals: 6 },
+      dlmmConfig: {
+        binStep: 25,
+        feeBps: 100,
+        initialPrice: 0.001,
+        activationType: 1,
+        activationPoint: '+1d',
+        priceRounding: 'up',
+        creatorPoolOnOffControl: false,
+        hasAlphaVault: true,
+      },
+    });
+
+    baseMint = output.addresses.baseMint!;
+    pool = output.addresses.pool!;
+  });
+
+  it('creates a permissionless FCFS vault for the pool', async () => {
+    const output = await runStudio('alpha-vault create', {
+      ...getTestConfigBase(),
+      baseMint,
+      alphaVault: {
+        poolType: 'dlmm',
+        alphaVaultType: 'fcfs',
+        maxDepositCap: 10000,
+        individualDepositingCap: 1,
+        depositingPoint: '+1m',
+        startVestingPoint: '+2d',
+        endVestingPoint: '+2d',
+        escrowFee: 0,
+        whitelistMode: 'permissionless',
+      },
+    });
+
+    expect(output.addresses.pool).toBe(pool);
+    const account = await connection.getAccountInfo(new PublicKey(output.addresses.alphaVault!));
+    expect(account?.owner.equals(programId)).toBe(true);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from '@jest/globals';
+import AmmImpl from '@meteora-ag/dynamic-amm-sdk';
+import { getAssociatedTokenAddressSync, NATIVE_MINT } from '@solana/spl-token';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { getNetworkConfig } from '../helpers';
+import { getAdminKeypair, getTestConfigBase, getTestConnection, runStudio } from './utils';
+
+describe('damm-v1', () => {
+  const connection = getTestConnection();
+  const programId = getNetworkConfig('localnet').programIds.dammV1;
+  const admin = getAdminKeypair().publicKey;
+  let baseMint: string;
+  let pool: AmmImpl;
+
+  it('creates a base mint and a pool', async () => {
+    const output = await runStudio('damm-v1 create-pool', {
+      ...getTestConfigBase(),
+      createBaseToken: { mintBaseTokenAmount: 1_000_000_000, baseDecimals: 6 },
+      dammV1Config: {
+        baseAmount: 1_000_000,
+        quoteAmount: 1,
+        tradeFeeNumerator: 2500,
+        activationType: 1,
+        activationPoint: null,
+        hasAlphaVault: false,
+      },
+    });
+
+    baseMint = output.addresses.baseMint!;
+    pool = await AmmImpl.create(connection as any, new PublicKey(output.addresses.pool!), {
+      programId,
+    });
+    expect(pool.poolState.tokenAMint.toBase58()).toBe(baseMint);
+    expect(pool.poolState.tokenBMint.equals(NATIVE_MINT)).toBe(true);
+    expect(pool.poolState.enabled).toBe(true);
+  });
+
+  it('locks all the liquidity of the wallet to the allocations', async () => {
+    const adminLp = getAssociatedTokenAddressSync(pool.poolState.lpMint, admin, true);
+    const { amount: lpBefore } = (await connection.getTokenAccountBalance(adminLp)).value;
+    expect(BigInt(lpBefore)).toBeGreaterThan(0n);
+
+    await runStudio('damm-v1 lock-liquidity', {
+      ...getTestConfigBase(),
+      baseMint,
+      dammV1LockLiquidity: {
+        allocations: [
+          { percentage: 80, address: admin.toBase58() },
+          { percentage: 20, address: Keypair.generate().publicKey.toBase58() },
+        ],
+      },
+    });
+
+    const { amount: lpAfter } = (await connection.getTokenAccountBalance(adminLp)).value;
+    expect(lpAfter).toBe('0');
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, expect, it } from '@jest/globals';
+import { CpAmm } from '@meteora-ag/cp-amm-sdk';
+import { getMint, NATIVE_MINT } from '@solana/spl-token';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { DynamicAmmV2Config } from '../utils/types';
+import { getAdminKeypair, getTestConfigBase, getTestConnection, runStudio } from './utils';
+
+const DAMM_V2_CONFIG: DynamicAmmV2Config = {
+  creator: getAdminKeypair().publicKey.toBase58(),
+  baseAmount: 1_000_000,
+  quoteAmount: null,
+  initPrice: 0.001,
+  maxPrice: null,
+  poolFees: {
+    maxBaseFeeBps: 2500,
+    minBaseFeeBps: 100,
+    numberOfPeriod: 0,
+    totalDuration: 0,
+    feeSchedulerMode: 0,
+    useDynamicFee: false,
+    dynamicFeeConfig: null,
+  },
+  collectFeeMode: 1,
+  activationType: 1,
+  activationPoint: null,
+  hasAlphaVault: false,
+};
+
+const CREATE_BASE_TOKEN = { mintBaseTokenAmount: 1_000_000_000, baseDecimals: 6 };
+
+describe('damm-v2', () => {
+  const connection = getTestConnection();
+  const cpAmm = new CpAmm(connection);
+  const admin = getAdminKeypair().publicKey;
+
+  async function getVaultAmount(vault: PublicKey) {
+    return (await connection.getTokenAccountBalance(vault)).value.amount;
+  }
+
+  describe('one-sided pool', () => {
+    let pool: PublicKey;
+
+    it('creates a base mint and a one-sided pool', async () => {
+      const output = await runStudio('damm-v2 create-one-sided-pool', {
+        ...getTestConfigBase(),
+        createBaseToken: CREATE_BASE_TOKEN,
+        dammV2Config: DAMM_V2_CONFIG,
+      });
+
+      const baseMint = new PublicKey(output.addresses.baseMint!);
+      const mint = await getMint(connection, baseMint);
+      expect(mint.decimals).toBe(6);
+      expect(mint.supply).toBe(1_000_000_000n * 10n ** 6n);
+
+      pool = new PublicKey(output.addresses.pool!);
+      const poolState = await cpAmm.fetchPoolState(pool);
+      expect(poolState.tokenAMint.equals(baseMint)).toBe(true);
+      expect(poolState.tokenBMint.equals(NATIVE_MINT)).toBe(true);
+      expect(await getVaultAmount(poolState.tokenBVault)).toBe('0');
+
+      const [position] = await cpAmm.getUserPositionByPool(pool, admin);
+      expect(position?.position.toBase58()).toBe(output.addresses.position);
+    });
+
+    it('splits the position to a new owner', async () => {
+      const newOwner = Keypair.generate().publicKey;
+      const [before] = await cpAmm.getUserPositionByPool(pool, admin);
+
+      const output = await runStudio('damm-v2 split-position', {
+        ...getTestConfigBase(),
+        poolAddress: pool.toBase58(),
+        splitPosition: {
+          newPositionOwner: newOwner.toBase58(),
+          unlockedLiquidityPercentage: 50,
+          permanentLockedLiquidityPercentage: 0,
+          feeAPercentage: 50,
+          feeBPercentage: 50,
+          reward0Percentage: 50,
+          reward1Percentage: 50,
+        },
+      });
+
+      const [newPosition] = await cpAmm.getUserPositionByPool(pool, newOwner);
+      expect(newPosition?.position.toBase58()).toBe(output.addresses.newPosition);
+      const [after] = await cpAmm.getUserPositionByPool(pool, admin);
+      expect(
+        after!.positionState.unlockedLiquidity
+          .add(newPosition!.positionState.unlockedLiquidity)
+          .eq(before!.positionState.unlockedLiquidity)
+      ).toBe(true);
+    });
+  });
+
+  describe('balanced pool', () => {
+    let pool: PublicKey;
+
+    it('creates a base mint and a balanced pool', async () => {
+      const output = await runStudio('damm-v2 create-balanced-pool', {
+        ...getTestConfigBase(),
+        createBaseToken: CREATE_BASE_TOKEN,
+        dammV2Config: { ...DAMM_V2_CONFIG, quoteAmount: 1 },
+      });
+
+      pool = new PublicKey(output.addresses.pool!);
+      const poolState = await cpAmm.fetchPoolState(pool);
+      expect(poolState.tokenAMint.toBase58()).toBe(output.addresses.baseMint);
+      expect(await getVaultAmount(poolState.tokenAVault)).not.toBe('0');
+      expect(await getVaultAmount(poolState.tokenBVault)).not.toBe('0');
+    });
+
+    it('adds liquidity to the position', async () => {
+      const [before] = await cpAmm.getUserPositionByPool(pool, admin);
+
+      await runStudio('damm-v2 add-liquidity', {
+        ...getTestConfigBase(),
+        poolAddress: pool.toBase58(),
+        addLiquidity: { amountIn: 1000, isTokenA: true },
+      });
+
+      const [after] = await cpAmm.getUserPositionByPool(pool, admin);
+      expect(
+        after!.positionState.unlockedLiquidity.gt(before!.positionState.unlockedLiquidity)
+      ).toBe(true);
+    });
+
+    it('claims the position fee', async () => {
+      const output = await runStudio('damm-v2 claim-position-fee', {
+        ...getTestConfigBase(),
+        poolAddress: pool.toBase58(),
+      });
+
+      expect(output.addresses.pool).toBe(pool.toBase58());
+    });
+
+    it('removes the liquidity of the position', async () => {
+      await runStudio('damm-v2 remove-liquidity', {
+        ...getTestConfigBase(),
+        poolAddress: pool.toBase58(),
+      });
+
+      const [position] = await cpAmm.getUserPositionByPool(pool, admin);
+      expect(position!.positionState.unlockedLiquidity.isZero()).toBe(true);
+    });
+
+    it('closes the position', async () => {
+      const output = await runStudio('damm-v2 close-position', {
+        ...getTestConfigBase(),
+        poolAddress: pool.toBase58(),
+      });
+
+      const account = await connection.getAccountInfo(new PublicKey(output.addresses.position!));
+      expect(account).toBeNull();
+      expect(await cpAmm.getUserPositionByPool(pool, admin)).toHaveLength(0);
+    });
+  });
+});
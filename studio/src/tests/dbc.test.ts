@@ -0,0 +1,117 @@
+import { describe, expect, it } from '@jest/globals';
+import { DynamicBondingCurveClient } from '@meteora-ag/dynamic-bonding-curve-sdk';
+import { NATIVE_MINT } from '@solana/spl-token';
+import { PublicKey } from '@solana/web3.js';
+import { getAdminKeypair, getTestConfigBase, getTestConnection, runStudio } from './utils';
+
+const admin = getAdminKeypair().publicKey.toBase58();
+
+const DBC_CONFIG = {
+  buildCurveMode: 0,
+  percentageSupplyOnMigration: 20,
+  migrationQuoteThreshold: 1,
+  totalTokenSupply: 1_000_000_000,
+  migrationOption: 1,
+  tokenBaseDecimal: 6,
+  tokenQuoteDecimal: 9,
+  lockedVestingParam: {
+    totalLockedVestingAmount: 0,
+    numberOfVestingPeriod: 0,
+    cliffUnlockAmount: 0,
+    totalVestingDuration: 0,
+    cliffDurationFromMigrationTime: 0,
+  },
+  baseFeeParams: {
+    baseFeeMode: 0,
+    feeSchedulerParam: {
+      startingFeeBps: 200,
+      endingFeeBps: 200,
+      numberOfPeriod: 0,
+      totalDuration: 0,
+    },
+  },
+  dynamicFeeEnabled: true,
+  activationType: 1,
+  collectFeeMode: 0,
+  migrationFeeOption: 3,
+  tokenType: 0,
+  partnerLpPercentage: 25,
+  creatorLpPercentage: 25,
+  partnerLockedLpPercentage: 25,
+  creatorLockedLpPercentage: 25,
+  creatorTradingFeePercentage: 0,
+  leftover: 0,
+  tokenUpdateAuthority: 1,
+  migrationFee: { feePercentage: 0, creatorFeePercentage: 0 },
+  leftoverReceiver: admin,
+  feeClaimer: admin,
+};
+
+// The DAMM v2 migration configs are mainnet accounts, only cloned by the global setup when
+// STUDIO_TEST_CLONE_URL is set
+const itWithMigrationConfigs = process.env.STUDIO_TEST_CLONE_URL ? it : it.skip;
+
+describe('dbc', () => {
+  const connection = getTestConnection();
+  const client = new DynamicBondingCurveClient(connection, 'confirmed');
+  let config: PublicKey;
+  let baseMint: string;
+
+  it('creates a config', async () => {
+    const output = await runStudio('dbc create-config', {
+      ...getTestConfigBase(),
+      dbcConfig: DBC_CONFIG,
+    });
+
+    config = new PublicKey(output.addresses.config!);
+    const poolConfig = await client.state.getPoolConfig(config);
+    expect(poolConfig.quoteMint.equals(NATIVE_MINT)).toBe(true);
+    expect(poolConfig.feeClaimer.toBase58()).toBe(admin);
+    expect(poolConfig.migrationOption).toBe(DBC_CONFIG.migrationOption);
+  });
+
+  it('creates a pool with the config', async () => {
+    const output = await runStudio('dbc create-pool', {
+      ...getTestConfigBase(),
+      dbcConfigAddress: config.toBase58(),
+      dbcPool: { name: 'Studio Test', symbol: 'TEST', uri: 'https://example.com' },
+    });
+
+    baseMint = output.addresses.baseMint!;
+    const pool = await client.state.getPool(new PublicKey(output.addresses.pool!));
+    expect(pool.baseMint.toBase58()).toBe(baseMint);
+    expect(pool.config.equals(config)).toBe(true);
+    expect(pool.creator.toBase58()).toBe(admin);
+  });
+
+  it('buys up to the migration threshold', async () => {
+    await runStudio('dbc swap', {
+      ...getTestConfigBase(),
+      baseMint,
+      dbcSwap: {
+        amountIn: 1.03,
+        slippageBps: 100,
+        swapBaseForQuote: false,
+        referralTokenAccount: null,
+      },
+    });
+
+    const pool = await client.state.getPoolByBaseMint(new PublicKey(baseMint));
+    const poolConfig = await client.state.getPoolConfig(config);
+    expect(pool!.account.quoteReserve.gte(poolConfig.migrationQuoteThreshold)).toBe(true);
+  });
+
+  it('claims the trading fee as fee claimer', async () => {
+    const output = await runStudio('dbc claim-trading-fee', { ...getTestConfigBase(), baseMint });
+
+    const feeMetrics = await client.state.getPoolFeeMetrics(new PublicKey(output.addresses.pool!));
+    expect(feeMetrics.current.partnerQuoteFee.isZero()).toBe(true);
+  });
+
+  itWithMigrationConfigs('migrates the pool to DAMM v2', async () => {
+    await runStudio('dbc migrate-to-damm-v2', { ...getTestConfigBase(), baseMint });
+
+    const pool = await client.state.getPoolByBaseMint(new PublicKey(baseMint));
+    expect(pool!.account.isMigrated).toBe(1);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, expect, it } from '@jest/globals';
+import DLMM from '@meteora-ag/dlmm';
+import { NATIVE_MINT } from '@solana/spl-token';
+import { PublicKey } from '@solana/web3.js';
+import { getNetworkConfig } from '../helpers';
+import {
+  ADMIN_KEYPAIR_PATH,
+  getAdminKeypair,
+  getTestConfigBase,
+  getTestConnection,
+  runStudio,
+} from './utils';
+
+const DLMM_CONFIG = {
+  binStep: 25,
+  feeBps: 100,
+  initialPrice: 0.001,
+  activationType: 1,
+  activationPoint: '+1h',
+  priceRounding: 'up',
+  creatorPoolOnOffControl: false,
+  hasAlphaVault: false,
+};
+
+describe('dlmm', () => {
+  const connection = getTestConnection();
+  const network = getNetworkConfig('localnet');
+  const dlmmOpts = { cluster: network.cluster, programId: new PublicKey(network.programIds.dlmm) };
+  const admin = getAdminKeypair().publicKey;
+  const seedOwners = {
+    operatorKeypairFilepath: ADMIN_KEYPAIR_PATH,
+    positionOwner: admin.toBase58(),
+    feeOwner: admin.toBase58(),
+    lockReleasePoint: 0,
+    seedTokenXToPositionOwner: true,
+  };
+
+  async function createPool(dlmmConfig: typeof DLMM_CONFIG) {
+    const output = await runStudio('dlmm create-pool', {
+      ...getTestConfigBase(),
+      createBaseToken: { mintBaseTokenAmount: 1_000_000_000, baseDecimals: 6 },
+      dlmmConfig,
+    });
+    return {
+      baseMint: output.addresses.baseMint!,
+      pair: await DLMM.create(connection, new PublicKey(output.addresses.pool!), dlmmOpts as any),
+    };
+  }
+
+  describe('LFG seeding', () => {
+    let baseMint: string;
+    let pair: DLMM;
+
+    it('creates a base mint and a pool', async () => {
+      ({ baseMint, pair } = await createPool(DLMM_CONFIG));
+
+      expect(pair.lbPair.tokenXMint.toBase58()).toBe(baseMint);
+      expect(pair.lbPair.tokenYMint.equals(NATIVE_MINT)).toBe(true);
+      expect(pair.lbPair.binStep).toBe(DLMM_CONFIG.binStep);
+    });
+
+    it('seeds liquidity along the curve', async () => {
+      await runStudio('dlmm seed-liquidity-lfg', {
+        ...getTestConfigBase(),
+        baseMint,
+        lfgSeedLiquidity: {
+          ...seedOwners,
+          minPrice: 0.003393,
+          maxPrice: 0.004393,
+          curvature: 0.6,
+          seedAmount: '200000',
+        },
+      });
+
+      const { userPositions } = await pair.getPositionsByUserAndLbPair(admin);
+      expect(userPositions.length).toBeGreaterThan(0);
+      const seeded = userPositions.reduce(
+        (sum, position) => sum + Number(position.positionData.totalXAmount),
+        0
+      );
+      expect(seeded).toBeGreaterThan(0);
+    });
+  });
+
+  describe('single bin seeding', () => {
+    let baseMint: string;
+    let pair: DLMM;
+
+    it('creates a pool controlled by its creator', async () => {
+      ({ baseMint, pair } = await createPool({ ...DLMM_CONFIG, creatorPoolOnOffControl: true }));
+
+      expect(pair.lbPair.creatorPoolOnOffControl).toBe(true);
+    });
+
+    it('seeds liquidity to a single bin', async () => {
+      await runStudio('dlmm seed-liquidity-single-bin', {
+        ...getTestConfigBase(),
+        baseMint,
+        singleBinSeedLiquidity: {
+          ...seedOwners,
+          price: 0.002,
+          priceRounding: 'up',
+          seedAmount: '100000',
+        },
+      });
+
+      const { userPositions } = await pair.getPositionsByUserAndLbPair(admin);
+      expect(userPositions).toHaveLength(1);
+      expect(Number(userPositions[0]!.positionData.totalXAmount)).toBeGreaterThan(0);
+    });
+
+    it('disables the pool', async () => {
+      await runStudio('dlmm set-pool-status', {
+        ...getTestConfigBase(),
+        setDlmmPoolStatus: { poolAddress: pair.pubkey.toBase58(), enabled: false },
+      });
+
+      await pair.refetchStates();
+      expect(pair.lbPair.status).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { ChildProcess, spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Connection } from '@solana/web3.js';
+import { getNetworkConfig } from '../helpers';
+import { DAMM_V2_MIGRATION_FEE_ADDRESS } from '@meteora-ag/dynamic-bonding-curve-sdk';
+
+const VALIDATOR_START_TIMEOUT_MS = 120_000;
+
+declare global {
+  // Shared with globalTeardown, which runs in the same process
+  var __STUDIO_TEST_VALIDATOR__: { process: ChildProcess; ledgerDir: string } | undefined;
+}
+
+async function isValidatorRunning(connection: Connection): Promise<boolean> {
+  try {
+    await connection.getLatestBlockhash();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Boot solana-test-validator with the program binaries and accounts of the start-test-validator
+ * script, unless a validator already answers on the localnet RPC URL
+ */
+export default async function globalSetup() {
+  const connection = new Connection(getNetworkConfig('localnet').rpcUrl, 'confirmed');
+  if (await isValidatorRunning(connection)) {
+    console.log('\n> Using the validator already running on localnet');
+    return;
+  }
+
+  const packageJson = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '../../package.json'), 'utf-8')
+  );
+  const [command, ...args] = (packageJson.scripts['start-test-validator'] as string)
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studio-test-ledger-'));
+  args.push('--ledger', ledgerDir, '--quiet');
+
+  // The DBC migration configs only exist on mainnet, clone them to test the migrations
+  const cloneUrl = process.env.STUDIO_TEST_CLONE_URL;
+  if (cloneUrl) {
+    args.push('--url', cloneUrl);
+    DAMM_V2_MIGRATION_FEE_ADDRESS.forEach((address) => args.push('--clone', address.toBase58()));
+  }
+
+  console.log(`\n> Starting ${command} with ledger ${ledgerDir}...`);
+  const validator = spawn(command!, args, {
+    cwd: path.join(__dirname, '../..'),
+    stdio: 'ignore',
+  });
+  const exited = new Promise<never>((_, reject) => {
+    validator.once('error', (err) =>
+      reject(new Error(`Failed to start ${command}, is the Solana CLI installed? ${err.message}`))
+    );
+    validator.once('exit', (code) => reject(new Error(`${command} exited with code ${code}`)));
+  });
+  globalThis.__STUDIO_TEST_VALIDATOR__ = { process: validator, ledgerDir };
+
+  const deadline = Date.now() + VALIDATOR_START_TIMEOUT_MS;
+  while (!(await Promise.race([isValidatorRunning(connection), exited]))) {
+    if (Date.now() > deadline) {
+      throw new Error(`${command} did not answer within ${VALIDATOR_START_TIMEOUT_MS / 1000}s`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  console.log('> Validator ready');
+}
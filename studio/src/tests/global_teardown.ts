@@ -0,0 +1,19 @@
+import fs from 'fs';
+
+/**
+ * Stop the validator started by globalSetup and remove its ledger
+ */
+export default async function globalTeardown() {
+  const validator = globalThis.__STUDIO_TEST_VALIDATOR__;
+  if (!validator) {
+    return;
+  }
+
+  if (validator.process.exitCode === null) {
+    const exited = new Promise((resolve) => validator.process.once('exit', resolve));
+    validator.process.kill('SIGTERM');
+    await exited;
+  }
+  fs.rmSync(validator.ledgerDir, { recursive: true, force: true });
+  globalThis.__STUDIO_TEST_VALIDATOR__ = undefined;
+}
@@ -0,0 +1,50 @@
+import { beforeAll, describe, expect, it } from '@jest/globals';
+import { Keypair } from '@solana/web3.js';
+import { resolveAddressBookReferences, useAddressBook } from '../../helpers';
+
+describe('resolveAddressBookReferences', () => {
+  const treasury = Keypair.generate().publicKey;
+  const partner = Keypair.generate().publicKey;
+
+  beforeAll(() => {
+    useAddressBook(
+      new Map([
+        ['treasury', { name: 'treasury', address: treasury, tags: [] }],
+        ['partner', { name: 'partner', address: partner, tags: [] }],
+      ])
+    );
+  });
+
+  it('resolves the address keys, nested and in arrays', () => {
+    const config = resolveAddressBookReferences({
+      quoteMint: '@treasury',
+      nonceAccounts: ['@treasury', '@partner'],
+      multisig: { address: '@partner' },
+      dbcConfig: { feeClaimer: '@partner', leftoverReceiver: '@treasury' },
+      steps: [{ config: { dammV2Config: { creator: '@partner' } } }],
+    });
+
+    expect(config).toEqual({
+      quoteMint: treasury.toBase58(),
+      nonceAccounts: [treasury.toBase58(), partner.toBase58()],
+      multisig: { address: partner.toBase58() },
+      dbcConfig: { feeClaimer: partner.toBase58(), leftoverReceiver: treasury.toBase58() },
+      steps: [{ config: { dammV2Config: { creator: partner.toBase58() } } }],
+    });
+  });
+
+  it('leaves the other strings as is', () => {
+    const config = {
+      keypair: '@treasury',
+      dbcPool: { name: '@treasury', symbol: '@DOGE', baseMintKeypairFilepath: '@mint' },
+      lfgSeedLiquidity: { operatorKeypairFilepath: '@operator' },
+    };
+    expect(resolveAddressBookReferences(config)).toEqual(config);
+  });
+
+  it('rejects an unknown name in an address key', () => {
+    expect(() => resolveAddressBookReferences({ feeClaimer: '@unknown' })).toThrow(
+      '@unknown is not in the address book'
+    );
+  });
+});
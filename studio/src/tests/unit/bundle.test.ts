@@ -0,0 +1,283 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import {
+  ComputeBudgetInstruction,
+  ComputeBudgetProgram,
+  Connection,
+  Keypair,
+  RpcResponseAndContext,
+  SignatureStatus,
+  SimulatedTransactionResponse,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import bs58 from 'bs58';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sendTransactions } from '../../helpers';
+import { BundleClient, ExecutionJournal, TransactionConfig } from '../../utils/types';
+
+const LAST_VALID_BLOCK_HEIGHT = 100;
+const TIP_ACCOUNT = Keypair.generate().publicKey.toBase58();
+const TX_CONFIG: TransactionConfig = {
+  computeUnitPriceMicroLamports: 0,
+  sendMode: 'jito-bundle',
+  computeUnitLimitMargin: 0,
+};
+
+/**
+ * A connection answering what the bundle and RPC senders query, where a signature lands once
+ * `landed` holds it
+ */
+function mockConnection(opts?: { failSimulation?: (tx: VersionedTransaction) => boolean }) {
+  const state = {
+    blockHeight: 0,
+    landed: new Set<string>(),
+    sentRawTransactions: [] as string[],
+    failStatuses: false,
+  };
+  const getStatus = (signature: string): SignatureStatus | null =>
+    state.landed.has(signature)
+      ? { slot: 1, confirmations: null, err: null, confirmationStatus: 'confirmed' }
+      : null;
+
+  const connection = {
+    commitment: 'confirmed',
+    getLatestBlockhash: async () => ({
+      blockhash: Keypair.generate().publicKey.toBase58(),
+      lastValidBlockHeight: LAST_VALID_BLOCK_HEIGHT,
+    }),
+    getBlockHeight: async () => state.blockHeight,
+    simulateTransaction: async (
+      tx: VersionedTransaction
+    ): Promise<RpcResponseAndContext<SimulatedTransactionResponse>> => ({
+      context: { slot: 1 },
+      value: opts?.failSimulation?.(tx)
+        ? { err: { InstructionError: [0, 'Custom'] }, logs: [] }
+        : { err: null, logs: [], unitsConsumed: 10_000 },
+    }),
+    getSignatureStatuses: async (signatures: string[]) => {
+      if (state.failStatuses) {
+        throw new Error('RPC unavailable');
+      }
+      return { context: { slot: 1 }, value: signatures.map(getStatus) };
+    },
+    getSignatureStatus: async (signature: string) => ({
+      context: { slot: 1 },
+      value: getStatus(signature),
+    }),
+    getTransaction: async () => ({ slot: 1, meta: { computeUnitsConsumed: 10_000, fee: 5_000 } }),
+    sendRawTransaction: async (rawTransaction: Uint8Array) => {
+      const signature = bs58.encode(
+        VersionedTransaction.deserialize(rawTransaction).signatures[0]!
+      );
+      state.sentRawTransactions.push(signature);
+      state.landed.add(signature);
+      return signature;
+    },
+  } as unknown as Connection;
+
+  return { connection, state };
+}
+
+function createTransfer(payer: Keypair) {
+  return {
+    tx: new Transaction({ feePayer: payer.publicKey }).add(
+      SystemProgram.transfer({
+        fromPubkey: payer.publicKey,
+        toPubkey: Keypair.generate().publicKey,
+        lamports: 1,
+      })
+    ),
+    signers: [payer],
+  };
+}
+
+function getComputeUnitLimit(tx: VersionedTransaction) {
+  const ix = TransactionMessage.decompile(tx.message).instructions.find(
+    (ix) =>
+      ix.programId.equals(ComputeBudgetProgram.programId) &&
+      ComputeBudgetInstruction.decodeInstructionType(ix) === 'SetComputeUnitLimit'
+  );
+  return ix && ComputeBudgetInstruction.decodeSetComputeUnitLimit(ix).units;
+}
+
+function getSignature(tx: VersionedTransaction) {
+  return bs58.encode(tx.signatures[0]!);
+}
+
+describe('sendTransactions in jito-bundle mode', () => {
+  const payer = Keypair.generate();
+  let sentBundles: VersionedTransaction[][];
+  let bundleClient: BundleClient;
+
+  beforeEach(() => {
+    sentBundles = [];
+    bundleClient = {
+      getTipAccounts: async () => [TIP_ACCOUNT],
+      sendBundle: jest.fn(async (transactions: VersionedTransaction[]) => {
+        sentBundles.push(transactions);
+        return 'bundle-id';
+      }),
+    };
+  });
+
+  it('sends the transactions and a tip as one bundle', async () => {
+    const { connection, state } = mockConnection();
+    bundleClient.sendBundle = async (transactions) => {
+      sentBundles.push(transactions);
+      transactions.forEach((tx) => state.landed.add(getSignature(tx)));
+      return 'bundle-id';
+    };
+
+    const results = await sendTransactions(
+      connection,
+      [createTransfer(payer), createTransfer(payer)],
+      TX_CONFIG,
+      { bundleClient }
+    );
+
+    expect(sentBundles).toHaveLength(1);
+    const [bundle] = sentBundles as [VersionedTransaction[]];
+    expect(bundle).toHaveLength(3);
+    expect(results.map((result) => result.signature)).toEqual(bundle.slice(0, 2).map(getSignature));
+    expect(bundle.slice(0, 2).map(getComputeUnitLimit)).toEqual([10_000, 10_000]);
+    const tipIx = TransactionMessage.decompile(bundle[2]!.message).instructions[0]!;
+    expect(tipIx.keys[1]!.pubkey.toBase58()).toBe(TIP_ACCOUNT);
+    expect(state.sentRawTransactions).toHaveLength(0);
+  });
+
+  it('keeps the limit of a transaction depending on an earlier one in the bundle', async () => {
+    const dependent = createTransfer(payer);
+    const { connection, state } = mockConnection({
+      failSimulation: (tx) =>
+        tx.message.staticAccountKeys.some((key) =>
+          key.equals(dependent.tx.instructions[0]!.keys[1]!.pubkey)
+        ),
+    });
+    bundleClient.sendBundle = async (transactions) => {
+      sentBundles.push(transactions);
+      transactions.forEach((tx) => state.landed.add(getSignature(tx)));
+      return 'bundle-id';
+    };
+
+    await sendTransactions(connection, [createTransfer(payer), dependent], TX_CONFIG, {
+      bundleClient,
+    });
+
+    const [bundle] = sentBundles as [VersionedTransaction[]];
+    expect(bundle.slice(0, 2).map(getComputeUnitLimit)).toEqual([10_000, undefined]);
+  });
+
+  it('falls back to sending one by one when the block engine rejects the bundle', async () => {
+    const { connection, state } = mockConnection();
+    bundleClient.sendBundle = async () => {
+      throw new Error('bundle rejected');
+    };
+
+    const results = await sendTransactions(
+      connection,
+      [createTransfer(payer), createTransfer(payer)],
+      TX_CONFIG,
+      { bundleClient }
+    );
+
+    expect(state.sentRawTransactions).toHaveLength(2);
+    expect(results.map((result) => result.signature)).toEqual(state.sentRawTransactions);
+  });
+
+  it('falls back to sending one by one when the bundle expires without landing', async () => {
+    const { connection, state } = mockConnection();
+    state.blockHeight = LAST_VALID_BLOCK_HEIGHT + 1;
+
+    await sendTransactions(connection, [createTransfer(payer)], TX_CONFIG, { bundleClient });
+
+    expect(sentBundles).toHaveLength(1);
+    expect(state.sentRawTransactions).toHaveLength(1);
+  });
+
+  it('does not send again when the status of a sent bundle is unknown', async () => {
+    const { connection, state } = mockConnection();
+    state.failStatuses = true;
+
+    await expect(
+      sendTransactions(connection, [createTransfer(payer)], TX_CONFIG, { bundleClient })
+    ).rejects.toThrow('it may still land');
+
+    expect(sentBundles).toHaveLength(1);
+    expect(state.sentRawTransactions).toHaveLength(0);
+  });
+
+  describe('with an execution journal', () => {
+    let journal: ExecutionJournal;
+
+    beforeEach(() => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'studio-journal-'));
+      journal = {
+        filePath: path.join(dir, 'journal.json'),
+        action: 'dbc create-pool',
+        createdAt: new Date().toISOString(),
+        context: {},
+        steps: [],
+      };
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(journal.filePath), { recursive: true, force: true });
+    });
+
+    it('journals the transactions of a landed bundle', async () => {
+      const { connection, state } = mockConnection();
+      bundleClient.sendBundle = async (transactions) => {
+        transactions.forEach((tx) => state.landed.add(getSignature(tx)));
+        return 'bundle-id';
+      };
+
+      const results = await sendTransactions(
+        connection,
+        [
+          { ...createTransfer(payer), journalStepId: 'create-pool' },
+          { ...createTransfer(payer), journalStepId: 'first-buy' },
+        ],
+        TX_CONFIG,
+        { bundleClient, journal }
+      );
+
+      expect(journal.steps.map(({ id, status, signature }) => ({ id, status, signature }))).toEqual(
+        [
+          { id: 'create-pool', status: 'confirmed', signature: results[0]!.signature },
+          { id: 'first-buy', status: 'confirmed', signature: results[1]!.signature },
+        ]
+      );
+    });
+
+    it('sends the transactions not confirmed yet one by one when resumed', async () => {
+      const { connection, state } = mockConnection();
+      journal.steps.push({
+        id: 'create-pool',
+        status: 'confirmed',
+        signature: 'journaled-signature',
+        updatedAt: new Date().toISOString(),
+      });
+
+      const results = await sendTransactions(
+        connection,
+        [
+          { ...createTransfer(payer), journalStepId: 'create-pool' },
+          { ...createTransfer(payer), journalStepId: 'first-buy' },
+        ],
+        TX_CONFIG,
+        { bundleClient, journal }
+      );
+
+      expect(sentBundles).toHaveLength(0);
+      expect(state.sentRawTransactions).toHaveLength(1);
+      expect(results.map((result) => result.signature)).toEqual([
+        'journaled-signature',
+        state.sentRawTransactions[0],
+      ]);
+    });
+  });
+});
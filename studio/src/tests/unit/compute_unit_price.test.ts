@@ -0,0 +1,156 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import {
+  AddressLookupTableAccount,
+  ComputeBudgetInstruction,
+  ComputeBudgetProgram,
+  Connection,
+  Keypair,
+  PublicKey,
+  RecentPrioritizationFees,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import {
+  applyComputeUnitPrice,
+  estimateComputeUnitPrice,
+  getWritableAccounts,
+} from '../../helpers';
+
+function mockConnection(prioritizationFees: number[]) {
+  const getRecentPrioritizationFees = jest.fn(
+    async (_config?: { lockedWritableAccounts?: PublicKey[] }) =>
+      prioritizationFees.map(
+        (prioritizationFee, slot): RecentPrioritizationFees => ({ slot, prioritizationFee })
+      )
+  );
+  return {
+    connection: { getRecentPrioritizationFees } as unknown as Connection,
+    getRecentPrioritizationFees,
+  };
+}
+
+describe('estimateComputeUnitPrice', () => {
+  // Unsorted on purpose, the estimate ranks the fees
+  const fees = [500, 0, 100, 900, 300, 200, 700, 400, 800, 600];
+
+  it('picks the fee at the percentile of the recent fees', async () => {
+    const { connection } = mockConnection(fees);
+    expect(await estimateComputeUnitPrice(connection, [], 75)).toBe(700);
+    expect(await estimateComputeUnitPrice(connection, [], 50)).toBe(400);
+    expect(await estimateComputeUnitPrice(connection, [], 100)).toBe(900);
+    expect(await estimateComputeUnitPrice(connection, [], 0)).toBe(0);
+  });
+
+  it('caps the estimate at the max price', async () => {
+    const { connection } = mockConnection(fees);
+    expect(await estimateComputeUnitPrice(connection, [], 100, 250)).toBe(250);
+  });
+
+  it('falls back to 0 without recent fees', async () => {
+    const { connection } = mockConnection([]);
+    expect(await estimateComputeUnitPrice(connection, [], 75)).toBe(0);
+  });
+
+  it('queries the fees of the writable accounts', async () => {
+    const { connection, getRecentPrioritizationFees } = mockConnection(fees);
+    const accounts = [Keypair.generate().publicKey, Keypair.generate().publicKey];
+    await estimateComputeUnitPrice(connection, accounts, 75);
+    expect(getRecentPrioritizationFees).toHaveBeenCalledWith({ lockedWritableAccounts: accounts });
+  });
+
+  it('rejects a percentile out of range', async () => {
+    const { connection } = mockConnection(fees);
+    await expect(estimateComputeUnitPrice(connection, [], 101)).rejects.toThrow('percentile');
+  });
+});
+
+describe('applyComputeUnitPrice', () => {
+  const payer = Keypair.generate().publicKey;
+
+  function createTransaction() {
+    const tx = new Transaction().add(
+      SystemProgram.transfer({
+        fromPubkey: payer,
+        toPubkey: Keypair.generate().publicKey,
+        lamports: 1,
+      })
+    );
+    tx.feePayer = payer;
+    return tx;
+  }
+
+  function getComputeUnitPrice(tx: Transaction) {
+    const ix = tx.instructions.find(
+      (ix) =>
+        ix.programId.equals(ComputeBudgetProgram.programId) &&
+        ComputeBudgetInstruction.decodeInstructionType(ix) === 'SetComputeUnitPrice'
+    );
+    return ix && Number(ComputeBudgetInstruction.decodeSetComputeUnitPrice(ix).microLamports);
+  }
+
+  it('sets the estimated price with "auto"', async () => {
+    const { connection, getRecentPrioritizationFees } = mockConnection([100, 200, 300, 400]);
+    const tx = createTransaction();
+
+    const price = await applyComputeUnitPrice(connection, tx, {
+      computeUnitPriceMicroLamports: 'auto',
+      computeUnitPricePercentile: 50,
+    });
+
+    expect(price).toBe(200);
+    expect(getComputeUnitPrice(tx)).toBe(200);
+    const [{ lockedWritableAccounts }] = getRecentPrioritizationFees.mock.calls[0]! as [
+      { lockedWritableAccounts: PublicKey[] },
+    ];
+    expect(lockedWritableAccounts.some((account) => account.equals(payer))).toBe(true);
+  });
+
+  it('sets no price with "auto" and no recent fees', async () => {
+    const { connection } = mockConnection([]);
+    const tx = createTransaction();
+
+    await applyComputeUnitPrice(connection, tx, { computeUnitPriceMicroLamports: 'auto' });
+
+    expect(getComputeUnitPrice(tx) ?? 0).toBe(0);
+  });
+
+  it('sets a fixed price without querying the fees', async () => {
+    const { connection, getRecentPrioritizationFees } = mockConnection([100]);
+    const tx = createTransaction();
+
+    await applyComputeUnitPrice(connection, tx, { computeUnitPriceMicroLamports: 5_000 });
+
+    expect(getComputeUnitPrice(tx)).toBe(5_000);
+    expect(getRecentPrioritizationFees).not.toHaveBeenCalled();
+  });
+});
+
+describe('getWritableAccounts', () => {
+  it('includes the writable accounts of the lookup tables of a v0 transaction', () => {
+    const payer = Keypair.generate().publicKey;
+    const recipient = Keypair.generate().publicKey;
+    const lookupTable = new AddressLookupTableAccount({
+      key: Keypair.generate().publicKey,
+      state: {
+        deactivationSlot: BigInt('18446744073709551615'),
+        lastExtendedSlot: 0,
+        lastExtendedSlotStartIndex: 0,
+        addresses: [recipient, SystemProgram.programId],
+      },
+    });
+    const tx = new VersionedTransaction(
+      new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [
+          SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: 1 }),
+        ],
+      }).compileToV0Message([lookupTable])
+    );
+
+    expect(tx.message.staticAccountKeys.some((key) => key.equals(recipient))).toBe(false);
+    expect(getWritableAccounts(tx, [lookupTable])).toEqual([payer, recipient]);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from '@jest/globals';
+import { parseConfigOverride } from '../../helpers';
+
+describe('parseConfigOverride', () => {
+  it.each([
+    ['dammV2Config.poolFees.maxBaseFeeBps=400', 400],
+    ['dammV2Config.hasAlphaVault=false', false],
+    ['dammV2Config.initPrice=0.0001', 0.0001],
+    ['lockLiquidity.allocations=[{"percentage":100}]', [{ percentage: 100 }]],
+    ['dbcPool.name=Meteora Token', 'Meteora Token'],
+    ['dbcPool.symbol="420"', '420'],
+  ])('parses %s', (override, value) => {
+    expect(parseConfigOverride(override)[1]).toEqual(value);
+  });
+
+  it.each([
+    ['createBaseToken.mintBaseTokenAmount=1000000000000000001', '1000000000000000001'],
+    ['createBaseToken.mintBaseTokenAmount=9007199254740993', '9007199254740993'],
+    ['dbcPool.symbol=1e3', '1e3'],
+    ['dbcPool.symbol=1.50', '1.50'],
+    ['dbcPool.symbol=007', '007'],
+  ])('keeps %s as a string', (override, value) => {
+    expect(parseConfigOverride(override)[1]).toBe(value);
+  });
+
+  it('rejects an override without a key', () => {
+    expect(() => parseConfigOverride('=400')).toThrow('Invalid --set override "=400"');
+  });
+});
@@ -0,0 +1,259 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import {
+  ComputeBudgetInstruction,
+  ComputeBudgetProgram,
+  Connection,
+  Keypair,
+  RpcResponseAndContext,
+  SimulatedTransactionResponse,
+  SystemInstruction,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import bs58 from 'bs58';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createOfflineKeypair,
+  deserializeExportedTransaction,
+  executeTransaction,
+  getExportUnsignedConflict,
+  readExportedTransactions,
+  saveExportedTransaction,
+} from '../../helpers';
+import { main as broadcast } from '../../actions/offline/broadcast';
+import { main as sign } from '../../actions/offline/sign';
+import { DbcConfig } from '../../utils/types';
+
+const NONCE = Keypair.generate().publicKey.toBase58();
+
+function mockConnection(authority: Keypair) {
+  return {
+    commitment: 'confirmed',
+    getNonce: async () => ({ nonce: NONCE, authorizedPubkey: authority.publicKey }),
+    getLatestBlockhash: async () => ({
+      blockhash: Keypair.generate().publicKey.toBase58(),
+      lastValidBlockHeight: 1_000,
+    }),
+    simulateTransaction: async (): Promise<
+      RpcResponseAndContext<SimulatedTransactionResponse>
+    > => ({
+      context: { slot: 1 },
+      value: { err: null, logs: [], unitsConsumed: 10_000 },
+    }),
+  } as unknown as Connection;
+}
+
+function getInstructionType(ix: TransactionInstruction) {
+  if (ix.programId.equals(SystemProgram.programId)) {
+    return SystemInstruction.decodeInstructionType(ix);
+  }
+  if (ix.programId.equals(ComputeBudgetProgram.programId)) {
+    return ComputeBudgetInstruction.decodeInstructionType(ix);
+  }
+  return ix.programId.toBase58();
+}
+
+describe('exporting a durable nonce transaction', () => {
+  const payer = Keypair.generate();
+  const nonceAccount = Keypair.generate().publicKey;
+  let exportDir: string;
+
+  beforeEach(() => {
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studio-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  it('keeps the nonce advance first in a v0 transaction', async () => {
+    const tx = new VersionedTransaction(
+      new TransactionMessage({
+        payerKey: payer.publicKey,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [
+          ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1_000 }),
+          SystemProgram.transfer({
+            fromPubkey: payer.publicKey,
+            toPubkey: Keypair.generate().publicKey,
+            lamports: 1,
+          }),
+        ],
+      }).compileToV0Message()
+    );
+
+    await executeTransaction(mockConnection(payer), tx, [payer], {
+      txConfig: {
+        computeUnitPriceMicroLamports: 1_000,
+        exportUnsignedDir: exportDir,
+        nonceAccounts: [nonceAccount.toBase58()],
+      },
+    });
+
+    const [{ exported }] = readExportedTransactions(exportDir) as [
+      ReturnType<typeof readExportedTransactions>[number],
+    ];
+    const exportedTx = deserializeExportedTransaction(exported) as VersionedTransaction;
+    const { instructions, recentBlockhash } = TransactionMessage.decompile(exportedTx.message);
+
+    expect(exported.nonceAccount).toBe(nonceAccount.toBase58());
+    expect(recentBlockhash).toBe(NONCE);
+    expect(instructions.map(getInstructionType)).toEqual([
+      'AdvanceNonceAccount',
+      'SetComputeUnitLimit',
+      'SetComputeUnitPrice',
+      'Transfer',
+    ]);
+    expect(SystemInstruction.decodeNonceAdvance(instructions[0]!).noncePubkey).toEqual(
+      nonceAccount
+    );
+  });
+});
+
+describe('readExportedTransactions', () => {
+  let exportDir: string;
+
+  beforeEach(() => {
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studio-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  it('reads the transactions in export order past the zero padding of their file names', () => {
+    for (const index of [1000, 999, 10]) {
+      saveExportedTransaction(path.join(exportDir, `${String(index).padStart(3, '0')}-tx.json`), {
+        index,
+        description: `tx ${index}`,
+        transaction: '',
+        versioned: false,
+        missingSigners: [],
+      });
+    }
+
+    expect(readExportedTransactions(exportDir).map(({ exported }) => exported.description)).toEqual(
+      ['tx 10', 'tx 999', 'tx 1000']
+    );
+  });
+});
+
+describe('exporting, signing and broadcasting', () => {
+  const wallet = Keypair.generate();
+  let exportDir: string;
+
+  beforeEach(() => {
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studio-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('sends the transactions signed offline in export order, once', async () => {
+    const offlineWallet = createOfflineKeypair(wallet.publicKey);
+    const newAccount = Keypair.generate();
+    const txConfig = { computeUnitPriceMicroLamports: 0, exportUnsignedDir: exportDir };
+
+    // The new account signs on the exporting machine, the wallet only offline
+    const createAccountTx = new Transaction().add(
+      SystemProgram.createAccount({
+        fromPubkey: wallet.publicKey,
+        newAccountPubkey: newAccount.publicKey,
+        lamports: 1_000_000,
+        space: 0,
+        programId: SystemProgram.programId,
+      })
+    );
+    await executeTransaction(mockConnection(wallet), createAccountTx, [offlineWallet, newAccount], {
+      txConfig,
+      journalStepId: 'create-account',
+    });
+    const transferTx = new Transaction().add(
+      SystemProgram.transfer({
+        fromPubkey: wallet.publicKey,
+        toPubkey: newAccount.publicKey,
+        lamports: 1,
+      })
+    );
+    await executeTransaction(mockConnection(wallet), transferTx, [offlineWallet], {
+      txConfig,
+      journalStepId: 'transfer',
+    });
+
+    expect(
+      readExportedTransactions(exportDir).map(({ exported }) => exported.missingSigners)
+    ).toEqual([[wallet.publicKey.toBase58()], [wallet.publicKey.toBase58()]]);
+
+    await expect(broadcast({ dir: exportDir, rpcUrl: 'http://localhost:8899' })).rejects.toThrow(
+      '2 transaction(s) are missing signatures'
+    );
+
+    await sign({ dir: exportDir, walletPk: bs58.encode(wallet.secretKey) });
+
+    const sent: string[] = [];
+    jest
+      .spyOn(Connection.prototype, 'sendRawTransaction')
+      .mockImplementation(async (rawTransaction) => {
+        const tx = Transaction.from(rawTransaction as Buffer);
+        expect(tx.verifySignatures()).toBe(true);
+        const signature = bs58.encode(tx.signature!);
+        if (!sent.includes(signature)) {
+          sent.push(signature);
+        }
+        return signature;
+      });
+    jest
+      .spyOn(Connection.prototype, 'getSignatureStatus')
+      .mockImplementation(async (signature) => ({
+        context: { slot: 1 },
+        value: sent.includes(signature)
+          ? { slot: 1, confirmations: 1, err: null, confirmationStatus: 'confirmed' }
+          : null,
+      }));
+    jest
+      .spyOn(Connection.prototype, 'getTransaction')
+      .mockImplementation(
+        async () =>
+          ({ slot: 1, meta: { fee: 5_000 } }) as Awaited<ReturnType<Connection['getTransaction']>>
+      );
+
+    await broadcast({ dir: exportDir, rpcUrl: 'http://localhost:8899' });
+
+    const exportedTransactions = readExportedTransactions(exportDir).map(
+      ({ exported }) => exported
+    );
+    expect(exportedTransactions.map(({ description }) => description)).toEqual([
+      'create-account',
+      'transfer',
+    ]);
+    expect(exportedTransactions.map(({ signature }) => signature)).toEqual(sent);
+    expect(exportedTransactions.every(({ missingSigners }) => missingSigners.length === 0)).toBe(
+      true
+    );
+
+    // A rerun skips the transactions that landed
+    await broadcast({ dir: exportDir, rpcUrl: 'http://localhost:8899' });
+    expect(sent).toHaveLength(2);
+  });
+});
+
+describe('getExportUnsignedConflict', () => {
+  it('rejects a DBC pool whose config is created by the same action', () => {
+    const config = { dbcConfig: {}, dbcPool: {} } as unknown as DbcConfig;
+
+    expect(getExportUnsignedConflict('dbc create-pool', config)).toMatch(/dbcConfigAddress/);
+    expect(
+      getExportUnsignedConflict('dbc create-pool', {
+        ...config,
+        dbcConfigAddress: Keypair.generate().publicKey.toBase58(),
+      })
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, expect, it } from '@jest/globals';
+import { filterHistoryRecords } from '../../helpers';
+import { HistoryRecord } from '../../utils/types';
+
+function record(id: string, timestamp: string, addresses: Record<string, string>): HistoryRecord {
+  return { id, timestamp, addresses } as HistoryRecord;
+}
+
+describe('filterHistoryRecords', () => {
+  const records = [
+    record('a', '2025-10-31T23:59:59Z', { baseMint: 'MintA', poolAddress: 'PoolA' }),
+    record('b', '2025-11-01T12:00:00Z', { baseMint: 'MintB', 'DAMM v2 pool': 'PoolB' }),
+    record('c', '2025-11-02T00:00:00Z', { quoteMint: 'MintA', position: 'PoolA' }),
+  ];
+  const ids = (filtered: HistoryRecord[]) => filtered.map(({ id }) => id);
+
+  it('matches the pool and mint addresses by their name', () => {
+    expect(ids(filterHistoryRecords(records, { pool: 'PoolA' }))).toEqual(['a']);
+    expect(ids(filterHistoryRecords(records, { pool: 'PoolB' }))).toEqual(['b']);
+    expect(ids(filterHistoryRecords(records, { mint: 'MintA' }))).toEqual(['a', 'c']);
+    expect(ids(filterHistoryRecords(records, { mint: 'MintA', pool: 'PoolA' }))).toEqual(['a']);
+  });
+
+  it('includes the whole days of --since and --until', () => {
+    expect(
+      ids(filterHistoryRecords(records, { since: '2025-11-01', until: '2025-11-01' }))
+    ).toEqual(['b']);
+    expect(ids(filterHistoryRecords(records, { until: '2025-11-01T12:00:00Z' }))).toEqual([
+      'a',
+      'b',
+    ]);
+  });
+
+  it('rejects an invalid date', () => {
+    expect(() => filterHistoryRecords(records, { since: 'last week' })).toThrow(
+      'Invalid --since "last week", expected a date like "2025-11-01" or ISO-8601'
+    );
+  });
+});
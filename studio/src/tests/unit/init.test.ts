@@ -0,0 +1,82 @@
+import { describe, expect, it } from '@jest/globals';
+import { getInitTemplate, runInitWizard } from '../../lib/init';
+import { InitTemplate } from '../../utils/types';
+
+const TEMPLATE: InitTemplate = {
+  action: 'test',
+  description: 'Test template',
+  questions: [
+    {
+      key: 'pool.feeBps',
+      prompt: 'Fee in bps',
+      type: 'integer',
+      min: 1,
+      max: 10_000,
+      defaultValue: 25,
+      comment: 'Trading fee',
+    },
+    { key: 'pool.enabled', prompt: 'Enabled', type: 'boolean', defaultValue: false },
+    { key: 'pool.activationPoint', prompt: 'Activation point', type: 'point', nullable: true },
+    { key: 'pool.lockDuration', prompt: 'Lock duration', type: 'duration', optional: true },
+    {
+      key: 'pool.feeClaimer',
+      prompt: 'Fee claimer',
+      type: 'address',
+      when: (answers) => answers['pool.enabled'] === true,
+    },
+  ],
+};
+
+describe('runInitWizard', () => {
+  it('builds the config from the answers and the defaults', async () => {
+    const { config, comments } = await runInitWizard(TEMPLATE, {
+      'pool.feeBps': '1_000',
+      'pool.activationPoint': '+2h',
+      pool: { lockDuration: '1d' },
+    });
+
+    expect(config).toEqual({
+      pool: { feeBps: 1000, enabled: false, activationPoint: '+2h', lockDuration: '1d' },
+    });
+    expect(comments).toEqual({ 'pool.feeBps': 'Trading fee' });
+  });
+
+  it('lists every invalid answer', async () => {
+    await expect(
+      runInitWizard(TEMPLATE, {
+        'pool.feeBps': 10_001,
+        'pool.enabled': 'maybe',
+        'pool.activationPoint': 'tomorrow',
+        'pool.lockDuration': '-1',
+      })
+    ).rejects.toThrow(
+      [
+        'Invalid init answers:',
+        '- pool.feeBps: must be at most 10000',
+        '- pool.enabled: must be yes or no',
+        '- pool.activationPoint: must be a slot, a unix timestamp, an ISO-8601 timestamp like "2025-11-01T14:00:00Z" or a duration from now like "+2h"',
+        '- pool.lockDuration: must be a number of slots or seconds, or a duration like "2h"',
+      ].join('\n')
+    );
+  });
+
+  it('asks the questions whose condition holds', async () => {
+    await expect(runInitWizard(TEMPLATE, { 'pool.enabled': 'yes' })).rejects.toThrow(
+      '- pool.feeClaimer: is required'
+    );
+    await expect(
+      runInitWizard(TEMPLATE, { 'pool.enabled': 'yes', 'pool.feeClaimer': 'not an address' })
+    ).rejects.toThrow('- pool.feeClaimer: must be a valid address');
+  });
+
+  it('validates the answers of an action template', async () => {
+    await expect(
+      runInitWizard(getInitTemplate('dbc create-pool'), {
+        network: 'testnet',
+        computeUnitPriceMicroLamports: 'fast',
+      })
+    ).rejects.toThrow(
+      /- network: must be one of "mainnet", "devnet", "localnet"\n- computeUnitPriceMicroLamports: must be a number/
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import { afterAll, beforeAll, describe, expect, it, jest } from '@jest/globals';
+import { Keypair } from '@solana/web3.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { decryptKeypair, encryptKeypair, loadKeystoreKey } from '../../helpers';
+
+const mockAnswers: string[] = [];
+jest.mock('readline', () => ({
+  createInterface: () => ({
+    question: (_query: string, callback: (answer: string) => void) =>
+      callback(mockAnswers.shift() ?? ''),
+    close: () => {},
+  }),
+}));
+
+// Cheap scrypt params, the file stores them for decrypting
+const SCRYPT_PARAMS = { n: 2 ** 10, r: 8, p: 1 };
+
+describe('encryptKeypair', () => {
+  const keypair = Keypair.generate();
+
+  it('decrypts with the passphrase it encrypted with', () => {
+    const file = encryptKeypair(keypair, 'treasury', 'correct horse', SCRYPT_PARAMS);
+
+    expect(file.publicKey).toBe(keypair.publicKey.toBase58());
+    expect(file.crypto.kdfParams).toMatchObject(SCRYPT_PARAMS);
+    expect(decryptKeypair(file, 'correct horse').secretKey).toEqual(keypair.secretKey);
+  });
+
+  it('rejects a wrong passphrase', () => {
+    const file = encryptKeypair(keypair, 'treasury', 'correct horse', SCRYPT_PARAMS);
+
+    expect(() => decryptKeypair(file, 'battery staple')).toThrow(
+      'Wrong passphrase for key "treasury"'
+    );
+  });
+
+  it('rejects a tampered public key', () => {
+    const file = encryptKeypair(keypair, 'treasury', 'correct horse', SCRYPT_PARAMS);
+    const tampered = { ...file, publicKey: Keypair.generate().publicKey.toBase58() };
+
+    expect(() => decryptKeypair(tampered, 'correct horse')).toThrow(
+      'Wrong passphrase for key "treasury", or the keystore file is corrupted'
+    );
+  });
+});
+
+describe('loadKeystoreKey', () => {
+  const keypair = Keypair.generate();
+  let keystoreDir: string;
+
+  beforeAll(() => {
+    keystoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studio-keystore-'));
+    process.env.STUDIO_KEYSTORE_DIR = keystoreDir;
+    delete process.env.STUDIO_KEYSTORE_PASSPHRASE;
+    fs.writeFileSync(
+      path.join(keystoreDir, 'treasury.json'),
+      JSON.stringify(encryptKeypair(keypair, 'treasury', 'correct horse', SCRYPT_PARAMS))
+    );
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    delete process.env.STUDIO_KEYSTORE_DIR;
+    fs.rmSync(keystoreDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('gives up after three wrong passphrases', async () => {
+    mockAnswers.push('wrong 1', 'wrong 2', 'wrong 3', 'correct horse');
+
+    await expect(loadKeystoreKey('treasury')).rejects.toThrow(
+      'Wrong passphrase for key "treasury"'
+    );
+    expect(mockAnswers).toEqual(['correct horse']);
+    mockAnswers.length = 0;
+  });
+
+  it('asks again after a wrong passphrase', async () => {
+    mockAnswers.push('wrong', 'correct horse');
+
+    expect((await loadKeystoreKey('treasury')).publicKey).toEqual(keypair.publicKey);
+    expect(mockAnswers).toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith(
+      'WARNING: Wrong passphrase for key "treasury", try again'
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, expect, it } from '@jest/globals';
+import { resolveStepReferences, validateLaunchPlan } from '../../lib/launch_plan';
+import { LaunchPlanConfig } from '../../utils/types';
+
+function plan(steps: LaunchPlanConfig['steps']): LaunchPlanConfig {
+  return { steps } as LaunchPlanConfig;
+}
+
+describe('validateLaunchPlan', () => {
+  it('accepts references to earlier steps', () => {
+    expect(() =>
+      validateLaunchPlan(
+        plan([
+          { id: 'token', action: 'create-token-mint' },
+          {
+            id: 'pool',
+            action: 'damm-v2 create-balanced-pool',
+            config: { baseMint: '${steps.token.address}' },
+          },
+          {
+            id: 'split',
+            action: 'damm-v2 split-position',
+            config: { poolAddress: '${steps.pool.address}' },
+          },
+        ])
+      )
+    ).not.toThrow();
+  });
+
+  it('rejects a reference to a later or unknown step', () => {
+    expect(() =>
+      validateLaunchPlan(
+        plan([
+          {
+            id: 'pool',
+            action: 'damm-v2 create-balanced-pool',
+            config: { baseMint: '${steps.token.address}' },
+          },
+          { id: 'token', action: 'create-token-mint' },
+        ])
+      )
+    ).toThrow('Step pool references ${steps.token.address}, but step token does not run before it');
+  });
+
+  it('rejects duplicate step ids and unknown actions', () => {
+    expect(() =>
+      validateLaunchPlan(
+        plan([
+          { id: 'token', action: 'create-token-mint' },
+          { id: 'token', action: 'create-token-mint' },
+        ])
+      )
+    ).toThrow('Duplicate launch plan step id: token');
+    expect(() => validateLaunchPlan(plan([{ id: 'swap', action: 'dlmm swap' }]))).toThrow(
+      'Unknown action "dlmm swap" in step swap'
+    );
+  });
+});
+
+describe('resolveStepReferences', () => {
+  const outputs = {
+    token: { address: 'Mint1111' },
+    pool: { address: 'Pool1111', position: 'Position1111' },
+  };
+
+  it('replaces the references in nested strings', () => {
+    expect(
+      resolveStepReferences(
+        {
+          baseMint: '${steps.token.address}',
+          dryRun: false,
+          pools: ['${steps.pool.address}'],
+          note: { text: 'pool ${steps.pool.address} with ${steps.pool.position}' },
+        },
+        outputs
+      )
+    ).toEqual({
+      baseMint: 'Mint1111',
+      dryRun: false,
+      pools: ['Pool1111'],
+      note: { text: 'pool Pool1111 with Position1111' },
+    });
+  });
+
+  it('lists the outputs of the step when one is missing', () => {
+    expect(() => resolveStepReferences('${steps.pool.positionNft}', outputs)).toThrow(
+      'Cannot resolve ${steps.pool.positionNft}. Outputs of step pool: address, position'
+    );
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, expect, it } from '@jest/globals';
+import { Connection } from '@solana/web3.js';
+import { getConfigNetwork, getRpcNetwork, inferNetworkFromRpcUrl } from '../../helpers';
+import { GENESIS_HASHES } from '../../utils/constants';
+import { MeteoraConfigBase, NetworkName } from '../../utils/types';
+
+// Neither mainnet nor devnet, told apart like a local validator
+const TESTNET_GENESIS_HASH = '4uhcVJyU9pJkvQyS88uRDiswHXSCkY3zQawwpjk2NsNY';
+
+function mockConnection(genesisHash: string, rpcEndpoint = 'https://rpc.example.com') {
+  return {
+    rpcEndpoint,
+    getGenesisHash: async () => genesisHash,
+  } as unknown as Connection;
+}
+
+describe('inferNetworkFromRpcUrl', () => {
+  it.each([
+    ['https://api.devnet.solana.com', 'devnet'],
+    ['https://devnet.helius-rpc.com/?api-key=key', 'devnet'],
+    ['http://localhost:8899', 'localnet'],
+    ['http://127.0.0.1:8899', 'localnet'],
+    ['https://api.mainnet-beta.solana.com', 'mainnet'],
+    ['https://mainnet.helius-rpc.com/?api-key=key', 'mainnet'],
+    [undefined, 'mainnet'],
+  ])('infers the network of %s', (rpcUrl, network) => {
+    expect(inferNetworkFromRpcUrl(rpcUrl)).toBe(network);
+  });
+
+  it('rejects an invalid RPC URL', () => {
+    expect(() => inferNetworkFromRpcUrl('api.devnet.solana.com')).toThrow('Invalid rpcUrl');
+  });
+});
+
+describe('getConfigNetwork', () => {
+  it('uses the network inferred from rpcUrl when network is unset', () => {
+    const network = getConfigNetwork({
+      rpcUrl: 'https://api.devnet.solana.com',
+    } as MeteoraConfigBase);
+    expect(network.name).toBe('devnet');
+    expect(network.cluster).toBe('devnet');
+  });
+
+  it('prefers the network of the config', () => {
+    const network = getConfigNetwork({
+      network: 'mainnet',
+      rpcUrl: 'https://my-devnet-proxy.example.com',
+    } as MeteoraConfigBase);
+    expect(network.name).toBe('mainnet');
+    expect(network.rpcUrl).toBe('https://my-devnet-proxy.example.com');
+  });
+});
+
+describe('getRpcNetwork', () => {
+  const getNetwork = (network: NetworkName) =>
+    getConfigNetwork({ network, rpcUrl: 'https://rpc.example.com' } as MeteoraConfigBase);
+
+  it.each([
+    [GENESIS_HASHES.mainnet, 'mainnet'],
+    [GENESIS_HASHES.devnet, 'devnet'],
+    [TESTNET_GENESIS_HASH, 'localnet'],
+  ] as [string, NetworkName][])('tells the network of genesis hash %s', async (hash, network) => {
+    await expect(getRpcNetwork(mockConnection(hash), getNetwork(network))).resolves.toBe(network);
+  });
+
+  it('tells mainnet for a custom network on a mainnet RPC', async () => {
+    await expect(
+      getRpcNetwork(mockConnection(GENESIS_HASHES.mainnet), getNetwork('custom'))
+    ).resolves.toBe('mainnet');
+  });
+
+  it('only tells the network of the RPC without a network profile', async () => {
+    await expect(getRpcNetwork(mockConnection(GENESIS_HASHES.devnet))).resolves.toBe('devnet');
+  });
+
+  it('rejects an RPC on another cluster than the network', async () => {
+    await expect(
+      getRpcNetwork(mockConnection(GENESIS_HASHES.mainnet), getNetwork('devnet'))
+    ).rejects.toThrow('rpcUrl https://rpc.example.com serves mainnet, not the devnet network');
+    await expect(
+      getRpcNetwork(mockConnection(TESTNET_GENESIS_HASH), getNetwork('mainnet'))
+    ).rejects.toThrow(`serves a cluster with genesis hash ${TESTNET_GENESIS_HASH}`);
+  });
+
+  it('leaves the API key of the RPC URL out of the error', async () => {
+    const connection = mockConnection(
+      GENESIS_HASHES.mainnet,
+      'https://rpc.example.com/v1/secret-key?api-key=secret-key'
+    );
+
+    const error = await getRpcNetwork(connection, getNetwork('devnet')).catch((err) => err);
+    expect((error as Error).message).toMatch(/^rpcUrl https:\/\/rpc\.example\.com serves mainnet/);
+    expect((error as Error).message).not.toContain('secret-key');
+  });
+});
@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import {
+  AccountInfo,
+  AddressLookupTableAccount,
+  Connection,
+  Keypair,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  RpcResponseAndContext,
+  SimulatedTransactionResponse,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} from '@solana/web3.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { reportSimulatedTransaction } from '../../helpers';
+
+function systemAccount(lamports: number): AccountInfo<Buffer> {
+  return { executable: false, owner: SystemProgram.programId, lamports, data: Buffer.alloc(0) };
+}
+
+/**
+ * A connection where every account holds 1 SOL before the simulation, and `lamportsAfter` after it
+ */
+function mockConnection(lamportsAfter: Map<string, number>) {
+  return {
+    commitment: 'confirmed',
+    getMultipleAccountsInfo: async (addresses: PublicKey[]) =>
+      addresses.map(() => systemAccount(LAMPORTS_PER_SOL)),
+    simulateTransaction: async (
+      _tx: VersionedTransaction,
+      config: { accounts: { addresses: string[] } }
+    ): Promise<RpcResponseAndContext<SimulatedTransactionResponse>> => ({
+      context: { slot: 1 },
+      value: {
+        err: null,
+        logs: [],
+        unitsConsumed: 10_000,
+        accounts: config.accounts.addresses.map((address) => ({
+          executable: false,
+          owner: SystemProgram.programId.toBase58(),
+          lamports: lamportsAfter.get(address) ?? LAMPORTS_PER_SOL,
+          data: ['', 'base64'],
+        })),
+      },
+    }),
+  } as unknown as Connection;
+}
+
+describe('reportSimulatedTransaction', () => {
+  const cwd = process.cwd();
+  let reportDir: string;
+
+  beforeEach(() => {
+    // The dry run report is written under the working directory
+    reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studio-report-'));
+    process.chdir(reportDir);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  });
+
+  it('reports the writable accounts loaded from address lookup tables', async () => {
+    const payer = Keypair.generate().publicKey;
+    const recipient = Keypair.generate().publicKey;
+    const lookupTable = new AddressLookupTableAccount({
+      key: Keypair.generate().publicKey,
+      state: {
+        deactivationSlot: BigInt('18446744073709551615'),
+        lastExtendedSlot: 0,
+        lastExtendedSlotStartIndex: 0,
+        addresses: [recipient],
+      },
+    });
+    const tx = new VersionedTransaction(
+      new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [
+          SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: 1_000 }),
+        ],
+      }).compileToV0Message([lookupTable])
+    );
+    expect(tx.message.staticAccountKeys.some((key) => key.equals(recipient))).toBe(false);
+
+    const connection = mockConnection(
+      new Map([
+        [payer.toBase58(), LAMPORTS_PER_SOL - 1_000],
+        [recipient.toBase58(), LAMPORTS_PER_SOL + 1_000],
+      ])
+    );
+    const report = await reportSimulatedTransaction(connection, tx, 'transfer', [lookupTable]);
+
+    expect(
+      report.balanceChanges.map(({ account, isSigner, solChange }) => ({
+        account,
+        isSigner,
+        solChange,
+      }))
+    ).toEqual([
+      { account: payer.toBase58(), isSigner: true, solChange: -1_000 / LAMPORTS_PER_SOL },
+      { account: recipient.toBase58(), isSigner: false, solChange: 1_000 / LAMPORTS_PER_SOL },
+    ]);
+  });
+});
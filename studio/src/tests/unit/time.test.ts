@@ -0,0 +1,106 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import { Connection } from '@solana/web3.js';
+import { ActivationType } from '@meteora-ag/dynamic-bonding-curve-sdk';
+import { isDurationString, isPointString, resolveDuration, resolvePoint } from '../../helpers';
+
+const CURRENT_SLOT = 1_000_000;
+const CURRENT_TIME = 1_750_000_000;
+
+function mockConnection() {
+  return {
+    getSlot: jest.fn(async () => CURRENT_SLOT),
+    getBlockTime: jest.fn(async (): Promise<number | null> => CURRENT_TIME),
+  };
+}
+
+describe('isPointString', () => {
+  it.each([
+    '2025-11-01T14:00:00Z',
+    '2025-11-01T14:00Z',
+    '2025-11-01T14:00:00.500+08:00',
+    '2025-11-01',
+    '+2h',
+    '+1d12h',
+  ])('accepts %s', (value) => {
+    expect(isPointString(value)).toBe(true);
+  });
+
+  it.each(['2025-11-01T14:00:00', '2025-11-01T14:00', '2025-13-01T14:00:00Z', '+2x', '2h'])(
+    'rejects %s',
+    (value) => {
+      expect(isPointString(value)).toBe(false);
+    }
+  );
+});
+
+describe('isDurationString', () => {
+  it('accepts combined units', () => {
+    expect(isDurationString('1d12h')).toBe(true);
+    expect(isDurationString('+2h')).toBe(false);
+  });
+});
+
+describe('resolvePoint', () => {
+  const inOneHour = new Date((CURRENT_TIME + 3600) * 1000).toISOString();
+
+  it('keeps a number as is without querying the cluster', async () => {
+    const connection = mockConnection();
+    const getActivationType = jest.fn(async () => ActivationType.Slot);
+
+    expect(
+      await resolvePoint(
+        connection as unknown as Connection,
+        123,
+        getActivationType,
+        'activationPoint'
+      )
+    ).toBe(123);
+    expect(connection.getSlot).not.toHaveBeenCalled();
+    expect(getActivationType).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['+2h', ActivationType.Slot, CURRENT_SLOT + 18_000],
+    ['+2h', ActivationType.Timestamp, CURRENT_TIME + 7_200],
+    ['+1d12h', ActivationType.Timestamp, CURRENT_TIME + 129_600],
+    [inOneHour, ActivationType.Slot, CURRENT_SLOT + 9_000],
+    [inOneHour, ActivationType.Timestamp, CURRENT_TIME + 3_600],
+  ])('resolves %s with activation type %s to %s', async (value, activationType, expected) => {
+    const connection = mockConnection() as unknown as Connection;
+
+    expect(await resolvePoint(connection, value, activationType, 'activationPoint')).toBe(expected);
+  });
+
+  it('fetches the activation type of a string point', async () => {
+    const connection = mockConnection() as unknown as Connection;
+
+    expect(
+      await resolvePoint(connection, '+1m', async () => ActivationType.Slot, 'depositingPoint')
+    ).toBe(CURRENT_SLOT + 150);
+  });
+
+  it('rejects a date without a zone', async () => {
+    const connection = mockConnection() as unknown as Connection;
+
+    await expect(
+      resolvePoint(connection, '2025-11-01T14:00:00', ActivationType.Slot, 'depositingPoint')
+    ).rejects.toThrow('Invalid depositingPoint "2025-11-01T14:00:00", expected a slot');
+  });
+});
+
+describe('resolveDuration', () => {
+  it.each([
+    ['1d12h', ActivationType.Slot, 324_000],
+    ['1d12h', ActivationType.Timestamp, 129_600],
+    ['1s', ActivationType.Slot, 3],
+    [600, ActivationType.Slot, 600],
+  ])('resolves %s with activation type %s to %s', (value, activationType, expected) => {
+    expect(resolveDuration(value, activationType, 'totalDuration')).toBe(expected);
+  });
+
+  it('rejects a duration from now', () => {
+    expect(() => resolveDuration('+2h', ActivationType.Timestamp, 'totalDuration')).toThrow(
+      'Invalid totalDuration "+2h", expected a number of seconds'
+    );
+  });
+});
@@ -0,0 +1,83 @@
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { NATIVE_MINT } from '@solana/spl-token';
+import { Connection, Keypair } from '@solana/web3.js';
+import { getNetworkConfig } from '../helpers';
+import { ActionOutput } from '../utils/types';
+
+const STUDIO_DIR = path.join(__dirname, '../..');
+const STUDIO_TIMEOUT_MS = 240_000;
+
+export const ADMIN_KEYPAIR_PATH = path.join(
+  __dirname,
+  'keys/localnet/admin-bossj3JvwiNK7pvjr149DqdtJxf2gdygbcmEPTkb2F1.json'
+);
+
+/**
+ * The admin keypair, funded by the test validator and used as the keypair of every action
+ */
+export function getAdminKeypair(): Keypair {
+  return Keypair.fromSecretKey(
+    Uint8Array.from(JSON.parse(fs.readFileSync(ADMIN_KEYPAIR_PATH, 'utf-8')))
+  );
+}
+
+export function getTestConnection(): Connection {
+  return new Connection(getNetworkConfig('localnet').rpcUrl, 'confirmed');
+}
+
+/**
+ * The config keys shared by every action run against the test validator, with SOL as quote mint
+ */
+export function getTestConfigBase() {
+  return {
+    network: 'localnet',
+    dryRun: false,
+    keypairFilePath: ADMIN_KEYPAIR_PATH,
+    computeUnitPriceMicroLamports: 0,
+    quoteMint: NATIVE_MINT.toBase58(),
+  };
+}
+
+/**
+ * Run a studio command with --json against the test validator, as a separate process like the CLI
+ * @param command - The command, e.g. "damm-v2 create-balanced-pool"
+ * @param config - The config, written to a temporary config file
+ * @param args - Extra CLI arguments
+ * @returns The JSON output of the command
+ */
+export async function runStudio(
+  command: string,
+  config: Record<string, unknown>,
+  args: string[] = []
+): Promise<ActionOutput> {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studio-test-config-'));
+  const configPath = path.join(configDir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+
+  let stdout: string;
+  try {
+    ({ stdout } = await promisify(execFile)(
+      path.join(STUDIO_DIR, 'node_modules/.bin/tsx'),
+      ['src/cli.ts', ...command.split(' '), '--config', configPath, '--json', ...args],
+      { cwd: STUDIO_DIR, timeout: STUDIO_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }
+    ));
+  } catch (err) {
+    // A failed action still prints its JSON output before exiting with code 1
+    stdout = (err as { stdout?: string }).stdout ?? '';
+    if (!stdout.includes('"action"')) {
+      throw err;
+    }
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+
+  const output: ActionOutput = JSON.parse(stdout.slice(stdout.indexOf('{\n  "action"')));
+  if (!output.success) {
+    throw new Error(`studio ${command} failed: ${output.error}`);
+  }
+  return output;
+}
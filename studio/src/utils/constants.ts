@@ -3,6 +3,19 @@ import { PublicKey } from '@solana/web3.js';
 
 export const DEFAULT_COMMITMENT_LEVEL = 'confirmed';
 export const DEFAULT_SEND_TX_MAX_RETRIES = 3;
+export const DEFAULT_REBROADCAST_INTERVAL_MS = 2000;
+export const DEFAULT_JOURNAL_DIR = 'journals';
+export const DEFAULT_DRY_RUN_REPORT_DIR = 'dry-run-reports';
+export const DEFAULT_KEYSTORE_DIR = 'keystore';
+export const DEFAULT_HISTORY_FILE = 'history/history.jsonl';
+export const DEFAULT_COMPUTE_UNIT_PRICE_PERCENTILE = 75;
+export const DEFAULT_MAX_COMPUTE_UNIT_PRICE_MICRO_LAMPORTS = 1_000_000;
+export const MAX_PRIORITIZATION_FEE_ACCOUNTS = 128;
+export const DEFAULT_COMPUTE_UNIT_LIMIT_MARGIN = 0.1;
+export const MAX_COMPUTE_UNIT_LIMIT = 1_400_000;
+export const SIGNATURE_FEE_LAMPORTS = 5_000;
+// Compute units a transaction is assumed to request when estimating its priority fee
+export const PREFLIGHT_COMPUTE_UNITS_PER_TRANSACTION = 400_000;
 
 export const SOL_TOKEN_MINT = NATIVE_MINT;
 export const USDC_TOKEN_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
@@ -10,10 +23,30 @@ export const SOL_TOKEN_DECIMALS = 9;
 export const USDC_TOKEN_DECIMALS = 6;
 
 export const TX_SIZE_LIMIT_BYTES = 1232;
-export const MAX_INSTRUCTIONS_PER_STAKE_ESCROW_ACCOUNTS_CREATED = 8;
+export const LOOKUP_TABLE_MAX_ADDRESSES = 256;
+export const LOOKUP_TABLE_EXTEND_ADDRESSES_PER_TX = 20;
+export const LOOKUP_TABLE_ACTIVATION_TIMEOUT_MS = 60_000;
+// Slots a deactivated lookup table waits before it can be closed
+export const LOOKUP_TABLE_DEACTIVATION_SLOTS = 513;
+
+export const DEFAULT_JITO_BLOCK_ENGINE_URL = 'mainnet.block-engine.jito.wtf';
+export const DEFAULT_JITO_TIP_LAMPORTS = 100_000;
+export const JITO_BUNDLE_MAX_TRANSACTIONS = 5;
 
 export const DEFAULT_NODES_PER_TREE = 10_000;
 
+// Approximate slot duration, used to convert times and durations into slots
+export const SLOT_DURATION_SECONDS = 0.4;
+
+// Hosts of a local validator RPC, inferred as the localnet network
+export const LOCAL_RPC_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
+
+// Genesis hashes of the public clusters, telling the cluster an RPC serves whatever its URL
+export const GENESIS_HASHES = {
+  mainnet: '5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dw2N9d',
+  devnet: 'EtWTRABZaYq6iMfeYKouRu166VU2xqa1wcaWoxPkrZBG',
+};
+
 export const DLMM_PROGRAM_IDS = {
   devnet: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
   localhost: 'LbVRzDTvBDEcrthxfZ4RL6yiq3uZw8bS6MwtdY6UhFQ',
@@ -32,6 +65,15 @@ export const ALPHA_VAULT_PROGRAM_IDS = {
   'mainnet-beta': 'vaU6kP7iNEGkbmPkLmZfGwiGxd4Mob24QQCie5R9kd2',
 };
 
+export const DAMM_V2_PROGRAM_ID = 'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG';
+export const DBC_PROGRAM_ID = 'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN';
+
+// Account sizes the SDKs do not expose, used to estimate rent in the pre-flight checks. The
+// position NFT mint is a Token-2022 mint with metadata, its size is an upper bound, and the
+// Metaplex metadata account is created at its maximum size
+export const DAMM_V2_POSITION_NFT_MINT_SPACE = 500;
+export const METAPLEX_METADATA_ACCOUNT_SPACE = 679;
+
 export const STAKE2EARN_PROGRAM_IDS = {
   'mainnet-beta': 'FEESngU3neckdwib9X3KWqdL7Mjmqk9XNp3uh5JbP4KP',
 };
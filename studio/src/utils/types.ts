@@ -1,4 +1,12 @@
-import { PublicKey } from '@solana/web3.js';
+import {
+  Cluster,
+  Commitment,
+  Keypair,
+  PublicKey,
+  Signer,
+  Transaction,
+  VersionedTransaction,
+} from '@solana/web3.js';
 import BN from 'bn.js';
 
 export interface CliArguments {
@@ -9,17 +17,291 @@ export interface CliArguments {
   creator?: string | undefined;
   maxBaseFeeBps?: string | undefined;
   minBaseFeeBps?: string | undefined;
+  set?: string[] | undefined;
+  network?: string | undefined;
+  resume?: string | undefined;
+  exportUnsigned?: string | undefined;
+  walletAddress?: string | undefined;
+  dir?: string | undefined;
+  keypair?: string | undefined;
+  rpcUrl?: string | undefined;
+  action?: string | undefined;
+  answers?: string | undefined;
+  output?: string | undefined;
+  name?: string | undefined;
+  id?: string | undefined;
+  pool?: string | undefined;
+  mint?: string | undefined;
+  since?: string | undefined;
+  until?: string | undefined;
+  json?: boolean | undefined;
+  yes?: boolean | undefined;
+  help?: boolean | undefined;
+}
+
+export interface CliFlagDefinition {
+  type: 'string' | 'boolean';
+  short?: string;
+  valueName?: string;
+  /** Whether the flag can be repeated, collecting its values in an array */
+  multiple?: boolean;
+  description: string;
+}
+
+export interface StudioCommand {
+  /** Space separated command path, e.g. `damm-v2 add-liquidity` */
+  command: string;
+  description: string;
+  /** Names of the CLI_FLAGS entries accepted by this command */
+  flags: string[];
+  /** Config file keys read by this command, shown in `--help` */
+  configKeys?: string[];
+  load: () => Promise<{ main: (cliArguments: CliArguments) => Promise<unknown> }>;
 }
 
 /* COMMON */
 
+export interface TransactionResult {
+  signature: string;
+  slot: number;
+  /** undefined if the RPC node did not return the transaction meta */
+  computeUnitsConsumed?: number;
+  /** Fee paid in lamports, undefined if the RPC node did not return the transaction meta */
+  fee?: number;
+  /** Set instead of the signature and slot when the transaction was exported unsigned */
+  exportedFilePath?: string;
+}
+
+/** The single JSON document printed by an action run with --json */
+export interface ActionOutput {
+  action: string;
+  success: boolean;
+  /** Addresses created or used by the action, e.g. pool, position, alphaVault, config */
+  addresses: Record<string, string>;
+  /** Signatures of the landed transactions, in order */
+  signatures: string[];
+  error: string | null;
+}
+
+export interface HistoryRecord {
+  /** Short random id, used by `studio history show` */
+  id: string;
+  /** When the action started, ISO-8601 */
+  timestamp: string;
+  action: string;
+  /** Absolute path of the config file, null for actions without a config */
+  configPath: string | null;
+  /** SHA-256 of the resolved config, telling apart runs of the same file with other values */
+  configHash: string | null;
+  network: string | null;
+  cluster: string | null;
+  dryRun: boolean;
+  /** Addresses created or used by the action, with the baseMint, quoteMint and poolAddress of the config */
+  addresses: Record<string, string>;
+  /** Signatures of the landed transactions, in order */
+  signatures: string[];
+  outcome: 'success' | 'failed';
+  error: string | null;
+}
+
+export interface ExecuteTransactionOptions {
+  /** Commitment to wait for, defaults to the connection commitment */
+  commitment?: Commitment;
+  /** Number of times the transaction is re-signed with a new blockhash after it expires */
+  maxBlockhashRefreshes?: number;
+  /** Interval between rebroadcasts of the same signed transaction */
+  rebroadcastIntervalMs?: number;
+  /** Journal to record the transaction into, confirmed steps are skipped */
+  journal?: ExecutionJournal;
+  journalStepId?: string;
+  /** Transaction settings from the action config */
+  txConfig?: TransactionConfig;
+}
+
+export interface ExecutionJournalStep {
+  id: string;
+  status: 'sent' | 'confirmed' | 'failed';
+  signature?: string;
+  error?: string;
+  lastValidBlockHeight?: number;
+  updatedAt: string;
+}
+
+export interface ExecutionJournal {
+  /** Path the journal is written to, not serialized */
+  filePath: string;
+  action: string;
+  createdAt: string;
+  context: Record<string, any>;
+  steps: ExecutionJournalStep[];
+}
+
+export interface DryRunBalanceChange {
+  account: string;
+  isSigner: boolean;
+  solBefore: number;
+  solAfter: number;
+  solChange: number;
+  /** Set when the account is a token account */
+  token?: {
+    mint: string;
+    owner: string;
+    before: string;
+    after: string;
+    change: string;
+  };
+}
+
+export interface DryRunCreatedAccount {
+  account: string;
+  /** Program owning the created account */
+  owner: string;
+  space: number;
+  /** Rent deposited in the account, in SOL */
+  rent: number;
+}
+
+export interface DryRunTransactionReport {
+  label: string;
+  /** Simulation error, null when the simulation succeeded */
+  error: string | null;
+  computeUnitsConsumed?: number;
+  logs: string[];
+  /** Balances of every writable account of the transaction */
+  balanceChanges: DryRunBalanceChange[];
+  createdAccounts: DryRunCreatedAccount[];
+}
+
+export interface DryRunReport {
+  /** Path the report is written to, not serialized */
+  filePath: string;
+  createdAt: string;
+  transactions: DryRunTransactionReport[];
+}
+
+export interface PreflightAccount {
+  label: string;
+  /** Data size of the account, its rent is the rent exempt minimum for this size */
+  space: number;
+}
+
+export interface PreflightCost {
+  label: string;
+  lamports: BN;
+}
+
+export interface PreflightTokenAmount {
+  label: string;
+  mint: PublicKey;
+  /** Amount in the smallest unit, as received by the program */
+  amount: BN;
+  /** Wallet the tokens are transferred from, the payer when unset */
+  owner?: PublicKey;
+  /** Set when the amount already covers the Token-2022 transfer fee of the mint */
+  transferFeeIncluded?: boolean;
+}
+
+/** What an action spends, checked against the wallet balances before its first transaction */
+export interface PreflightRequirements {
+  transactions: number;
+  signatures: number;
+  newAccounts: PreflightAccount[];
+  /** Costs known in lamports, like the rent quoted by an SDK */
+  costs: PreflightCost[];
+  tokens: PreflightTokenAmount[];
+}
+
 export type MeteoraConfig = DammV1Config | DammV2Config | DlmmConfig | DbcConfig | AlphaVaultConfig;
 
+/** Config types with a generated JSON schema in src/schemas/config.schema.json */
+export type ConfigType =
+  | 'DammV1Config'
+  | 'DammV2Config'
+  | 'DlmmConfig'
+  | 'DbcConfig'
+  | 'AlphaVaultConfig'
+  | 'LaunchPlanConfig';
+
+export interface ActionConfigSchema {
+  /** Config type the config file of the action is validated against */
+  configType: ConfigType;
+  /** Config keys the action cannot run without, they must be set to a non null value */
+  requiredConfigKeys: string[];
+}
+
+/** What an action does on-chain, printed for confirmation before it runs on mainnet */
+export interface ActionSummary {
+  /** Program the action sends its instructions to */
+  program: keyof ProgramIds;
+  /** Accounts the action creates */
+  creates: string[];
+  /** Config keys whose values are printed */
+  configKeys: string[];
+}
+
+/** Transaction settings shared by every action config */
+export interface TransactionConfig {
+  /** A fixed compute unit price, or "auto" to estimate it from recent prioritization fees */
+  computeUnitPriceMicroLamports: number | 'auto';
+  /** Percentile of the recent prioritization fees paid in "auto" mode */
+  computeUnitPricePercentile?: number;
+  /** Upper bound of the estimated compute unit price in "auto" mode */
+  maxComputeUnitPriceMicroLamports?: number;
+  /** Fraction added on top of the simulated compute units when setting the compute unit limit */
+  computeUnitLimitMargin?: number;
+  /** Move accounts repeated across batched instructions into an address lookup table */
+  useAddressLookupTable?: boolean;
+  /** Send atomic transaction sequences through the RPC one by one, or as a single Jito bundle */
+  sendMode?: 'rpc' | 'jito-bundle';
+  /** Block engine used in "jito-bundle" mode */
+  jitoBlockEngineUrl?: string;
+  /** Tip paid to the Jito validator landing the bundle */
+  jitoTipLamports?: number;
+  /** Durable nonce accounts used by exported transactions, one per transaction */
+  nonceAccounts?: string[];
+  /** Directory transactions are exported to unsigned instead of being sent, set by --export-unsigned */
+  exportUnsignedDir?: string;
+}
+
+/** A transaction written by --export-unsigned, signed by `studio sign` and sent by `studio broadcast` */
+export interface ExportedTransaction {
+  /** Position in the export, transactions are sent in this order */
+  index: number;
+  description: string;
+  /** Base64 serialized, partially signed transaction */
+  transaction: string;
+  versioned: boolean;
+  /** Durable nonce account advanced by the transaction, undefined if it uses a recent blockhash */
+  nonceAccount?: string;
+  lastValidBlockHeight?: number;
+  /** Public keys whose signature is still missing */
+  missingSigners: string[];
+  /** Set once the transaction landed */
+  signature?: string;
+  slot?: number;
+}
+
+export interface BundleTransaction {
+  tx: Transaction | VersionedTransaction;
+  signers: Signer[];
+  /** Id of the transaction in the execution journal */
+  journalStepId?: string;
+}
+
+/** Block engine client used in "jito-bundle" send mode, injectable to test against a stub */
+export interface BundleClient {
+  getTipAccounts(): Promise<string[]>;
+  /** Returns the bundle id */
+  sendBundle(transactions: VersionedTransaction[]): Promise<string>;
+}
+
 export interface CreateTokenMintOptions {
   dryRun: boolean;
   mintTokenAmount: string | number;
   decimals: number;
-  computeUnitPriceMicroLamports: number;
+  txConfig: TransactionConfig;
+  /** Journal of the action, whose resumed run reuses the mint keypair */
+  journal?: ExecutionJournal;
 }
 
 export interface CreateBaseMintConfig {
@@ -27,43 +309,113 @@ export interface CreateBaseMintConfig {
   baseDecimals: number;
 }
 
-export type MeteoraConfigBase = {
+export type MeteoraConfigBase = TransactionConfig & {
+  /**
+   * Network profile, inferred from the host of rpcUrl when unset. Selects the RPC URL and the
+   * Meteora program ids
+   */
+  network?: NetworkName;
+  /** Filled from the network profile when not set */
   rpcUrl: string;
+  wsUrl?: string;
+  /** Program ids replacing the ones of the network profile */
+  programIds?: Partial<ProgramIds> | null;
   dryRun: boolean;
-  keypairFilePath: string;
-  computeUnitPriceMicroLamports: number;
+  /** Keypair file of the payer and signer, required unless keypair is set */
+  keypairFilePath?: string;
+  /** Keystore key of the payer and signer, e.g. "@treasury". Takes precedence over keypairFilePath */
+  keypair?: KeystoreReference;
+  /** Address book file, relative to the config file. Its names can replace any address as "@name" */
+  addressBook?: string | null;
   baseMint?: string | null;
   quoteMint?: string | null;
+  multisig?: MultisigConfig | null;
 };
 
+/**
+ * a keystore key name prefixed with an at sign, e.g. "@treasury"
+ * @pattern ^@[A-Za-z0-9_-]+$
+ */
+export type KeystoreReference = string;
+
+export interface MultisigConfig {
+  /** The Squads multisig account whose vault is the authority of the action */
+  address: string;
+  /** Index of the vault, defaults to 0 */
+  vaultIndex?: number;
+  /** Create a vault transaction proposal, or print a base58 message to import into Squads */
+  output?: 'proposal' | 'message';
+}
+
 export type AllocationByAmount = {
   address: PublicKey;
   amount: BN;
   percentage: number;
 };
 
+export type NetworkName = 'mainnet' | 'devnet' | 'localnet' | 'custom';
+
+export interface ProgramIds {
+  dlmm: string;
+  dammV1: string;
+  dammV2: string;
+  dbc: string;
+  alphaVault: string;
+  stake2earn: string;
+}
+
 export interface NetworkConfig {
+  name: NetworkName;
+  /** Cluster the Meteora SDKs resolve their program ids for */
+  cluster: Cluster | 'localhost';
   rpcUrl: string;
+  /** Derived from rpcUrl by web3.js when not set */
+  wsUrl?: string;
   shouldAirdrop: boolean;
   airdropAmount: number;
+  programIds: ProgramIds;
 }
 
 /* DAMM v1 */
 
 export type DammV1Config = MeteoraConfigBase & {
-  createBaseToken: CreateBaseMintConfig | null;
-  dammV1Config: DynamicAmmV1Config | null;
-  dammV1LockLiquidity: LockLiquidityConfig | null;
-  stake2EarnFarm: Stake2EarnFarmConfig | null;
-  alphaVault: FcfsAlphaVaultConfig | ProrataAlphaVaultConfig | null;
+  createBaseToken?: CreateBaseMintConfig | null;
+  dammV1Config?: DynamicAmmV1Config | null;
+  dammV1LockLiquidity?: LockLiquidityConfig | null;
+  stake2EarnFarm?: Stake2EarnFarmConfig | null;
+  alphaVault?: FcfsOrProrataAlphaVaultConfig | null;
 };
 
+/**
+ * A slot or a unix timestamp in seconds, depending on the activation type. Also accepts an
+ * ISO-8601 timestamp, e.g. "2025-11-01T14:00:00Z", or a duration from now, e.g. "+2h"
+ */
+export type PointInput = number | PointString;
+
+/**
+ * an ISO-8601 timestamp with a zone like "2025-11-01T14:00:00Z" or a duration from now like "+2h"
+ * @pattern ^(\+(\d+[smhdw])+|\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)$
+ */
+export type PointString = string;
+
+/**
+ * A number of slots or seconds, depending on the activation type. Also accepts a duration, e.g.
+ * "2h" or "1d12h"
+ */
+export type DurationInput = number | DurationString;
+
+/**
+ * a duration like "2h" or "1d12h", in s, m, h, d or w units
+ * @pattern ^(\d+[smhdw])+$
+ */
+export type DurationString = string;
+
 export interface DynamicAmmV1Config {
   baseAmount: number | string;
   quoteAmount: number | string;
   tradeFeeNumerator: number;
   activationType: number;
-  activationPoint: number | null;
+  activationPoint: PointInput | null;
   hasAlphaVault: boolean;
 }
 
@@ -86,12 +438,12 @@ export interface Stake2EarnFarmConfig {
 /* DAMM v2 */
 
 export type DammV2Config = MeteoraConfigBase & {
-  createBaseToken: CreateBaseMintConfig | null;
-  poolAddress: string | null;
-  dammV2Config: DynamicAmmV2Config | null;
-  addLiquidity: AddLiquidityConfig | null;
-  splitPosition: SplitPositionConfig | null;
-  alphaVault: FcfsAlphaVaultConfig | ProrataAlphaVaultConfig | null;
+  createBaseToken?: CreateBaseMintConfig | null;
+  poolAddress?: string | null;
+  dammV2Config?: DynamicAmmV2Config | null;
+  addLiquidity?: AddLiquidityConfig | null;
+  splitPosition?: SplitPositionConfig | null;
+  alphaVault?: FcfsOrProrataAlphaVaultConfig | null;
 };
 
 export interface DynamicAmmV2Config {
@@ -104,14 +456,14 @@ export interface DynamicAmmV2Config {
     maxBaseFeeBps: number;
     minBaseFeeBps: number;
     numberOfPeriod: number;
-    totalDuration: number;
+    totalDuration: DurationInput;
     feeSchedulerMode: number;
     useDynamicFee: boolean;
     dynamicFeeConfig: DynamicFee | null;
   };
   collectFeeMode: number;
   activationType: number;
-  activationPoint: number | null;
+  activationPoint: PointInput | null;
   hasAlphaVault: boolean;
 }
 
@@ -141,12 +493,12 @@ export interface AddLiquidityConfig {
 /* DLMM */
 
 export type DlmmConfig = MeteoraConfigBase & {
-  createBaseToken: CreateBaseMintConfig | null;
-  dlmmConfig: DynamicLmmConfig | null;
-  alphaVault: FcfsAlphaVaultConfig | ProrataAlphaVaultConfig | null;
-  lfgSeedLiquidity: LfgSeedLiquidityConfig | null;
-  singleBinSeedLiquidity: SingleBinSeedLiquidityConfig | null;
-  setDlmmPoolStatus: SetDlmmPoolStatusConfig | null;
+  createBaseToken?: CreateBaseMintConfig | null;
+  dlmmConfig?: DynamicLmmConfig | null;
+  alphaVault?: FcfsOrProrataAlphaVaultConfig | null;
+  lfgSeedLiquidity?: LfgSeedLiquidityConfig | null;
+  singleBinSeedLiquidity?: SingleBinSeedLiquidityConfig | null;
+  setDlmmPoolStatus?: SetDlmmPoolStatusConfig | null;
 };
 
 export interface DynamicLmmConfig {
@@ -154,7 +506,7 @@ export interface DynamicLmmConfig {
   feeBps: number;
   initialPrice: number;
   activationType: number;
-  activationPoint: number | null;
+  activationPoint: PointInput | null;
   priceRounding: PriceRoundingConfig;
   hasAlphaVault: boolean;
   // Allow creator to turn on/off the pool
@@ -166,10 +518,11 @@ export interface LfgSeedLiquidityConfig {
   maxPrice: number;
   curvature: number;
   seedAmount: string;
+  /** Keypair file of the operator signing the seeding, or a keystore key like "@operator" */
   operatorKeypairFilepath: string;
   positionOwner: string;
   feeOwner: string;
-  lockReleasePoint: number;
+  lockReleasePoint: PointInput;
   seedTokenXToPositionOwner: boolean;
 }
 
@@ -177,10 +530,11 @@ export interface SingleBinSeedLiquidityConfig {
   price: number;
   priceRounding: string;
   seedAmount: string;
+  /** Keypair file of the operator signing the seeding, or a keystore key like "@operator" */
   operatorKeypairFilepath: string;
   positionOwner: string;
   feeOwner: string;
-  lockReleasePoint: number;
+  lockReleasePoint: PointInput;
   seedTokenXToPositionOwner: boolean;
 }
 
@@ -197,17 +551,20 @@ export enum PriceRoundingConfig {
 /* DBC */
 
 export type DbcConfig = MeteoraConfigBase & {
-  dbcConfig?:
-    | (BuildCurve & { buildCurveMode: 0 })
-    | (BuildCurveWithMarketCap & { buildCurveMode: 1 })
-    | (BuildCurveWithTwoSegments & { buildCurveMode: 2 })
-    | (BuildCurveWithLiquidityWeights & { buildCurveMode: 3 })
-    | null;
-  dbcConfigAddress?: PublicKey | null;
+  dbcConfig?: DbcBuildCurveConfig | null;
+  dbcConfigAddress?: string | null;
   dbcPool?: DbcPool | null;
   dbcSwap?: DbcSwap | null;
 };
 
+/** @discriminator buildCurveMode */
+export type DbcBuildCurveConfig =
+  | (BuildCurve & { buildCurveMode: 0 })
+  | (BuildCurveWithMarketCap & { buildCurveMode: 1 })
+  | (BuildCurveWithTwoSegments & { buildCurveMode: 2 })
+  | (BuildCurveWithLiquidityWeights & { buildCurveMode: 3 });
+
+/** @discriminator baseFeeMode */
 export type BaseFee =
   | {
       baseFeeMode: 0 | 1;
@@ -222,7 +579,7 @@ export type FeeSchedulerParams = {
   startingFeeBps: number;
   endingFeeBps: number;
   numberOfPeriod: number;
-  totalDuration: number;
+  totalDuration: DurationInput;
 };
 
 export type RateLimiterParams = {
@@ -290,10 +647,19 @@ export type BuildCurveWithLiquidityWeights = BuildCurveBase & {
 };
 
 export type DbcPool = {
+  /** Keypair file of the base mint, or a keystore key like "@mint", generated when not set */
   baseMintKeypairFilepath?: string;
   name: string;
   symbol: string;
   uri: string;
+  firstBuy?: DbcFirstBuy | null;
+};
+
+export type DbcFirstBuy = {
+  /** Amount of quoteMint spent right after the pool is created */
+  buyAmount: number;
+  /** Minimum amount of base token received, defaults to 0 */
+  minimumAmountOut?: number;
 };
 
 export type DbcSwap = {
@@ -306,19 +672,20 @@ export type DbcSwap = {
 /* Alpha Vault */
 
 export type AlphaVaultConfig = MeteoraConfigBase & {
-  createBaseToken: CreateBaseMintConfig | null;
-  alphaVault: FcfsAlphaVaultConfig | ProrataAlphaVaultConfig | null;
+  createBaseToken?: CreateBaseMintConfig | null;
+  alphaVault?: FcfsOrProrataAlphaVaultConfig | null;
 };
 
+/** @discriminator alphaVaultType */
+export type FcfsOrProrataAlphaVaultConfig = FcfsAlphaVaultConfig | ProrataAlphaVaultConfig;
+
 export interface FcfsAlphaVaultConfig {
   poolType: PoolTypeConfig;
-  alphaVaultType: AlphaVaultTypeConfig;
-  // absolute value, depend on the pool activation type it will be the timestamp in secs or the slot number
-  depositingPoint: number;
-  // absolute value
-  startVestingPoint: number;
-  // absolute value
-  endVestingPoint: number;
+  alphaVaultType: AlphaVaultTypeConfig.Fcfs;
+  // depend on the pool activation type it will be the timestamp in secs or the slot number
+  depositingPoint: PointInput;
+  startVestingPoint: PointInput;
+  endVestingPoint: PointInput;
   // total max deposit
   maxDepositCap: number;
   // user max deposit
@@ -327,7 +694,8 @@ export interface FcfsAlphaVaultConfig {
   escrowFee: number;
   // whitelist mode: permissionless / permission_with_merkle_proof / permission_with_authority
   whitelistMode: WhitelistModeConfig;
-  merkleProofBaseUrl: string;
+  // required with the permissioned_with_merkle_proof whitelist mode
+  merkleProofBaseUrl?: string;
   whitelistFilepath?: string;
   chunkSize?: number;
   kvProofFilepath?: string;
@@ -336,20 +704,19 @@ export interface FcfsAlphaVaultConfig {
 
 export interface ProrataAlphaVaultConfig {
   poolType: PoolTypeConfig;
-  alphaVaultType: AlphaVaultTypeConfig;
-  // absolute value, depend on the pool activation type it will be the timestamp in secs or the slot number
-  depositingPoint: number;
-  // absolute value
-  startVestingPoint: number;
-  // absolute value
-  endVestingPoint: number;
+  alphaVaultType: AlphaVaultTypeConfig.Prorata;
+  // depend on the pool activation type it will be the timestamp in secs or the slot number
+  depositingPoint: PointInput;
+  startVestingPoint: PointInput;
+  endVestingPoint: PointInput;
   // total max deposit
   maxBuyingCap: number;
   // fee to create stake escrow account
   escrowFee: number;
   // whitelist mode: permissionless / permission_with_merkle_proof / permission_with_authority
   whitelistMode: WhitelistModeConfig;
-  merkleProofBaseUrl: string;
+  // required with the permissioned_with_merkle_proof whitelist mode
+  merkleProofBaseUrl?: string;
   whitelistFilepath?: string;
   chunkSize?: number;
   kvProofFilepath?: string;
@@ -409,7 +776,215 @@ export interface KvMerkleProof {
 /* Stake2Earn */
 
 export type Stake2EarnConfig = MeteoraConfigBase & {
-  createBaseToken: CreateBaseMintConfig | null;
-  dammV1LockLiquidity: LockLiquidityConfig | null;
-  alphaVault: FcfsAlphaVaultConfig | ProrataAlphaVaultConfig | null;
+  createBaseToken?: CreateBaseMintConfig | null;
+  dammV1LockLiquidity?: LockLiquidityConfig | null;
+  alphaVault?: FcfsOrProrataAlphaVaultConfig | null;
+};
+
+/* Launch plan */
+
+export type LaunchPlanConfig = MeteoraConfigBase & {
+  steps: LaunchPlanStep[];
+};
+
+export interface LaunchPlanStep {
+  id: string;
+  action: string;
+  /** Merged over the plan's base config. String values may reference `${steps.<id>.<output>}` */
+  config?: Record<string, any>;
+}
+
+export type LaunchPlanStepOutputs = Record<string, string>;
+
+/* Init */
+
+/** Answers of the init wizard keyed by config key path, e.g. dbcConfig.buildCurveMode */
+export type InitAnswers = Record<string, unknown>;
+
+export interface InitChoice {
+  value: string | number | boolean;
+  label: string;
+}
+
+export interface InitQuestion {
+  /** Config key path the answer is written to */
+  key: string;
+  prompt: string;
+  /** Comment written next to the key in the config file */
+  comment?: string;
+  type: 'string' | 'number' | 'integer' | 'boolean' | 'address' | 'point' | 'duration' | 'numbers';
+  choices?: InitChoice[];
+  /** Used when the question is left empty, computed from the previous answers if a function */
+  defaultValue?: unknown | ((answers: InitAnswers) => unknown);
+  /** Written as is without asking */
+  value?: unknown;
+  /** Strings accepted as is besides values of the type, e.g. "auto" */
+  keywords?: string[];
+  min?: number;
+  max?: number;
+  /** Omit the key when the question is left empty */
+  optional?: boolean;
+  /** Write null when the question is left empty */
+  nullable?: boolean;
+  /** Ask the question only when it returns true for the previous answers */
+  when?: (answers: InitAnswers) => boolean;
+  /** Extra check of the parsed answer, returns the problem if any */
+  validate?: (value: unknown, answers: InitAnswers) => string | undefined;
+}
+
+export interface InitTemplate {
+  action: string;
+  description: string;
+  questions: InitQuestion[];
+}
+
+/* Keystore */
+
+/** A keypair encrypted at rest with a passphrase, one file per key in the keystore directory */
+export interface KeystoreFile {
+  version: number;
+  name: string;
+  publicKey: string;
+  createdAt: string;
+  crypto: {
+    kdf: 'scrypt';
+    kdfParams: { n: number; r: number; p: number; salt: string };
+    cipher: 'aes-256-gcm';
+    iv: string;
+    authTag: string;
+    ciphertext: string;
+  };
+}
+
+/* Address book */
+
+/** An address book file: a public key by name, with optional tags */
+export type AddressBookFile = Record<string, string | { address: string; tags?: string[] }>;
+
+export interface AddressBookEntry {
+  name: string;
+  address: PublicKey;
+  tags: string[];
+}
+
+/* SDK */
+
+/**
+ * Signs transactions for the SDK without exposing a private key, e.g. a wallet adapter, an
+ * Anchor wallet or a remote signing service
+ */
+export interface StudioSigner {
+  publicKey: PublicKey;
+  signTransaction<T extends Transaction | VersionedTransaction>(tx: T): Promise<T>;
+}
+
+export type SdkSigner = StudioSigner | Keypair;
+
+/** Options shared by the SDK operations, the config keys that are not action specific */
+export type SdkOptions = Partial<TransactionConfig> & {
+  /** Network whose program ids are used, detected from the genesis hash of the connection when unset */
+  network?: NetworkName;
+  programIds?: Partial<ProgramIds>;
+  /** Simulate the transactions instead of sending them */
+  dryRun?: boolean;
+  /** Squads multisig whose vault is the authority, for the operations supporting it */
+  multisig?: MultisigConfig;
+  /** Print the studio logs, silenced by default */
+  verbose?: boolean;
+  /** Block engine client of the "jito-bundle" send mode, instead of the one of jitoBlockEngineUrl */
+  bundleClient?: BundleClient;
+};
+
+export interface SdkResult<T> {
+  /** The addresses created or used by the operation */
+  addresses: T;
+  /** Signatures of the landed transactions, in order, empty when dry running */
+  signatures: string[];
+}
+
+export interface SdkPoolMints {
+  baseMint: PublicKey;
+  quoteMint: PublicKey;
+}
+
+export interface CreateTokenMintParams {
+  /** Amount minted to the signer, in tokens */
+  amount: number | string;
+  decimals: number;
+}
+
+export type CreateDlmmPoolParams = SdkPoolMints & {
+  pool: DynamicLmmConfig;
+};
+
+export type SeedDlmmLiquidityParams = SdkPoolMints & {
+  /** Operator of the positions, set as the pool creator when the pool has creatorPoolOnOffControl */
+  operator: SdkSigner;
+  positionOwner: PublicKey;
+  feeOwner: PublicKey;
+  /** Amount of base token seeded, in tokens */
+  seedAmount: number | string;
+  lockReleasePoint: PointInput;
+  seedTokenXToPositionOwner: boolean;
+  /** Keypair the positions are derived from, generated when not set. Reuse it to resume seeding */
+  baseKeypair?: Keypair;
+};
+
+export type SeedDlmmLiquidityLfgParams = SeedDlmmLiquidityParams & {
+  minPrice: number;
+  maxPrice: number;
+  curvature: number;
+};
+
+export type SeedDlmmLiquiditySingleBinParams = SeedDlmmLiquidityParams & {
+  price: number;
+  priceRounding: PriceRoundingConfig;
+};
+
+export type CreateDammV1PoolParams = SdkPoolMints & {
+  pool: DynamicAmmV1Config;
+};
+
+export type LockDammV1LiquidityParams = SdkPoolMints & {
+  allocations: LockLiquidityAllocation[];
+};
+
+export type CreateDammV2PoolParams = SdkPoolMints & {
+  pool: DynamicAmmV2Config;
+};
+
+export interface DammV2PositionParams {
+  pool: PublicKey;
+  /** The position of the signer in the pool */
+  position: PublicKey;
+}
+
+export type SplitDammV2PositionParams = DammV2PositionParams & {
+  split: SplitPositionConfig;
+};
+
+export type AddDammV2LiquidityParams = DammV2PositionParams & AddLiquidityConfig;
+
+export interface CreateDbcConfigParams {
+  quoteMint: PublicKey;
+  curve: DbcBuildCurveConfig;
+}
+
+export type CreateDbcPoolParams = CreateDbcConfigParams & {
+  /** An existing config matching the curve, created from the curve when not set */
+  config?: PublicKey;
+  pool: Omit<DbcPool, 'baseMintKeypairFilepath'>;
+  /** Keypair of the base mint, generated when not set, e.g. for a vanity address */
+  baseMint?: Keypair;
+};
+
+export interface DbcPoolParams {
+  baseMint: PublicKey;
+}
+
+export type SwapDbcParams = DbcPoolParams & DbcSwap;
+
+export type CreateAlphaVaultParams = SdkPoolMints & {
+  pool: PublicKey;
+  vault: FcfsOrProrataAlphaVaultConfig;
 };